@@ -12,7 +12,7 @@
  */
 
 require('dotenv').config();
-const { db } = require('../src/firebase');
+const db = require('../src/persistence');
 
 async function ageRequestForReminder(requestId, hoursAgo = 24) {
   if (!requestId) {
@@ -31,26 +31,25 @@ async function ageRequestForReminder(requestId, hoursAgo = 24) {
     console.log(`Setting createdAt to ${hoursAgo} hours ago\n`);
 
     // Get the request first
-    const requestDoc = await db.collection('requests').doc(requestId).get();
+    const request = await db.get('requests', requestId);
     
-    if (!requestDoc.exists) {
+    if (!request) {
       console.error(`❌ Error: Request ${requestId} not found`);
       process.exit(1);
     }
 
-    const request = requestDoc.data();
     console.log(`Current request info:`);
     console.log(`  Customer: ${request.customerName || 'N/A'}`);
     console.log(`  Status: ${request.status || 'N/A'}`);
     console.log(`  Current Reminder Level: ${request.needsReminderLevel || 0}`);
-    console.log(`  Current createdAt: ${request.createdAt?.toDate ? request.createdAt.toDate().toLocaleString() : 'N/A'}\n`);
+    console.log(`  Current createdAt: ${request.createdAt?.toDate ? request.createdAt.toDate().toLocaleString() : (request.createdAt ? new Date(request.createdAt).toLocaleString() : 'N/A')}\n`);
 
     // Calculate the new createdAt date (hoursAgo hours in the past)
     const now = new Date();
     const newCreatedAt = new Date(now.getTime() - (hoursAgo * 60 * 60 * 1000));
 
     // Update the request
-    await db.collection('requests').doc(requestId).update({
+    await db.update('requests', requestId, {
       createdAt: newCreatedAt,
       updatedAt: new Date()
     });
@@ -64,8 +63,7 @@ async function ageRequestForReminder(requestId, hoursAgo = 24) {
     await reminderJob.processReminders();
 
     // Check the updated request
-    const updatedDoc = await db.collection('requests').doc(requestId).get();
-    const updatedRequest = updatedDoc.data();
+    const updatedRequest = await db.get('requests', requestId);
     
     console.log('\n=== After Reminder Job ===');
     console.log(`  New Reminder Level: ${updatedRequest.needsReminderLevel || 0}`);
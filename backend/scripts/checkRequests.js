@@ -1,25 +1,24 @@
 /**
- * Script to check all requests in Firestore
+ * Script to check all requests in the database
  */
 
 require('dotenv').config();
-const { db } = require('../src/firebase');
+const db = require('../src/persistence');
 
 async function checkRequests() {
   try {
-    const requestsSnapshot = await db.collection('requests').get();
+    const requests = await db.query('requests');
     
-    console.log(`Total requests: ${requestsSnapshot.size}\n`);
+    console.log(`Total requests: ${requests.length}\n`);
     
-    if (requestsSnapshot.size === 0) {
-      console.log('No requests found in Firestore.');
+    if (requests.length === 0) {
+      console.log(`No requests found (${db.driverName}).`);
       return;
     }
     
-    requestsSnapshot.docs.forEach((doc, index) => {
-      const data = doc.data();
+    requests.forEach((data, index) => {
       console.log(`Request ${index + 1}:`);
-      console.log(`  ID: ${doc.id}`);
+      console.log(`  ID: ${data.id}`);
       console.log(`  Customer: ${data.customerName || 'N/A'}`);
       console.log(`  Phone: ${data.customerPhone || 'N/A'}`);
       console.log(`  Status: ${data.status || 'N/A'}`);
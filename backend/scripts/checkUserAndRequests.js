@@ -6,7 +6,7 @@
  */
 
 require('dotenv').config();
-const { db } = require('../src/firebase');
+const db = require('../src/persistence');
 
 async function checkUserAndRequests() {
   console.log('=== User and Request Diagnostic ===\n');
@@ -14,10 +14,9 @@ async function checkUserAndRequests() {
   try {
     // 1. Get all users
     console.log('1. Users in the system:');
-    const usersSnapshot = await db.collection('users').get();
-    usersSnapshot.docs.forEach(doc => {
-      const data = doc.data();
-      console.log(`   - User ID: ${doc.id}`);
+    const users = await db.query('users');
+    users.forEach(data => {
+      console.log(`   - User ID: ${data.id}`);
       console.log(`     Name: ${data.name || 'N/A'}`);
       console.log(`     Email: ${data.email || 'N/A'}`);
       console.log(`     Role: ${data.role || 'N/A'}`);
@@ -26,30 +25,27 @@ async function checkUserAndRequests() {
 
     // 2. Get all requests and their agent assignments
     console.log('2. Requests and their assigned agents:');
-    const requestsSnapshot = await db.collection('requests').get();
+    const requests = await db.query('requests');
     
-    if (requestsSnapshot.empty) {
+    if (requests.length === 0) {
       console.log('   No requests found in database.\n');
     } else {
-      console.log(`   Total requests: ${requestsSnapshot.size}\n`);
+      console.log(`   Total requests: ${requests.length}\n`);
       
-      requestsSnapshot.docs.forEach(doc => {
-        const data = doc.data();
-        console.log(`   Request ID: ${doc.id}`);
+      requests.forEach(data => {
+        console.log(`   Request ID: ${data.id}`);
         console.log(`     Customer: ${data.customerName || 'N/A'}`);
         console.log(`     Status: ${data.status || 'N/A'}`);
         console.log(`     Assigned to Agent ID: ${data.agentId || 'N/A'}`);
         
         // Check if agent exists
         if (data.agentId) {
-          db.collection('users').doc(data.agentId).get().then(agentDoc => {
-            if (agentDoc.exists) {
-              const agentData = agentDoc.data();
-              console.log(`     Agent Name: ${agentData.name || 'N/A'}`);
-            } else {
-              console.log(`     ⚠️  WARNING: Agent ${data.agentId} not found in users collection!`);
-            }
-          });
+          const agentData = users.find(user => user.id === data.agentId);
+          if (agentData) {
+            console.log(`     Agent Name: ${agentData.name || 'N/A'}`);
+          } else {
+            console.log(`     ⚠️  WARNING: Agent ${data.agentId} not found in users collection!`);
+          }
         }
         console.log('');
       });
@@ -57,13 +53,13 @@ async function checkUserAndRequests() {
 
     // 3. Summary
     console.log('3. Summary:');
-    console.log(`   - Total users: ${usersSnapshot.size}`);
-    console.log(`   - Total requests: ${requestsSnapshot.size}`);
+    console.log(`   - Total users: ${users.length}`);
+    console.log(`   - Total requests: ${requests.length}`);
     
     // Group requests by agentId
     const requestsByAgent = {};
-    requestsSnapshot.docs.forEach(doc => {
-      const agentId = doc.data().agentId;
+    requests.forEach(data => {
+      const agentId = data.agentId;
       if (agentId) {
         requestsByAgent[agentId] = (requestsByAgent[agentId] || 0) + 1;
       }
@@ -3,7 +3,7 @@
  * 
  * This script creates:
  * 1. A Firebase Authentication user
- * 2. A user document in Firestore with agent role
+ * 2. A user record in the database with agent role
  * 
  * Usage: node scripts/createAgentUser.js <email> <password> <name>
  * 
@@ -11,7 +11,8 @@
  */
 
 require('dotenv').config();
-const { admin, db } = require('../src/firebase');
+const { admin } = require('../src/firebase');
+const db = require('../src/persistence');
 
 async function createAgentUser(email, password, name) {
   if (!email || !password || !name) {
@@ -50,18 +51,17 @@ async function createAgentUser(email, password, name) {
       }
     }
 
-    // 2. Check if user document exists in Firestore
-    const userDoc = await db.collection('users').doc(userRecord.uid).get();
+    // 2. Check if user record exists in the database
+    const existingData = await db.get('users', userRecord.uid);
     
-    if (userDoc.exists) {
-      const existingData = userDoc.data();
-      console.log('⚠️  User document already exists in Firestore');
+    if (existingData) {
+      console.log('⚠️  User document already exists in the database');
       console.log(`   Current role: ${existingData.role || 'NOT SET'}`);
       console.log(`   Current name: ${existingData.name || 'NOT SET'}`);
       
       // Ask if we should update it
       console.log('\nUpdating user document with agent role...');
-      await db.collection('users').doc(userRecord.uid).update({
+      await db.update('users', userRecord.uid, {
         name: name,
         email: email,
         role: 'agent',
@@ -69,9 +69,9 @@ async function createAgentUser(email, password, name) {
       });
       console.log('✓ Updated user document');
     } else {
-      // Create user document in Firestore
-      console.log('Creating user document in Firestore...');
-      await db.collection('users').doc(userRecord.uid).set({
+      // Create user record in the database
+      console.log(`Creating user document (${db.driverName})...`);
+      await db.set('users', userRecord.uid, {
         name: name,
         email: email,
         role: 'agent',
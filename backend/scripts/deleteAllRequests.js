@@ -6,7 +6,8 @@
  */
 
 require('dotenv').config();
-const { db, storage } = require('../src/firebase');
+const db = require('../src/persistence');
+const blobStorage = require('../src/blobStorage');
 
 async function deleteAllRequests() {
   console.log('Starting deletion process...\n');
@@ -14,27 +15,26 @@ async function deleteAllRequests() {
   try {
     // 1. Delete all documents from 'documents' collection
     console.log('Deleting documents...');
-    const documentsSnapshot = await db.collection('documents').get();
-    const documentDeletes = documentsSnapshot.docs.map(doc => doc.ref.delete());
+    const documents = await db.query('documents');
+    const documentDeletes = documents.map(doc => db.remove('documents', doc.id));
     await Promise.all(documentDeletes);
-    console.log(`✓ Deleted ${documentsSnapshot.size} documents\n`);
+    console.log(`✓ Deleted ${documents.length} documents\n`);
 
     // 2. Delete all audit logs
     console.log('Deleting audit logs...');
-    const auditLogsSnapshot = await db.collection('auditLogs').get();
-    const auditLogDeletes = auditLogsSnapshot.docs.map(doc => doc.ref.delete());
+    const auditLogs = await db.query('auditLogs');
+    const auditLogDeletes = auditLogs.map(log => db.remove('auditLogs', log.id));
     await Promise.all(auditLogDeletes);
-    console.log(`✓ Deleted ${auditLogsSnapshot.size} audit logs\n`);
+    console.log(`✓ Deleted ${auditLogs.length} audit logs\n`);
 
     // 3. Delete all files from Storage
     console.log('Deleting files from Storage...');
     let filesCount = 0;
     try {
-      const bucket = storage.bucket('customer-request-tracking.firebasestorage.app');
-      const [files] = await bucket.getFiles({ prefix: 'requests/' });
+      const files = await blobStorage.list('requests/');
       filesCount = files.length;
       if (files.length > 0) {
-        const fileDeletes = files.map(file => file.delete());
+        const fileDeletes = files.map(key => blobStorage.remove(key));
         await Promise.all(fileDeletes);
         console.log(`✓ Deleted ${files.length} files from Storage\n`);
       } else {
@@ -46,16 +46,16 @@ async function deleteAllRequests() {
 
     // 4. Delete all requests
     console.log('Deleting requests...');
-    const requestsSnapshot = await db.collection('requests').get();
-    const requestDeletes = requestsSnapshot.docs.map(doc => doc.ref.delete());
+    const requests = await db.query('requests');
+    const requestDeletes = requests.map(request => db.remove('requests', request.id));
     await Promise.all(requestDeletes);
-    console.log(`✓ Deleted ${requestsSnapshot.size} requests\n`);
+    console.log(`✓ Deleted ${requests.length} requests\n`);
 
     console.log('✅ All data deleted successfully!');
     console.log('\nSummary:');
-    console.log(`- Requests: ${requestsSnapshot.size}`);
-    console.log(`- Documents: ${documentsSnapshot.size}`);
-    console.log(`- Audit Logs: ${auditLogsSnapshot.size}`);
+    console.log(`- Requests: ${requests.length}`);
+    console.log(`- Documents: ${documents.length}`);
+    console.log(`- Audit Logs: ${auditLogs.length}`);
     console.log(`- Storage Files: ${filesCount}`);
 
   } catch (error) {
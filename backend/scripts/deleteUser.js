@@ -1,11 +1,11 @@
 /**
- * Script to delete a specific user from Firestore
+ * Script to delete a specific user from the database
  * 
  * Usage: node scripts/deleteUser.js "user name or email"
  */
 
 require('dotenv').config();
-const { db } = require('../src/firebase');
+const db = require('../src/persistence');
 
 async function deleteUser(searchTerm) {
   if (!searchTerm) {
@@ -18,9 +18,8 @@ async function deleteUser(searchTerm) {
 
   try {
     // Search by name (case-insensitive partial match)
-    const usersSnapshot = await db.collection('users').get();
-    const matchingUsers = usersSnapshot.docs.filter(doc => {
-      const data = doc.data();
+    const users = await db.query('users');
+    const matchingUsers = users.filter(data => {
       const name = (data.name || '').toLowerCase();
       const email = (data.email || '').toLowerCase();
       const search = searchTerm.toLowerCase();
@@ -33,9 +32,8 @@ async function deleteUser(searchTerm) {
     }
 
     console.log(`Found ${matchingUsers.length} matching user(s):\n`);
-    matchingUsers.forEach((doc, index) => {
-      const data = doc.data();
-      console.log(`${index + 1}. ID: ${doc.id}`);
+    matchingUsers.forEach((data, index) => {
+      console.log(`${index + 1}. ID: ${data.id}`);
       console.log(`   Name: ${data.name || 'N/A'}`);
       console.log(`   Email: ${data.email || 'N/A'}`);
       console.log(`   Role: ${data.role || 'N/A'}`);
@@ -44,9 +42,9 @@ async function deleteUser(searchTerm) {
 
     // Delete all matching users
     console.log('Deleting user(s)...');
-    const deletes = matchingUsers.map(doc => {
-      console.log(`  - Deleting: ${doc.data().name || doc.id}`);
-      return doc.ref.delete();
+    const deletes = matchingUsers.map(data => {
+      console.log(`  - Deleting: ${data.name || data.id}`);
+      return db.remove('users', data.id);
     });
 
     await Promise.all(deletes);
@@ -32,12 +32,11 @@ async function getCurrentUser(token) {
     console.log(`Email: ${decodedToken.email || 'N/A'}`);
     console.log(`Name: ${decodedToken.name || 'N/A'}`);
     
-    // Get user role from Firestore
-    const { db } = require('../src/firebase');
-    const userDoc = await db.collection('users').doc(decodedToken.uid).get();
+    // Get user role from the database
+    const db = require('../src/persistence');
+    const userData = await db.get('users', decodedToken.uid);
     
-    if (userDoc.exists) {
-      const userData = userDoc.data();
+    if (userData) {
       console.log(`Role: ${userData.role || 'N/A'}`);
       console.log(`Display Name: ${userData.name || 'N/A'}`);
       
@@ -49,7 +48,7 @@ async function getCurrentUser(token) {
         console.log('You should see all requests in the manager dashboard');
       }
     } else {
-      console.log('\n⚠️  User not found in Firestore users collection');
+      console.log('\n⚠️  User not found in users collection');
     }
     
   } catch (error) {
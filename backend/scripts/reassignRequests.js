@@ -7,7 +7,7 @@
  */
 
 require('dotenv').config();
-const { db } = require('../src/firebase');
+const db = require('../src/persistence');
 
 async function reassignRequests(newAgentId) {
   if (!newAgentId) {
@@ -21,19 +21,17 @@ async function reassignRequests(newAgentId) {
 
   try {
     // Verify the agent exists
-    const agentDoc = await db.collection('users').doc(newAgentId).get();
-    if (!agentDoc.exists) {
+    const agentData = await db.get('users', newAgentId);
+    if (!agentData) {
       console.error(`❌ Error: Agent ${newAgentId} not found in users collection`);
       console.log('\nAvailable agents:');
-      const usersSnapshot = await db.collection('users').where('role', '==', 'agent').get();
-      usersSnapshot.docs.forEach(doc => {
-        const data = doc.data();
-        console.log(`   - ${doc.id}: ${data.name || 'N/A'} (${data.email || 'N/A'})`);
+      const agents = await db.query('users', { where: [['role', '==', 'agent']] });
+      agents.forEach(data => {
+        console.log(`   - ${data.id}: ${data.name || 'N/A'} (${data.email || 'N/A'})`);
       });
       process.exit(1);
     }
 
-    const agentData = agentDoc.data();
     if (agentData.role !== 'agent') {
       console.error(`❌ Error: User ${newAgentId} is not an agent (role: ${agentData.role})`);
       process.exit(1);
@@ -42,28 +40,27 @@ async function reassignRequests(newAgentId) {
     console.log(`✓ Agent verified: ${agentData.name || 'N/A'} (${agentData.email || 'N/A'})\n`);
 
     // Get all requests
-    const requestsSnapshot = await db.collection('requests').get();
+    const requests = await db.query('requests');
     
-    if (requestsSnapshot.empty) {
+    if (requests.length === 0) {
       console.log('No requests found to reassign.');
       process.exit(0);
     }
 
-    console.log(`Found ${requestsSnapshot.size} request(s) to reassign...\n`);
+    console.log(`Found ${requests.length} request(s) to reassign...\n`);
 
     // Reassign each request
     let reassignedCount = 0;
-    for (const doc of requestsSnapshot.docs) {
-      const requestData = doc.data();
+    for (const requestData of requests) {
       const oldAgentId = requestData.agentId;
       
-      await db.collection('requests').doc(doc.id).update({
+      await db.update('requests', requestData.id, {
         agentId: newAgentId,
         updatedAt: new Date()
       });
 
       reassignedCount++;
-      console.log(`✓ Reassigned request ${doc.id} (${requestData.customerName || 'N/A'})`);
+      console.log(`✓ Reassigned request ${requestData.id} (${requestData.customerName || 'N/A'})`);
       console.log(`  From: ${oldAgentId || 'N/A'}`);
       console.log(`  To: ${newAgentId}\n`);
     }
@@ -0,0 +1,49 @@
+/**
+ * Script to store the rejection reason catalog in the 'rejectionReasons' collection
+ *
+ * Without arguments the built-in reasons (src/models/rejectionReasons.js) are stored,
+ * so they can be edited in the database or the manager dashboard. With a JSON file
+ * (one reason or an array), those reasons are validated and stored, replacing any
+ * with the same code.
+ *
+ * Usage:
+ *   node scripts/seedRejectionReasons.js
+ *   node scripts/seedRejectionReasons.js <reasons.json>
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const rejectionReasonRepository = require('../src/repositories/rejectionReasonRepository');
+const { BUILT_IN_REJECTION_REASONS } = require('../src/models/rejectionReasons');
+
+async function seedRejectionReasons(filePath) {
+  let reasons = BUILT_IN_REJECTION_REASONS;
+  if (filePath) {
+    const data = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    reasons = Array.isArray(data) ? data : [data];
+  }
+
+  console.log(`=== Storing ${reasons.length} rejection reason(s) ===\n`);
+
+  for (const reason of reasons) {
+    try {
+      await rejectionReasonRepository.saveReason(reason, 'seed-script');
+      const types = reason.documentTypes && reason.documentTypes.length > 0 ? reason.documentTypes.join(', ') : 'any document';
+      console.log(`✅ ${reason.code} (${reason.label}): ${types}`);
+    } catch (error) {
+      console.error(`❌ ${reason.code || '(no code)'}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+seedRejectionReasons(process.argv[2])
+  .then(() => {
+    console.log('\nDone!');
+    process.exit(process.exitCode || 0);
+  })
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
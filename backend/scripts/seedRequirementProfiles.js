@@ -0,0 +1,47 @@
+/**
+ * Script to store document requirement profiles in the 'requirementProfiles' collection
+ * 
+ * Without arguments the built-in profiles (src/models/requirementProfiles.js) are stored,
+ * so they can be edited in the database. With a JSON file (one profile or an array),
+ * those profiles are validated and stored, replacing any with the same id.
+ * 
+ * Usage:
+ *   node scripts/seedRequirementProfiles.js
+ *   node scripts/seedRequirementProfiles.js <profiles.json>
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const requirementProfileRepository = require('../src/repositories/requirementProfileRepository');
+const { BUILT_IN_REQUIREMENT_PROFILES } = require('../src/models/requirementProfiles');
+
+async function seedRequirementProfiles(filePath) {
+  let profiles = BUILT_IN_REQUIREMENT_PROFILES;
+  if (filePath) {
+    const data = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    profiles = Array.isArray(data) ? data : [data];
+  }
+
+  console.log(`=== Storing ${profiles.length} requirement profile(s) ===\n`);
+
+  for (const profile of profiles) {
+    try {
+      await requirementProfileRepository.saveProfile(profile);
+      console.log(`✅ ${profile.id} (${profile.name}): ${profile.documents.map(doc => `${doc.type} [${doc.requirement}]`).join(', ')}`);
+    } catch (error) {
+      console.error(`❌ ${profile.id || '(no id)'}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+seedRequirementProfiles(process.argv[2])
+  .then(() => {
+    console.log('\nDone!');
+    process.exit(process.exitCode || 0);
+  })
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
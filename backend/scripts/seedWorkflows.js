@@ -0,0 +1,47 @@
+/**
+ * Script to store workflow definitions in the 'workflows' collection
+ * 
+ * Without arguments the built-in definitions (src/models/workflowDefinitions.js) are stored,
+ * so they can be edited in the database. With a JSON file (one definition or an array),
+ * those definitions are validated and stored, replacing any with the same id.
+ * 
+ * Usage:
+ *   node scripts/seedWorkflows.js
+ *   node scripts/seedWorkflows.js <definitions.json>
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const workflowRepository = require('../src/repositories/workflowRepository');
+const { BUILT_IN_WORKFLOWS } = require('../src/models/workflowDefinitions');
+
+async function seedWorkflows(filePath) {
+  let workflows = BUILT_IN_WORKFLOWS;
+  if (filePath) {
+    const data = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    workflows = Array.isArray(data) ? data : [data];
+  }
+
+  console.log(`=== Storing ${workflows.length} workflow definition(s) ===\n`);
+
+  for (const workflow of workflows) {
+    try {
+      await workflowRepository.saveWorkflow(workflow);
+      console.log(`✅ ${workflow.id} (${workflow.name}): ${workflow.statuses.length} statuses, ${workflow.transitions.length} transitions`);
+    } catch (error) {
+      console.error(`❌ ${workflow.id || '(no id)'}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+seedWorkflows(process.argv[2])
+  .then(() => {
+    console.log('\nDone!');
+    process.exit(process.exitCode || 0);
+  })
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -6,8 +6,10 @@
  */
 
 require('dotenv').config();
-const { db } = require('../src/firebase');
-const { REQUEST_STATUS, REMINDER_LEVEL } = require('../src/models/request');
+const db = require('../src/persistence');
+const workflowRepository = require('../src/repositories/workflowRepository');
+const { REMINDER_LEVEL } = require('../src/models/request');
+const { DEFAULT_WORKFLOW_ID, isReminderEligible } = require('../src/models/workflowDefinitions');
 
 function hoursBetween(date1, date2) {
   return Math.abs(date2 - date1) / (1000 * 60 * 60);
@@ -18,13 +20,13 @@ async function testReminders() {
 
   try {
     // Get all requests and filter in memory (Firestore doesn't allow multiple != filters)
-    const requestsSnapshot = await db.collection('requests').get();
+    const requests = await db.query('requests');
+    const workflows = await workflowRepository.getAllWorkflows();
 
     const now = new Date();
     
     // Filter to only active requests (not COMPLETED, not EXPIRED)
-    const activeRequests = requestsSnapshot.docs
-      .map(doc => ({ id: doc.id, ...doc.data() }))
+    const activeRequests = requests
       .filter(request => request.status !== 'COMPLETED' && request.status !== 'EXPIRED');
 
     if (activeRequests.length === 0) {
@@ -55,8 +57,8 @@ async function testReminders() {
       }
 
       // Check what reminder should be shown
-      const eligibleStatuses = [REQUEST_STATUS.OPEN, REQUEST_STATUS.IN_PROGRESS, REQUEST_STATUS.SUBMITTED];
-      if (eligibleStatuses.includes(request.status)) {
+      const workflow = workflows.find(w => w.id === (request.workflowId || DEFAULT_WORKFLOW_ID));
+      if (workflow && isReminderEligible(workflow, request.status)) {
         if (request.needsReminderLevel === REMINDER_LEVEL.NONE) {
           if (lastReminderAt && hoursSinceLastReminder >= 48) {
             console.log(`  ⚠️  Should show SECOND REMINDER (48h) - ${hoursSinceLastReminder.toFixed(1)} hours since last reminder`);
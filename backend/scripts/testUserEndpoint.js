@@ -7,24 +7,23 @@
  */
 
 require('dotenv').config();
-const { admin, db } = require('../src/firebase');
+const db = require('../src/persistence');
 
 async function testUserEndpoint() {
   console.log('=== Testing User Endpoint ===\n');
 
   try {
     // Get all agents from the database
-    const usersSnapshot = await db.collection('users').where('role', '==', 'agent').get();
+    const agents = await db.query('users', { where: [['role', '==', 'agent']] });
     
-    if (usersSnapshot.empty) {
+    if (agents.length === 0) {
       console.log('No agents found in database.\n');
       return;
     }
 
     console.log('Agents in database:');
-    usersSnapshot.docs.forEach(doc => {
-      const data = doc.data();
-      console.log(`  - User ID: ${doc.id}`);
+    agents.forEach(data => {
+      console.log(`  - User ID: ${data.id}`);
       console.log(`    Name: ${data.name || 'NOT SET'}`);
       console.log(`    Email: ${data.email || 'NOT SET'}`);
       console.log(`    Role: ${data.role || 'NOT SET'}`);
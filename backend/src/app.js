@@ -12,6 +12,7 @@ const customerRoutes = require('./routes/customerRoutes');
 const telesalesRoutes = require('./routes/telesalesRoutes');
 const managerRoutes = require('./routes/managerRoutes');
 const partnerRoutes = require('./routes/partnerRoutes');
+const fileRoutes = require('./routes/fileRoutes');
 const { verifyFirebaseToken } = require('./authMiddleware');
 
 const app = express();
@@ -19,13 +20,18 @@ const app = express();
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  // Resumable uploads report their offset in headers (routes/customerRoutes.js);
+  // downloads name their file in Content-Disposition
+  exposedHeaders: ['Upload-Offset', 'Upload-Length', 'Location', 'Content-Disposition']
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Trust proxy for accurate IP addresses (important for audit logs)
-app.set('trust proxy', true);
+// Client IP addresses (audit logs, link recovery limits) come from X-Forwarded-For as set by
+// our own proxies only: TRUST_PROXY_HOPS is how many sit in front of the server (0 if none).
+// Trusting every hop would let a client pick its IP by sending the header itself.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -42,6 +48,7 @@ app.use('/api/customer', customerRoutes);
 app.use('/api/telesales', telesalesRoutes);
 app.use('/api/manager', managerRoutes);
 app.use('/api/partner', partnerRoutes);
+app.use('/api/files', fileRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -7,7 +7,8 @@
  * Customers do NOT use this middleware - they access via secure tokens.
  */
 
-const { admin, db } = require('./firebase');
+const { admin } = require('./firebase');
+const userRepository = require('./repositories/userRepository');
 
 /**
  * Middleware to verify Firebase ID token and attach user info to request
@@ -34,18 +35,16 @@ async function verifyFirebaseToken(req, res, next) {
     const decodedToken = await admin.auth().verifyIdToken(idToken);
     const uid = decodedToken.uid;
 
-    // Fetch user document from Firestore to get role and other info
-    const userDoc = await db.collection('users').doc(uid).get();
+    // Fetch user record to get role and other info
+    const userData = await userRepository.getUserById(uid);
     
-    if (!userDoc.exists) {
+    if (!userData) {
       return res.status(403).json({ 
         error: 'Forbidden', 
         message: 'User not found in database' 
       });
     }
 
-    const userData = userDoc.data();
-
     // Attach user info to request object
     req.user = {
       uid,
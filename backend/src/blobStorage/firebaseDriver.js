@@ -0,0 +1,114 @@
+/**
+ * Firebase Storage Driver
+ * 
+ * Stores files in the Firebase Storage bucket configured in firebase.js
+ * (FIREBASE_STORAGE_BUCKET or the project's default bucket)
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { storage } = require('../firebase');
+
+function getBucket() {
+  return storage.bucket();
+}
+
+/**
+ * Upload a file
+ * 
+ * A download token is embedded in the file metadata before upload.
+ * This is the same mechanism Firebase client SDK uses — no IAM permissions needed.
+ */
+async function put(key, buffer, options = {}) {
+  return putStream(key, Readable.from([buffer]), options);
+}
+
+/**
+ * Upload a file from a readable stream
+ */
+async function putStream(key, readable, options = {}) {
+  const bucket = getBucket();
+  const file = bucket.file(key);
+  const downloadToken = crypto.randomUUID();
+
+  await pipeline(readable, file.createWriteStream({
+    metadata: {
+      contentType: options.contentType,
+      metadata: {
+        ...options.metadata,
+        firebaseStorageDownloadTokens: downloadToken
+      }
+    }
+  }));
+
+  return {
+    key,
+    downloadUrl: `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(key)}?alt=media&token=${downloadToken}`
+  };
+}
+
+/**
+ * Open a read stream for a file
+ */
+async function stream(key) {
+  return getBucket().file(key).createReadStream();
+}
+
+/**
+ * Get content type and size of a file
+ */
+async function getMetadata(key) {
+  try {
+    const [metadata] = await getBucket().file(key).getMetadata();
+    return {
+      contentType: metadata.contentType || 'application/octet-stream',
+      size: Number(metadata.size) || 0
+    };
+  } catch (err) {
+    if (err.code === 404) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Delete a file
+ */
+async function remove(key) {
+  await getBucket().file(key).delete().catch(() => {
+    // Ignore errors if file doesn't exist
+  });
+}
+
+/**
+ * List file keys under a prefix
+ */
+async function list(prefix) {
+  const [files] = await getBucket().getFiles({ prefix });
+  return files.map(file => file.name);
+}
+
+/**
+ * Create a time-limited read URL
+ * Note: requires the service account to have the "Service Account Token Creator" role
+ */
+async function getSignedUrl(key, options = {}) {
+  const expiresInSeconds = options.expiresInSeconds || 3600;
+  const [url] = await getBucket().file(key).getSignedUrl({
+    action: 'read',
+    expires: Date.now() + expiresInSeconds * 1000
+  });
+  return url;
+}
+
+module.exports = {
+  put,
+  putStream,
+  stream,
+  getMetadata,
+  remove,
+  list,
+  getSignedUrl
+};
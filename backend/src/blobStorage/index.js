@@ -0,0 +1,42 @@
+/**
+ * Blob Storage
+ * 
+ * Selects the driver used to store uploaded document files.
+ * 
+ * Configure with BLOB_STORAGE_DRIVER:
+ * - 'firebase' (default): Firebase Storage via the Admin SDK
+ * - 'local': a directory on this machine (BLOB_STORAGE_DIR)
+ * - 's3': any S3-compatible endpoint (AWS S3, MinIO, ...)
+ * 
+ * Every driver exposes the same interface:
+ * - put(key, buffer, { contentType, metadata }) -> { key, downloadUrl }
+ *     downloadUrl is a long-lived URL if the driver has one, otherwise null
+ * - putStream(key, readable, { contentType, metadata, size }) -> { key, downloadUrl }
+ *     same as put, without holding the file in memory (size is the byte length, needed by S3)
+ * - stream(key)                      -> readable stream of the file contents
+ * - getMetadata(key)                 -> { contentType, size } or null if missing
+ * - remove(key)                      -> no error if the file is already gone
+ * - list(prefix)                     -> [key, ...]
+ * - getSignedUrl(key, { expiresInSeconds }) -> time-limited read URL
+ */
+
+require('dotenv').config();
+
+const DRIVERS = {
+  firebase: () => require('./firebaseDriver'),
+  local: () => require('./localDriver'),
+  s3: () => require('./s3Driver')
+};
+
+const driverName = (process.env.BLOB_STORAGE_DRIVER || 'firebase').toLowerCase();
+
+if (!DRIVERS[driverName]) {
+  throw new Error(`Unknown BLOB_STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+}
+
+const driver = DRIVERS[driverName]();
+
+module.exports = {
+  driverName,
+  ...driver
+};
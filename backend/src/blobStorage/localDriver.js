@@ -0,0 +1,160 @@
+/**
+ * Local Filesystem Driver
+ * 
+ * Stores files in a directory on this machine (BLOB_STORAGE_DIR, default ./data/blobs)
+ * for on-prem deployments and development without Google Cloud.
+ * 
+ * Content type and custom metadata are kept in a "<file>.meta.json" file next to each upload.
+ * Signed URLs point at GET /api/files/:key and are verified with BLOB_SIGNING_SECRET.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const rootDir = path.resolve(process.env.BLOB_STORAGE_DIR || './data/blobs');
+const META_SUFFIX = '.meta.json';
+
+let signingSecret = process.env.BLOB_SIGNING_SECRET;
+if (!signingSecret) {
+  // Without a configured secret, signed URLs stop working when the server restarts
+  signingSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('[Blob Storage] BLOB_SIGNING_SECRET not set; using a temporary secret for signed URLs');
+}
+
+/**
+ * Resolve a storage key to a path inside rootDir (rejects "../" escapes)
+ */
+function resolveKey(key) {
+  const filePath = path.resolve(rootDir, key);
+  if (!filePath.startsWith(rootDir + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+}
+
+/**
+ * Upload a file
+ */
+async function put(key, buffer, options = {}) {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+  await fs.promises.writeFile(filePath + META_SUFFIX, JSON.stringify({
+    contentType: options.contentType || 'application/octet-stream',
+    metadata: options.metadata || {}
+  }));
+
+  return { key, downloadUrl: null };
+}
+
+/**
+ * Upload a file from a readable stream
+ */
+async function putStream(key, readable, options = {}) {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await pipeline(readable, fs.createWriteStream(filePath));
+  await fs.promises.writeFile(filePath + META_SUFFIX, JSON.stringify({
+    contentType: options.contentType || 'application/octet-stream',
+    metadata: options.metadata || {}
+  }));
+
+  return { key, downloadUrl: null };
+}
+
+/**
+ * Open a read stream for a file
+ */
+async function stream(key) {
+  return fs.createReadStream(resolveKey(key));
+}
+
+/**
+ * Get content type and size of a file
+ */
+async function getMetadata(key) {
+  const filePath = resolveKey(key);
+  try {
+    const stats = await fs.promises.stat(filePath);
+    const meta = JSON.parse(await fs.promises.readFile(filePath + META_SUFFIX, 'utf8').catch(() => '{}'));
+    return {
+      contentType: meta.contentType || 'application/octet-stream',
+      size: stats.size
+    };
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Delete a file
+ */
+async function remove(key) {
+  const filePath = resolveKey(key);
+  await fs.promises.rm(filePath, { force: true });
+  await fs.promises.rm(filePath + META_SUFFIX, { force: true });
+}
+
+/**
+ * List file keys under a prefix
+ */
+async function list(prefix = '') {
+  const keys = [];
+
+  async function walk(dir) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (!entry.name.endsWith(META_SUFFIX)) {
+        keys.push(path.relative(rootDir, entryPath).split(path.sep).join('/'));
+      }
+    }
+  }
+
+  await walk(rootDir);
+  return keys.filter(key => key.startsWith(prefix));
+}
+
+function sign(key, expires) {
+  return crypto.createHmac('sha256', signingSecret).update(`${key}:${expires}`).digest('hex');
+}
+
+/**
+ * Create a time-limited read URL served by GET /api/files/:key
+ */
+async function getSignedUrl(key, options = {}) {
+  const expiresInSeconds = options.expiresInSeconds || 3600;
+  const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3001}`;
+  return `${baseUrl}/api/files/${encodeURIComponent(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+}
+
+/**
+ * Check a signature produced by getSignedUrl
+ */
+function verifySignedUrl(key, expires, signature) {
+  if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+  const expected = Buffer.from(sign(key, Number(expires)));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  put,
+  putStream,
+  stream,
+  getMetadata,
+  remove,
+  list,
+  getSignedUrl,
+  verifySignedUrl
+};
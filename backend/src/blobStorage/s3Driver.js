@@ -0,0 +1,140 @@
+/**
+ * S3-Compatible Driver
+ * 
+ * Stores files in any S3-compatible object store (AWS S3, MinIO, Ceph, ...)
+ * 
+ * Configuration:
+ * - S3_BUCKET (required)
+ * - S3_ENDPOINT (e.g. http://localhost:9000 for a local MinIO; omit for AWS)
+ * - S3_REGION (default us-east-1)
+ * - S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY
+ * - S3_FORCE_PATH_STYLE=true for most self-hosted endpoints
+ */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+
+const bucket = process.env.S3_BUCKET;
+if (!bucket) {
+  throw new Error('S3_BUCKET must be set when BLOB_STORAGE_DRIVER=s3');
+}
+
+const client = new S3Client({
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  region: process.env.S3_REGION || 'us-east-1',
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  credentials: process.env.S3_ACCESS_KEY_ID ? {
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  } : undefined
+});
+
+/**
+ * Upload a file
+ */
+async function put(key, buffer, options = {}) {
+  await client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: buffer,
+    ContentType: options.contentType,
+    Metadata: options.metadata
+  }));
+
+  return { key, downloadUrl: null };
+}
+
+/**
+ * Upload a file from a readable stream
+ * S3 needs the length of a streamed body up front (options.size)
+ */
+async function putStream(key, readable, options = {}) {
+  await client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: readable,
+    ContentLength: options.size,
+    ContentType: options.contentType,
+    Metadata: options.metadata
+  }));
+
+  return { key, downloadUrl: null };
+}
+
+/**
+ * Open a read stream for a file
+ */
+async function stream(key) {
+  const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  return result.Body;
+}
+
+/**
+ * Get content type and size of a file
+ */
+async function getMetadata(key) {
+  try {
+    const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    return {
+      contentType: result.ContentType || 'application/octet-stream',
+      size: result.ContentLength || 0
+    };
+  } catch (err) {
+    if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Delete a file (S3 does not error on missing keys)
+ */
+async function remove(key) {
+  await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+}
+
+/**
+ * List file keys under a prefix
+ */
+async function list(prefix = '') {
+  const keys = [];
+  let continuationToken;
+
+  do {
+    const result = await client.send(new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: prefix,
+      ContinuationToken: continuationToken
+    }));
+    (result.Contents || []).forEach(object => keys.push(object.Key));
+    continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return keys;
+}
+
+/**
+ * Create a time-limited (presigned) read URL
+ */
+async function getSignedUrl(key, options = {}) {
+  const expiresInSeconds = options.expiresInSeconds || 3600;
+  return presign(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: expiresInSeconds });
+}
+
+module.exports = {
+  put,
+  putStream,
+  stream,
+  getMetadata,
+  remove,
+  list,
+  getSignedUrl
+};
@@ -2,53 +2,100 @@
  * Customer Controller
  * 
  * Handles HTTP requests for customer-facing endpoints
- * Customers access via secure tokens (no Firebase Auth required)
+ * Customers access via secure tokens (no Firebase Auth required); the routes resolve the
+ * token to its request before these handlers run (req.customerRequest)
  */
 
-const requestRepository = require('../repositories/requestRepository');
 const documentRepository = require('../repositories/documentRepository');
+const workflowRepository = require('../repositories/workflowRepository');
+const requirementProfileRepository = require('../repositories/requirementProfileRepository');
+const rejectionReasonRepository = require('../repositories/rejectionReasonRepository');
 const documentService = require('../services/documentService');
-const { DOCUMENT_TYPES, REQUEST_STATUS } = require('../models/request');
-const { storage } = require('../firebase');
+const resumableUploadService = require('../services/resumableUploadService');
+const portalVerificationService = require('../services/portalVerificationService');
+const linkRecoveryService = require('../services/linkRecoveryService');
+const { VERIFICATION_ERROR } = require('../models/portalVerification');
+const { STATUS_PHASE, getStatusDefinition } = require('../models/workflowDefinitions');
+const { getDocumentReviewStatus } = require('../models/document');
+const { UPLOAD_ERROR } = require('../models/fileFormats');
+const { sendStoredFile } = require('./fileResponses');
+
+/**
+ * What the portal is shown of a document
+ * Only the fields the portal needs: OCR text and fields, consistency checks, reviewer and
+ * uploader details, scan details and storage paths stay with the agents
+ *
+ * @param {Object} doc - document record
+ * @param {string} token - the customer's token (files are streamed through the customer API)
+ * @param {Array} reasons - rejection reason catalog, for the guidance on rejected documents
+ */
+function toCustomerDocument(doc, token, reasons = []) {
+  const fileUrl = variant => `/api/customer/requests/${token}/files/${doc.id}/${variant}`;
+  return {
+    id: doc.id,
+    type: doc.type,
+    fileId: doc.fileId,
+    fileAddedAt: doc.fileAddedAt,
+    version: doc.version,
+    uploadedAt: doc.uploadedAt,
+    reviewStatus: getDocumentReviewStatus(doc),
+    reviewComment: doc.reviewComment || null,
+    rejectionReasons: (doc.reasonCodes || [])
+      .map(code => reasons.find(reason => reason.code === code))
+      .filter(Boolean)
+      .map(reason => ({ code: reason.code, label: reason.label, guidance: reason.guidance })),
+    quality: doc.quality ? { warnings: doc.quality.warnings || [] } : null,
+    scanStatus: doc.scanStatus,
+    derivatives: {
+      thumbnail: doc.derivatives?.thumbnail ? fileUrl('thumbnail') : null,
+      preview: doc.derivatives?.preview ? fileUrl('preview') : null
+    }
+  };
+}
 
 /**
  * Get customer request by secure token
  * GET /api/customer/requests/:token
+ * The token is resolved by the customerLink middleware (routes/customerRoutes.js)
  */
 async function getRequestByToken(req, res) {
   try {
-    const { token } = req.params;
-    
-    const request = await requestRepository.getRequestByToken(token);
-    if (!request) {
-      return res.status(404).json({ 
-        error: 'Not Found', 
-        message: 'Request not found or invalid token' 
-      });
-    }
+    const request = req.customerRequest;
 
-    // Get documents and upload status
-    const documents = await documentRepository.getDocumentsByRequestId(request.id);
-    const documentStatus = await documentRepository.getDocumentUploadStatus(request.id);
+    // Get current documents and upload status for the documents in the request's requirement profile
+    // Each document carries its own review state; rejected ones get the catalog guidance to show the customer
+    const reasons = await rejectionReasonRepository.getAllReasons();
+    const documents = (await documentRepository.getCurrentDocumentsByRequestId(request.id))
+      .map(doc => toCustomerDocument(doc, req.params.token, reasons));
+    const documentRequirements = await requirementProfileRepository.getRequirementsForRequest(request);
+    const documentStatus = await documentRepository.getDocumentUploadStatus(request.id, documentRequirements);
+
+    // The portal works from the status phase, so product lines can name their statuses freely
+    const workflow = await workflowRepository.getWorkflowForRequest(request);
+    const statusDefinition = getStatusDefinition(workflow, request.status);
+    const statusPhase = statusDefinition ? statusDefinition.phase : null;
 
     // Determine if request is read-only (expired)
-    const isReadOnly = request.status === REQUEST_STATUS.EXPIRED;
+    const isReadOnly = statusPhase === STATUS_PHASE.EXPIRED;
 
     res.json({
       request: {
         id: request.id,
         customerName: request.customerName,
         status: request.status,
+        statusLabel: statusDefinition ? statusDefinition.label : request.status,
+        statusPhase,
         completionPercent: request.completionPercent,
         reviewStatus: request.reviewStatus,
         reviewComment: request.reviewComment,
         rejectedDocumentTypes: request.rejectedDocumentTypes || [],
         expiredAt: request.expiredAt,
+        linkExpiresAt: request.secureTokenExpiresAt || null,
         isReadOnly
       },
       documents,
       documentStatus,
-      requiredDocumentTypes: Object.values(DOCUMENT_TYPES)
+      documentRequirements
     });
   } catch (error) {
     console.error('Error getting customer request:', error);
@@ -59,20 +106,115 @@ async function getRequestByToken(req, res) {
   }
 }
 
+/**
+ * Send a one-time code to the phone or email on the request
+ * POST /api/customer/requests/:token/verification
+ * Body: { channel: 'sms' | 'email' }
+ */
+async function requestVerificationCode(req, res) {
+  try {
+    const actorIp = req.ip || req.connection.remoteAddress;
+
+    const sent = await portalVerificationService.sendCode(req.customerRequest, req.body.channel, actorIp);
+
+    res.status(201).json({
+      message: `A code was sent to ${sent.destination}`,
+      ...sent
+    });
+  } catch (error) {
+    console.error('Error sending verification code:', error);
+    sendVerificationError(res, error);
+  }
+}
+
+/**
+ * Check the code the customer entered and start a portal session
+ * POST /api/customer/requests/:token/verification/confirm
+ * Body: { code }
+ * Answers { sessionToken, expiresAt }; the portal sends the token as X-Portal-Session
+ */
+async function confirmVerificationCode(req, res) {
+  try {
+    const actorIp = req.ip || req.connection.remoteAddress;
+
+    const session = await portalVerificationService.verifyCode(req.customerRequest, req.body.code, actorIp);
+
+    res.json({
+      message: 'Code confirmed',
+      ...session
+    });
+  } catch (error) {
+    console.error('Error confirming verification code:', error);
+    sendVerificationError(res, error);
+  }
+}
+
+/**
+ * Answer a failed code call
+ * 429 when codes or attempts ran out, 400 for the rest (with attemptsLeft for a wrong code)
+ */
+function sendVerificationError(res, error) {
+  if (!error.code) {
+    return res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+  const limited = [VERIFICATION_ERROR.TOO_MANY_CODES, VERIFICATION_ERROR.TOO_MANY_ATTEMPTS].includes(error.code);
+  res.status(limited ? 429 : 400).json({
+    error: limited ? 'Too Many Requests' : 'Bad Request',
+    message: error.message,
+    code: error.code,
+    attemptsLeft: error.attemptsLeft
+  });
+}
+
+/**
+ * Send a new portal link to a customer who lost theirs
+ * POST /api/customer/link-recovery
+ * Body: { requestNumber, contact: phone number or email address on the request }
+ * The answer is the same whether or not the details matched; the link is only sent
+ */
+async function recoverLink(req, res) {
+  try {
+    const actorIp = req.ip || req.connection.remoteAddress;
+
+    await linkRecoveryService.recoverLink({
+      requestNumber: req.body.requestNumber,
+      contact: req.body.contact
+    }, actorIp);
+
+    res.status(202).json({
+      message: 'If the details match a request, a new link is on its way to that phone number or email address.'
+    });
+  } catch (error) {
+    console.error('Error recovering customer link:', error);
+    if (!error.code) {
+      return res.status(500).json({ error: 'Internal Server Error', message: error.message });
+    }
+    const limited = error.code === linkRecoveryService.RECOVERY_ERROR.TOO_MANY_ATTEMPTS;
+    res.status(limited ? 429 : 400).json({
+      error: limited ? 'Too Many Requests' : 'Bad Request',
+      message: error.message,
+      code: error.code
+    });
+  }
+}
+
 /**
  * Upload document
- * POST /api/customer/requests/:id/documents
+ * POST /api/customer/requests/:token/documents
+ * Body (multipart): file, type, replaceDocumentId to replace one of the type's files, and
+ * processing (JSON) when the portal rotated, cropped or compressed a photo before upload
  */
 async function uploadDocument(req, res) {
   try {
-    const { id } = req.params;
-    const { type } = req.body;
+    const { id } = req.customerRequest;
+    const { type, replaceDocumentId, processing } = req.body;
     const file = req.file;
 
     if (!file) {
       return res.status(400).json({ 
         error: 'Bad Request', 
-        message: 'No file uploaded' 
+        message: 'No file uploaded',
+        code: UPLOAD_ERROR.NO_FILE
       });
     }
 
@@ -84,28 +226,206 @@ async function uploadDocument(req, res) {
     }
 
     const actorIp = req.ip || req.connection.remoteAddress;
-    const document = await documentService.uploadDocument(id, type, file, actorIp);
+    const document = await documentService.uploadDocument(id, type, file, actorIp, {
+      replaceDocumentId: replaceDocumentId || null,
+      clientProcessing: processing || null
+    });
 
     res.status(201).json({
       message: 'Document uploaded successfully',
-      document
+      document: toCustomerDocument(document, req.params.token),
+      // Photo quality problems the customer may want to fix by retaking the photo
+      warnings: document.quality ? document.quality.warnings : []
     });
   } catch (error) {
     console.error('Error uploading document:', error);
-    res.status(400).json({ 
+    res.status(error.code === UPLOAD_ERROR.FILE_TOO_LARGE ? 413 : 400).json({ 
       error: 'Bad Request', 
-      message: error.message 
+      message: error.message,
+      // Set for rejected file content (models/fileFormats.js UPLOAD_ERROR) so the portal can explain it
+      code: error.code || null
+    });
+  }
+}
+
+/**
+ * Answer a failed resumable upload call
+ * 404 for an unknown upload, 409 with the stored offset for a chunk at the wrong offset,
+ * 413 for a file over the size limit
+ */
+function sendResumableUploadError(res, error) {
+  if (error.message === 'Upload not found') {
+    return res.status(404).json({ error: 'Not Found', message: error.message });
+  }
+  if (error.code === UPLOAD_ERROR.UPLOAD_FINALIZING) {
+    return res.status(409).json({ error: 'Conflict', message: error.message, code: error.code });
+  }
+  if (error.code === UPLOAD_ERROR.OFFSET_MISMATCH) {
+    res.setHeader('Upload-Offset', String(error.offset));
+    return res.status(409).json({
+      error: 'Conflict',
+      message: error.message,
+      code: error.code,
+      offset: error.offset
+    });
+  }
+  res.status(error.code === UPLOAD_ERROR.FILE_TOO_LARGE ? 413 : 400).json({
+    error: 'Bad Request',
+    message: error.message,
+    code: error.code || null
+  });
+}
+
+/**
+ * Start a resumable upload
+ * POST /api/customer/requests/:token/uploads
+ * Body: { type, fileName, size, replaceDocumentId, processing }
+ */
+async function createUpload(req, res) {
+  try {
+    const { id } = req.customerRequest;
+    const { type, fileName, size, replaceDocumentId, processing } = req.body;
+    const actorIp = req.ip || req.connection.remoteAddress;
+
+    const upload = await resumableUploadService.createUpload(id, {
+      type,
+      fileName,
+      size,
+      replaceDocumentId: replaceDocumentId || null,
+      clientProcessing: processing || null
+    }, actorIp);
+
+    res.setHeader('Location', `${req.baseUrl}/requests/${req.params.token}/uploads/${upload.id}`);
+    res.status(201).json({ upload });
+  } catch (error) {
+    console.error('Error creating upload:', error);
+    sendResumableUploadError(res, error);
+  }
+}
+
+/**
+ * Get the offset to resume an upload from
+ * GET (or HEAD) /api/customer/requests/:token/uploads/:uploadId
+ */
+async function getUpload(req, res) {
+  try {
+    const { id } = req.customerRequest;
+    const { uploadId } = req.params;
+
+    const upload = await resumableUploadService.getUpload(id, uploadId);
+
+    res.setHeader('Upload-Offset', String(upload.offset));
+    res.setHeader('Upload-Length', String(upload.size));
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ upload });
+  } catch (error) {
+    console.error('Error getting upload:', error);
+    sendResumableUploadError(res, error);
+  }
+}
+
+/**
+ * Append a chunk to a resumable upload
+ * PATCH /api/customer/requests/:token/uploads/:uploadId
+ * Headers: Upload-Offset (where the chunk starts), Content-Type: application/offset+octet-stream
+ */
+async function appendUploadChunk(req, res) {
+  try {
+    const { id } = req.customerRequest;
+    const { uploadId } = req.params;
+    const offset = Number(req.get('Upload-Offset'));
+
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({
+        error: 'Unsupported Media Type',
+        message: 'Send chunks as application/offset+octet-stream'
+      });
+    }
+
+    const upload = await resumableUploadService.appendChunk(id, uploadId, offset, req.body);
+
+    res.setHeader('Upload-Offset', String(upload.offset));
+    res.json({ upload });
+  } catch (error) {
+    console.error('Error appending upload chunk:', error);
+    sendResumableUploadError(res, error);
+  }
+}
+
+/**
+ * Finish a resumable upload, turning it into a document
+ * POST /api/customer/requests/:token/uploads/:uploadId/finalize
+ */
+async function finalizeUpload(req, res) {
+  try {
+    const { id } = req.customerRequest;
+    const { uploadId } = req.params;
+    const actorIp = req.ip || req.connection.remoteAddress;
+
+    const document = await resumableUploadService.finalizeUpload(id, uploadId, actorIp);
+
+    res.status(201).json({
+      message: 'Document uploaded successfully',
+      document: toCustomerDocument(document, req.params.token),
+      warnings: document.quality ? document.quality.warnings : []
+    });
+  } catch (error) {
+    console.error('Error finalizing upload:', error);
+    sendResumableUploadError(res, error);
+  }
+}
+
+/**
+ * Cancel a resumable upload
+ * DELETE /api/customer/requests/:token/uploads/:uploadId
+ */
+async function abortUpload(req, res) {
+  try {
+    const { id } = req.customerRequest;
+    const { uploadId } = req.params;
+
+    await resumableUploadService.abortUpload(id, uploadId);
+
+    res.json({
+      message: 'Upload cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling upload:', error);
+    sendResumableUploadError(res, error);
+  }
+}
+
+/**
+ * Remove one file of a document type
+ * DELETE /api/customer/requests/:token/documents/:docId
+ */
+async function removeDocument(req, res) {
+  try {
+    const { id } = req.customerRequest;
+    const { docId } = req.params;
+    const actorIp = req.ip || req.connection.remoteAddress;
+
+    await documentService.removeDocument(id, docId, actorIp);
+
+    res.json({
+      message: 'Document removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing document:', error);
+    res.status(error.message === 'Document not found' ? 404 : 400).json({
+      error: error.message === 'Document not found' ? 'Not Found' : 'Bad Request',
+      message: error.message
     });
   }
 }
 
 /**
  * Submit request
- * POST /api/customer/requests/:id/submit
+ * POST /api/customer/requests/:token/submit
  */
 async function submitRequest(req, res) {
   try {
-    const { id } = req.params;
+    const { id } = req.customerRequest;
     const actorIp = req.ip || req.connection.remoteAddress;
 
     const request = await documentService.submitRequest(id, actorIp);
@@ -130,45 +450,81 @@ async function submitRequest(req, res) {
 /**
  * Stream a document file back to the client
  * GET /api/customer/requests/:token/files/:docId
+ * GET /api/customer/requests/:token/files/:docId/thumbnail
+ * GET /api/customer/requests/:token/files/:docId/preview
+ * GET /api/customer/requests/:token/files/:docId/original
+ * HEIC and WebP uploads are served as the JPEG converted from them; "original" downloads
+ * the file as it was uploaded.
+ * Files that have not passed the malware scan (quarantined or infected) are never served
  */
 async function streamDocument(req, res) {
   try {
-    const { token, docId } = req.params;
+    const { docId, variant } = req.params;
 
-    // Verify the token belongs to a real request
-    const request = await requestRepository.getRequestByToken(token);
-    if (!request) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
+    const file = await documentService.getDocumentFile(req.customerRequest.id, docId, variant);
+    await sendStoredFile(res, file.storagePath, file.disposition);
+  } catch (error) {
+    sendDocumentFileError(res, error);
+  }
+}
 
-    // Find the document and make sure it belongs to this request
-    const doc = await documentRepository.getDocumentById(docId);
-    if (!doc || doc.requestId !== request.id) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
+/**
+ * Answer a document file that cannot be served
+ * 403 with the scan status for files not scanned clean, 404 for the rest
+ */
+function sendDocumentFileError(res, error) {
+  if (error.scanStatus) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: error.message,
+      scanStatus: error.scanStatus
+    });
+  }
+  if (['Unknown file variant', 'Document not found', 'No preview available for this document'].includes(error.message)) {
+    return res.status(404).json({ error: 'Not Found', message: error.message });
+  }
+  console.error('Error streaming document:', error);
+  res.status(500).json({ error: 'Internal Server Error' });
+}
 
-    // Stream the file from Firebase Storage using Admin SDK (always has access)
-    const bucket = storage.bucket();
-    const file = bucket.file(doc.storagePath);
+/**
+ * Stream the PDF combining the photos of a document type (services/normalizationService.js)
+ * GET /api/customer/requests/:token/merged/:type
+ */
+async function streamMergedDocument(req, res) {
+  try {
+    const { type } = req.params;
+    const request = req.customerRequest;
 
-    const [metadata] = await file.getMetadata();
-    res.setHeader('Content-Type', metadata.contentType || 'application/octet-stream');
-    res.setHeader('Content-Disposition', 'inline');
-    res.setHeader('Cache-Control', 'private, max-age=3600');
+    // The type comes from the URL: only the request's own entries (not "__proto__")
+    const merged = request.mergedDocuments && Object.hasOwn(request.mergedDocuments, type)
+      ? request.mergedDocuments[type]
+      : null;
+    if (!merged) {
+      return res.status(404).json({ error: 'No combined PDF for this document type' });
+    }
 
-    file.createReadStream()
-      .on('error', () => res.status(500).end())
-      .pipe(res);
+    await sendStoredFile(res, merged.storagePath, 'inline');
   } catch (error) {
-    console.error('Error streaming document:', error);
+    console.error('Error streaming combined document:', error);
     res.status(500).json({ error: 'Internal Server Error' });
   }
 }
 
 module.exports = {
   getRequestByToken,
+  requestVerificationCode,
+  confirmVerificationCode,
+  recoverLink,
   uploadDocument,
+  createUpload,
+  getUpload,
+  appendUploadChunk,
+  finalizeUpload,
+  abortUpload,
+  removeDocument,
   submitRequest,
-  streamDocument
+  streamDocument,
+  streamMergedDocument
 };
 
@@ -0,0 +1,30 @@
+/**
+ * File Responses
+ *
+ * Helpers the controllers share to send stored files as the HTTP response
+ */
+
+const blobStorage = require('../blobStorage');
+
+/**
+ * Stream a file from blob storage as the response
+ * (server-side credentials always have access); 404 if the file is gone
+ */
+async function sendStoredFile(res, storagePath, disposition) {
+  const metadata = await blobStorage.getMetadata(storagePath);
+  if (!metadata) {
+    return res.status(404).json({ error: 'Not Found', message: 'Document file not found' });
+  }
+  res.setHeader('Content-Type', metadata.contentType);
+  res.setHeader('Content-Disposition', disposition);
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+
+  const stream = await blobStorage.stream(storagePath);
+  stream
+    .on('error', () => res.status(500).end())
+    .pipe(res);
+}
+
+module.exports = {
+  sendStoredFile
+};
@@ -9,7 +9,14 @@
 const requestRepository = require('../repositories/requestRepository');
 const auditLogRepository = require('../repositories/auditLogRepository');
 const userRepository = require('../repositories/userRepository');
+const workflowRepository = require('../repositories/workflowRepository');
+const rejectionReasonRepository = require('../repositories/rejectionReasonRepository');
+const messageTemplateRepository = require('../repositories/messageTemplateRepository');
 const requestService = require('../services/requestService');
+const casePackService = require('../services/casePackService');
+const summaryReportService = require('../services/summaryReportService');
+const communicationService = require('../services/communicationService');
+const { TEMPLATE_PLACEHOLDERS } = require('../models/messageTemplates');
 
 /**
  * Get KPIs (Key Performance Indicators)
@@ -17,22 +24,33 @@ const requestService = require('../services/requestService');
  * 
  * Version 1: Returns basic counts
  * Version 2: Add more sophisticated metrics
+ *
+ * byStatus covers every status of every workflow so the dashboard can show
+ * one card per status (labels and colours come from GET /api/manager/workflows)
  */
 async function getKPIs(req, res) {
   try {
     // Get all requests for KPI calculation
     const allRequests = await requestRepository.getAllRequests();
 
+    const workflows = await workflowRepository.getAllWorkflows();
+
+    const byStatus = {};
+    workflows.forEach(workflow => {
+      workflow.statuses.forEach(status => {
+        byStatus[status.id] = 0;
+      });
+    });
+    allRequests.forEach(r => {
+      byStatus[r.status] = (byStatus[r.status] || 0) + 1;
+    });
+
     // Calculate KPIs
     const kpis = {
       total: allRequests.length,
-      open: allRequests.filter(r => r.status === 'OPEN').length,
-      inProgress: allRequests.filter(r => r.status === 'IN_PROGRESS').length,
-      submitted: allRequests.filter(r => r.status === 'SUBMITTED').length,
       approved: allRequests.filter(r => r.reviewStatus === 'APPROVED').length,
       rejected: allRequests.filter(r => r.reviewStatus === 'REJECTED').length,
-      completed: allRequests.filter(r => r.status === 'COMPLETED').length,
-      expired: allRequests.filter(r => r.status === 'EXPIRED').length
+      byStatus
     };
 
     res.json({ kpis });
@@ -45,6 +63,20 @@ async function getKPIs(req, res) {
   }
 }
 
+/**
+ * List workflow definitions (product lines)
+ * GET /api/manager/workflows
+ */
+async function listWorkflows(req, res) {
+  try {
+    const workflows = await workflowRepository.getAllWorkflows();
+    res.json({ workflows });
+  } catch (error) {
+    console.error('Error listing workflows:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+}
+
 /**
  * List all requests with filters
  * GET /api/manager/requests
@@ -107,19 +139,7 @@ async function reassignRequest(req, res) {
       return res.status(400).json({ error: 'Bad Request', message: 'Invalid agent' });
     }
 
-    const oldAgentId = request.agentId;
-
-    await requestRepository.updateRequest(id, { agentId: newAgentId });
-
-    await auditLogRepository.createAuditLog({
-      actorId: managerId,
-      action: 'REQUEST_REASSIGNED',
-      requestId: id,
-      ip: actorIp,
-      metadata: { oldAgentId, newAgentId, newAgentName: newAgent.name }
-    });
-
-    const updatedRequest = await requestRepository.getRequestById(id);
+    const updatedRequest = await requestService.reassignRequest(id, newAgent, managerId, actorIp);
     res.json({ message: 'Request reassigned successfully', request: updatedRequest });
   } catch (error) {
     console.error('Error reassigning request:', error);
@@ -198,12 +218,266 @@ async function getAuditLog(req, res) {
   }
 }
 
+/**
+ * Get the communication log of any request (messages, calls and other contacts), newest first
+ * GET /api/manager/requests/:id/communications
+ */
+async function getCommunications(req, res) {
+  try {
+    const { id } = req.params;
+
+    const request = await requestRepository.getRequestById(id);
+    if (!request) {
+      return res.status(404).json({ 
+        error: 'Not Found', 
+        message: 'Request not found' 
+      });
+    }
+
+    const communications = await communicationService.getCommunicationLog(id);
+
+    res.json({ communications });
+  } catch (error) {
+    console.error('Error getting communications:', error);
+    res.status(500).json({ 
+      error: 'Internal Server Error', 
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * Download a request as a ZIP case pack (same as Tele-Sales, for any request)
+ * GET /api/manager/requests/:id/case-pack
+ */
+async function exportCasePack(req, res) {
+  try {
+    const { id } = req.params;
+
+    const request = await requestRepository.getRequestById(id);
+    if (!request) {
+      return res.status(404).json({ 
+        error: 'Not Found', 
+        message: 'Request not found' 
+      });
+    }
+
+    await sendCasePack(req, res, request);
+  } catch (error) {
+    console.error('Error exporting case pack:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ 
+      error: 'Internal Server Error', 
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * Stream a request's case pack as the response
+ */
+async function sendCasePack(req, res, request) {
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${casePackService.casePackFileName(request)}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  await casePackService.exportCasePack(request.id, res, {
+    actorId: req.user.uid,
+    actorRole: req.user.role,
+    actorIp: req.ip || req.connection.remoteAddress
+  });
+}
+
+/**
+ * Download a one-page PDF summary of a request (same as Tele-Sales, for any request)
+ * GET /api/manager/requests/:id/summary-report
+ */
+async function getSummaryReport(req, res) {
+  try {
+    const { id } = req.params;
+
+    const request = await requestRepository.getRequestById(id);
+    if (!request) {
+      return res.status(404).json({ 
+        error: 'Not Found', 
+        message: 'Request not found' 
+      });
+    }
+
+    await sendSummaryReport(req, res, request);
+  } catch (error) {
+    console.error('Error generating summary report:', error);
+    res.status(500).json({ 
+      error: 'Internal Server Error', 
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * Send a request's summary report as the response
+ */
+async function sendSummaryReport(req, res, request) {
+  const { fileName, buffer } = await summaryReportService.generateSummaryReport(request.id, {
+    actorId: req.user.uid,
+    actorRole: req.user.role,
+    actorIp: req.ip || req.connection.remoteAddress
+  });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(buffer);
+}
+
+/**
+ * List the rejection reason catalog (retired reasons included)
+ * GET /api/manager/rejection-reasons
+ */
+async function listRejectionReasons(req, res) {
+  try {
+    const reasons = await rejectionReasonRepository.getAllReasons();
+    res.json({ reasons });
+  } catch (error) {
+    console.error('Error listing rejection reasons:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+}
+
+/**
+ * Create or update a rejection reason
+ * PUT /api/manager/rejection-reasons/:code
+ * Body: { label, guidance, documentTypes, requiresComment, active }
+ */
+async function saveRejectionReason(req, res) {
+  try {
+    const { code } = req.params;
+    const { label, guidance, documentTypes, requiresComment, active } = req.body;
+
+    const reason = await rejectionReasonRepository.saveReason(
+      { code, label, guidance, documentTypes, requiresComment, active },
+      req.user.uid
+    );
+
+    res.json({ message: 'Rejection reason saved', reason });
+  } catch (error) {
+    console.error('Error saving rejection reason:', error);
+    res.status(400).json({ error: 'Bad Request', message: error.message });
+  }
+}
+
+/**
+ * List the customer message templates (edited versions marked custom) and the
+ * placeholders they can use
+ * GET /api/manager/message-templates
+ */
+async function listMessageTemplates(req, res) {
+  try {
+    const templates = await messageTemplateRepository.getAllTemplates();
+    res.json({ templates, placeholders: TEMPLATE_PLACEHOLDERS });
+  } catch (error) {
+    console.error('Error listing message templates:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+}
+
+/**
+ * Edit a customer message template
+ * PUT /api/manager/message-templates/:id
+ * Body: { subject, email, sms }
+ */
+async function saveMessageTemplate(req, res) {
+  try {
+    const { id } = req.params;
+    const { subject, email, sms } = req.body;
+
+    const template = await messageTemplateRepository.saveTemplate({ id, subject, email, sms }, req.user.uid);
+
+    res.json({ message: 'Message template saved', template });
+  } catch (error) {
+    console.error('Error saving message template:', error);
+    res.status(400).json({ error: 'Bad Request', message: error.message });
+  }
+}
+
+/**
+ * Go back to the built-in version of a customer message template
+ * DELETE /api/manager/message-templates/:id
+ */
+async function resetMessageTemplate(req, res) {
+  try {
+    const template = await messageTemplateRepository.resetTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Not Found', message: 'Message template not found' });
+    }
+
+    res.json({ message: 'Message template reset', template });
+  } catch (error) {
+    console.error('Error resetting message template:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+}
+
+/**
+ * Most common rejection reasons, counted from REVIEW_REJECTED audit logs
+ * GET /api/manager/reports/rejection-reasons?startDate=&endDate=
+ *
+ * Returns { total, reasons: [{ code, label, count, byDocumentType: { ID: 3 } }] }, most common first.
+ * total is the number of rejected documents; a document rejected with two reasons counts for both.
+ */
+async function getRejectionReasonReport(req, res) {
+  try {
+    const { startDate, endDate } = req.query;
+    const logs = await auditLogRepository.getAuditLogsByAction('REVIEW_REJECTED', {
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null
+    });
+    const catalog = await rejectionReasonRepository.getAllReasons();
+
+    let total = 0;
+    const counts = {};
+    logs.forEach(log => {
+      (log.metadata?.documents || [])
+        .filter(doc => doc.status === 'REJECTED')
+        .forEach(doc => {
+          total += 1;
+          (doc.reasonCodes || []).forEach(code => {
+            if (!counts[code]) {
+              const reason = catalog.find(r => r.code === code);
+              counts[code] = { code, label: reason ? reason.label : code, count: 0, byDocumentType: {} };
+            }
+            counts[code].count += 1;
+            counts[code].byDocumentType[doc.type] = (counts[code].byDocumentType[doc.type] || 0) + 1;
+          });
+        });
+    });
+
+    res.json({
+      total,
+      reasons: Object.values(counts).sort((a, b) => b.count - a.count)
+    });
+  } catch (error) {
+    console.error('Error building rejection reason report:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+}
+
 module.exports = {
   getKPIs,
+  listWorkflows,
   listRequests,
   listAgents,
   reassignRequest,
   reopenRequest,
-  getAuditLog
+  getAuditLog,
+  getCommunications,
+  exportCasePack,
+  getSummaryReport,
+  listRejectionReasons,
+  saveRejectionReason,
+  getRejectionReasonReport,
+  listMessageTemplates,
+  saveMessageTemplate,
+  resetMessageTemplate
 };
 
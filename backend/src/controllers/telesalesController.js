@@ -6,8 +6,18 @@
  */
 
 const requestService = require('../services/requestService');
+const casePackService = require('../services/casePackService');
+const summaryReportService = require('../services/summaryReportService');
+const ocrService = require('../services/ocrService');
+const documentService = require('../services/documentService');
+const customerLinkService = require('../services/customerLinkService');
+const communicationService = require('../services/communicationService');
 const requestRepository = require('../repositories/requestRepository');
 const documentRepository = require('../repositories/documentRepository');
+const workflowRepository = require('../repositories/workflowRepository');
+const requirementProfileRepository = require('../repositories/requirementProfileRepository');
+const { CUSTOMER_TYPE } = require('../models/request');
+const { sendStoredFile } = require('./fileResponses');
 
 /**
  * Create a new request
@@ -18,7 +28,10 @@ async function createRequest(req, res) {
     const agentId = req.user.uid;
     const actorIp = req.ip || req.connection.remoteAddress;
 
-    const { customerName, customerPhone, customerEmail, dealerId, vehicleId, notes } = req.body;
+    const {
+      customerName, customerPhone, customerEmail, dealerId, vehicleId, notes,
+      workflowId, customerType, requirementProfileId
+    } = req.body;
 
     // Validate required fields
     if (!customerName || !customerPhone) {
@@ -28,13 +41,39 @@ async function createRequest(req, res) {
       });
     }
 
+    // Product line workflow (optional, defaults to vehicle finance)
+    if (workflowId && !(await workflowRepository.getWorkflowById(workflowId))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Unknown workflow: ${workflowId}`
+      });
+    }
+
+    if (customerType && !Object.values(CUSTOMER_TYPE).includes(customerType)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `customerType must be one of: ${Object.values(CUSTOMER_TYPE).join(', ')}`
+      });
+    }
+
+    // Document requirement profile (optional, picked from product line/dealer/customer type otherwise)
+    if (requirementProfileId && !(await requirementProfileRepository.getProfileById(requirementProfileId))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Unknown requirement profile: ${requirementProfileId}`
+      });
+    }
+
     const requestData = {
       customerName,
       customerPhone,
       customerEmail,
       dealerId,
       vehicleId,
-      notes
+      notes,
+      workflowId,
+      customerType,
+      requirementProfileId
     };
 
     const result = await requestService.createRequest(agentId, requestData, actorIp);
@@ -45,9 +84,12 @@ async function createRequest(req, res) {
         id: result.id,
         customerName: result.customerName,
         status: result.status,
-        secureToken: result.secureToken
+        secureToken: result.secureToken,
+        secureTokenExpiresAt: result.secureTokenExpiresAt
       },
-      customerLink: result.customerLink
+      customerLink: result.customerLink,
+      // The invitation sent to the customer: [{ channel, to, status }]
+      invitations: result.invitations
     });
   } catch (error) {
     console.error('Error creating request:', error);
@@ -58,6 +100,40 @@ async function createRequest(req, res) {
   }
 }
 
+/**
+ * List workflow definitions (product lines)
+ * GET /api/telesales/workflows
+ */
+async function listWorkflows(req, res) {
+  try {
+    const workflows = await workflowRepository.getAllWorkflows();
+    res.json({ workflows });
+  } catch (error) {
+    console.error('Error listing workflows:', error);
+    res.status(500).json({ 
+      error: 'Internal Server Error', 
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * List document requirement profiles
+ * GET /api/telesales/requirement-profiles
+ */
+async function listRequirementProfiles(req, res) {
+  try {
+    const profiles = await requirementProfileRepository.getAllProfiles();
+    res.json({ profiles });
+  } catch (error) {
+    console.error('Error listing requirement profiles:', error);
+    res.status(500).json({ 
+      error: 'Internal Server Error', 
+      message: error.message 
+    });
+  }
+}
+
 /**
  * List assigned requests
  * GET /api/telesales/requests
@@ -70,7 +146,8 @@ async function listRequests(req, res) {
     // Enrich with document status for each request
     const enrichedRequests = await Promise.all(
       requests.map(async (request) => {
-        const documentStatus = await documentRepository.getDocumentUploadStatus(request.id);
+        const requirements = await requirementProfileRepository.getRequirementsForRequest(request);
+        const documentStatus = await documentRepository.getDocumentUploadStatus(request.id, requirements);
         return {
           ...request,
           documentStatus
@@ -115,7 +192,7 @@ async function getRequestDetails(req, res) {
       });
     }
 
-    const details = await requestService.getRequestDetails(id);
+    const details = await requestService.getRequestDetails(id, req.user.role);
     res.json({ request: details });
   } catch (error) {
     console.error('Error getting request details:', error);
@@ -255,37 +332,66 @@ async function reopenRequest(req, res) {
 }
 
 /**
- * Review request (Approve/Reject)
+ * Review request documents (the request is approved or rejected from the document decisions)
  * POST /api/telesales/requests/:id/review
+ * Body: { documents: [{ documentId, status: 'ACCEPTED' | 'REJECTED', reasonCode, comment }], comment }
  */
 async function reviewRequest(req, res) {
   try {
     const { id } = req.params;
     const agentId = req.user.uid;
     const actorIp = req.ip || req.connection.remoteAddress;
-    const { decision, comment, rejectedDocumentTypes } = req.body;
+    const { documents, comment } = req.body;
 
-    if (!decision || !['APPROVE', 'REJECT'].includes(decision)) {
+    if (!Array.isArray(documents)) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'decision must be APPROVE or REJECT'
+        message: 'documents must be a list of document review decisions'
       });
     }
 
-    if (decision === 'REJECT' && !comment) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'comment is required for rejection'
+    // Verify agent owns this request
+    const currentRequest = await requestRepository.getRequestById(id);
+    if (!currentRequest) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Request not found'
       });
     }
 
-    if (decision === 'REJECT' && (!rejectedDocumentTypes || rejectedDocumentTypes.length === 0)) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'At least one document must be selected for the customer to re-upload'
+    if (currentRequest.agentId !== agentId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have access to this request'
       });
     }
 
+    const updatedRequest = await requestService.reviewRequest(id, documents, comment, agentId, actorIp);
+
+    res.json({
+      message: `Request ${updatedRequest.reviewStatus === 'APPROVED' ? 'approved' : 'rejected'} successfully`,
+      request: updatedRequest
+    });
+  } catch (error) {
+    console.error('Error reviewing request:', error);
+    res.status(400).json({ 
+      error: 'Bad Request', 
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * Confirm or correct the fields read from a document by OCR
+ * PUT /api/telesales/requests/:id/documents/:docId/fields
+ * Body: { fields: { fullName: 'JANE DOE', dateOfBirth: '1990-12-31', ... } }
+ */
+async function confirmDocumentFields(req, res) {
+  try {
+    const { id, docId } = req.params;
+    const agentId = req.user.uid;
+    const actorIp = req.ip || req.connection.remoteAddress;
+
     // Verify agent owns this request
     const currentRequest = await requestRepository.getRequestById(id);
     if (!currentRequest) {
@@ -302,17 +408,17 @@ async function reviewRequest(req, res) {
       });
     }
 
-    const updatedRequest = await requestService.reviewRequest(id, decision, comment, agentId, actorIp, rejectedDocumentTypes || []);
+    const extraction = await ocrService.confirmDocumentFields(id, docId, req.body.fields, agentId, actorIp);
 
     res.json({
-      message: `Request ${decision === 'APPROVE' ? 'approved' : 'rejected'} successfully`,
-      request: updatedRequest
+      message: 'Document fields saved',
+      extraction
     });
   } catch (error) {
-    console.error('Error reviewing request:', error);
-    res.status(400).json({ 
-      error: 'Bad Request', 
-      message: error.message 
+    console.error('Error confirming document fields:', error);
+    res.status(400).json({
+      error: 'Bad Request',
+      message: error.message
     });
   }
 }
@@ -358,6 +464,367 @@ async function deleteRequest(req, res) {
   }
 }
 
+/**
+ * Download the request as a ZIP case pack (files, manifest and audit trail)
+ * GET /api/telesales/requests/:id/case-pack
+ */
+async function exportCasePack(req, res) {
+  try {
+    const { id } = req.params;
+    const agentId = req.user.uid;
+
+    const request = await requestRepository.getRequestById(id);
+    if (!request) {
+      return res.status(404).json({ 
+        error: 'Not Found', 
+        message: 'Request not found' 
+      });
+    }
+
+    // Verify agent owns this request
+    if (request.agentId !== agentId) {
+      return res.status(403).json({ 
+        error: 'Forbidden', 
+        message: 'You do not have access to this request' 
+      });
+    }
+
+    await sendCasePack(req, res, request);
+  } catch (error) {
+    console.error('Error exporting case pack:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ 
+      error: 'Internal Server Error', 
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * Stream a request's case pack as the response
+ */
+async function sendCasePack(req, res, request) {
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${casePackService.casePackFileName(request)}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  await casePackService.exportCasePack(request.id, res, {
+    actorId: req.user.uid,
+    actorRole: req.user.role,
+    actorIp: req.ip || req.connection.remoteAddress
+  });
+}
+
+/**
+ * Download a one-page PDF summary of the request
+ * GET /api/telesales/requests/:id/summary-report
+ */
+async function getSummaryReport(req, res) {
+  try {
+    const { id } = req.params;
+    const agentId = req.user.uid;
+
+    const request = await requestRepository.getRequestById(id);
+    if (!request) {
+      return res.status(404).json({ 
+        error: 'Not Found', 
+        message: 'Request not found' 
+      });
+    }
+
+    // Verify agent owns this request
+    if (request.agentId !== agentId) {
+      return res.status(403).json({ 
+        error: 'Forbidden', 
+        message: 'You do not have access to this request' 
+      });
+    }
+
+    await sendSummaryReport(req, res, request);
+  } catch (error) {
+    console.error('Error generating summary report:', error);
+    res.status(500).json({ 
+      error: 'Internal Server Error', 
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * Send a request's summary report as the response
+ */
+async function sendSummaryReport(req, res, request) {
+  const { fileName, buffer } = await summaryReportService.generateSummaryReport(request.id, {
+    actorId: req.user.uid,
+    actorRole: req.user.role,
+    actorIp: req.ip || req.connection.remoteAddress
+  });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(buffer);
+}
+
+/**
+ * Issue a new customer link, replacing the old one (which stops working at once)
+ * POST /api/telesales/requests/:id/customer-link/regenerate
+ */
+async function regenerateCustomerLink(req, res) {
+  try {
+    const { id } = req.params;
+    const agentId = req.user.uid;
+
+    const request = await requestRepository.getRequestById(id);
+    if (!request) {
+      return res.status(404).json({ 
+        error: 'Not Found', 
+        message: 'Request not found' 
+      });
+    }
+
+    // Verify agent owns this request
+    if (request.agentId !== agentId) {
+      return res.status(403).json({ 
+        error: 'Forbidden', 
+        message: 'You do not have access to this request' 
+      });
+    }
+
+    const actorIp = req.ip || req.connection.remoteAddress;
+    const link = await customerLinkService.regenerateLink(id, agentId, actorIp);
+
+    res.json({
+      message: 'A new customer link was created',
+      ...link
+    });
+  } catch (error) {
+    console.error('Error regenerating customer link:', error);
+    res.status(500).json({ 
+      error: 'Internal Server Error', 
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * Get the communication log of a request (messages, calls and other contacts), newest first
+ * GET /api/telesales/requests/:id/communications
+ */
+async function getCommunications(req, res) {
+  try {
+    const { id } = req.params;
+    const agentId = req.user.uid;
+
+    const request = await requestRepository.getRequestById(id);
+    if (!request) {
+      return res.status(404).json({ 
+        error: 'Not Found', 
+        message: 'Request not found' 
+      });
+    }
+
+    // Verify agent owns this request
+    if (request.agentId !== agentId) {
+      return res.status(403).json({ 
+        error: 'Forbidden', 
+        message: 'You do not have access to this request' 
+      });
+    }
+
+    const communications = await communicationService.getCommunicationLog(id);
+
+    res.json({ communications });
+  } catch (error) {
+    console.error('Error getting communications:', error);
+    res.status(500).json({ 
+      error: 'Internal Server Error', 
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * Log a call, a message from or to the customer, or another contact
+ * POST /api/telesales/requests/:id/communications
+ * Body: { type, direction, channel, outcome, text, occurredAt }
+ */
+async function logCommunication(req, res) {
+  try {
+    const { id } = req.params;
+    const agentId = req.user.uid;
+    const actorIp = req.ip || req.connection.remoteAddress;
+    const { type, direction, channel, outcome, text, occurredAt } = req.body;
+
+    const request = await requestRepository.getRequestById(id);
+    if (!request) {
+      return res.status(404).json({ 
+        error: 'Not Found', 
+        message: 'Request not found' 
+      });
+    }
+
+    // Verify agent owns this request
+    if (request.agentId !== agentId) {
+      return res.status(403).json({ 
+        error: 'Forbidden', 
+        message: 'You do not have access to this request' 
+      });
+    }
+
+    const communication = await communicationService.logCommunication(
+      id,
+      { type, direction, channel, outcome, text, occurredAt },
+      agentId,
+      actorIp
+    );
+
+    res.status(201).json({ message: 'Communication logged', communication });
+  } catch (error) {
+    console.error('Error logging communication:', error);
+    res.status(400).json({ 
+      error: 'Bad Request', 
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * Stop the customer link from working until it is regenerated
+ * POST /api/telesales/requests/:id/customer-link/revoke
+ */
+async function revokeCustomerLink(req, res) {
+  try {
+    const { id } = req.params;
+    const agentId = req.user.uid;
+
+    const request = await requestRepository.getRequestById(id);
+    if (!request) {
+      return res.status(404).json({ 
+        error: 'Not Found', 
+        message: 'Request not found' 
+      });
+    }
+
+    // Verify agent owns this request
+    if (request.agentId !== agentId) {
+      return res.status(403).json({ 
+        error: 'Forbidden', 
+        message: 'You do not have access to this request' 
+      });
+    }
+
+    const actorIp = req.ip || req.connection.remoteAddress;
+    const result = await customerLinkService.revokeLink(id, agentId, actorIp);
+
+    res.json({
+      message: 'The customer link was revoked',
+      ...result
+    });
+  } catch (error) {
+    console.error('Error revoking customer link:', error);
+    res.status(error.code ? 400 : 500).json({ 
+      error: error.code ? 'Bad Request' : 'Internal Server Error', 
+      message: error.message,
+      code: error.code || null
+    });
+  }
+}
+
+/**
+ * Stream a document file for the request detail panel, whatever the state of the customer link
+ * GET /api/telesales/requests/:id/files/:docId
+ * GET /api/telesales/requests/:id/files/:docId/:variant  (thumbnail, preview or original)
+ */
+async function streamDocument(req, res) {
+  try {
+    const { id } = req.params;
+    const agentId = req.user.uid;
+
+    const request = await requestRepository.getRequestById(id);
+    if (!request) {
+      return res.status(404).json({ 
+        error: 'Not Found', 
+        message: 'Request not found' 
+      });
+    }
+
+    // Verify agent owns this request
+    if (request.agentId !== agentId) {
+      return res.status(403).json({ 
+        error: 'Forbidden', 
+        message: 'You do not have access to this request' 
+      });
+    }
+
+    const file = await documentService.getDocumentFile(id, req.params.docId, req.params.variant);
+    await sendStoredFile(res, file.storagePath, file.disposition);
+  } catch (error) {
+    if (error.scanStatus) {
+      return res.status(403).json({ 
+        error: 'Forbidden', 
+        message: error.message,
+        scanStatus: error.scanStatus
+      });
+    }
+    if (['Unknown file variant', 'Document not found', 'No preview available for this document'].includes(error.message)) {
+      return res.status(404).json({ error: 'Not Found', message: error.message });
+    }
+    console.error('Error streaming document:', error);
+    res.status(500).json({ 
+      error: 'Internal Server Error', 
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * Stream the PDF combining the photos of a document type
+ * GET /api/telesales/requests/:id/merged/:type
+ */
+async function streamMergedDocument(req, res) {
+  try {
+    const { id } = req.params;
+    const agentId = req.user.uid;
+
+    const request = await requestRepository.getRequestById(id);
+    if (!request) {
+      return res.status(404).json({ 
+        error: 'Not Found', 
+        message: 'Request not found' 
+      });
+    }
+
+    // Verify agent owns this request
+    if (request.agentId !== agentId) {
+      return res.status(403).json({ 
+        error: 'Forbidden', 
+        message: 'You do not have access to this request' 
+      });
+    }
+
+    const { type } = req.params;
+    // The type comes from the URL: only the request's own entries (not "__proto__")
+    const merged = request.mergedDocuments && Object.hasOwn(request.mergedDocuments, type)
+      ? request.mergedDocuments[type]
+      : null;
+    if (!merged) {
+      return res.status(404).json({ 
+        error: 'Not Found', 
+        message: 'No combined PDF for this document type' 
+      });
+    }
+
+    await sendStoredFile(res, merged.storagePath, 'inline');
+  } catch (error) {
+    console.error('Error streaming combined document:', error);
+    res.status(500).json({ 
+      error: 'Internal Server Error', 
+      message: error.message 
+    });
+  }
+}
+
 /**
  * Get current user profile
  * GET /api/telesales/me
@@ -385,12 +852,23 @@ async function getCurrentUser(req, res) {
 module.exports = {
   createRequest,
   listRequests,
+  listWorkflows,
+  listRequirementProfiles,
   getRequestDetails,
   updateRequest,
   markReminderConfirmed,
   reopenRequest,
   reviewRequest,
+  confirmDocumentFields,
   deleteRequest,
+  exportCasePack,
+  getSummaryReport,
+  regenerateCustomerLink,
+  revokeCustomerLink,
+  getCommunications,
+  logCommunication,
+  streamDocument,
+  streamMergedDocument,
   getCurrentUser
 };
 
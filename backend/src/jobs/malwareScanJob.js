@@ -0,0 +1,29 @@
+/**
+ * Malware Scan Job
+ * 
+ * Scheduled job that retries the malware scan of documents still in quarantine
+ * 
+ * Uploads are normally scanned right after they are stored (services/malwareScanService.js).
+ * This job picks up the ones whose scan failed (scanner down, server restarted mid-scan).
+ */
+
+const malwareScanService = require('../services/malwareScanService');
+
+/**
+ * Scan all quarantined documents
+ */
+async function processQuarantine() {
+  try {
+    console.log('[Malware Scan Job] Scanning quarantined documents...');
+
+    const summary = await malwareScanService.scanQuarantinedDocuments();
+
+    console.log(`[Malware Scan Job] Completed. Scanned ${summary.scanned} (${summary.clean} clean, ${summary.infected} infected), ${summary.skipped} already being scanned, ${summary.failed} failed`);
+  } catch (error) {
+    console.error('[Malware Scan Job] Error:', error);
+  }
+}
+
+module.exports = {
+  processQuarantine
+};
@@ -6,18 +6,31 @@
  * Business Rules:
  * 1. First Reminder (24h): Set needsReminderLevel = 1 if:
  *    - (now - createdAt) >= 24 hours
- *    - status in ["OPEN", "IN_PROGRESS", "SUBMITTED"]
+ *    - status is in the collecting or review phase of the request's workflow
+ *      (OPEN, IN_PROGRESS, SUBMITTED, CREDIT_CHECK, ...)
  *    - needsReminderLevel === 0
  * 
  * 2. Second Reminder (48h): Set needsReminderLevel = 2 if:
- *    - status in ["OPEN", "IN_PROGRESS", "SUBMITTED"]
+ *    - status is in the collecting or review phase of the request's workflow
  *    - lastReminderAt is not null
  *    - needsReminderLevel === 0
  *    - (now - lastReminderAt) >= 48 hours
+ * 
+ * 3. When a reminder is raised while the request is still collecting documents, the
+ *    customer is sent the REMINDER message (services/messageService.js), at most once per
+ *    level: the first reminder on the first raise, the second on the first SECOND raise.
+ *    Agents confirming a reminder resets needsReminderLevel, so the level is raised again
+ *    later; customerRemindersSent (with lastCustomerReminderAt) keeps those raises from
+ *    messaging the customer again. Reopening the request starts the count again
  */
 
 const requestRepository = require('../repositories/requestRepository');
-const { REQUEST_STATUS, REMINDER_LEVEL } = require('../models/request');
+const workflowRepository = require('../repositories/workflowRepository');
+const messageService = require('../services/messageService');
+const { REMINDER_LEVEL } = require('../models/request');
+const { MESSAGE_TEMPLATE } = require('../models/messageTemplates');
+const { COMMUNICATION_STATUS } = require('../models/communication');
+const { STATUS_PHASE, DEFAULT_WORKFLOW_ID, isReminderEligible, getStatusPhase } = require('../models/workflowDefinitions');
 
 /**
  * Calculate hours between two dates
@@ -35,10 +48,12 @@ async function processReminders() {
 
     // Get all active requests (not COMPLETED, not EXPIRED)
     const activeRequests = await requestRepository.getActiveRequests();
+    const workflows = await workflowRepository.getAllWorkflows();
     const now = new Date();
 
     let firstReminderCount = 0;
     let secondReminderCount = 0;
+    let reminderMessageCount = 0;
 
     for (const request of activeRequests) {
       const updates = {};
@@ -49,8 +64,8 @@ async function processReminders() {
                            (request.lastReminderAt ? new Date(request.lastReminderAt) : null);
 
       // Check if status is eligible for reminders
-      const eligibleStatuses = [REQUEST_STATUS.OPEN, REQUEST_STATUS.IN_PROGRESS, REQUEST_STATUS.SUBMITTED];
-      if (!eligibleStatuses.includes(request.status)) {
+      const workflow = workflows.find(w => w.id === (request.workflowId || DEFAULT_WORKFLOW_ID));
+      if (!workflow || !isReminderEligible(workflow, request.status)) {
         continue;
       }
 
@@ -75,12 +90,29 @@ async function processReminders() {
 
       // Apply updates if any
       if (Object.keys(updates).length > 0) {
-        await requestRepository.updateRequest(request.id, updates);
+        const updatedRequest = await requestRepository.updateRequest(request.id, updates);
         console.log(`[Reminder Job] Updated request ${request.id}: needsReminderLevel = ${updates.needsReminderLevel}`);
+
+        // Submitted requests are with the dealer; only remind customers who still have documents to upload
+        const remindersSent = request.customerRemindersSent || 0;
+        if (getStatusPhase(workflow, request.status) === STATUS_PHASE.COLLECTING && updates.needsReminderLevel > remindersSent) {
+          try {
+            const communications = await messageService.sendTemplatedMessage(updatedRequest, MESSAGE_TEMPLATE.REMINDER);
+            if (communications.some(communication => communication.status === COMMUNICATION_STATUS.SENT)) {
+              await requestRepository.updateRequest(request.id, {
+                customerRemindersSent: updates.needsReminderLevel,
+                lastCustomerReminderAt: new Date()
+              });
+              reminderMessageCount++;
+            }
+          } catch (error) {
+            console.error(`[Reminder Job] Error sending reminder for request ${request.id}:`, error);
+          }
+        }
       }
     }
 
-    console.log(`[Reminder Job] Completed. First reminders: ${firstReminderCount}, Second reminders: ${secondReminderCount}`);
+    console.log(`[Reminder Job] Completed. First reminders: ${firstReminderCount}, Second reminders: ${secondReminderCount}, Customers reminded: ${reminderMessageCount}`);
   } catch (error) {
     console.error('[Reminder Job] Error:', error);
   }
@@ -4,16 +4,21 @@
  * Scheduled job that runs every hour to expire requests that exceed the SLA
  * 
  * Business Rules:
- * - Requests expire after 6 days (144 hours) from creation if not COMPLETED
+ * - Requests expire after the workflow's slaHours (6 days / 144 hours by default) from creation
+ *   if their workflow allows EXPIRE from the current status
  * - When expired:
- *   - Set status = "EXPIRED"
+ *   - Set status to the workflow's EXPIRE target, "EXPIRED" (through the workflow engine)
  *   - Set expiredAt = now
+ *   - Audit log REQUEST_EXPIRED
+ * - A request that fails to expire is logged and left for the next run; the others still expire
  * - Expired requests become read-only for customers
  * - Tele-Sales and Managers can reopen expired requests
  */
 
 const requestRepository = require('../repositories/requestRepository');
-const { REQUEST_STATUS } = require('../models/request');
+const workflowRepository = require('../repositories/workflowRepository');
+const workflowEngine = require('../services/workflowEngine');
+const { DEFAULT_WORKFLOW_ID, DEFAULT_SLA_HOURS, findTransitions } = require('../models/workflowDefinitions');
 
 /**
  * Calculate hours between two dates
@@ -31,34 +36,47 @@ async function processExpiry() {
 
     // Get all requests that are not COMPLETED
     const requests = await requestRepository.getRequestsForExpiryCheck();
+    const workflows = await workflowRepository.getAllWorkflows();
     const now = new Date();
 
-    const SLA_HOURS = 144; // 6 days
     let expiredCount = 0;
+    let failedCount = 0;
 
     for (const request of requests) {
-      // Skip if already expired
-      if (request.status === REQUEST_STATUS.EXPIRED) {
+      const workflow = workflows.find(w => w.id === (request.workflowId || DEFAULT_WORKFLOW_ID));
+      if (!workflow) {
+        console.warn(`[SLA Expiry Job] Request ${request.id} has unknown workflow ${request.workflowId}`);
         continue;
       }
 
+      // Skip if the workflow does not expire this status (already expired, completed, ...)
+      if (findTransitions(workflow, 'EXPIRE', request.status).length === 0) {
+        continue;
+      }
+      const slaHours = workflow.slaHours || DEFAULT_SLA_HOURS;
+
       // Convert Firestore timestamp to Date object if needed
       const createdAt = request.createdAt?.toDate ? request.createdAt.toDate() : new Date(request.createdAt);
       const hoursSinceCreation = hoursBetween(createdAt, now);
 
       // Check if request exceeds SLA
-      if (hoursSinceCreation >= SLA_HOURS) {
-        await requestRepository.updateRequest(request.id, {
-          status: REQUEST_STATUS.EXPIRED,
-          expiredAt: now
-        });
+      if (hoursSinceCreation >= slaHours) {
+        try {
+          await workflowEngine.performAction(request.id, 'EXPIRE', {
+            actorId: 'system',
+            updates: { expiredAt: now }
+          });
 
-        expiredCount++;
-        console.log(`[SLA Expiry Job] Expired request ${request.id} (${hoursSinceCreation.toFixed(1)} hours old)`);
+          expiredCount++;
+          console.log(`[SLA Expiry Job] Expired request ${request.id} (${hoursSinceCreation.toFixed(1)} hours old)`);
+        } catch (error) {
+          failedCount++;
+          console.error(`[SLA Expiry Job] Error expiring request ${request.id}:`, error);
+        }
       }
     }
 
-    console.log(`[SLA Expiry Job] Completed. Expired ${expiredCount} request(s)`);
+    console.log(`[SLA Expiry Job] Completed. Expired ${expiredCount} request(s), ${failedCount} failed`);
   } catch (error) {
     console.error('[SLA Expiry Job] Error:', error);
   }
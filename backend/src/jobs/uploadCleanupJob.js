@@ -0,0 +1,30 @@
+/**
+ * Upload Cleanup Job
+ * 
+ * Scheduled job that runs every hour to remove expired resumable uploads
+ * 
+ * Uploads the customer never finished keep their chunks in blob storage until they
+ * expire (UPLOAD_SESSION_TTL_HOURS after they were started); this job removes the
+ * chunks and the upload records (services/resumableUploadService.js).
+ */
+
+const resumableUploadService = require('../services/resumableUploadService');
+
+/**
+ * Remove all expired uploads
+ */
+async function processExpiredUploads() {
+  try {
+    console.log('[Upload Cleanup Job] Removing expired uploads...');
+
+    const summary = await resumableUploadService.removeExpiredUploads();
+
+    console.log(`[Upload Cleanup Job] Completed. Removed ${summary.removed} upload(s), ${summary.unfinished} unfinished`);
+  } catch (error) {
+    console.error('[Upload Cleanup Job] Error:', error);
+  }
+}
+
+module.exports = {
+  processExpiredUploads
+};
@@ -0,0 +1,99 @@
+/**
+ * ClamAV Daemon Scanner
+ * 
+ * Sends files to clamd with the INSTREAM command: the file is written as chunks,
+ * each prefixed with its length as a 4-byte big-endian integer, followed by a
+ * zero-length chunk. clamd answers "stream: OK" or "stream: <signature> FOUND".
+ * 
+ * Configure with:
+ * - CLAMD_SOCKET: path of clamd's local (unix) socket, or
+ * - CLAMD_HOST / CLAMD_PORT: TCP address (default 127.0.0.1:3310)
+ * - CLAMD_TIMEOUT_MS: give up on a scan after this long (default 60000)
+ * 
+ * Files larger than clamd's StreamMaxLength are answered with an error, which
+ * keeps the document quarantined; raise StreamMaxLength above the largest upload size.
+ */
+
+const net = require('net');
+
+const CHUNK_SIZE = 64 * 1024;
+const timeoutMs = parseInt(process.env.CLAMD_TIMEOUT_MS || '60000', 10);
+
+/**
+ * Open a connection to clamd
+ */
+function connect() {
+  if (process.env.CLAMD_SOCKET) {
+    return net.createConnection({ path: process.env.CLAMD_SOCKET });
+  }
+  return net.createConnection({
+    host: process.env.CLAMD_HOST || '127.0.0.1',
+    port: parseInt(process.env.CLAMD_PORT || '3310', 10)
+  });
+}
+
+/**
+ * Parse clamd's reply to INSTREAM
+ */
+function parseReply(reply) {
+  const text = reply.replace(/\0/g, '').trim();
+  if (/^stream: OK$/.test(text)) {
+    return { clean: true };
+  }
+  const found = text.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { clean: false, signature: found[1] };
+  }
+  throw new Error(`clamd error: ${text || 'empty reply'}`);
+}
+
+/**
+ * Scan a file
+ */
+function scan(buffer) {
+  return new Promise((resolve, reject) => {
+    const socket = connect();
+    const replyChunks = [];
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    socket.setTimeout(timeoutMs, () => finish(new Error(`clamd did not answer within ${timeoutMs} ms`)));
+    socket.on('error', error => finish(new Error(`clamd unavailable: ${error.message}`)));
+    socket.on('data', chunk => replyChunks.push(chunk));
+    socket.on('end', () => {
+      try {
+        finish(null, parseReply(Buffer.concat(replyChunks).toString('utf8')));
+      } catch (error) {
+        finish(error);
+      }
+    });
+
+    socket.on('connect', () => {
+      // "z" prefix: null-terminated command and reply
+      socket.write('zINSTREAM\0');
+      for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+        const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length, 0);
+        socket.write(length);
+        socket.write(chunk);
+      }
+      socket.write(Buffer.alloc(4)); // zero-length chunk ends the stream
+    });
+  });
+}
+
+module.exports = {
+  name: 'clamd',
+  scan
+};
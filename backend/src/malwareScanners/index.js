@@ -0,0 +1,41 @@
+/**
+ * Malware Scanners
+ * 
+ * Selects the scanner that checks customer uploads before anyone can open them.
+ * 
+ * Configure with MALWARE_SCANNER:
+ * - 'none' (default): no scanning, every file is reported clean (development only; refused
+ *   when NODE_ENV is production unless ALLOW_UNSCANNED_UPLOADS=true)
+ * - 'clamd': a ClamAV daemon over its network protocol (CLAMD_HOST/CLAMD_PORT or CLAMD_SOCKET)
+ * 
+ * Every scanner exposes the same interface:
+ * - name                             -> engine name recorded on scanned documents
+ * - scan(buffer)                     -> { clean: true } or { clean: false, signature }
+ *     throws if the scanner cannot be reached; the document then stays quarantined
+ *     and the scan is retried (jobs/malwareScanJob.js)
+ */
+
+require('dotenv').config();
+
+const SCANNERS = {
+  none: () => require('./noneScanner'),
+  clamd: () => require('./clamdScanner')
+};
+
+const scannerName = (process.env.MALWARE_SCANNER || 'none').toLowerCase();
+
+if (!SCANNERS[scannerName]) {
+  throw new Error(`Unknown MALWARE_SCANNER "${scannerName}". Use one of: ${Object.keys(SCANNERS).join(', ')}`);
+}
+
+// Serving unscanned customer files must be a deliberate choice, not a missing setting
+if (scannerName === 'none' && process.env.NODE_ENV === 'production' && process.env.ALLOW_UNSCANNED_UPLOADS !== 'true') {
+  throw new Error('MALWARE_SCANNER is "none" in production. Configure a scanner, or set ALLOW_UNSCANNED_UPLOADS=true to serve unscanned uploads');
+}
+
+const scanner = SCANNERS[scannerName]();
+
+module.exports = {
+  scannerName,
+  ...scanner
+};
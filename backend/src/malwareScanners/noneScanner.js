@@ -0,0 +1,20 @@
+/**
+ * No-op Scanner
+ * 
+ * Reports every file as clean. Only for development machines without ClamAV;
+ * uploads still go through quarantine, so the rest of the pipeline behaves the same.
+ */
+
+console.warn('[Malware Scanner] MALWARE_SCANNER is "none"; uploads are not scanned for malware');
+
+/**
+ * Scan a file (always clean)
+ */
+async function scan() {
+  return { clean: true };
+}
+
+module.exports = {
+  name: 'none',
+  scan
+};
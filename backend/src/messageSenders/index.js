@@ -0,0 +1,66 @@
+/**
+ * Message Senders
+ * 
+ * Selects the senders that deliver text messages and emails to customers
+ * (verification codes, links, templated messages from services/messageService.js).
+ * 
+ * Configure with SMS_SENDER and EMAIL_SENDER:
+ * - 'local' (default, both): writes the message to the console, and to MESSAGE_OUTBOX_FILE
+ *   if set (development only; nothing reaches the customer)
+ * - 'smtp' (EMAIL_SENDER): an SMTP server, see smtpSender.js
+ * - 'gateway' (SMS_SENDER): an HTTP SMS gateway, see smsGatewaySender.js
+ * 
+ * Every sender exposes the same interface:
+ * - name                             -> sender name recorded with each message
+ * - channels                         -> channels it can deliver ('sms', 'email')
+ * - send({ channel, to, subject, text }) -> { messageId, status }
+ *     channel is 'sms' or 'email'; subject is only used for email
+ *     status is 'SENT' once the provider has accepted the message
+ *     throws if the message cannot be handed over
+ */
+
+require('dotenv').config();
+
+const SENDERS = {
+  local: () => require('./localSender'),
+  smtp: () => require('./smtpSender'),
+  gateway: () => require('./smsGatewaySender')
+};
+
+/**
+ * Load the sender configured for a channel
+ */
+function loadSender(variable, channel) {
+  const senderName = (process.env[variable] || 'local').toLowerCase();
+  if (!SENDERS[senderName]) {
+    throw new Error(`Unknown ${variable} "${senderName}". Use one of: ${Object.keys(SENDERS).join(', ')}`);
+  }
+  const sender = SENDERS[senderName]();
+  if (!sender.channels.includes(channel)) {
+    throw new Error(`${variable} "${senderName}" cannot send ${channel} messages`);
+  }
+  return sender;
+}
+
+const senders = {
+  sms: loadSender('SMS_SENDER', 'sms'),
+  email: loadSender('EMAIL_SENDER', 'email')
+};
+
+/**
+ * Send a message through the sender of its channel
+ * @returns {Object} { sender, messageId, status }
+ */
+async function send(message) {
+  const sender = senders[message.channel];
+  if (!sender) {
+    throw new Error(`Unknown message channel "${message.channel}"`);
+  }
+  const result = await sender.send(message);
+  return { sender: sender.name, ...result };
+}
+
+module.exports = {
+  CHANNELS: Object.keys(senders),
+  send
+};
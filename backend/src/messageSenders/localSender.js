@@ -0,0 +1,37 @@
+/**
+ * Local Sender
+ * 
+ * Stand-in for an SMS gateway or mail server on development machines: messages are
+ * written to the console, and appended as JSON lines to MESSAGE_OUTBOX_FILE if it is set.
+ * Nothing reaches the customer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const outboxFile = process.env.MESSAGE_OUTBOX_FILE ? path.resolve(process.env.MESSAGE_OUTBOX_FILE) : null;
+
+console.warn(`[Message Sender] Using the local sender; messages are written to the console${outboxFile ? ` and ${outboxFile}` : ''}, not delivered`);
+
+/**
+ * "Send" a message by writing it out
+ */
+async function send({ channel, to, subject = null, text }) {
+  const messageId = `local-${crypto.randomBytes(8).toString('hex')}`;
+  const entry = { messageId, channel, to, subject, text, sentAt: new Date().toISOString() };
+
+  console.log(`[Message Sender] ${channel} to ${to}${subject ? ` (${subject})` : ''}: ${text}`);
+  if (outboxFile) {
+    await fs.promises.mkdir(path.dirname(outboxFile), { recursive: true });
+    await fs.promises.appendFile(outboxFile, `${JSON.stringify(entry)}\n`);
+  }
+
+  return { messageId, status: 'SENT' };
+}
+
+module.exports = {
+  name: 'local',
+  channels: ['sms', 'email'],
+  send
+};
@@ -0,0 +1,50 @@
+/**
+ * SMS Gateway Sender
+ *
+ * Sends text messages through an HTTP SMS gateway: every message is POSTed as JSON
+ *   { from, to, text }
+ * with the API key as a bearer token. Any 2xx answer means the gateway accepted the
+ * message; its id is taken from the answer's "id" or "messageId" field when present.
+ * Gateways with a different request format can be put behind a small proxy, or get
+ * their own sender next to this one.
+ *
+ * Configuration:
+ * - SMS_GATEWAY_URL (required): endpoint messages are POSTed to
+ * - SMS_GATEWAY_API_KEY: sent as "Authorization: Bearer <key>"
+ * - SMS_GATEWAY_FROM: sender name or number, if the gateway needs one
+ * - SMS_GATEWAY_TIMEOUT_MS: give up after this long (default 10000)
+ */
+
+const url = process.env.SMS_GATEWAY_URL;
+if (!url) {
+  throw new Error('SMS_GATEWAY_URL must be set when SMS_SENDER=gateway');
+}
+const timeoutMs = parseInt(process.env.SMS_GATEWAY_TIMEOUT_MS || '10000', 10);
+
+/**
+ * Send a text message
+ */
+async function send({ to, text }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.SMS_GATEWAY_API_KEY ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` } : {})
+    },
+    body: JSON.stringify({ from: process.env.SMS_GATEWAY_FROM || undefined, to, text }),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`SMS gateway answered ${response.status}${body.message ? `: ${body.message}` : ''}`);
+  }
+
+  return { messageId: body.id || body.messageId || null, status: 'SENT' };
+}
+
+module.exports = {
+  name: 'gateway',
+  channels: ['sms'],
+  send
+};
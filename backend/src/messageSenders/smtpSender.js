@@ -0,0 +1,47 @@
+/**
+ * SMTP Sender
+ *
+ * Sends emails through an SMTP server (any mail provider or a local relay).
+ *
+ * Configuration:
+ * - SMTP_HOST (required)
+ * - SMTP_PORT (default 587)
+ * - SMTP_SECURE=true for implicit TLS (usually port 465); otherwise STARTTLS is used when offered
+ * - SMTP_USER / SMTP_PASSWORD (omit for servers without authentication)
+ * - SMTP_FROM (required): sender address, e.g. "Vehicle Finance <documents@example.com>"
+ */
+
+const nodemailer = require('nodemailer');
+
+const host = process.env.SMTP_HOST;
+const from = process.env.SMTP_FROM;
+if (!host || !from) {
+  throw new Error('SMTP_HOST and SMTP_FROM must be set when EMAIL_SENDER=smtp');
+}
+
+const transport = nodemailer.createTransport({
+  host,
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASSWORD
+  } : undefined
+});
+
+/**
+ * Send an email
+ */
+async function send({ to, subject, text }) {
+  const info = await transport.sendMail({ from, to, subject, text });
+  if (info.rejected && info.rejected.length > 0) {
+    throw new Error(`The mail server rejected ${info.rejected.join(', ')}`);
+  }
+  return { messageId: info.messageId, status: 'SENT' };
+}
+
+module.exports = {
+  name: 'smtp',
+  channels: ['email'],
+  send
+};
@@ -0,0 +1,108 @@
+/**
+ * Communication Model
+ *
+ * One entry in a request's communication log (the 'communications' collection):
+ * every message sent to or received from the customer, every call and every other
+ * contact, with when it happened, who recorded it and (for messages) its delivery status.
+ *
+ * Messages the system sends (services/messageService.js) are recorded automatically;
+ * staff log the rest (calls, replies, WhatsApp, meetings) from the request detail panel
+ * (services/communicationService.js).
+ */
+
+/**
+ * What kind of contact an entry is
+ */
+const COMMUNICATION_TYPE = {
+  MESSAGE: 'MESSAGE', // Text message, email, WhatsApp, ...
+  CALL: 'CALL',       // Phone call, with its outcome
+  CONTACT: 'CONTACT'  // Any other contact (meeting at the dealer, ...)
+};
+
+/**
+ * Direction values
+ */
+const COMMUNICATION_DIRECTION = {
+  OUTBOUND: 'OUTBOUND', // To the customer
+  INBOUND: 'INBOUND'    // From the customer
+};
+
+/**
+ * Channels; sms and email are the ones the system can send itself
+ */
+const COMMUNICATION_CHANNEL = {
+  SMS: 'sms',
+  EMAIL: 'email',
+  PHONE: 'phone',
+  WHATSAPP: 'whatsapp',
+  IN_PERSON: 'in_person',
+  OTHER: 'other'
+};
+
+/**
+ * Delivery status of messages
+ */
+const COMMUNICATION_STATUS = {
+  SENT: 'SENT',         // The provider accepted the message (or staff sent it themselves)
+  FAILED: 'FAILED',     // The message could not be handed over (see error)
+  RECEIVED: 'RECEIVED'  // Inbound message
+};
+
+/**
+ * Outcome of a call
+ */
+const CALL_OUTCOME = {
+  ANSWERED: 'ANSWERED',
+  NO_ANSWER: 'NO_ANSWER',
+  VOICEMAIL: 'VOICEMAIL',
+  CALLBACK_REQUESTED: 'CALLBACK_REQUESTED',
+  WRONG_NUMBER: 'WRONG_NUMBER'
+};
+
+// How far in the future an entry may be dated, for clocks that are slightly ahead
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Validate an entry logged by staff
+ * @throws listing every problem found
+ */
+function validateLoggedCommunication(entry) {
+  const problems = [];
+
+  if (!Object.values(COMMUNICATION_TYPE).includes(entry.type)) {
+    problems.push(`type must be one of ${Object.values(COMMUNICATION_TYPE).join(', ')}`);
+  }
+  if (!Object.values(COMMUNICATION_DIRECTION).includes(entry.direction)) {
+    problems.push(`direction must be one of ${Object.values(COMMUNICATION_DIRECTION).join(', ')}`);
+  }
+  if (!Object.values(COMMUNICATION_CHANNEL).includes(entry.channel)) {
+    problems.push(`channel must be one of ${Object.values(COMMUNICATION_CHANNEL).join(', ')}`);
+  }
+  if (entry.type === COMMUNICATION_TYPE.CALL) {
+    if (entry.channel !== COMMUNICATION_CHANNEL.PHONE) {
+      problems.push('calls use the phone channel');
+    }
+    if (!Object.values(CALL_OUTCOME).includes(entry.outcome)) {
+      problems.push(`outcome must be one of ${Object.values(CALL_OUTCOME).join(', ')}`);
+    }
+  } else if (!entry.text || !String(entry.text).trim()) {
+    problems.push('a summary of the message or contact is required');
+  }
+  const occurredAt = new Date(entry.occurredAt);
+  if (entry.occurredAt && (isNaN(occurredAt.getTime()) || occurredAt.getTime() > Date.now() + CLOCK_SKEW_MS)) {
+    problems.push('occurredAt must be a date that is not in the future');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid communication: ${problems.join('; ')}`);
+  }
+}
+
+module.exports = {
+  COMMUNICATION_TYPE,
+  COMMUNICATION_DIRECTION,
+  COMMUNICATION_CHANNEL,
+  COMMUNICATION_STATUS,
+  CALL_OUTCOME,
+  validateLoggedCommunication
+};
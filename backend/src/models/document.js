@@ -0,0 +1,82 @@
+/**
+ * Document Model
+ *
+ * Review and malware scan states for uploaded documents.
+ * Each document version is reviewed on its own; the request-level decision is derived
+ * from the review states of the current versions (see services/requestService.js).
+ * Every upload is quarantined until the malware scanner reports it clean
+ * (see services/malwareScanService.js).
+ *
+ * A document type can hold several files (front and back, one statement per month).
+ * Each file has a fileId shared by all its versions: replacing a file adds a version
+ * with the same fileId, adding a file starts a new one.
+ */
+
+/**
+ * Document review status values
+ */
+const DOCUMENT_REVIEW_STATUS = {
+  PENDING: 'PENDING',    // Not reviewed yet (every new upload starts here)
+  ACCEPTED: 'ACCEPTED',  // Accepted by agent/manager
+  REJECTED: 'REJECTED'   // Rejected with reason codes (models/rejectionReasons.js), customer must re-upload
+};
+
+/**
+ * Document malware scan status values
+ */
+const DOCUMENT_SCAN_STATUS = {
+  QUARANTINED: 'QUARANTINED', // Waiting for (or retrying) the scan; the file is not served
+  CLEAN: 'CLEAN',             // Scanner found nothing; the file may be viewed and reviewed
+  INFECTED: 'INFECTED'        // Scanner found malware; the file is blocked for good
+};
+
+/**
+ * The file shown for a document: the JPEG converted from a HEIC or WebP upload
+ * (services/normalizationService.js) when there is one, otherwise the original
+ * Returns { storagePath, contentType }
+ */
+function getServedFile(document) {
+  if (document.normalized && document.normalized.storagePath) {
+    return { storagePath: document.normalized.storagePath, contentType: document.normalized.contentType };
+  }
+  return { storagePath: document.storagePath, contentType: document.contentType };
+}
+
+/**
+ * Review status of a document record (records from before per-document review count as PENDING)
+ */
+function getDocumentReviewStatus(document) {
+  return document.reviewStatus || DOCUMENT_REVIEW_STATUS.PENDING;
+}
+
+/**
+ * Scan status of a document record (records from before malware scanning count as CLEAN)
+ */
+function getDocumentScanStatus(document) {
+  return document.scanStatus || DOCUMENT_SCAN_STATUS.CLEAN;
+}
+
+/**
+ * File a document record is a version of
+ * Records from before multiple files per type have no fileId: their type held a single file
+ */
+function getDocumentFileId(document) {
+  return document.fileId || document.type;
+}
+
+/**
+ * Whether a document's file may be served to anyone
+ */
+function isDocumentClean(document) {
+  return getDocumentScanStatus(document) === DOCUMENT_SCAN_STATUS.CLEAN;
+}
+
+module.exports = {
+  DOCUMENT_REVIEW_STATUS,
+  DOCUMENT_SCAN_STATUS,
+  getDocumentReviewStatus,
+  getDocumentScanStatus,
+  getDocumentFileId,
+  getServedFile,
+  isDocumentClean
+};
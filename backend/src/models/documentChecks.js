@@ -0,0 +1,100 @@
+/**
+ * Document Consistency Checks
+ *
+ * Rules that compare the fields read from a document (models/documentFields.js) with
+ * the request and today's date, run by services/documentCheckService.js.
+ * Each check ends PASS, WARN or FAIL; agents see the flags in the review UI.
+ *
+ * Check shape: { rule, field, ...parameters }
+ * - NAME_MATCH: the field fuzzy-matches the request's customerName
+ *     passAt (default 0.9) / warnAt (default 0.75): similarity 0..1 needed to pass / to only warn
+ * - NOT_EXPIRED: the date field is in the future
+ *     warnWithinDays (default 30): warn if it expires this soon
+ * - ISSUED_WITHIN_DAYS: the date field is at most `days` days ago (and not in the future)
+ *
+ * Every document type gets DEFAULT_DOCUMENT_CHECKS unless its entry in a requirement
+ * profile sets its own `checks` (an empty list turns checks off for that document).
+ */
+
+const { getDocumentFields, FIELD_FORMAT } = require('./documentFields');
+
+const CHECK_RULE = {
+  NAME_MATCH: 'NAME_MATCH',
+  NOT_EXPIRED: 'NOT_EXPIRED',
+  ISSUED_WITHIN_DAYS: 'ISSUED_WITHIN_DAYS'
+};
+
+const CHECK_OUTCOME = {
+  PASS: 'PASS',
+  WARN: 'WARN', // Needs a closer look (close match, expiring soon, field not read)
+  FAIL: 'FAIL'
+};
+
+// Field format each rule works on
+const RULE_FIELD_FORMAT = {
+  [CHECK_RULE.NAME_MATCH]: FIELD_FORMAT.NAME,
+  [CHECK_RULE.NOT_EXPIRED]: FIELD_FORMAT.DATE,
+  [CHECK_RULE.ISSUED_WITHIN_DAYS]: FIELD_FORMAT.DATE
+};
+
+const NAME_MATCH = { rule: CHECK_RULE.NAME_MATCH, field: 'fullName', passAt: 0.9, warnAt: 0.75 };
+const NOT_EXPIRED = { rule: CHECK_RULE.NOT_EXPIRED, field: 'expiryDate', warnWithinDays: 30 };
+
+const DEFAULT_DOCUMENT_CHECKS = {
+  ID: [NAME_MATCH, NOT_EXPIRED],
+  LICENCE: [NAME_MATCH, NOT_EXPIRED],
+  PROOF_OF_ADDRESS: [NAME_MATCH, { rule: CHECK_RULE.ISSUED_WITHIN_DAYS, field: 'issueDate', days: 90 }],
+  BANK_STATEMENT: [NAME_MATCH, { rule: CHECK_RULE.ISSUED_WITHIN_DAYS, field: 'issueDate', days: 45 }]
+};
+
+/**
+ * Checks to run for a document type ([] if none)
+ */
+function getDefaultChecks(documentType) {
+  return DEFAULT_DOCUMENT_CHECKS[documentType] || [];
+}
+
+/**
+ * Problems with a document's checks (used by validateRequirementProfile)
+ * Returns a list of messages, empty if the checks are valid
+ */
+function validateChecks(checks, documentType) {
+  if (!Array.isArray(checks)) {
+    return ['checks must be a list'];
+  }
+
+  const fields = getDocumentFields(documentType);
+  const problems = [];
+  checks.forEach((check, index) => {
+    const name = `check ${index + 1} (${check.rule})`;
+    if (!CHECK_RULE[check.rule]) {
+      problems.push(`${name} has unknown rule (known: ${Object.keys(CHECK_RULE).join(', ')})`);
+      return;
+    }
+    const field = fields.find(f => f.key === check.field);
+    if (!field) {
+      problems.push(`${name} field "${check.field}" is not read from ${documentType} documents`);
+    } else if (field.format !== RULE_FIELD_FORMAT[check.rule]) {
+      problems.push(`${name} needs a ${RULE_FIELD_FORMAT[check.rule]} field, "${check.field}" is a ${field.format}`);
+    }
+    if (check.rule === CHECK_RULE.ISSUED_WITHIN_DAYS && !(check.days > 0)) {
+      problems.push(`${name} days must be a positive number`);
+    }
+    if (check.rule === CHECK_RULE.NAME_MATCH) {
+      const passAt = check.passAt ?? NAME_MATCH.passAt;
+      const warnAt = check.warnAt ?? NAME_MATCH.warnAt;
+      if (!(passAt > 0 && passAt <= 1 && warnAt > 0 && warnAt <= passAt)) {
+        problems.push(`${name} needs 0 < warnAt <= passAt <= 1`);
+      }
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  CHECK_RULE,
+  CHECK_OUTCOME,
+  DEFAULT_DOCUMENT_CHECKS,
+  getDefaultChecks,
+  validateChecks
+};
@@ -0,0 +1,122 @@
+/**
+ * Document Fields
+ *
+ * Key fields read from uploaded documents by OCR (services/ocrService.js), per document type.
+ * Document types without an entry here are not sent to OCR. The consistency checks
+ * (models/documentChecks.js) compare these fields with the request.
+ *
+ * Field shape:
+ * {
+ *   key,                 // stored under document.extraction.fields[key]
+ *   label,               // shown to agents
+ *   format: 'name' | 'date' | 'number',
+ *   labels: [RegExp]     // printed labels the value follows, on the same line or the next one,
+ *                        // most specific first
+ * }
+ *
+ * Dates are read day first (31/12/1990, 31.12.1990, 31 DEC 1990) or as ISO (1990-12-31)
+ * and stored as YYYY-MM-DD.
+ */
+
+const FIELD_FORMAT = {
+  NAME: 'name',
+  DATE: 'date',
+  NUMBER: 'number'
+};
+
+/**
+ * State of an extracted field (document.extraction.fields[key].status)
+ */
+const FIELD_STATUS = {
+  EXTRACTED: 'EXTRACTED', // Read by OCR, not checked yet
+  MISSING: 'MISSING',     // Not found by OCR, or no OCR ran
+  CONFIRMED: 'CONFIRMED', // Agent confirmed the OCR value
+  CORRECTED: 'CORRECTED'  // Agent entered a different value
+};
+
+/**
+ * Outcome of the OCR stage (document.extraction.status)
+ */
+const EXTRACTION_STATUS = {
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',       // Engine error or a file the engine cannot read (e.g. HEIC)
+  MANUAL: 'MANUAL'        // No OCR result; fields entered by an agent
+};
+
+const FULL_NAME = {
+  key: 'fullName',
+  label: 'Full name',
+  format: FIELD_FORMAT.NAME,
+  labels: [/\bfull\s*name\b/i, /\bname\s+of\s+holder\b/i, /\bholder\b/i, /\bname\b/i]
+};
+const DATE_OF_BIRTH = {
+  key: 'dateOfBirth',
+  label: 'Date of birth',
+  format: FIELD_FORMAT.DATE,
+  labels: [/\bdate\s+of\s+birth\b/i, /\bbirth\s*date\b/i, /\bd\.?o\.?b\.?(?=[\s:]|$)/i, /\bborn\b/i]
+};
+const ACCOUNT_HOLDER = {
+  ...FULL_NAME,
+  label: 'Account holder',
+  labels: [/\baccount\s+(holder|name)\b/i, /\bcustomer\s+name\b/i, ...FULL_NAME.labels]
+};
+const DOCUMENT_DATE = {
+  key: 'issueDate',
+  label: 'Document date',
+  format: FIELD_FORMAT.DATE,
+  labels: [/\b(statement|bill|invoice|issue)\s+date\b/i, /\bdate\s+of\s+(issue|statement)\b/i, /\bissued(\s+on)?\b/i, /\bdated?\b/i]
+};
+const EXPIRY_DATE = {
+  key: 'expiryDate',
+  label: 'Expiry date',
+  format: FIELD_FORMAT.DATE,
+  labels: [/\bdate\s+of\s+expiry\b/i, /\bexpiry(\s+date)?\b/i, /\bexpires?\b/i, /\bvalid\s+(until|to|thru)\b/i]
+};
+
+const DOCUMENT_FIELDS = {
+  ID: [
+    FULL_NAME,
+    DATE_OF_BIRTH,
+    {
+      key: 'idNumber',
+      label: 'ID number',
+      format: FIELD_FORMAT.NUMBER,
+      labels: [/\b(id|identity|card|document|passport)\s*(number|no\.?|#)/i, /\bid\s*no\b/i]
+    },
+    EXPIRY_DATE
+  ],
+  LICENCE: [
+    FULL_NAME,
+    DATE_OF_BIRTH,
+    {
+      key: 'licenceNumber',
+      label: 'Licence number',
+      format: FIELD_FORMAT.NUMBER,
+      labels: [/\b(licen[cs]e|dl)\s*(number|no\.?|#)/i]
+    },
+    {
+      key: 'issueDate',
+      label: 'Issue date',
+      format: FIELD_FORMAT.DATE,
+      labels: [/\bdate\s+of\s+issue\b/i, /\bissue\s*date\b/i, /\bissued(\s+on)?\b/i]
+    },
+    EXPIRY_DATE
+  ],
+  PROOF_OF_ADDRESS: [ACCOUNT_HOLDER, DOCUMENT_DATE],
+  BANK_STATEMENT: [ACCOUNT_HOLDER, { ...DOCUMENT_DATE, label: 'Statement date' }]
+};
+
+/**
+ * Fields to read for a document type ([] if the type is not read by OCR)
+ */
+function getDocumentFields(documentType) {
+  return DOCUMENT_FIELDS[documentType] || [];
+}
+
+module.exports = {
+  FIELD_FORMAT,
+  FIELD_STATUS,
+  EXTRACTION_STATUS,
+  DOCUMENT_FIELDS,
+  getDocumentFields
+};
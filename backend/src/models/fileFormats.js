@@ -0,0 +1,51 @@
+/**
+ * File Formats
+ *
+ * Formats customers may upload. The format of an upload is detected from its bytes
+ * (services/uploadValidationService.js), never from the file name or the browser's MIME type.
+ */
+
+const FILE_FORMATS = {
+  pdf: { label: 'PDF', contentType: 'application/pdf', extension: 'pdf' },
+  jpeg: { label: 'JPG', contentType: 'image/jpeg', extension: 'jpg' },
+  png: { label: 'PNG', contentType: 'image/png', extension: 'png' },
+  heic: { label: 'HEIC', contentType: 'image/heic', extension: 'heic' },
+  webp: { label: 'WebP', contentType: 'image/webp', extension: 'webp' }
+};
+
+// Formats not every browser shows; they are converted to JPEG for viewing (services/normalizationService.js)
+const CONVERTED_FORMATS = ['heic', 'webp'];
+
+/**
+ * Limits used for any document type that does not set its own
+ * (see "upload" on documents in models/requirementProfiles.js)
+ */
+const DEFAULT_UPLOAD_RULES = {
+  formats: Object.keys(FILE_FORMATS),
+  maxSizeMb: 10,
+  maxPages: 20
+};
+
+/**
+ * Error codes returned to the portal when an upload is refused
+ */
+const UPLOAD_ERROR = {
+  NO_FILE: 'NO_FILE',
+  EMPTY_FILE: 'EMPTY_FILE',
+  UNSUPPORTED_FILE_TYPE: 'UNSUPPORTED_FILE_TYPE', // Bytes are not any known format
+  FILE_TYPE_NOT_ALLOWED: 'FILE_TYPE_NOT_ALLOWED', // Known format, not allowed for this document type
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+  TOO_MANY_PAGES: 'TOO_MANY_PAGES',
+  TOO_MANY_FILES: 'TOO_MANY_FILES', // Document type already has its maximum number of files
+  // Resumable uploads (services/resumableUploadService.js)
+  OFFSET_MISMATCH: 'OFFSET_MISMATCH', // Chunk does not start where the stored upload ends; resume from the stored offset
+  UPLOAD_INCOMPLETE: 'UPLOAD_INCOMPLETE', // Finished before all declared bytes arrived
+  UPLOAD_FINALIZING: 'UPLOAD_FINALIZING' // Another call is finishing the upload; ask again shortly
+};
+
+module.exports = {
+  FILE_FORMATS,
+  CONVERTED_FORMATS,
+  DEFAULT_UPLOAD_RULES,
+  UPLOAD_ERROR
+};
@@ -0,0 +1,35 @@
+/**
+ * Image Quality
+ *
+ * Warnings given to the customer right after a photo is uploaded
+ * (services/imageQualityService.js), so a blurry, dark or cropped photo can be
+ * retaken before the request is submitted. Warnings never block an upload.
+ */
+
+const QUALITY_WARNING = {
+  LOW_RESOLUTION: 'LOW_RESOLUTION',
+  BLURRY: 'BLURRY',
+  TOO_DARK: 'TOO_DARK',
+  TOO_BRIGHT: 'TOO_BRIGHT', // Overexposed or glare
+  CUT_OFF: 'CUT_OFF' // Document runs past the edge of the photo
+};
+
+/**
+ * Limits the metrics are compared with
+ * - minShortSide: pixels on the shorter side of the photo
+ * - minSharpness: spread of the edge (Laplacian) response; blurry photos have few sharp edges
+ * - minBrightness / maxBrightness: mean grey level 0..255 (the upper limit is high so scans of white paper pass)
+ * - maxEdgeContent: share of sharp-edge pixels in an outer strip of the photo, relative to the whole photo
+ */
+const QUALITY_THRESHOLDS = {
+  minShortSide: 600,
+  minSharpness: 15,
+  minBrightness: 60,
+  maxBrightness: 235,
+  maxEdgeContent: 0.6
+};
+
+module.exports = {
+  QUALITY_WARNING,
+  QUALITY_THRESHOLDS
+};
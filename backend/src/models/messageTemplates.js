@@ -0,0 +1,140 @@
+/**
+ * Message Templates
+ *
+ * Messages sent to customers automatically (services/messageService.js):
+ * - INVITATION: the request was created; carries the portal link
+ * - REMINDER: documents are still missing (reminder job)
+ * - REJECTION: the review rejected documents; says which ones to upload again
+ * - APPROVAL: the review accepted every document
+ *
+ * Each template has an email version (subject and text) and a shorter SMS version.
+ * Placeholders are written {{name}}; unknown placeholders are left out.
+ *
+ * These built-in templates are used unless a template with the same id is stored in the
+ * 'messageTemplates' collection; managers edit them from the dashboard
+ * (see repositories/messageTemplateRepository.js).
+ *
+ * Template shape:
+ * {
+ *   id: 'INVITATION',
+ *   label,               // shown to staff
+ *   subject,             // email subject
+ *   email,               // email text
+ *   sms                  // text message
+ * }
+ */
+
+const MESSAGE_TEMPLATE = {
+  INVITATION: 'INVITATION',
+  REMINDER: 'REMINDER',
+  REJECTION: 'REJECTION',
+  APPROVAL: 'APPROVAL'
+};
+
+// Placeholders every template can use, with what they are replaced by
+const TEMPLATE_PLACEHOLDERS = {
+  customerName: 'Customer name',
+  requestNumber: 'Request number (REQ-0042)',
+  link: 'Customer portal link',
+  missingDocuments: 'Required documents not uploaded yet (or rejected)',
+  deadline: 'Date the request expires',
+  rejectedDocuments: 'Rejected documents with the reasons',
+  reviewComment: 'Overall review comment',
+  agentName: 'Name of the sales agent'
+};
+
+const BUILT_IN_MESSAGE_TEMPLATES = [
+  {
+    id: MESSAGE_TEMPLATE.INVITATION,
+    label: 'Invitation',
+    subject: 'Documents for your request {{requestNumber}}',
+    email: 'Dear {{customerName}},\n\n' +
+      'To continue with your request {{requestNumber}}, please upload your documents here:\n{{link}}\n\n' +
+      'You will need: {{missingDocuments}}.\n' +
+      'Please upload them by {{deadline}}.\n\n' +
+      'Kind regards,\n{{agentName}}',
+    sms: 'Hi {{customerName}}, please upload the documents for request {{requestNumber}} by {{deadline}}: {{link}}'
+  },
+  {
+    id: MESSAGE_TEMPLATE.REMINDER,
+    label: 'Reminder',
+    subject: 'Reminder: documents still missing for {{requestNumber}}',
+    email: 'Dear {{customerName}},\n\n' +
+      'We are still waiting for these documents for your request {{requestNumber}}: {{missingDocuments}}.\n\n' +
+      'Please upload them by {{deadline}}:\n{{link}}\n\n' +
+      'Kind regards,\n{{agentName}}',
+    sms: 'Reminder: request {{requestNumber}} still needs {{missingDocuments}}. Please upload by {{deadline}}: {{link}}'
+  },
+  {
+    id: MESSAGE_TEMPLATE.REJECTION,
+    label: 'Documents rejected',
+    subject: 'Some documents for {{requestNumber}} need to be uploaded again',
+    email: 'Dear {{customerName}},\n\n' +
+      'We checked the documents for your request {{requestNumber}}. These need to be uploaded again:\n{{rejectedDocuments}}\n\n' +
+      '{{reviewComment}}\n\n' +
+      'Please upload them here:\n{{link}}\n\n' +
+      'Kind regards,\n{{agentName}}',
+    sms: 'Request {{requestNumber}}: some documents need to be uploaded again ({{rejectedDocuments}}). Details: {{link}}'
+  },
+  {
+    id: MESSAGE_TEMPLATE.APPROVAL,
+    label: 'Documents approved',
+    subject: 'Your documents for {{requestNumber}} are approved',
+    email: 'Dear {{customerName}},\n\n' +
+      'Thank you. We have checked and approved all documents for your request {{requestNumber}}. ' +
+      'There is nothing more you need to upload.\n\n' +
+      'Kind regards,\n{{agentName}}',
+    sms: 'Good news {{customerName}}: the documents for request {{requestNumber}} are approved. Nothing more to upload.'
+  }
+];
+
+/**
+ * Fill in a template text
+ * Blank lines left by empty placeholders (e.g. no review comment) are collapsed
+ * @param {string} text - template text with {{placeholders}}
+ * @param {Object} values - placeholder name -> value
+ */
+function renderTemplate(text, values) {
+  return String(text || '')
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      const value = values[name];
+      return value === undefined || value === null ? '' : String(value);
+    })
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Validate an edited template
+ * @throws listing every problem found
+ */
+function validateMessageTemplate(template) {
+  const problems = [];
+
+  if (!BUILT_IN_MESSAGE_TEMPLATES.some(builtIn => builtIn.id === template.id)) {
+    problems.push(`id must be one of ${Object.values(MESSAGE_TEMPLATE).join(', ')}`);
+  }
+  ['subject', 'email', 'sms'].forEach(field => {
+    if (!template[field] || !String(template[field]).trim()) {
+      problems.push(`${field} is required`);
+      return;
+    }
+    const unknown = [...String(template[field]).matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+      .map(match => match[1])
+      .filter(name => !TEMPLATE_PLACEHOLDERS[name]);
+    if (unknown.length > 0) {
+      problems.push(`${field} uses unknown placeholders: ${[...new Set(unknown)].join(', ')}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid message template: ${problems.join('; ')}`);
+  }
+}
+
+module.exports = {
+  MESSAGE_TEMPLATE,
+  TEMPLATE_PLACEHOLDERS,
+  BUILT_IN_MESSAGE_TEMPLATES,
+  renderTemplate,
+  validateMessageTemplate
+};
@@ -0,0 +1,34 @@
+/**
+ * Portal Verification Model
+ *
+ * Optional second factor for the customer portal (services/portalVerificationService.js):
+ * a one-time code sent to the phone or email on the request, and the short-lived portal
+ * session the customer gets once the code is confirmed.
+ */
+
+/**
+ * Verification (one code) status values
+ */
+const VERIFICATION_STATUS = {
+  PENDING: 'PENDING',   // Sent, waiting for the customer to enter it
+  VERIFIED: 'VERIFIED', // Entered correctly; a portal session was started
+  FAILED: 'FAILED',     // Entered wrongly too often
+  REPLACED: 'REPLACED'  // A newer code was sent before this one was used
+};
+
+/**
+ * Error codes of the verification endpoints
+ */
+const VERIFICATION_ERROR = {
+  REQUIRED: 'VERIFICATION_REQUIRED',       // No valid portal session: a code must be entered first
+  NO_DESTINATION: 'NO_DESTINATION',        // The request has no phone number / email for the channel
+  TOO_MANY_CODES: 'TOO_MANY_CODES',        // Too many codes sent in the last hour
+  CODE_INVALID: 'CODE_INVALID',            // Wrong code; attemptsLeft says how many tries remain
+  CODE_EXPIRED: 'CODE_EXPIRED',            // No code waiting, or it expired: send a new one
+  TOO_MANY_ATTEMPTS: 'TOO_MANY_ATTEMPTS'   // Wrong too often: send a new code
+};
+
+module.exports = {
+  VERIFICATION_STATUS,
+  VERIFICATION_ERROR
+};
@@ -0,0 +1,121 @@
+/**
+ * Rejection Reason Catalog
+ *
+ * Reasons an agent can pick when rejecting a document, each with guidance text that
+ * tells the customer how to fix the problem. Managers maintain the catalog; a reason
+ * can be limited to some document types and retired (active: false) without losing
+ * the history of documents rejected with it.
+ *
+ * These built-in reasons are used unless a reason with the same code is stored in the
+ * 'rejectionReasons' collection (see repositories/rejectionReasonRepository.js and
+ * scripts/seedRejectionReasons.js).
+ *
+ * Reason shape:
+ * {
+ *   code: 'UNREADABLE',             // stored on rejected documents and in the audit log
+ *   label,                          // shown to agents
+ *   guidance,                       // shown to the customer in the portal
+ *   documentTypes: ['ID'],          // empty/missing = any document type
+ *   requiresComment: false,         // agent must add a comment (e.g. OTHER)
+ *   active: true
+ * }
+ */
+
+const BUILT_IN_REJECTION_REASONS = [
+  {
+    code: 'UNREADABLE',
+    label: 'Blurry or unreadable image',
+    guidance: 'We could not read the document. Place it on a flat surface in good light, hold the camera steady and check the text is sharp before uploading.',
+    documentTypes: [],
+    requiresComment: false,
+    active: true
+  },
+  {
+    code: 'INCOMPLETE',
+    label: 'Part of the document missing',
+    guidance: 'Part of the document is cut off or a page is missing. Make sure all four corners and every page are included.',
+    documentTypes: [],
+    requiresComment: false,
+    active: true
+  },
+  {
+    code: 'MISSING_BACK_SIDE',
+    label: 'Back side missing',
+    guidance: 'We need both sides of the card. Upload a photo of the front and the back (a PDF with both pages works too).',
+    documentTypes: ['ID', 'LICENCE', 'VEHICLE_REGISTRATION'],
+    requiresComment: false,
+    active: true
+  },
+  {
+    code: 'EXPIRED',
+    label: 'Document expired',
+    guidance: 'This document has expired. Please upload a document that is still valid.',
+    documentTypes: ['ID', 'LICENCE', 'TRADE_LICENCE', 'VAT_CERTIFICATE', 'VEHICLE_REGISTRATION'],
+    requiresComment: false,
+    active: true
+  },
+  {
+    code: 'OUTDATED',
+    label: 'Older than 3 months',
+    guidance: 'This document is more than 3 months old. Please upload one dated within the last 3 months.',
+    documentTypes: ['PROOF_OF_ADDRESS', 'BANK_STATEMENT'],
+    requiresComment: false,
+    active: true
+  },
+  {
+    code: 'NAME_MISMATCH',
+    label: 'Name does not match',
+    guidance: 'The name on this document does not match the name on your request. Please upload a document in your own name, or contact us if your name has changed.',
+    documentTypes: [],
+    requiresComment: false,
+    active: true
+  },
+  {
+    code: 'WRONG_DOCUMENT',
+    label: 'Wrong document',
+    guidance: 'This is not the document we asked for. Please check the description above and upload the right one.',
+    documentTypes: [],
+    requiresComment: false,
+    active: true
+  },
+  {
+    code: 'OTHER',
+    label: 'Other (explain in comment)',
+    guidance: 'Please see the comment from our team below.',
+    documentTypes: [],
+    requiresComment: true,
+    active: true
+  }
+];
+
+/**
+ * Whether a reason can be used for a document type
+ */
+function reasonAppliesTo(reason, documentType) {
+  return !reason.documentTypes || reason.documentTypes.length === 0 || reason.documentTypes.includes(documentType);
+}
+
+/**
+ * Check a reason is consistent before it is stored
+ * Throws an Error listing every problem found
+ */
+function validateRejectionReason(reason) {
+  const problems = [];
+
+  if (!reason.code || !/^[A-Z][A-Z0-9_]*$/.test(reason.code)) problems.push('code must be UPPER_SNAKE_CASE');
+  if (!reason.label) problems.push('label is required');
+  if (!reason.guidance) problems.push('guidance is required');
+  if (reason.documentTypes !== undefined && !Array.isArray(reason.documentTypes)) {
+    problems.push('documentTypes must be a list');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid rejection reason: ${problems.join('; ')}`);
+  }
+}
+
+module.exports = {
+  BUILT_IN_REJECTION_REASONS,
+  reasonAppliesTo,
+  validateRejectionReason
+};
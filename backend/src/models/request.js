@@ -6,6 +6,8 @@
 
 /**
  * Request status values
+ * Statuses used by the built-in workflows; product lines may add their own
+ * (see models/workflowDefinitions.js)
  */
 const REQUEST_STATUS = {
   OPEN: 'OPEN',              // Created, customer may start uploading
@@ -25,13 +27,12 @@ const REVIEW_STATUS = {
 };
 
 /**
- * Required document types
+ * Customer types (used to pick a document requirement profile)
+ * The documents a customer must upload come from the request's profile (models/requirementProfiles.js)
  */
-const DOCUMENT_TYPES = {
-  ID: 'ID',
-  LICENCE: 'LICENCE',
-  PROOF_OF_ADDRESS: 'PROOF_OF_ADDRESS',
-  BANK_STATEMENT: 'BANK_STATEMENT'
+const CUSTOMER_TYPE = {
+  INDIVIDUAL: 'individual',
+  BUSINESS: 'business'
 };
 
 /**
@@ -52,15 +53,25 @@ function createRequest(data) {
   return {
     customerId: data.customerId,
     agentId: data.agentId,
-    status: REQUEST_STATUS.OPEN,
+    workflowId: data.workflowId, // Product line workflow (models/workflowDefinitions.js)
+    requirementProfileId: data.requirementProfileId, // Documents to collect (models/requirementProfiles.js)
+    customerType: data.customerType || CUSTOMER_TYPE.INDIVIDUAL,
+    status: REQUEST_STATUS.OPEN, // Replaced by the workflow's initialStatus on creation
     createdAt: now,
     updatedAt: now,
     expiredAt: null,
     completionPercent: 0,
     needsReminderLevel: REMINDER_LEVEL.NONE,
     lastReminderAt: null,
+    customerRemindersSent: 0,       // REMINDER messages sent to the customer (jobs/reminderJob.js)
+    lastCustomerReminderAt: null,
     notes: data.notes || '',
     secureToken: data.secureToken, // High-entropy token for customer access
+    // Link lifecycle (services/customerLinkService.js)
+    secureTokenIssuedAt: data.secureTokenIssuedAt || now,
+    secureTokenExpiresAt: data.secureTokenExpiresAt || null,
+    secureTokenRevokedAt: null,
+    secureTokenRevokedBy: null,
     reviewStatus: REVIEW_STATUS.PENDING,
     reviewComment: null,
     reviewedBy: null,
@@ -75,27 +86,11 @@ function createRequest(data) {
   };
 }
 
-/**
- * Validates request status transition
- */
-function isValidStatusTransition(currentStatus, newStatus) {
-  const validTransitions = {
-    [REQUEST_STATUS.OPEN]: [REQUEST_STATUS.IN_PROGRESS, REQUEST_STATUS.EXPIRED],
-    [REQUEST_STATUS.IN_PROGRESS]: [REQUEST_STATUS.OPEN, REQUEST_STATUS.SUBMITTED, REQUEST_STATUS.EXPIRED],
-    [REQUEST_STATUS.SUBMITTED]: [REQUEST_STATUS.COMPLETED, REQUEST_STATUS.EXPIRED],
-    [REQUEST_STATUS.EXPIRED]: [REQUEST_STATUS.OPEN], // Can be reopened
-    [REQUEST_STATUS.COMPLETED]: [] // Terminal state
-  };
-
-  return validTransitions[currentStatus]?.includes(newStatus) || false;
-}
-
 module.exports = {
   REQUEST_STATUS,
   REVIEW_STATUS,
-  DOCUMENT_TYPES,
+  CUSTOMER_TYPE,
   REMINDER_LEVEL,
-  createRequest,
-  isValidStatusTransition
+  createRequest
 };
 
@@ -0,0 +1,272 @@
+/**
+ * Document Requirement Profiles
+ *
+ * A profile lists the documents a customer is asked for, chosen by the agent when the
+ * request is created. Profiles can be targeted at a dealer, product line (workflow)
+ * or customer type; the create form suggests the profiles that apply.
+ *
+ * These built-in profiles are used unless a profile with the same id is stored in the
+ * 'requirementProfiles' collection (see repositories/requirementProfileRepository.js and
+ * scripts/seedRequirementProfiles.js).
+ *
+ * Profile shape:
+ * {
+ *   id, name, description,
+ *   appliesTo: { workflowIds: [], dealerIds: [], customerTypes: [] },  // empty/missing = any
+ *   documents: [{
+ *     type: 'ID',                      // stored on uploaded documents
+ *     label, helpText,                 // shown in the customer portal
+ *     requirement: 'required' | 'optional' | 'conditional',
+ *     condition: { field, equals } | { field, in: [] }, // conditional only, checked against the request
+ *     upload: { formats: ['pdf', 'jpeg'], maxSizeMb, maxPages }, // optional, defaults in models/fileFormats.js
+ *     files: { min, max },             // optional number of files, default one (e.g. front and back)
+ *     mergeImages: true,               // optional: the photos of the type's files are also combined
+ *                                      // into one PDF for review (services/normalizationService.js)
+ *     checks: [{ rule, field, ... }]   // optional consistency checks, defaults in models/documentChecks.js
+ *   }]
+ * }
+ *
+ * Conditional documents are required when the condition holds and not asked for otherwise.
+ * A document counts as uploaded once it has files.min files.
+ */
+
+const { FILE_FORMATS, DEFAULT_UPLOAD_RULES } = require('./fileFormats');
+const { getDefaultChecks, validateChecks } = require('./documentChecks');
+
+const DEFAULT_REQUIREMENT_PROFILE_ID = 'standard';
+
+const REQUIREMENT = {
+  REQUIRED: 'required',
+  OPTIONAL: 'optional',
+  CONDITIONAL: 'conditional'
+};
+
+// Request fields a condition may test
+const CONDITION_FIELDS = ['workflowId', 'dealerId', 'customerType'];
+
+// Number of files per document when a profile does not set `files`
+const DEFAULT_FILE_COUNT = { min: 1, max: 1 };
+
+// Documents shared by the built-in profiles
+const ID = {
+  type: 'ID',
+  label: 'ID Document',
+  helpText: 'Passport or national ID card. Both sides of the card, all corners visible.',
+  requirement: REQUIREMENT.REQUIRED,
+  upload: { maxPages: 2 },
+  files: { min: 1, max: 2 }
+};
+const LICENCE = {
+  type: 'LICENCE',
+  label: 'Driving Licence',
+  helpText: 'Valid driving licence, front and back (one file with both sides, or a photo of each side).',
+  requirement: REQUIREMENT.REQUIRED,
+  upload: { maxPages: 2 },
+  files: { min: 1, max: 2 }
+};
+const PROOF_OF_ADDRESS = {
+  type: 'PROOF_OF_ADDRESS',
+  label: 'Proof of Address',
+  helpText: 'Utility bill, bank letter or tenancy contract dated within the last 3 months.',
+  requirement: REQUIREMENT.REQUIRED,
+  upload: { maxPages: 5 }
+};
+const BANK_STATEMENT = {
+  type: 'BANK_STATEMENT',
+  label: 'Bank Statement',
+  helpText: 'Last 3 months of statements for the account the repayments will come from, in one file or one file per month.',
+  requirement: REQUIREMENT.REQUIRED,
+  upload: { maxSizeMb: 15, maxPages: 40 },
+  files: { min: 1, max: 6 },
+  mergeImages: true
+};
+
+const BUILT_IN_REQUIREMENT_PROFILES = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    description: 'Individual customers buying on finance',
+    appliesTo: { customerTypes: ['individual'] },
+    documents: [ID, LICENCE, PROOF_OF_ADDRESS, BANK_STATEMENT]
+  },
+  {
+    id: 'cash-purchase',
+    name: 'Cash Purchase',
+    description: 'Individual customers paying in full',
+    appliesTo: { workflowIds: ['cash-purchase'], customerTypes: ['individual'] },
+    documents: [
+      ID,
+      LICENCE,
+      PROOF_OF_ADDRESS,
+      {
+        ...BANK_STATEMENT,
+        label: 'Proof of Funds',
+        helpText: 'Recent bank statement showing the funds for the purchase.',
+        requirement: REQUIREMENT.OPTIONAL
+      }
+    ]
+  },
+  {
+    id: 'trade-in',
+    name: 'Trade-In',
+    description: 'Customers trading in their current vehicle',
+    appliesTo: { workflowIds: ['trade-in'] },
+    documents: [
+      ID,
+      LICENCE,
+      PROOF_OF_ADDRESS,
+      {
+        type: 'VEHICLE_REGISTRATION',
+        label: 'Vehicle Registration',
+        helpText: 'Registration card of the vehicle you are trading in.',
+        requirement: REQUIREMENT.REQUIRED
+      },
+      {
+        type: 'SERVICE_HISTORY',
+        label: 'Service History',
+        helpText: 'Service book or invoices. Helps us give a better valuation.',
+        requirement: REQUIREMENT.OPTIONAL
+      }
+    ]
+  },
+  {
+    id: 'business',
+    name: 'Business Customer',
+    description: 'Companies buying or leasing vehicles',
+    appliesTo: { customerTypes: ['business'] },
+    documents: [
+      { ...ID, label: 'Signatory ID Document', helpText: 'Passport or national ID of the authorised signatory.' },
+      {
+        type: 'TRADE_LICENCE',
+        label: 'Trade Licence',
+        helpText: 'Current company trade licence or certificate of incorporation.',
+        requirement: REQUIREMENT.REQUIRED
+      },
+      { ...BANK_STATEMENT, label: 'Company Bank Statement', helpText: 'Last 6 months of company bank statements.' },
+      {
+        type: 'VAT_CERTIFICATE',
+        label: 'VAT Certificate',
+        helpText: 'VAT registration certificate (needed for leasing).',
+        requirement: REQUIREMENT.CONDITIONAL,
+        condition: { field: 'workflowId', equals: 'leasing' }
+      }
+    ]
+  }
+];
+
+/**
+ * Check a conditional document's condition against the request
+ */
+function conditionHolds(condition, request) {
+  const value = request[condition.field];
+  if (Array.isArray(condition.in)) {
+    return condition.in.includes(value);
+  }
+  return value === condition.equals;
+}
+
+/**
+ * Documents a request must/may upload under a profile
+ * Returns [{ type, label, helpText, required, upload, files, mergeImages, checks }] (conditional documents whose condition fails are left out)
+ */
+function resolveRequirements(profile, request) {
+  return profile.documents
+    .filter(doc => doc.requirement !== REQUIREMENT.CONDITIONAL || conditionHolds(doc.condition, request))
+    .map(doc => ({
+      type: doc.type,
+      label: doc.label || doc.type,
+      helpText: doc.helpText || null,
+      required: doc.requirement !== REQUIREMENT.OPTIONAL,
+      upload: { ...DEFAULT_UPLOAD_RULES, ...doc.upload },
+      files: { ...DEFAULT_FILE_COUNT, ...doc.files },
+      mergeImages: Boolean(doc.mergeImages),
+      checks: doc.checks || getDefaultChecks(doc.type)
+    }));
+}
+
+/**
+ * Whether a profile is meant for a request with these details
+ * @param {Object} details - { workflowId, dealerId, customerType }
+ */
+function profileApplies(profile, details) {
+  const appliesTo = profile.appliesTo || {};
+  const matches = (list, value) => !list || list.length === 0 || list.includes(value);
+  return matches(appliesTo.workflowIds, details.workflowId) &&
+         matches(appliesTo.dealerIds, details.dealerId) &&
+         matches(appliesTo.customerTypes, details.customerType);
+}
+
+/**
+ * Check a profile is consistent before it is stored
+ * Throws an Error listing every problem found
+ */
+function validateRequirementProfile(profile) {
+  const problems = [];
+  const documents = profile.documents || [];
+  const types = documents.map(doc => doc.type);
+
+  if (!profile.id) problems.push('id is required');
+  if (!profile.name) problems.push('name is required');
+  if (documents.length === 0) problems.push('at least one document is required');
+  if (new Set(types).size !== types.length) problems.push('document types must be unique');
+
+  documents.forEach((doc, index) => {
+    const name = `document ${index + 1} (${doc.type})`;
+    if (!doc.type || !/^[A-Z][A-Z0-9_]*$/.test(doc.type)) {
+      problems.push(`${name} type must be UPPER_SNAKE_CASE`);
+    }
+    if (!Object.values(REQUIREMENT).includes(doc.requirement)) {
+      problems.push(`${name} has unknown requirement "${doc.requirement}"`);
+    }
+    if (doc.requirement === REQUIREMENT.CONDITIONAL) {
+      if (!doc.condition || !CONDITION_FIELDS.includes(doc.condition.field)) {
+        problems.push(`${name} condition must test one of ${CONDITION_FIELDS.join(', ')}`);
+      } else if (doc.condition.equals === undefined && !Array.isArray(doc.condition.in)) {
+        problems.push(`${name} condition needs "equals" or "in"`);
+      }
+    }
+    if (doc.upload) {
+      const unknownFormats = (doc.upload.formats || []).filter(format => !FILE_FORMATS[format]);
+      if (unknownFormats.length > 0) {
+        problems.push(`${name} has unknown upload format(s) ${unknownFormats.join(', ')} (known: ${Object.keys(FILE_FORMATS).join(', ')})`);
+      }
+      if (doc.upload.formats && doc.upload.formats.length === 0) {
+        problems.push(`${name} must allow at least one upload format`);
+      }
+      ['maxSizeMb', 'maxPages'].forEach(limit => {
+        if (doc.upload[limit] !== undefined && !(doc.upload[limit] > 0)) {
+          problems.push(`${name} upload ${limit} must be a positive number`);
+        }
+      });
+    }
+    if (doc.files) {
+      const { min, max } = { ...DEFAULT_FILE_COUNT, ...doc.files };
+      if (!Number.isInteger(min) || min < 1) {
+        problems.push(`${name} files.min must be a whole number of at least 1`);
+      }
+      if (!Number.isInteger(max) || max < min) {
+        problems.push(`${name} files.max must be a whole number no smaller than files.min`);
+      }
+    }
+    if (doc.mergeImages !== undefined && typeof doc.mergeImages !== 'boolean') {
+      problems.push(`${name} mergeImages must be true or false`);
+    }
+    if (doc.checks !== undefined) {
+      validateChecks(doc.checks, doc.type).forEach(problem => problems.push(`${name} ${problem}`));
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid requirement profile: ${problems.join('; ')}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_REQUIREMENT_PROFILE_ID,
+  REQUIREMENT,
+  DEFAULT_FILE_COUNT,
+  BUILT_IN_REQUIREMENT_PROFILES,
+  resolveRequirements,
+  profileApplies,
+  validateRequirementProfile
+};
@@ -0,0 +1,22 @@
+/**
+ * Upload Session Model
+ *
+ * A resumable upload (services/resumableUploadService.js): the customer declares the
+ * file, sends it in chunks that are stored as they arrive, and finishes it once every
+ * byte is there. Only then does it become a document version.
+ */
+
+/**
+ * Upload session status values
+ */
+const UPLOAD_SESSION_STATUS = {
+  ACTIVE: 'ACTIVE',         // Taking chunks
+  FINALIZING: 'FINALIZING', // Being finished (claimed by one finalize call at claimedAt; back to ACTIVE if it breaks off)
+  COMPLETED: 'COMPLETED',   // Finished; documentId is the document it became
+  ABORTED: 'ABORTED',       // Cancelled by the customer, or expired before it was finished
+  FAILED: 'FAILED'          // The finished file did not pass the upload rules
+};
+
+module.exports = {
+  UPLOAD_SESSION_STATUS
+};
@@ -0,0 +1,218 @@
+/**
+ * Workflow Definitions
+ *
+ * Each product line (vehicle finance, cash purchase, leasing, trade-in) has its own
+ * workflow: the statuses a request moves through, the transitions between them and
+ * which roles may trigger each transition.
+ *
+ * These built-in definitions are used unless a definition with the same id is stored
+ * in the 'workflows' collection (see repositories/workflowRepository.js and
+ * scripts/seedWorkflows.js).
+ *
+ * Definition shape:
+ * {
+ *   id, name,
+ *   initialStatus: 'OPEN',
+ *   slaHours: 144,                       // expiry job moves requests to EXPIRE target after this
+ *   statuses: [{ id, label, phase, terminal, color: { bg, color } }],
+ *   transitions: [{ action, from: [statusId], to: statusId, roles: [role] }]
+ * }
+ *
+ * Actions are the workflow engine actions (SUBMIT, APPROVE, REJECT, EXPIRE, REOPEN, CHANGE_STATUS).
+ * Roles are 'customer', 'agent', 'manager' and 'system' (scheduled jobs).
+ */
+
+const { REQUEST_STATUS } = require('./request');
+
+/**
+ * Status phases tell the rest of the system how to treat a status,
+ * whatever it is called in a given workflow
+ */
+const STATUS_PHASE = {
+  COLLECTING: 'collecting', // Customer uploads documents and submits
+  REVIEW: 'review',         // Documents are with the dealer (review, credit check, ...)
+  COMPLETED: 'completed',   // Finished
+  EXPIRED: 'expired'        // SLA passed, read-only until reopened
+};
+
+const DEFAULT_WORKFLOW_ID = 'vehicle-finance';
+
+// SLA of workflows that do not set slaHours
+const DEFAULT_SLA_HOURS = 144; // 6 days
+
+const STAFF = ['agent', 'manager'];
+
+// Statuses shared by every built-in workflow
+const OPEN = { id: REQUEST_STATUS.OPEN, label: 'Open', phase: STATUS_PHASE.COLLECTING, terminal: false, color: { bg: '#d1ecf1', color: '#0c5460' } };
+const IN_PROGRESS = { id: REQUEST_STATUS.IN_PROGRESS, label: 'In Progress', phase: STATUS_PHASE.COLLECTING, terminal: false, color: { bg: '#fff3cd', color: '#856404' } };
+const SUBMITTED = { id: REQUEST_STATUS.SUBMITTED, label: 'Submitted', phase: STATUS_PHASE.REVIEW, terminal: false, color: { bg: '#cce5ff', color: '#004085' } };
+const COMPLETED = { id: REQUEST_STATUS.COMPLETED, label: 'Completed', phase: STATUS_PHASE.COMPLETED, terminal: true, color: { bg: '#d4edda', color: '#155724' } };
+const EXPIRED = { id: REQUEST_STATUS.EXPIRED, label: 'Expired', phase: STATUS_PHASE.EXPIRED, terminal: false, color: { bg: '#f8d7da', color: '#721c24' } };
+
+/**
+ * Transitions every built-in workflow shares: manual OPEN <-> IN_PROGRESS,
+ * customer submission, expiry of non-final statuses and reopening
+ */
+function commonTransitions(activeStatuses) {
+  return [
+    { action: 'CHANGE_STATUS', from: [OPEN.id], to: IN_PROGRESS.id, roles: ['agent'] },
+    { action: 'CHANGE_STATUS', from: [IN_PROGRESS.id], to: OPEN.id, roles: ['agent'] },
+    { action: 'SUBMIT', from: [OPEN.id, IN_PROGRESS.id], to: SUBMITTED.id, roles: ['customer'] },
+    { action: 'EXPIRE', from: activeStatuses, to: EXPIRED.id, roles: ['system'] },
+    { action: 'REOPEN', from: [EXPIRED.id], to: OPEN.id, roles: STAFF }
+  ];
+}
+
+const BUILT_IN_WORKFLOWS = [
+  {
+    id: 'vehicle-finance',
+    name: 'Vehicle Finance',
+    initialStatus: OPEN.id,
+    slaHours: 144,
+    statuses: [OPEN, IN_PROGRESS, SUBMITTED, COMPLETED, EXPIRED],
+    transitions: [
+      ...commonTransitions([OPEN.id, IN_PROGRESS.id, SUBMITTED.id]),
+      { action: 'APPROVE', from: [SUBMITTED.id], to: COMPLETED.id, roles: STAFF },
+      { action: 'REJECT', from: [SUBMITTED.id], to: IN_PROGRESS.id, roles: STAFF }
+    ]
+  },
+  {
+    id: 'cash-purchase',
+    name: 'Cash Purchase',
+    initialStatus: OPEN.id,
+    slaHours: 144,
+    statuses: [
+      OPEN, IN_PROGRESS, SUBMITTED,
+      { id: 'AWAITING_PAYMENT', label: 'Awaiting Payment', phase: STATUS_PHASE.REVIEW, terminal: false, color: { bg: '#e2d9f3', color: '#432874' } },
+      COMPLETED, EXPIRED
+    ],
+    transitions: [
+      ...commonTransitions([OPEN.id, IN_PROGRESS.id, SUBMITTED.id]),
+      { action: 'APPROVE', from: [SUBMITTED.id], to: 'AWAITING_PAYMENT', roles: STAFF },
+      { action: 'REJECT', from: [SUBMITTED.id], to: IN_PROGRESS.id, roles: STAFF },
+      { action: 'CHANGE_STATUS', from: ['AWAITING_PAYMENT'], to: COMPLETED.id, roles: STAFF }
+    ]
+  },
+  {
+    id: 'leasing',
+    name: 'Leasing',
+    initialStatus: OPEN.id,
+    slaHours: 240,
+    statuses: [
+      OPEN, IN_PROGRESS, SUBMITTED,
+      { id: 'CREDIT_CHECK', label: 'Credit Check', phase: STATUS_PHASE.REVIEW, terminal: false, color: { bg: '#ffe5d0', color: '#8a3c00' } },
+      { id: 'CONTRACT_SENT', label: 'Contract Sent', phase: STATUS_PHASE.REVIEW, terminal: false, color: { bg: '#d2f4ea', color: '#0f5132' } },
+      COMPLETED, EXPIRED
+    ],
+    transitions: [
+      ...commonTransitions([OPEN.id, IN_PROGRESS.id, SUBMITTED.id, 'CREDIT_CHECK', 'CONTRACT_SENT']),
+      { action: 'CHANGE_STATUS', from: [SUBMITTED.id], to: 'CREDIT_CHECK', roles: STAFF },
+      { action: 'CHANGE_STATUS', from: ['CREDIT_CHECK'], to: 'CONTRACT_SENT', roles: STAFF },
+      { action: 'REJECT', from: [SUBMITTED.id, 'CREDIT_CHECK'], to: IN_PROGRESS.id, roles: STAFF },
+      { action: 'APPROVE', from: ['CONTRACT_SENT'], to: COMPLETED.id, roles: STAFF }
+    ]
+  },
+  {
+    id: 'trade-in',
+    name: 'Trade-In',
+    initialStatus: OPEN.id,
+    slaHours: 144,
+    statuses: [
+      OPEN, IN_PROGRESS, SUBMITTED,
+      { id: 'VALUATION', label: 'Valuation', phase: STATUS_PHASE.REVIEW, terminal: false, color: { bg: '#fde2e4', color: '#842029' } },
+      COMPLETED, EXPIRED
+    ],
+    transitions: [
+      ...commonTransitions([OPEN.id, IN_PROGRESS.id, SUBMITTED.id, 'VALUATION']),
+      { action: 'CHANGE_STATUS', from: [SUBMITTED.id], to: 'VALUATION', roles: STAFF },
+      { action: 'REJECT', from: [SUBMITTED.id, 'VALUATION'], to: IN_PROGRESS.id, roles: STAFF },
+      { action: 'APPROVE', from: ['VALUATION'], to: COMPLETED.id, roles: STAFF }
+    ]
+  }
+];
+
+/**
+ * Get a status definition from a workflow
+ */
+function getStatusDefinition(workflow, statusId) {
+  return workflow.statuses.find(status => status.id === statusId) || null;
+}
+
+/**
+ * Get the phase of a status (null if the workflow does not know the status)
+ */
+function getStatusPhase(workflow, statusId) {
+  const status = getStatusDefinition(workflow, statusId);
+  return status ? status.phase : null;
+}
+
+/**
+ * Reminders apply while the customer is collecting documents or the dealer is reviewing them
+ */
+function isReminderEligible(workflow, statusId) {
+  return [STATUS_PHASE.COLLECTING, STATUS_PHASE.REVIEW].includes(getStatusPhase(workflow, statusId));
+}
+
+/**
+ * Transitions for an action that start from the given status
+ */
+function findTransitions(workflow, action, fromStatus) {
+  return workflow.transitions.filter(transition =>
+    transition.action === action && transition.from.includes(fromStatus)
+  );
+}
+
+/**
+ * Check a definition is consistent before it is stored
+ * Throws an Error listing every problem found
+ */
+function validateWorkflowDefinition(workflow) {
+  const problems = [];
+  const statusIds = (workflow.statuses || []).map(status => status.id);
+  const phases = Object.values(STATUS_PHASE);
+
+  if (!workflow.id) problems.push('id is required');
+  if (!workflow.name) problems.push('name is required');
+  if (statusIds.length === 0) problems.push('at least one status is required');
+  if (new Set(statusIds).size !== statusIds.length) problems.push('status ids must be unique');
+  if (!statusIds.includes(workflow.initialStatus)) problems.push(`initialStatus "${workflow.initialStatus}" is not a status`);
+
+  (workflow.statuses || []).forEach(status => {
+    if (!phases.includes(status.phase)) {
+      problems.push(`status ${status.id} has unknown phase "${status.phase}"`);
+    }
+  });
+
+  (workflow.transitions || []).forEach((transition, index) => {
+    const name = `transition ${index + 1} (${transition.action})`;
+    if (!statusIds.includes(transition.to)) {
+      problems.push(`${name} goes to unknown status "${transition.to}"`);
+    }
+    (transition.from || []).forEach(from => {
+      if (!statusIds.includes(from)) {
+        problems.push(`${name} starts from unknown status "${from}"`);
+      } else if (getStatusDefinition(workflow, from).terminal) {
+        problems.push(`${name} starts from terminal status "${from}"`);
+      }
+    });
+    if (!Array.isArray(transition.roles) || transition.roles.length === 0) {
+      problems.push(`${name} must list the roles that may trigger it`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid workflow definition: ${problems.join('; ')}`);
+  }
+}
+
+module.exports = {
+  STATUS_PHASE,
+  DEFAULT_WORKFLOW_ID,
+  DEFAULT_SLA_HOURS,
+  BUILT_IN_WORKFLOWS,
+  getStatusDefinition,
+  getStatusPhase,
+  isReminderEligible,
+  findTransitions,
+  validateWorkflowDefinition
+};
@@ -0,0 +1,35 @@
+/**
+ * OCR Engines
+ * 
+ * Selects the engine that reads text from uploaded ID and licence documents.
+ * 
+ * Configure with OCR_ENGINE:
+ * - 'none' (default): no OCR, documents get no extracted fields
+ * - 'tesseract': the Tesseract command line tool on this machine (TESSERACT_PATH, TESSERACT_LANG)
+ * 
+ * Every engine exposes the same interface:
+ * - name                             -> engine name recorded on documents
+ * - recognize(imageBuffer)           -> { text, confidence, lines: [{ text, confidence }] } or null
+ *     confidence values are 0..1; null means the engine does not read text
+ *     throws if the engine fails; the document is then marked as not extracted
+ */
+
+require('dotenv').config();
+
+const ENGINES = {
+  none: () => require('./noneEngine'),
+  tesseract: () => require('./tesseractEngine')
+};
+
+const engineName = (process.env.OCR_ENGINE || 'none').toLowerCase();
+
+if (!ENGINES[engineName]) {
+  throw new Error(`Unknown OCR_ENGINE "${engineName}". Use one of: ${Object.keys(ENGINES).join(', ')}`);
+}
+
+const engine = ENGINES[engineName]();
+
+module.exports = {
+  engineName,
+  ...engine
+};
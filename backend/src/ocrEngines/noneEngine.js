@@ -0,0 +1,17 @@
+/**
+ * No-op OCR Engine
+ * 
+ * Reads nothing; agents type the document fields themselves.
+ */
+
+/**
+ * Recognise text (never)
+ */
+async function recognize() {
+  return null;
+}
+
+module.exports = {
+  name: 'none',
+  recognize
+};
@@ -0,0 +1,77 @@
+/**
+ * Tesseract OCR Engine
+ * 
+ * Runs the tesseract command line tool (https://github.com/tesseract-ocr/tesseract)
+ * and reads its TSV output, which has one row per recognised word with a 0-100 confidence.
+ * Words are grouped back into lines so fields can be found next to their printed labels.
+ * 
+ * Configure with:
+ * - TESSERACT_PATH: the binary (default "tesseract" on the PATH)
+ * - TESSERACT_LANG: language data to use (default "eng")
+ * - OCR_TIMEOUT_MS: give up after this long (default 60000)
+ */
+
+const { execFile } = require('child_process');
+
+const timeoutMs = parseInt(process.env.OCR_TIMEOUT_MS || '60000', 10);
+
+/**
+ * Run tesseract on an image (read from stdin) and return its TSV output
+ */
+function runTesseract(imageBuffer) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(
+      process.env.TESSERACT_PATH || 'tesseract',
+      ['stdin', 'stdout', '-l', process.env.TESSERACT_LANG || 'eng', 'tsv'],
+      { timeout: timeoutMs, maxBuffer: 20 * 1024 * 1024 },
+      (error, stdout) => (error ? reject(new Error(`tesseract failed: ${error.message}`)) : resolve(stdout))
+    );
+    child.stdin.on('error', () => {}); // reported through the exit callback
+    child.stdin.end(imageBuffer);
+  });
+}
+
+/**
+ * Group TSV word rows into lines of text
+ */
+function parseTsv(tsv) {
+  const lines = new Map();
+
+  tsv.split('\n').slice(1).forEach(row => {
+    const columns = row.split('\t');
+    if (columns.length < 12 || columns[0] !== '5') return; // level 5 = word
+    const text = columns.slice(11).join('\t').trim();
+    const confidence = parseFloat(columns[10]);
+    if (!text || confidence < 0) return;
+
+    const lineKey = columns.slice(1, 5).join('-'); // page, block, paragraph, line
+    if (!lines.has(lineKey)) lines.set(lineKey, []);
+    lines.get(lineKey).push({ text, confidence: confidence / 100 });
+  });
+
+  return [...lines.values()].map(words => ({
+    text: words.map(word => word.text).join(' '),
+    confidence: words.reduce((sum, word) => sum + word.confidence, 0) / words.length
+  }));
+}
+
+/**
+ * Recognise the text of an image
+ */
+async function recognize(imageBuffer) {
+  const lines = parseTsv(await runTesseract(imageBuffer));
+  const confidence = lines.length > 0
+    ? lines.reduce((sum, line) => sum + line.confidence, 0) / lines.length
+    : 0;
+
+  return {
+    text: lines.map(line => line.text).join('\n'),
+    confidence,
+    lines
+  };
+}
+
+module.exports = {
+  name: 'tesseract',
+  recognize
+};
@@ -0,0 +1,128 @@
+/**
+ * Firestore Adapter
+ * 
+ * Persistence adapter backed by Firebase Firestore (Admin SDK)
+ */
+
+const { db } = require('../firebase');
+
+/**
+ * Convert a Firestore document snapshot into a plain record
+ */
+function toRecord(doc) {
+  return {
+    id: doc.id,
+    ...doc.data()
+  };
+}
+
+/**
+ * Generate a new document ID for a collection
+ */
+function generateId(collection) {
+  return db.collection(collection).doc().id;
+}
+
+/**
+ * Get a single record by ID
+ */
+async function get(collection, id) {
+  const doc = await db.collection(collection).doc(id).get();
+  if (!doc.exists) {
+    return null;
+  }
+  return toRecord(doc);
+}
+
+/**
+ * Create or overwrite a record (or merge into it with { merge: true })
+ */
+async function set(collection, id, data, options = {}) {
+  const ref = db.collection(collection).doc(id);
+  if (options.merge) {
+    await ref.set(data, { merge: true });
+  } else {
+    await ref.set(data);
+  }
+}
+
+/**
+ * Update fields on an existing record
+ */
+async function update(collection, id, updates) {
+  await db.collection(collection).doc(id).update(updates);
+}
+
+/**
+ * Delete a record
+ */
+async function remove(collection, id) {
+  await db.collection(collection).doc(id).delete();
+}
+
+/**
+ * Build a Firestore query from equality/range filters, ordering and a limit
+ */
+function buildQuery(collection, options = {}) {
+  let ref = db.collection(collection);
+
+  for (const [field, op, value] of options.where || []) {
+    ref = ref.where(field, op, value);
+  }
+  if (options.orderBy) {
+    const [field, direction = 'asc'] = options.orderBy;
+    ref = ref.orderBy(field, direction);
+  }
+  if (options.limit) {
+    ref = ref.limit(options.limit);
+  }
+  return ref;
+}
+
+/**
+ * Query a collection with equality/range filters, ordering and a limit
+ */
+async function query(collection, options = {}) {
+  const snapshot = await buildQuery(collection, options).get();
+  return snapshot.docs.map(toRecord);
+}
+
+/**
+ * Run reads and writes atomically
+ */
+async function runTransaction(fn) {
+  return db.runTransaction(async (transaction) => {
+    const tx = {
+      get: async (collection, id) => {
+        const doc = await transaction.get(db.collection(collection).doc(id));
+        return doc.exists ? toRecord(doc) : null;
+      },
+      query: async (collection, options) => {
+        const snapshot = await transaction.get(buildQuery(collection, options));
+        return snapshot.docs.map(toRecord);
+      },
+      set: (collection, id, data, options = {}) => {
+        const ref = db.collection(collection).doc(id);
+        if (options.merge) {
+          transaction.set(ref, data, { merge: true });
+        } else {
+          transaction.set(ref, data);
+        }
+      },
+      update: (collection, id, updates) => {
+        transaction.update(db.collection(collection).doc(id), updates);
+      }
+    };
+    return fn(tx);
+  });
+}
+
+module.exports = {
+  generateId,
+  get,
+  set,
+  update,
+  remove,
+  query,
+  runTransaction
+};
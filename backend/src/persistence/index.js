@@ -0,0 +1,44 @@
+/**
+ * Persistence Layer
+ * 
+ * Selects the storage adapter the repositories read and write through.
+ * 
+ * Configure with PERSISTENCE_DRIVER:
+ * - 'firestore' (default): Firebase Firestore via the Admin SDK
+ * - 'memory': local in-process store, optionally saved to PERSISTENCE_FILE
+ * 
+ * Every adapter exposes the same interface:
+ * - generateId(collection)
+ * - get(collection, id)                      -> { id, ...data } or null
+ * - set(collection, id, data, { merge })      -> merge combines nested objects key by key
+ * - update(collection, id, updates)          -> throws if the record does not exist;
+ *     replaces each top-level field it names, a dotted key ('a.b') sets one nested field
+ * - remove(collection, id)
+ * - query(collection, { where, orderBy, limit }) -> [{ id, ...data }]
+ *     where:   [[field, op, value], ...]  (op: ==, !=, <, <=, >, >=, in, array-contains)
+ *     orderBy: [field, 'asc' | 'desc']
+ * - runTransaction(async (tx) => { tx.get(collection, id); tx.query(collection, options);
+ *                                  tx.set(collection, id, data, { merge }); tx.update(collection, id, updates) })
+ *     reads (get, query) come before writes; Firestore retries a transaction whose reads were
+ *     changed by another one, memory transactions run one at a time
+ */
+
+require('dotenv').config();
+
+const DRIVERS = {
+  firestore: () => require('./firestoreAdapter'),
+  memory: () => require('./memoryAdapter')
+};
+
+const driverName = (process.env.PERSISTENCE_DRIVER || 'firestore').toLowerCase();
+
+if (!DRIVERS[driverName]) {
+  throw new Error(`Unknown PERSISTENCE_DRIVER "${driverName}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+}
+
+const adapter = DRIVERS[driverName]();
+
+module.exports = {
+  driverName,
+  ...adapter
+};
@@ -0,0 +1,277 @@
+/**
+ * Memory Adapter
+ *
+ * Local persistence adapter for laptops and offline test environments.
+ * Data lives in process memory; set PERSISTENCE_FILE to keep it in a JSON file
+ * between runs (so the server, cron jobs and scripts/ tools see the same data).
+ *
+ * Note: the file is re-written after every change and only read on startup,
+ * so run one writer process at a time.
+ *
+ * Nested fields follow Firestore:
+ * - set(..., { merge: true }) merges nested objects key by key (arrays and Dates are replaced)
+ * - update() replaces each top-level field it names; a dotted key ('a.b') updates one nested field
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const ID_LENGTH = 20;
+
+const filePath = process.env.PERSISTENCE_FILE ? path.resolve(process.env.PERSISTENCE_FILE) : null;
+
+// collection name -> Map(id -> data)
+const collections = new Map();
+
+// Transactions are serialised through this promise chain
+let transactionQueue = Promise.resolve();
+
+/**
+ * Dates are stored as { $date: ISO string } in the JSON file so they load back as Date objects
+ */
+function replacer(key, value) {
+  const raw = this[key];
+  if (raw instanceof Date) {
+    return { $date: raw.toISOString() };
+  }
+  return value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === 'object' && typeof value.$date === 'string') {
+    return new Date(value.$date);
+  }
+  return value;
+}
+
+function load() {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return;
+  }
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'), reviver);
+  Object.entries(data).forEach(([name, records]) => {
+    collections.set(name, new Map(Object.entries(records)));
+  });
+}
+
+function save() {
+  if (!filePath) {
+    return;
+  }
+  const data = {};
+  collections.forEach((records, name) => {
+    data[name] = Object.fromEntries(records);
+  });
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, replacer, 2));
+}
+
+function getCollection(name) {
+  if (!collections.has(name)) {
+    collections.set(name, new Map());
+  }
+  return collections.get(name);
+}
+
+/**
+ * Compare Dates by value, everything else as-is
+ */
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function matches(data, [field, op, value]) {
+  const actual = comparable(data[field]);
+  const expected = comparable(value);
+
+  switch (op) {
+    case '==':
+      return actual === expected;
+    case '!=':
+      // Firestore excludes records that do not have the field at all
+      return data[field] !== undefined && actual !== expected;
+    case '<':
+      return actual < expected;
+    case '<=':
+      return actual <= expected;
+    case '>':
+      return actual > expected;
+    case '>=':
+      return actual >= expected;
+    case 'in':
+      return value.map(comparable).includes(actual);
+    case 'array-contains':
+      return Array.isArray(data[field]) && data[field].map(comparable).includes(expected);
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Merge data into an existing record, nested objects key by key
+ */
+function deepMerge(target, source) {
+  const result = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  });
+  return result;
+}
+
+/**
+ * Apply update() fields: top-level keys replace the field, 'a.b' keys set one nested field
+ */
+function applyUpdates(target, updates) {
+  const result = structuredClone(target);
+  Object.entries(updates).forEach(([key, value]) => {
+    const fieldPath = key.split('.');
+    let parent = result;
+    fieldPath.slice(0, -1).forEach(part => {
+      if (!isPlainObject(parent[part])) {
+        parent[part] = {};
+      }
+      parent = parent[part];
+    });
+    parent[fieldPath[fieldPath.length - 1]] = value;
+  });
+  return result;
+}
+
+/**
+ * Generate a new record ID (same shape as Firestore auto IDs)
+ */
+function generateId() {
+  const bytes = crypto.randomBytes(ID_LENGTH);
+  let id = '';
+  for (let i = 0; i < ID_LENGTH; i++) {
+    id += ID_ALPHABET[bytes[i] % ID_ALPHABET.length];
+  }
+  return id;
+}
+
+/**
+ * Get a single record by ID
+ */
+async function get(collection, id) {
+  const data = getCollection(collection).get(id);
+  if (!data) {
+    return null;
+  }
+  return { id, ...structuredClone(data) };
+}
+
+/**
+ * Create or overwrite a record (or merge into it with { merge: true })
+ */
+async function set(collection, id, data, options = {}) {
+  const records = getCollection(collection);
+  const existing = options.merge ? records.get(id) || {} : {};
+  records.set(id, deepMerge(existing, structuredClone(data)));
+  save();
+}
+
+/**
+ * Update fields on an existing record
+ */
+async function update(collection, id, updates) {
+  const records = getCollection(collection);
+  if (!records.has(id)) {
+    throw new Error(`No record to update: ${collection}/${id}`);
+  }
+  records.set(id, applyUpdates(records.get(id), structuredClone(updates)));
+  save();
+}
+
+/**
+ * Delete a record
+ */
+async function remove(collection, id) {
+  getCollection(collection).delete(id);
+  save();
+}
+
+/**
+ * Query a collection with equality/range filters, ordering and a limit
+ */
+async function query(collection, options = {}) {
+  const filters = options.where || [];
+  let results = [];
+
+  getCollection(collection).forEach((data, id) => {
+    if (filters.every(filter => matches(data, filter))) {
+      results.push({ id, ...structuredClone(data) });
+    }
+  });
+
+  if (options.orderBy) {
+    const [field, direction = 'asc'] = options.orderBy;
+    const sign = direction === 'desc' ? -1 : 1;
+    results.sort((a, b) => {
+      const valueA = comparable(a[field]);
+      const valueB = comparable(b[field]);
+      if (valueA === valueB) return 0;
+      return valueA > valueB ? sign : -sign;
+    });
+  }
+
+  if (options.limit) {
+    results = results.slice(0, options.limit);
+  }
+
+  return results;
+}
+
+/**
+ * Run reads and writes atomically
+ * Writes are buffered and applied only if the callback succeeds
+ */
+async function runTransaction(fn) {
+  const run = transactionQueue.then(async () => {
+    const writes = [];
+    const tx = {
+      get: (collection, id) => get(collection, id),
+      query: (collection, options) => query(collection, options),
+      set: (collection, id, data, options = {}) => {
+        writes.push({ collection, id, apply: () => set(collection, id, data, options) });
+      },
+      update: (collection, id, updates) => {
+        // Checked now so a missing record fails the transaction before anything is written
+        const setEarlier = writes.some(write => write.collection === collection && write.id === id);
+        if (!getCollection(collection).has(id) && !setEarlier) {
+          throw new Error(`No record to update: ${collection}/${id}`);
+        }
+        writes.push({ collection, id, apply: () => update(collection, id, updates) });
+      }
+    };
+
+    const result = await fn(tx);
+    for (const write of writes) {
+      await write.apply();
+    }
+    return result;
+  });
+
+  // Keep the queue alive even if this transaction fails
+  transactionQueue = run.catch(() => {});
+  return run;
+}
+
+load();
+
+module.exports = {
+  generateId,
+  get,
+  set,
+  update,
+  remove,
+  query,
+  runTransaction
+};
@@ -1,21 +1,20 @@
 /**
  * Audit Log Repository
  * 
- * Handles all Firestore operations for the 'auditLogs' collection
+ * Handles all database operations for the 'auditLogs' collection
  * 
  * Audit logs track all important actions in the system for compliance and debugging
  */
 
-const { db } = require('../firebase');
+const db = require('../persistence');
 
 /**
  * Create a new audit log entry
  */
 async function createAuditLog(logData) {
-  const logRef = db.collection('auditLogs').doc();
-  const logId = logRef.id;
+  const logId = db.generateId('auditLogs');
   
-  await logRef.set({
+  await db.set('auditLogs', logId, {
     id: logId,
     actorId: logData.actorId, // User ID or 'system'
     action: logData.action,   // e.g., 'REQUEST_CREATED', 'CUSTOMER_SUBMITTED'
@@ -36,35 +35,58 @@ async function createAuditLog(logData) {
  * Get all audit logs for a specific request
  */
 async function getAuditLogsByRequestId(requestId) {
-  const snapshot = await db.collection('auditLogs')
-    .where('requestId', '==', requestId)
-    .orderBy('timestamp', 'desc')
-    .get();
-  
-  return snapshot.docs.map(doc => ({
-    id: doc.id,
-    ...doc.data()
-  }));
+  return db.query('auditLogs', {
+    where: [['requestId', '==', requestId]],
+    orderBy: ['timestamp', 'desc']
+  });
 }
 
 /**
  * Get audit logs by actor (user)
  */
 async function getAuditLogsByActorId(actorId) {
-  const snapshot = await db.collection('auditLogs')
-    .where('actorId', '==', actorId)
-    .orderBy('timestamp', 'desc')
-    .get();
-  
-  return snapshot.docs.map(doc => ({
-    id: doc.id,
-    ...doc.data()
-  }));
+  return db.query('auditLogs', {
+    where: [['actorId', '==', actorId]],
+    orderBy: ['timestamp', 'desc']
+  });
+}
+
+/**
+ * Get audit logs for an action (e.g. 'REVIEW_REJECTED'), newest first
+ * The date range is part of the query, so only logs in it are read
+ * (Firestore needs the auditLogs index on action + timestamp, see firestore.indexes.json)
+ */
+async function getAuditLogsByAction(action, { startDate, endDate } = {}) {
+  const where = [['action', '==', action]];
+  if (startDate) {
+    where.push(['timestamp', '>=', startDate]);
+  }
+  if (endDate) {
+    where.push(['timestamp', '<=', endDate]);
+  }
+
+  return db.query('auditLogs', {
+    where,
+    orderBy: ['timestamp', 'desc']
+  });
+}
+
+/**
+ * Delete all audit logs for a specific request
+ */
+async function deleteAuditLogsByRequestId(requestId) {
+  const logs = await db.query('auditLogs', {
+    where: [['requestId', '==', requestId]]
+  });
+  await Promise.all(logs.map(log => db.remove('auditLogs', log.id)));
+  return logs.length;
 }
 
 module.exports = {
   createAuditLog,
   getAuditLogsByRequestId,
-  getAuditLogsByActorId
+  getAuditLogsByActorId,
+  getAuditLogsByAction,
+  deleteAuditLogsByRequestId
 };
 
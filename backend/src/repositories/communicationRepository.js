@@ -0,0 +1,90 @@
+/**
+ * Communication Repository
+ *
+ * Handles all database operations for the 'communications' collection: the log of
+ * messages, calls and other contacts with each request's customer (see models/communication.js)
+ */
+
+const db = require('../persistence');
+const { COMMUNICATION_TYPE } = require('../models/communication');
+
+/**
+ * Convert Firestore timestamp to ISO string for JSON serialization
+ */
+function convertTimestamp(timestamp) {
+  if (!timestamp) return null;
+  if (timestamp.toDate) {
+    return timestamp.toDate().toISOString();
+  }
+  if (timestamp instanceof Date) {
+    return timestamp.toISOString();
+  }
+  return timestamp;
+}
+
+/**
+ * Record a communication
+ */
+async function createCommunication(communicationData) {
+  const communicationId = db.generateId('communications');
+  const createdAt = new Date();
+
+  const communication = {
+    id: communicationId,
+    requestId: communicationData.requestId,
+    type: communicationData.type || COMMUNICATION_TYPE.MESSAGE,
+    direction: communicationData.direction,
+    channel: communicationData.channel,     // see COMMUNICATION_CHANNEL
+    templateId: communicationData.templateId || null,
+    to: communicationData.to || null,
+    subject: communicationData.subject || null,
+    text: communicationData.text || null,   // message text, or the summary of a call or contact
+    status: communicationData.status || null, // delivery status of messages
+    outcome: communicationData.outcome || null, // outcome of calls
+    sender: communicationData.sender || null, // message sender that handled it (local, smtp, ...)
+    providerMessageId: communicationData.providerMessageId || null,
+    error: communicationData.error || null,
+    actorId: communicationData.actorId,       // Author: user ID, 'system' or 'customer'
+    occurredAt: communicationData.occurredAt || createdAt, // when it happened (calls may be logged later)
+    createdAt
+  };
+
+  await db.set('communications', communicationId, communication);
+
+  return communication;
+}
+
+/**
+ * Get the communication log of a request, most recent first (by when it happened)
+ */
+async function getCommunicationsByRequestId(requestId) {
+  const records = await db.query('communications', {
+    where: [['requestId', '==', requestId]]
+  });
+
+  return records
+    .map(data => ({
+      ...data,
+      type: data.type || COMMUNICATION_TYPE.MESSAGE,
+      occurredAt: convertTimestamp(data.occurredAt || data.createdAt),
+      createdAt: convertTimestamp(data.createdAt)
+    }))
+    .sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt));
+}
+
+/**
+ * Delete the communication log of a request
+ */
+async function deleteCommunicationsByRequestId(requestId) {
+  const records = await db.query('communications', {
+    where: [['requestId', '==', requestId]]
+  });
+  await Promise.all(records.map(record => db.remove('communications', record.id)));
+  return records.length;
+}
+
+module.exports = {
+  createCommunication,
+  getCommunicationsByRequestId,
+  deleteCommunicationsByRequestId
+};
@@ -1,48 +1,142 @@
 /**
  * Document Repository
  * 
- * Handles all Firestore operations for the 'documents' collection
+ * Handles all database operations for the 'documents' collection
+ *
+ * Every upload is kept as a version. A document type may hold several files (fileId,
+ * see models/document.js); the versions of one file are numbered from 1 and the latest
+ * one has isCurrent = true and is the one that counts for completion, the customer
+ * portal and review. A file the customer removes keeps its versions, none of them
+ * current (removedAt is set on the last one). Records written before versioning
+ * have no isCurrent field and are treated as current.
  */
 
-const { db } = require('../firebase');
-const { DOCUMENT_TYPES } = require('../models/request');
+const db = require('../persistence');
+const { DOCUMENT_REVIEW_STATUS, DOCUMENT_SCAN_STATUS, getDocumentReviewStatus, getDocumentScanStatus, getDocumentFileId } = require('../models/document');
+const { UPLOAD_ERROR } = require('../models/fileFormats');
 
 /**
- * Create a new document entry
+ * Build the record of a new current version
  */
-async function createDocument(documentData) {
-  const docRef = db.collection('documents').doc();
-  const docId = docRef.id;
-  
-  await docRef.set({
+function newDocumentRecord(docId, documentData) {
+  const uploadedAt = new Date();
+  return {
     id: docId,
     requestId: documentData.requestId,
     type: documentData.type,
+    fileId: documentData.fileId || docId,
+    // When the file (its first version) was added; orders the files of a type
+    fileAddedAt: documentData.fileAddedAt || uploadedAt,
     storagePath: documentData.storagePath,
     downloadUrl: documentData.downloadUrl || null,
-    uploadedAt: new Date(),
-    checksum: documentData.checksum || null
-  });
-  
-  return {
-    id: docId,
-    ...documentData,
-    uploadedAt: new Date()
+    uploadedAt,
+    checksum: documentData.checksum || null,
+    version: documentData.version || 1,
+    isCurrent: true,
+    uploaderIp: documentData.uploaderIp || null,
+    originalName: documentData.originalName || null,
+    contentType: documentData.contentType || null,
+    size: documentData.size || null,
+    pages: documentData.pages || null,
+    // A PDF whose pages could not be counted, so the page limit was not applied
+    pagesUnchecked: documentData.pagesUnchecked || false,
+    // Photo quality metrics and warnings measured on upload (services/imageQualityService.js)
+    quality: documentData.quality || null,
+    // What the portal did to a photo before upload, with the original's size and dimensions
+    clientProcessing: documentData.clientProcessing || null,
+    // Per-document review (models/document.js); every new version starts PENDING
+    reviewStatus: DOCUMENT_REVIEW_STATUS.PENDING,
+    reasonCodes: [],
+    reviewComment: null,
+    reviewedBy: null,
+    reviewedAt: null,
+    supersededAt: null,
+    removedAt: null,
+    // Malware scan (services/malwareScanService.js); the file is not served until CLEAN
+    scanStatus: DOCUMENT_SCAN_STATUS.QUARANTINED,
+    scanSignature: null,
+    scanEngine: null,
+    scannedAt: null,
+    // When a scan started (documentRepository.claimScan); one scan at a time per document
+    scanClaimedAt: null,
+    // Thumbnail and preview images (services/previewService.js), built once the file is clean
+    derivatives: null,
+    // Key fields read by OCR and confirmed by agents (services/ocrService.js)
+    extraction: null,
+    // PASS/WARN/FAIL flags from comparing those fields with the request (services/documentCheckService.js)
+    consistencyChecks: null
   };
 }
 
 /**
- * Get a single document by its ID
+ * Create a new document entry (a new current version)
+ * Without a fileId the record starts a new file of its type
  */
-async function getDocumentById(documentId) {
-  const doc = await db.collection('documents').doc(documentId).get();
-  if (!doc.exists) return null;
-  return { id: doc.id, ...doc.data() };
+async function createDocument(documentData) {
+  const docId = db.generateId('documents');
+  const document = newDocumentRecord(docId, documentData);
+
+  await db.set('documents', docId, document);
+  
+  return document;
+}
+
+/**
+ * Add an uploaded version, checking the type's files in the same transaction
+ * (so two uploads at once cannot both take the last free place, or both replace one file):
+ * - with previousVersion: that version must still be current; it stops being current
+ * - otherwise the type must have fewer than maxFiles current files (TOO_MANY_FILES)
+ * The request record is written too, so concurrent uploads to a request conflict and retry.
+ *
+ * @param {Object} documentData - as for createDocument
+ * @param {Object} options - { previousVersionId, maxFiles, label } (label for the error message)
+ */
+async function addDocumentVersion(documentData, { previousVersionId = null, maxFiles, label }) {
+  const { requestId, type } = documentData;
+  const docId = db.generateId('documents');
+
+  return db.runTransaction(async (tx) => {
+    const request = await tx.get('requests', requestId);
+    if (!request) {
+      throw new Error('Request not found');
+    }
+    const currentFiles = (await tx.query('documents', {
+      where: [['requestId', '==', requestId], ['type', '==', type]]
+    })).filter(isCurrentVersion);
+
+    const now = new Date();
+    if (previousVersionId) {
+      if (!currentFiles.some(doc => doc.id === previousVersionId)) {
+        throw new Error('The file to replace was not found');
+      }
+      tx.set('documents', previousVersionId, { isCurrent: false, supersededAt: now }, { merge: true });
+    } else if (currentFiles.length >= maxFiles) {
+      const error = new Error(`At most ${maxFiles} files can be uploaded for ${label}. Replace or remove one first.`);
+      error.code = UPLOAD_ERROR.TOO_MANY_FILES;
+      throw error;
+    }
+
+    const document = newDocumentRecord(docId, documentData);
+    tx.set('documents', docId, document);
+    tx.set('requests', requestId, { updatedAt: now }, { merge: true });
+    return document;
+  });
+}
+
+/**
+ * Update a document record
+ */
+async function updateDocument(documentId, updates) {
+  await db.update('documents', documentId, updates);
 }
 
 /**
- * Get all documents for a request
+ * Get a single document by its ID
  */
+async function getDocumentById(documentId) {
+  return db.get('documents', documentId);
+}
+
 /**
  * Convert Firestore timestamp to ISO string for JSON serialization
  */
@@ -54,24 +148,71 @@ function convertTimestamp(timestamp) {
   if (timestamp._seconds) {
     return new Date(timestamp._seconds * 1000).toISOString();
   }
+  if (timestamp instanceof Date) {
+    return timestamp.toISOString();
+  }
   return timestamp;
 }
 
+/**
+ * Convert the timestamps of an OCR extraction (services/ocrService.js)
+ */
+function convertExtraction(extraction) {
+  if (!extraction) return null;
+  const fields = {};
+  Object.entries(extraction.fields || {}).forEach(([key, field]) => {
+    fields[key] = { ...field, confirmedAt: convertTimestamp(field.confirmedAt) };
+  });
+  return { ...extraction, extractedAt: convertTimestamp(extraction.extractedAt), fields };
+}
+
+/**
+ * Whether a record is the current version of its file
+ */
+function isCurrentVersion(document) {
+  return document.isCurrent !== false;
+}
+
+/**
+ * Get all documents for a request, every version, newest first
+ */
 async function getDocumentsByRequestId(requestId) {
   // First get all documents for the request, then sort in memory
   // This avoids needing a composite index
-  const snapshot = await db.collection('documents')
-    .where('requestId', '==', requestId)
-    .get();
+  const records = await db.query('documents', {
+    where: [['requestId', '==', requestId]]
+  });
   
   // Sort by uploadedAt descending in memory
-  const documents = snapshot.docs.map(doc => {
-    const data = doc.data();
+  const documents = records.map(data => {
     return {
-      id: doc.id,
       ...data,
       // Convert Firestore timestamps to ISO strings for JSON serialization
-      uploadedAt: convertTimestamp(data.uploadedAt)
+      uploadedAt: convertTimestamp(data.uploadedAt),
+      reviewedAt: convertTimestamp(data.reviewedAt),
+      supersededAt: convertTimestamp(data.supersededAt),
+      removedAt: convertTimestamp(data.removedAt),
+      fileId: getDocumentFileId(data),
+      fileAddedAt: convertTimestamp(data.fileAddedAt || data.uploadedAt),
+      scannedAt: convertTimestamp(data.scannedAt),
+      // Records from before malware scanning have no scanStatus
+      scanStatus: getDocumentScanStatus(data),
+      derivatives: data.derivatives
+        ? { ...data.derivatives, generatedAt: convertTimestamp(data.derivatives.generatedAt) }
+        : null,
+      extraction: convertExtraction(data.extraction),
+      consistencyChecks: data.consistencyChecks
+        ? { ...data.consistencyChecks, checkedAt: convertTimestamp(data.consistencyChecks.checkedAt) }
+        : null,
+      quality: data.quality
+        ? { ...data.quality, assessedAt: convertTimestamp(data.quality.assessedAt) }
+        : null,
+      normalized: data.normalized
+        ? { ...data.normalized, createdAt: convertTimestamp(data.normalized.createdAt) }
+        : null,
+      clientProcessing: data.clientProcessing
+        ? { ...data.clientProcessing, processedAt: convertTimestamp(data.clientProcessing.processedAt) }
+        : null
     };
   });
   
@@ -85,67 +226,171 @@ async function getDocumentsByRequestId(requestId) {
 }
 
 /**
- * Get document by type for a request
+ * Get the current version of every file of a request, newest first
  */
-async function getDocumentByType(requestId, documentType) {
-  const snapshot = await db.collection('documents')
-    .where('requestId', '==', requestId)
-    .where('type', '==', documentType)
-    .limit(1)
-    .get();
-  
-  if (snapshot.empty) {
-    return null;
-  }
-  
-  const doc = snapshot.docs[0];
-  return {
-    id: doc.id,
-    ...doc.data()
-  };
+async function getCurrentDocumentsByRequestId(requestId) {
+  const documents = await getDocumentsByRequestId(requestId);
+  return documents.filter(isCurrentVersion);
 }
 
 /**
- * Check which required document types are uploaded for a request
- * Returns an object with document type as key and boolean as value
+ * Order versions by file (in the order the files were added), newest version first
  */
-async function getDocumentUploadStatus(requestId) {
+function compareByFileAndVersion(a, b) {
+  return new Date(a.fileAddedAt) - new Date(b.fileAddedAt) ||
+    a.fileId.localeCompare(b.fileId) ||
+    (b.version || 1) - (a.version || 1);
+}
+
+/**
+ * Get every version of every file of a document type for a request
+ * Ordered by file, newest version first
+ */
+async function getDocumentVersions(requestId, documentType) {
   const documents = await getDocumentsByRequestId(requestId);
-  const uploadedTypes = new Set(documents.map(doc => doc.type));
-  
+  return documents
+    .filter(doc => doc.type === documentType)
+    .sort(compareByFileAndVersion);
+}
+
+/**
+ * Get every version of every document type for a request, grouped by type
+ * Returns { [type]: [versions ordered by file, newest version first] }
+ */
+async function getDocumentVersionsByType(requestId) {
+  const documents = await getDocumentsByRequestId(requestId);
+  const versions = {};
+  documents.forEach(doc => {
+    (versions[doc.type] = versions[doc.type] || []).push(doc);
+  });
+  Object.values(versions).forEach(list => list.sort(compareByFileAndVersion));
+  return versions;
+}
+
+/**
+ * Get the current files of a document type for a request, in the order they were added
+ */
+async function getDocumentsByType(requestId, documentType) {
+  const versions = await getDocumentVersions(requestId, documentType);
+  return versions.filter(isCurrentVersion);
+}
+
+/**
+ * Get all documents (any request) with the given malware scan status
+ */
+async function getDocumentsByScanStatus(scanStatus) {
+  return db.query('documents', {
+    where: [['scanStatus', '==', scanStatus]]
+  });
+}
+
+/**
+ * Claim a quarantined document for scanning
+ * Runs in a transaction so the scan right after an upload and the scan job cannot both scan
+ * it: the claim (scanClaimedAt) is only taken when there is none, or it is older than
+ * staleBefore (a scan that died half-way)
+ * Returns the document when claimed, null otherwise
+ */
+async function claimScan(documentId, staleBefore) {
+  return db.runTransaction(async (tx) => {
+    const document = await tx.get('documents', documentId);
+    if (!document) {
+      throw new Error('Document not found');
+    }
+    if (getDocumentScanStatus(document) !== DOCUMENT_SCAN_STATUS.QUARANTINED) {
+      return null;
+    }
+    if (document.scanClaimedAt && new Date(convertTimestamp(document.scanClaimedAt)) >= staleBefore) {
+      return null;
+    }
+
+    const scanClaimedAt = new Date();
+    tx.set('documents', documentId, { scanClaimedAt }, { merge: true });
+    return { ...document, scanClaimedAt };
+  });
+}
+
+/**
+ * Delete a document record
+ */
+async function deleteDocument(documentId) {
+  await db.remove('documents', documentId);
+}
+
+/**
+ * Minimum number of files of a requirement (profiles from before multiple files have none)
+ */
+function minimumFiles(requirement) {
+  return requirement.files ? requirement.files.min : 1;
+}
+
+/**
+ * Check which of the request's document types are uploaded
+ * requirements: [{ type, required, files }] from requirementProfileRepository.getRequirementsForRequest
+ * Returns an object with document type as key and boolean as value
+ * A type is uploaded once it has its minimum number of files; files blocked by the
+ * malware scan do not count
+ */
+async function getDocumentUploadStatus(requestId, requirements) {
+  const documents = await getCurrentDocumentsByRequestId(requestId);
+  const uploaded = documents.filter(doc => getDocumentScanStatus(doc) !== DOCUMENT_SCAN_STATUS.INFECTED);
+
   const status = {};
-  Object.values(DOCUMENT_TYPES).forEach(type => {
-    status[type] = uploadedTypes.has(type);
+  requirements.forEach(requirement => {
+    status[requirement.type] = uploaded.filter(doc => doc.type === requirement.type).length >= minimumFiles(requirement);
   });
   
   return status;
 }
 
 /**
- * Calculate completion percentage based on uploaded documents
+ * Calculate completion percentage from documents
+ * A required document counts once at least its minimum number of current files are ACCEPTED
  */
-async function calculateCompletionPercent(requestId) {
-  const status = await getDocumentUploadStatus(requestId);
-  const requiredTypes = Object.values(DOCUMENT_TYPES);
-  const uploadedCount = Object.values(status).filter(Boolean).length;
-  
-  return Math.round((uploadedCount / requiredTypes.length) * 100);
+function completionPercentFor(documents, requirements) {
+  const required = requirements.filter(doc => doc.required);
+  if (required.length === 0) {
+    return 100;
+  }
+  const acceptedCount = required.filter(requirement => documents.filter(doc =>
+    doc.type === requirement.type && getDocumentReviewStatus(doc) === DOCUMENT_REVIEW_STATUS.ACCEPTED
+  ).length >= minimumFiles(requirement)).length;
+
+  return Math.round((acceptedCount / required.length) * 100);
+}
+
+/**
+ * Calculate completion percentage based on accepted required documents
+ * Optional documents do not count
+ */
+async function calculateCompletionPercent(requestId, requirements) {
+  const documents = await getCurrentDocumentsByRequestId(requestId);
+  return completionPercentFor(documents, requirements);
 }
 
 /**
  * Check if all required documents are uploaded
  */
-async function areAllDocumentsUploaded(requestId) {
-  const status = await getDocumentUploadStatus(requestId);
-  return Object.values(status).every(Boolean);
+async function areAllDocumentsUploaded(requestId, requirements) {
+  const status = await getDocumentUploadStatus(requestId, requirements);
+  return requirements.filter(doc => doc.required).every(doc => status[doc.type]);
 }
 
 module.exports = {
   createDocument,
+  addDocumentVersion,
+  updateDocument,
   getDocumentById,
   getDocumentsByRequestId,
-  getDocumentByType,
+  getCurrentDocumentsByRequestId,
+  getDocumentVersions,
+  getDocumentVersionsByType,
+  getDocumentsByType,
+  getDocumentsByScanStatus,
+  claimScan,
+  deleteDocument,
   getDocumentUploadStatus,
+  completionPercentFor,
   calculateCompletionPercent,
   areAllDocumentsUploaded
 };
@@ -0,0 +1,71 @@
+/**
+ * Message Template Repository
+ *
+ * Handles all database operations for the 'messageTemplates' collection
+ * Built-in templates (models/messageTemplates.js) are used for any template not stored
+ */
+
+const db = require('../persistence');
+const { BUILT_IN_MESSAGE_TEMPLATES, validateMessageTemplate } = require('../models/messageTemplates');
+
+/**
+ * Template with whether it was edited (custom) and its built-in label
+ */
+function withDefaults(builtIn, stored) {
+  if (!stored) {
+    return { ...builtIn, custom: false };
+  }
+  return { ...stored, label: builtIn.label, custom: true };
+}
+
+/**
+ * Get a template by id (stored template first, then built-in)
+ */
+async function getTemplateById(templateId) {
+  const builtIn = BUILT_IN_MESSAGE_TEMPLATES.find(template => template.id === templateId);
+  if (!builtIn) {
+    return null;
+  }
+  return withDefaults(builtIn, await db.get('messageTemplates', templateId));
+}
+
+/**
+ * Get all templates (stored templates replace built-ins with the same id)
+ */
+async function getAllTemplates() {
+  const stored = await db.query('messageTemplates');
+  return BUILT_IN_MESSAGE_TEMPLATES.map(builtIn =>
+    withDefaults(builtIn, stored.find(template => template.id === builtIn.id))
+  );
+}
+
+/**
+ * Create or replace the stored version of a template
+ */
+async function saveTemplate(template, updatedBy = null) {
+  validateMessageTemplate(template);
+  await db.set('messageTemplates', template.id, {
+    id: template.id,
+    subject: template.subject.trim(),
+    email: template.email.trim(),
+    sms: template.sms.trim(),
+    updatedBy,
+    updatedAt: new Date()
+  });
+  return getTemplateById(template.id);
+}
+
+/**
+ * Remove the stored version of a template, so the built-in one is used again
+ */
+async function resetTemplate(templateId) {
+  await db.remove('messageTemplates', templateId);
+  return getTemplateById(templateId);
+}
+
+module.exports = {
+  getTemplateById,
+  getAllTemplates,
+  saveTemplate,
+  resetTemplate
+};
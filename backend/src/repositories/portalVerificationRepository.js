@@ -0,0 +1,169 @@
+/**
+ * Portal Verification Repository
+ *
+ * Handles all database operations for the 'portalVerifications' collection (one-time
+ * codes) and the 'portalSessions' collection (portal sessions started with a code),
+ * see models/portalVerification.js
+ *
+ * Neither codes nor session tokens are stored, only their SHA-256 hashes; a session
+ * record's ID is the hash of its token.
+ */
+
+const db = require('../persistence');
+const { VERIFICATION_STATUS } = require('../models/portalVerification');
+
+/**
+ * Convert Firestore timestamp to a Date
+ */
+function toDate(timestamp) {
+  if (!timestamp) return null;
+  return timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+}
+
+/**
+ * Create a verification (a code that was sent)
+ */
+async function createVerification(verificationData) {
+  const verificationId = db.generateId('portalVerifications');
+
+  const verification = {
+    id: verificationId,
+    requestId: verificationData.requestId,
+    channel: verificationData.channel,
+    destination: verificationData.destination,
+    codeHash: verificationData.codeHash,
+    attempts: 0,
+    maxAttempts: verificationData.maxAttempts,
+    status: VERIFICATION_STATUS.PENDING,
+    requesterIp: verificationData.requesterIp || null,
+    createdAt: new Date(),
+    expiresAt: verificationData.expiresAt,
+    verifiedAt: null
+  };
+
+  await db.set('portalVerifications', verificationId, verification);
+
+  return verification;
+}
+
+/**
+ * Update a verification
+ */
+async function updateVerification(verificationId, updates) {
+  await db.update('portalVerifications', verificationId, updates);
+}
+
+/**
+ * Get the verifications of a request, newest first
+ */
+async function getVerificationsByRequestId(requestId) {
+  const records = await db.query('portalVerifications', {
+    where: [['requestId', '==', requestId]]
+  });
+
+  return records
+    .map(data => ({ ...data, createdAt: toDate(data.createdAt), expiresAt: toDate(data.expiresAt) }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Count an attempt at the request's pending code, in a transaction so parallel guesses are
+ * each counted: the attempt is counted before the code is compared, a code already tried
+ * maxAttempts times is not compared at all, and the right code is marked VERIFIED in the
+ * same transaction (so one code starts one portal session)
+ *
+ * @param {string} requestId
+ * @param {Function} isMatch - (verification) => whether the entered code is this one
+ * @returns {Object} { verification (null if no code is pending), expired, matched, locked }
+ *   verification.attempts includes this attempt
+ */
+async function recordAttempt(requestId, isMatch) {
+  return db.runTransaction(async (tx) => {
+    const [verification] = (await tx.query('portalVerifications', { where: [['requestId', '==', requestId]] }))
+      .filter(data => data.status === VERIFICATION_STATUS.PENDING)
+      .map(data => ({ ...data, createdAt: toDate(data.createdAt), expiresAt: toDate(data.expiresAt) }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+    if (!verification) {
+      return { verification: null, expired: true, matched: false, locked: false };
+    }
+    if (verification.expiresAt <= new Date()) {
+      return { verification, expired: true, matched: false, locked: false };
+    }
+
+    const attempts = verification.attempts + 1;
+    const matched = verification.attempts < verification.maxAttempts && isMatch(verification);
+    const locked = !matched && attempts >= verification.maxAttempts;
+
+    let status = VERIFICATION_STATUS.PENDING;
+    if (matched) {
+      status = VERIFICATION_STATUS.VERIFIED;
+    } else if (locked) {
+      status = VERIFICATION_STATUS.FAILED;
+    }
+    tx.update('portalVerifications', verification.id, {
+      attempts,
+      status,
+      verifiedAt: matched ? new Date() : null
+    });
+
+    return { verification: { ...verification, attempts, status }, expired: false, matched, locked };
+  });
+}
+
+/**
+ * Create a portal session; sessionId is the hash of the session token
+ */
+async function createSession(sessionId, sessionData) {
+  const session = {
+    id: sessionId,
+    requestId: sessionData.requestId,
+    // Hash of the link token the session was started with; a regenerated link ends it
+    linkHash: sessionData.linkHash,
+    verificationId: sessionData.verificationId,
+    createdAt: new Date(),
+    expiresAt: sessionData.expiresAt
+  };
+
+  await db.set('portalSessions', sessionId, session);
+
+  return session;
+}
+
+/**
+ * Get a portal session by its ID (the hash of its token)
+ */
+async function getSessionById(sessionId) {
+  const data = await db.get('portalSessions', sessionId);
+  if (!data) {
+    return null;
+  }
+  return { ...data, expiresAt: toDate(data.expiresAt) };
+}
+
+/**
+ * Delete every verification and portal session of a request
+ * Returns the number of records deleted
+ */
+async function deleteByRequestId(requestId) {
+  const verifications = await db.query('portalVerifications', {
+    where: [['requestId', '==', requestId]]
+  });
+  const sessions = await db.query('portalSessions', {
+    where: [['requestId', '==', requestId]]
+  });
+  await Promise.all([
+    ...verifications.map(record => db.remove('portalVerifications', record.id)),
+    ...sessions.map(record => db.remove('portalSessions', record.id))
+  ]);
+  return verifications.length + sessions.length;
+}
+
+module.exports = {
+  createVerification,
+  updateVerification,
+  getVerificationsByRequestId,
+  recordAttempt,
+  createSession,
+  getSessionById,
+  deleteByRequestId
+};
@@ -0,0 +1,64 @@
+/**
+ * Rate Limit Repository
+ *
+ * Handles all database operations for the 'rateLimits' collection: one record per
+ * limited key (a request number, an IP address) with the times of its recent attempts.
+ * expiresAt is when the last attempt leaves the window; a Firestore TTL policy on it
+ * removes records nobody uses any more.
+ */
+
+const db = require('../persistence');
+
+/**
+ * Record ID of a key; "/" is not allowed in Firestore IDs
+ */
+function recordId(key) {
+  return key.replace(/\//g, '_');
+}
+
+function toDate(timestamp) {
+  return timestamp && timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+}
+
+/**
+ * Take one attempt under every limit, or none
+ * Runs in a transaction, so parallel attempts are each counted: either all limits have room
+ * and the attempt is recorded against each key, or nothing is recorded.
+ *
+ * @param {Array} limits - [{ key, max }]
+ * @param {number} windowMs - attempts older than this no longer count
+ * @returns {Object} { allowed, exceeded: [key, ...] }
+ */
+async function takeAttempt(limits, windowMs) {
+  return db.runTransaction(async (tx) => {
+    const now = new Date();
+    const windowStart = now.getTime() - windowMs;
+
+    const counters = [];
+    for (const { key, max } of limits) {
+      const record = await tx.get('rateLimits', recordId(key));
+      const attempts = (record ? record.attempts : [])
+        .map(toDate)
+        .filter(date => date.getTime() > windowStart);
+      counters.push({ key, max, attempts });
+    }
+
+    const exceeded = counters.filter(counter => counter.attempts.length >= counter.max).map(counter => counter.key);
+    if (exceeded.length > 0) {
+      return { allowed: false, exceeded };
+    }
+
+    for (const { key, attempts } of counters) {
+      tx.set('rateLimits', recordId(key), {
+        key,
+        attempts: [...attempts, now],
+        expiresAt: new Date(now.getTime() + windowMs)
+      });
+    }
+    return { allowed: true, exceeded: [] };
+  });
+}
+
+module.exports = {
+  takeAttempt
+};
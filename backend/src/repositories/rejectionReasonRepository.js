@@ -0,0 +1,73 @@
+/**
+ * Rejection Reason Repository
+ *
+ * Handles all database operations for the 'rejectionReasons' collection
+ * Built-in reasons (models/rejectionReasons.js) are used for any code not stored
+ */
+
+const db = require('../persistence');
+const {
+  BUILT_IN_REJECTION_REASONS,
+  reasonAppliesTo,
+  validateRejectionReason
+} = require('../models/rejectionReasons');
+
+/**
+ * Get a rejection reason by code (stored reason first, then built-in)
+ */
+async function getReasonByCode(code) {
+  if (!code) {
+    return null;
+  }
+  const stored = await db.get('rejectionReasons', code);
+  if (stored) {
+    return stored;
+  }
+  return BUILT_IN_REJECTION_REASONS.find(reason => reason.code === code) || null;
+}
+
+/**
+ * Get all rejection reasons, retired ones included (stored reasons replace built-ins with the same code)
+ */
+async function getAllReasons() {
+  const stored = await db.query('rejectionReasons');
+  const storedCodes = stored.map(reason => reason.code);
+
+  return [
+    ...BUILT_IN_REJECTION_REASONS.filter(reason => !storedCodes.includes(reason.code)),
+    ...stored
+  ];
+}
+
+/**
+ * Get the active reasons an agent can pick for a document type
+ */
+async function getActiveReasonsForDocumentType(documentType) {
+  const reasons = await getAllReasons();
+  return reasons.filter(reason => reason.active !== false && reasonAppliesTo(reason, documentType));
+}
+
+/**
+ * Create or replace a rejection reason
+ */
+async function saveReason(reason, updatedBy = null) {
+  validateRejectionReason(reason);
+  await db.set('rejectionReasons', reason.code, {
+    code: reason.code,
+    label: reason.label,
+    guidance: reason.guidance,
+    documentTypes: reason.documentTypes || [],
+    requiresComment: Boolean(reason.requiresComment),
+    active: reason.active !== false,
+    updatedBy,
+    updatedAt: new Date()
+  });
+  return getReasonByCode(reason.code);
+}
+
+module.exports = {
+  getReasonByCode,
+  getAllReasons,
+  getActiveReasonsForDocumentType,
+  saveReason
+};
@@ -1,27 +1,25 @@
 /**
  * Request Repository
  * 
- * Handles all Firestore operations for the 'requests' collection
+ * Handles all database operations for the 'requests' collection
  */
 
-const { db } = require('../firebase');
+const db = require('../persistence');
 
 /**
  * Create a new request document with an auto-incremented request number (REQ-0001)
  */
 async function createRequest(requestData) {
-  const requestRef = db.collection('requests').doc();
-  const requestId = requestRef.id;
-  const counterRef = db.collection('counters').doc('requests');
+  const requestId = db.generateId('requests');
 
   // Atomically increment the request counter and create the request in one transaction
   let requestNumber;
   await db.runTransaction(async (transaction) => {
-    const counterDoc = await transaction.get(counterRef);
-    const count = counterDoc.exists ? (counterDoc.data().count || 0) + 1 : 1;
+    const counter = await transaction.get('counters', 'requests');
+    const count = counter ? (counter.count || 0) + 1 : 1;
     requestNumber = `REQ-${String(count).padStart(4, '0')}`;
-    transaction.set(counterRef, { count }, { merge: true });
-    transaction.set(requestRef, {
+    transaction.set('counters', 'requests', { count }, { merge: true });
+    transaction.set('requests', requestId, {
       ...requestData,
       id: requestId,
       requestNumber
@@ -46,6 +44,9 @@ function convertTimestamp(timestamp) {
   if (timestamp._seconds) {
     return new Date(timestamp._seconds * 1000).toISOString();
   }
+  if (timestamp instanceof Date) {
+    return timestamp.toISOString();
+  }
   return timestamp;
 }
 
@@ -54,20 +55,22 @@ function convertTimestamp(timestamp) {
  */
 
 async function getRequestById(requestId) {
-  const requestDoc = await db.collection('requests').doc(requestId).get();
-  if (!requestDoc.exists) {
+  const data = await db.get('requests', requestId);
+  if (!data) {
     return null;
   }
-  const data = requestDoc.data();
   return {
-    id: requestDoc.id,
     ...data,
     // Convert Firestore timestamps to ISO strings for JSON serialization
     createdAt: convertTimestamp(data.createdAt),
     updatedAt: convertTimestamp(data.updatedAt),
     expiredAt: convertTimestamp(data.expiredAt),
     lastReminderAt: convertTimestamp(data.lastReminderAt),
-    reviewedAt: convertTimestamp(data.reviewedAt)
+    lastCustomerReminderAt: convertTimestamp(data.lastCustomerReminderAt),
+    reviewedAt: convertTimestamp(data.reviewedAt),
+    secureTokenIssuedAt: convertTimestamp(data.secureTokenIssuedAt),
+    secureTokenExpiresAt: convertTimestamp(data.secureTokenExpiresAt),
+    secureTokenRevokedAt: convertTimestamp(data.secureTokenRevokedAt)
   };
 }
 
@@ -75,26 +78,55 @@ async function getRequestById(requestId) {
  * Get request by secure token (for customer access)
  */
 async function getRequestByToken(secureToken) {
-  const snapshot = await db.collection('requests')
-    .where('secureToken', '==', secureToken)
-    .limit(1)
-    .get();
+  const [data] = await db.query('requests', {
+    where: [['secureToken', '==', secureToken]],
+    limit: 1
+  });
   
-  if (snapshot.empty) {
+  if (!data) {
     return null;
   }
   
-  const doc = snapshot.docs[0];
-  const data = doc.data();
   return {
-    id: doc.id,
     ...data,
     // Convert Firestore timestamps to ISO strings for JSON serialization
     createdAt: convertTimestamp(data.createdAt),
     updatedAt: convertTimestamp(data.updatedAt),
     expiredAt: convertTimestamp(data.expiredAt),
     lastReminderAt: convertTimestamp(data.lastReminderAt),
-    reviewedAt: convertTimestamp(data.reviewedAt)
+    lastCustomerReminderAt: convertTimestamp(data.lastCustomerReminderAt),
+    reviewedAt: convertTimestamp(data.reviewedAt),
+    secureTokenIssuedAt: convertTimestamp(data.secureTokenIssuedAt),
+    secureTokenExpiresAt: convertTimestamp(data.secureTokenExpiresAt),
+    secureTokenRevokedAt: convertTimestamp(data.secureTokenRevokedAt)
+  };
+}
+
+/**
+ * Get request by its request number (e.g. REQ-0042)
+ */
+async function getRequestByNumber(requestNumber) {
+  const [data] = await db.query('requests', {
+    where: [['requestNumber', '==', requestNumber]],
+    limit: 1
+  });
+
+  if (!data) {
+    return null;
+  }
+
+  return {
+    ...data,
+    // Convert Firestore timestamps to ISO strings for JSON serialization
+    createdAt: convertTimestamp(data.createdAt),
+    updatedAt: convertTimestamp(data.updatedAt),
+    expiredAt: convertTimestamp(data.expiredAt),
+    lastReminderAt: convertTimestamp(data.lastReminderAt),
+    lastCustomerReminderAt: convertTimestamp(data.lastCustomerReminderAt),
+    reviewedAt: convertTimestamp(data.reviewedAt),
+    secureTokenIssuedAt: convertTimestamp(data.secureTokenIssuedAt),
+    secureTokenExpiresAt: convertTimestamp(data.secureTokenExpiresAt),
+    secureTokenRevokedAt: convertTimestamp(data.secureTokenRevokedAt)
   };
 }
 
@@ -103,22 +135,24 @@ async function getRequestByToken(secureToken) {
  */
 async function getRequestsByAgentId(agentId) {
   // Get all requests for the agent, then sort in memory to avoid index requirement
-  const snapshot = await db.collection('requests')
-    .where('agentId', '==', agentId)
-    .get();
+  const records = await db.query('requests', {
+    where: [['agentId', '==', agentId]]
+  });
   
   // Sort by createdAt descending in memory
-  const requests = snapshot.docs.map(doc => {
-    const data = doc.data();
+  const requests = records.map(data => {
     return {
-      id: doc.id,
       ...data,
       // Convert Firestore timestamps to ISO strings for JSON serialization
       createdAt: convertTimestamp(data.createdAt),
       updatedAt: convertTimestamp(data.updatedAt),
       expiredAt: convertTimestamp(data.expiredAt),
       lastReminderAt: convertTimestamp(data.lastReminderAt),
-      reviewedAt: convertTimestamp(data.reviewedAt)
+      lastCustomerReminderAt: convertTimestamp(data.lastCustomerReminderAt),
+      reviewedAt: convertTimestamp(data.reviewedAt),
+      secureTokenIssuedAt: convertTimestamp(data.secureTokenIssuedAt),
+      secureTokenExpiresAt: convertTimestamp(data.secureTokenExpiresAt),
+      secureTokenRevokedAt: convertTimestamp(data.secureTokenRevokedAt)
     };
   });
   
@@ -136,27 +170,29 @@ async function getRequestsByAgentId(agentId) {
  * Filters applied in Firestore; sorting done in memory to avoid composite index requirements
  */
 async function getAllRequests(filters = {}) {
-  let query = db.collection('requests');
+  const where = [];
 
   // Apply equality filters (no orderBy in Firestore to avoid composite index requirement)
   if (filters.agentId) {
-    query = query.where('agentId', '==', filters.agentId);
+    where.push(['agentId', '==', filters.agentId]);
   }
   if (filters.status) {
-    query = query.where('status', '==', filters.status);
+    where.push(['status', '==', filters.status]);
   }
 
-  const snapshot = await query.get();
-  const requests = snapshot.docs.map(doc => {
-    const data = doc.data();
+  const records = await db.query('requests', { where });
+  const requests = records.map(data => {
     return {
-      id: doc.id,
       ...data,
       createdAt: convertTimestamp(data.createdAt),
       updatedAt: convertTimestamp(data.updatedAt),
       expiredAt: convertTimestamp(data.expiredAt),
       lastReminderAt: convertTimestamp(data.lastReminderAt),
-      reviewedAt: convertTimestamp(data.reviewedAt)
+      lastCustomerReminderAt: convertTimestamp(data.lastCustomerReminderAt),
+      reviewedAt: convertTimestamp(data.reviewedAt),
+      secureTokenIssuedAt: convertTimestamp(data.secureTokenIssuedAt),
+      secureTokenExpiresAt: convertTimestamp(data.secureTokenExpiresAt),
+      secureTokenRevokedAt: convertTimestamp(data.secureTokenRevokedAt)
     };
   });
 
@@ -174,8 +210,7 @@ async function getAllRequests(filters = {}) {
  * Update request fields
  */
 async function updateRequest(requestId, updates) {
-  const requestRef = db.collection('requests').doc(requestId);
-  await requestRef.update({
+  await db.update('requests', requestId, {
     ...updates,
     updatedAt: new Date()
   });
@@ -183,19 +218,78 @@ async function updateRequest(requestId, updates) {
   return getRequestById(requestId);
 }
 
+/**
+ * Apply a workflow transition in one transaction: re-read the request, let check() confirm the
+ * transition still applies to the stored request (throw to refuse), then save the request fields
+ * and any document changes of the action (a review saves the document decisions with the new status)
+ *
+ * @param {string} requestId
+ * @param {Object} updates - request fields
+ * @param {Object} options - { check(request), documentUpdates: { [documentId]: fields } }
+ */
+async function applyTransition(requestId, updates, options = {}) {
+  const documentUpdates = options.documentUpdates || {};
+
+  await db.runTransaction(async (transaction) => {
+    const request = await transaction.get('requests', requestId);
+    if (!request) {
+      throw new Error('Request not found');
+    }
+    for (const documentId of Object.keys(documentUpdates)) {
+      const document = await transaction.get('documents', documentId);
+      if (!document || document.requestId !== requestId) {
+        throw new Error(`Document ${documentId} not found`);
+      }
+    }
+    if (options.check) {
+      options.check(request);
+    }
+
+    transaction.update('requests', requestId, { ...updates, updatedAt: new Date() });
+    for (const [documentId, fields] of Object.entries(documentUpdates)) {
+      transaction.set('documents', documentId, fields, { merge: true });
+    }
+  });
+
+  return getRequestById(requestId);
+}
+
+/**
+ * Set the combined PDF of a document type, or remove it (merged = null)
+ * Runs in a transaction on the stored request, so the PDFs of other types saved meanwhile
+ * are kept. The whole record is written: a merge would keep a removed type in Firestore.
+ * Returns the entry it replaced, or null
+ */
+async function setMergedDocument(requestId, documentType, merged) {
+  let replaced = null;
+  await db.runTransaction(async (transaction) => {
+    const request = await transaction.get('requests', requestId);
+    if (!request) {
+      throw new Error('Request not found');
+    }
+
+    const mergedDocuments = { ...request.mergedDocuments };
+    replaced = mergedDocuments[documentType] || null;
+    if (merged) {
+      mergedDocuments[documentType] = merged;
+    } else {
+      delete mergedDocuments[documentType];
+    }
+    transaction.set('requests', requestId, { ...request, mergedDocuments, updatedAt: new Date() });
+  });
+
+  return replaced;
+}
+
 /**
  * Get active requests (not COMPLETED, not EXPIRED) for reminder/expiry jobs
  * Note: Firestore doesn't allow multiple != filters, so we filter in memory
  */
 async function getActiveRequests() {
-  const snapshot = await db.collection('requests').get();
+  const requests = await db.query('requests');
   
   // Filter in memory to avoid Firestore limitation with multiple != filters
-  return snapshot.docs
-    .map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }))
+  return requests
     .filter(request => request.status !== 'COMPLETED' && request.status !== 'EXPIRED');
 }
 
@@ -203,24 +297,30 @@ async function getActiveRequests() {
  * Get requests that need expiry check (not COMPLETED)
  */
 async function getRequestsForExpiryCheck() {
-  const snapshot = await db.collection('requests')
-    .where('status', '!=', 'COMPLETED')
-    .get();
-  
-  return snapshot.docs.map(doc => ({
-    id: doc.id,
-    ...doc.data()
-  }));
+  return db.query('requests', {
+    where: [['status', '!=', 'COMPLETED']]
+  });
+}
+
+/**
+ * Delete a request record
+ */
+async function deleteRequest(requestId) {
+  await db.remove('requests', requestId);
 }
 
 module.exports = {
   createRequest,
   getRequestById,
   getRequestByToken,
+  getRequestByNumber,
   getRequestsByAgentId,
   getAllRequests,
   updateRequest,
+  applyTransition,
+  setMergedDocument,
   getActiveRequests,
-  getRequestsForExpiryCheck
+  getRequestsForExpiryCheck,
+  deleteRequest
 };
 
@@ -0,0 +1,87 @@
+/**
+ * Requirement Profile Repository
+ * 
+ * Handles all database operations for the 'requirementProfiles' collection
+ * Built-in profiles (models/requirementProfiles.js) are used for any id not stored
+ */
+
+const db = require('../persistence');
+const {
+  BUILT_IN_REQUIREMENT_PROFILES,
+  DEFAULT_REQUIREMENT_PROFILE_ID,
+  resolveRequirements,
+  profileApplies,
+  validateRequirementProfile
+} = require('../models/requirementProfiles');
+
+/**
+ * Get requirement profile by ID (stored profile first, then built-in)
+ */
+async function getProfileById(profileId) {
+  const stored = await db.get('requirementProfiles', profileId);
+  if (stored) {
+    return stored;
+  }
+  return BUILT_IN_REQUIREMENT_PROFILES.find(profile => profile.id === profileId) || null;
+}
+
+/**
+ * Get all requirement profiles (stored profiles replace built-ins with the same id)
+ */
+async function getAllProfiles() {
+  const stored = await db.query('requirementProfiles');
+  const storedIds = stored.map(profile => profile.id);
+
+  return [
+    ...BUILT_IN_REQUIREMENT_PROFILES.filter(profile => !storedIds.includes(profile.id)),
+    ...stored
+  ];
+}
+
+/**
+ * Get the profiles meant for a request with these details, most specific first
+ * @param {Object} details - { workflowId, dealerId, customerType }
+ */
+async function getApplicableProfiles(details) {
+  const specificity = profile => Object.values(profile.appliesTo || {})
+    .filter(list => Array.isArray(list) && list.length > 0).length;
+
+  const profiles = await getAllProfiles();
+  return profiles
+    .filter(profile => profileApplies(profile, details))
+    .sort((a, b) => specificity(b) - specificity(a));
+}
+
+/**
+ * Get the documents a request must/may upload
+ * Requests created before profiles existed have no requirementProfileId and use the default
+ * Returns [{ type, label, helpText, required }]
+ */
+async function getRequirementsForRequest(request) {
+  const profileId = request.requirementProfileId || DEFAULT_REQUIREMENT_PROFILE_ID;
+  const profile = await getProfileById(profileId);
+  if (!profile) {
+    throw new Error(`Unknown requirement profile: ${profileId}`);
+  }
+  return resolveRequirements(profile, request);
+}
+
+/**
+ * Create or replace a requirement profile
+ */
+async function saveProfile(profile) {
+  validateRequirementProfile(profile);
+  await db.set('requirementProfiles', profile.id, {
+    ...profile,
+    updatedAt: new Date()
+  });
+  return getProfileById(profile.id);
+}
+
+module.exports = {
+  getProfileById,
+  getAllProfiles,
+  getApplicableProfiles,
+  getRequirementsForRequest,
+  saveProfile
+};
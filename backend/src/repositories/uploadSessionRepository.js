@@ -0,0 +1,195 @@
+/**
+ * Upload Session Repository
+ *
+ * Handles all database operations for the 'uploadSessions' collection
+ * (resumable uploads, see models/uploadSession.js)
+ */
+
+const db = require('../persistence');
+const { UPLOAD_SESSION_STATUS } = require('../models/uploadSession');
+const { UPLOAD_ERROR } = require('../models/fileFormats');
+
+/**
+ * Create an upload session
+ */
+async function createSession(sessionData) {
+  const sessionId = db.generateId('uploadSessions');
+
+  const now = new Date();
+  const session = {
+    id: sessionId,
+    requestId: sessionData.requestId,
+    documentType: sessionData.documentType,
+    replaceDocumentId: sessionData.replaceDocumentId || null,
+    fileName: sessionData.fileName,
+    size: sessionData.size,
+    clientProcessing: sessionData.clientProcessing || null,
+    // Bytes stored so far; chunks are blob storage keys in file order
+    offset: 0,
+    chunks: [],
+    // First bytes of the file (base64), used to detect its format when it is finished
+    head: null,
+    status: UPLOAD_SESSION_STATUS.ACTIVE,
+    // When a finalize call claimed it (FINALIZING); a stale claim may be taken over
+    claimedAt: null,
+    documentId: null,
+    uploaderIp: sessionData.uploaderIp || null,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: sessionData.expiresAt
+  };
+
+  await db.set('uploadSessions', sessionId, session);
+
+  return session;
+}
+
+/**
+ * Get an upload session by its ID
+ */
+async function getSessionById(sessionId) {
+  return db.get('uploadSessions', sessionId);
+}
+
+/**
+ * Update an upload session
+ */
+async function updateSession(sessionId, updates) {
+  await db.update('uploadSessions', sessionId, {
+    ...updates,
+    updatedAt: new Date()
+  });
+}
+
+/**
+ * Record a stored chunk, moving the offset on
+ * Runs in a transaction so two copies of the same chunk (a client retry) cannot both be
+ * counted: the chunk must start exactly at the stored offset, otherwise the error has
+ * code OFFSET_MISMATCH and the stored `offset`
+ */
+async function appendChunk(sessionId, { offset, length, key, head }) {
+  return db.runTransaction(async (tx) => {
+    const session = await tx.get('uploadSessions', sessionId);
+    if (!session || session.status !== UPLOAD_SESSION_STATUS.ACTIVE) {
+      throw new Error('Upload not found');
+    }
+    if (session.offset !== offset) {
+      const error = new Error(`The upload continues at byte ${session.offset}`);
+      error.code = UPLOAD_ERROR.OFFSET_MISMATCH;
+      error.offset = session.offset;
+      throw error;
+    }
+
+    const updates = {
+      offset: session.offset + length,
+      chunks: [...session.chunks, key],
+      updatedAt: new Date()
+    };
+    if (head) {
+      updates.head = head;
+    }
+    tx.set('uploadSessions', sessionId, updates, { merge: true });
+    return { ...session, ...updates };
+  });
+}
+
+/**
+ * Claim a session for finishing: moves it from ACTIVE to FINALIZING in a transaction, so
+ * two finalize calls cannot both turn it into a document
+ * A FINALIZING session whose claim is older than staleBefore (the finalize call died with the
+ * process) is claimed again, so the customer can finish it without waiting for it to expire
+ * Returns the session as it was stored and whether this call claimed it
+ */
+async function claimSession(sessionId, staleBefore) {
+  return db.runTransaction(async (tx) => {
+    const session = await tx.get('uploadSessions', sessionId);
+    if (!session) {
+      throw new Error('Upload not found');
+    }
+    if (session.status !== UPLOAD_SESSION_STATUS.ACTIVE && !isStaleClaim(session, staleBefore)) {
+      return { session, claimed: false };
+    }
+
+    const now = new Date();
+    const updates = { status: UPLOAD_SESSION_STATUS.FINALIZING, claimedAt: now, updatedAt: now };
+    tx.set('uploadSessions', sessionId, updates, { merge: true });
+    return { session: { ...session, ...updates }, claimed: true };
+  });
+}
+
+/**
+ * Whether a session is FINALIZING under a claim taken before staleBefore
+ * (sessions claimed before claims were timed have no claimedAt and count as stale)
+ */
+function isStaleClaim(session, staleBefore) {
+  if (session.status !== UPLOAD_SESSION_STATUS.FINALIZING) {
+    return false;
+  }
+  return !session.claimedAt || toDate(session.claimedAt) < staleBefore;
+}
+
+/**
+ * Give a claim back (FINALIZING -> ACTIVE) so the upload can be finished again
+ * Only while it is still this claim: a call whose stale claim was taken over leaves the new one
+ */
+async function releaseClaim(sessionId, claimedAt) {
+  await db.runTransaction(async (tx) => {
+    const session = await tx.get('uploadSessions', sessionId);
+    if (!session || session.status !== UPLOAD_SESSION_STATUS.FINALIZING) {
+      return;
+    }
+    if (!session.claimedAt || toDate(session.claimedAt).getTime() !== toDate(claimedAt).getTime()) {
+      return;
+    }
+    tx.set('uploadSessions', sessionId, {
+      status: UPLOAD_SESSION_STATUS.ACTIVE,
+      claimedAt: null,
+      updatedAt: new Date()
+    }, { merge: true });
+  });
+}
+
+/**
+ * Get sessions that expired before a date
+ */
+async function getExpiredSessions(before = new Date()) {
+  return db.query('uploadSessions', {
+    where: [['expiresAt', '<', before]]
+  });
+}
+
+/**
+ * Get the upload sessions of a request
+ */
+async function getSessionsByRequestId(requestId) {
+  return db.query('uploadSessions', {
+    where: [['requestId', '==', requestId]]
+  });
+}
+
+/**
+ * Date from a stored timestamp (Date or Firestore Timestamp)
+ */
+function toDate(timestamp) {
+  return timestamp && timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+}
+
+/**
+ * Delete an upload session
+ */
+async function deleteSession(sessionId) {
+  await db.remove('uploadSessions', sessionId);
+}
+
+module.exports = {
+  createSession,
+  getSessionById,
+  updateSession,
+  appendChunk,
+  claimSession,
+  isStaleClaim,
+  releaseClaim,
+  getExpiredSessions,
+  getSessionsByRequestId,
+  deleteSession
+};
@@ -1,58 +1,42 @@
 /**
  * User Repository
  * 
- * Handles all Firestore operations for the 'users' collection
+ * Handles all database operations for the 'users' collection
  */
 
-const { db } = require('../firebase');
+const db = require('../persistence');
 
 /**
  * Create a new user document
  */
 async function createUser(userData) {
-  const userRef = db.collection('users').doc(userData.id);
-  await userRef.set({
+  await db.set('users', userData.id, {
     name: userData.name,
     email: userData.email,
     phone: userData.phone || null,
     role: userData.role, // 'agent', 'manager', or 'customer'
     createdAt: new Date()
   });
-  return userRef.id;
+  return userData.id;
 }
 
 /**
  * Get user by ID
  */
 async function getUserById(userId) {
-  const userDoc = await db.collection('users').doc(userId).get();
-  if (!userDoc.exists) {
-    return null;
-  }
-  return {
-    id: userDoc.id,
-    ...userDoc.data()
-  };
+  return db.get('users', userId);
 }
 
 /**
  * Get user by email
  */
 async function getUserByEmail(email) {
-  const snapshot = await db.collection('users')
-    .where('email', '==', email)
-    .limit(1)
-    .get();
-  
-  if (snapshot.empty) {
-    return null;
-  }
+  const [user] = await db.query('users', {
+    where: [['email', '==', email]],
+    limit: 1
+  });
   
-  const doc = snapshot.docs[0];
-  return {
-    id: doc.id,
-    ...doc.data()
-  };
+  return user || null;
 }
 
 /**
@@ -62,42 +46,38 @@ async function getUserByEmail(email) {
 async function findOrCreateCustomer(customerData) {
   // Try to find by phone first
   if (customerData.phone) {
-    const phoneSnapshot = await db.collection('users')
-      .where('phone', '==', customerData.phone)
-      .where('role', '==', 'customer')
-      .limit(1)
-      .get();
+    const [customer] = await db.query('users', {
+      where: [
+        ['phone', '==', customerData.phone],
+        ['role', '==', 'customer']
+      ],
+      limit: 1
+    });
     
-    if (!phoneSnapshot.empty) {
-      const doc = phoneSnapshot.docs[0];
-      return {
-        id: doc.id,
-        ...doc.data()
-      };
+    if (customer) {
+      return customer;
     }
   }
 
   // Try to find by email if provided
   if (customerData.email) {
-    const emailSnapshot = await db.collection('users')
-      .where('email', '==', customerData.email)
-      .where('role', '==', 'customer')
-      .limit(1)
-      .get();
+    const [customer] = await db.query('users', {
+      where: [
+        ['email', '==', customerData.email],
+        ['role', '==', 'customer']
+      ],
+      limit: 1
+    });
     
-    if (!emailSnapshot.empty) {
-      const doc = emailSnapshot.docs[0];
-      return {
-        id: doc.id,
-        ...doc.data()
-      };
+    if (customer) {
+      return customer;
     }
   }
 
   // Create new customer user
   // Note: In a real system, you might want to create the Firebase Auth user first
-  // For now, we'll create just the Firestore document
-  const customerId = db.collection('users').doc().id;
+  // For now, we'll create just the user record
+  const customerId = db.generateId('users');
   await createUser({
     id: customerId,
     name: customerData.name,
@@ -119,13 +99,9 @@ async function findOrCreateCustomer(customerData) {
  * Get all users with a specific role
  */
 async function getUsersByRole(role) {
-  const snapshot = await db.collection('users')
-    .where('role', '==', role)
-    .get();
-  return snapshot.docs.map(doc => ({
-    id: doc.id,
-    ...doc.data()
-  }));
+  return db.query('users', {
+    where: [['role', '==', role]]
+  });
 }
 
 module.exports = {
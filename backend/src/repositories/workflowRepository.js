@@ -0,0 +1,69 @@
+/**
+ * Workflow Repository
+ * 
+ * Handles all database operations for the 'workflows' collection
+ * Built-in definitions (models/workflowDefinitions.js) are used for any id not stored
+ */
+
+const db = require('../persistence');
+const {
+  BUILT_IN_WORKFLOWS,
+  DEFAULT_WORKFLOW_ID,
+  validateWorkflowDefinition
+} = require('../models/workflowDefinitions');
+
+/**
+ * Get workflow definition by ID (stored definition first, then built-in)
+ */
+async function getWorkflowById(workflowId) {
+  const stored = await db.get('workflows', workflowId);
+  if (stored) {
+    return stored;
+  }
+  return BUILT_IN_WORKFLOWS.find(workflow => workflow.id === workflowId) || null;
+}
+
+/**
+ * Get the workflow a request follows
+ * Requests created before workflows existed have no workflowId and follow the default
+ */
+async function getWorkflowForRequest(request) {
+  const workflowId = request.workflowId || DEFAULT_WORKFLOW_ID;
+  const workflow = await getWorkflowById(workflowId);
+  if (!workflow) {
+    throw new Error(`Unknown workflow: ${workflowId}`);
+  }
+  return workflow;
+}
+
+/**
+ * Get all workflow definitions (stored definitions replace built-ins with the same id)
+ */
+async function getAllWorkflows() {
+  const stored = await db.query('workflows');
+  const storedIds = stored.map(workflow => workflow.id);
+
+  return [
+    ...BUILT_IN_WORKFLOWS.filter(workflow => !storedIds.includes(workflow.id)),
+    ...stored
+  ];
+}
+
+/**
+ * Create or replace a workflow definition
+ */
+async function saveWorkflow(workflow) {
+  validateWorkflowDefinition(workflow);
+  await db.set('workflows', workflow.id, {
+    ...workflow,
+    updatedAt: new Date()
+  });
+  return getWorkflowById(workflow.id);
+}
+
+module.exports = {
+  getWorkflowById,
+  getWorkflowForRequest,
+  getAllWorkflows,
+  saveWorkflow
+};
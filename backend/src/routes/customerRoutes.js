@@ -3,33 +3,145 @@
  * 
  * Public routes for customer access via secure tokens
  * No Firebase Auth required
+ *
+ * Every route except link recovery is scoped by the token in the customer's link: the
+ * request it belongs to is looked up (and the use audit-logged) before the handler runs,
+ * see customerLink below
  */
 
 const express = require('express');
 const multer = require('multer');
 const customerController = require('../controllers/customerController');
+const resumableUploadService = require('../services/resumableUploadService');
+const customerLinkService = require('../services/customerLinkService');
+const portalVerificationService = require('../services/portalVerificationService');
+const { VERIFICATION_ERROR } = require('../models/portalVerification');
+const { UPLOAD_ERROR } = require('../models/fileFormats');
 
 const router = express.Router();
 
 // Configure multer for file uploads (store in memory for Firebase Storage)
+// This is only the hard cap; per-document-type size limits are checked in uploadValidationService
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    fileSize: (parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB, 10) || 20) * 1024 * 1024,
+    files: 1
   }
 });
 
+/**
+ * Accept a single "file" field, answering multer limit errors with an upload error code
+ */
+function singleFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: 'Bad Request',
+        message: tooLarge ? 'The file is too large' : err.message,
+        code: tooLarge ? UPLOAD_ERROR.FILE_TOO_LARGE : null
+      });
+    }
+    next(err);
+  });
+}
+
+/**
+ * Resolve the token in the path to its request (req.customerRequest) and log the use
+ * use: what the link is used for, recorded in the CUSTOMER_LINK_USED audit entry
+ * Unknown tokens get 404, expired or revoked links 410, each with a LINK_* code.
+ * When codes are required (services/portalVerificationService.js), calls without a valid
+ * portal session (X-Portal-Session header or ?session=) get 401 VERIFICATION_REQUIRED,
+ * except the code endpoints themselves ({ verified: false })
+ */
+function customerLink(use, { verified = true } = {}) {
+  return async (req, res, next) => {
+    try {
+      req.customerRequest = await customerLinkService.resolveLink(req.params.token, {
+        action: use,
+        ip: req.ip || req.connection.remoteAddress
+      });
+      if (verified) {
+        await portalVerificationService.checkSession(req.customerRequest, req.get('X-Portal-Session') || req.query.session);
+      }
+      next();
+    } catch (error) {
+      if (!error.code) {
+        console.error('Error checking customer link:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+      }
+      if (error.code === VERIFICATION_ERROR.REQUIRED) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: error.message,
+          code: error.code,
+          channels: error.channels
+        });
+      }
+      const invalid = error.code === customerLinkService.LINK_ERROR.INVALID;
+      res.status(invalid ? 404 : 410).json({
+        error: invalid ? 'Not Found' : 'Gone',
+        message: error.message,
+        code: error.code
+      });
+    }
+  };
+}
+
+// Chunks of resumable uploads arrive as raw bytes; a chunk is never larger than the hard cap
+const uploadChunk = express.raw({
+  type: 'application/offset+octet-stream',
+  limit: resumableUploadService.CHUNK_SIZE * 2
+});
+
+// Lost links: a new link is sent to the phone or email on the request (no token needed)
+// POST /api/customer/link-recovery
+router.post('/link-recovery', customerController.recoverLink);
+
 // GET /api/customer/requests/:token
-router.get('/requests/:token', customerController.getRequestByToken);
+router.get('/requests/:token', customerLink('VIEW_REQUEST'), customerController.getRequestByToken);
+
+// One-time code before the portal opens (when CUSTOMER_OTP_REQUIRED is set)
+// POST /api/customer/requests/:token/verification
+router.post('/requests/:token/verification', customerLink('REQUEST_CODE', { verified: false }), customerController.requestVerificationCode);
 
-// POST /api/customer/requests/:id/documents
-router.post('/requests/:id/documents', upload.single('file'), customerController.uploadDocument);
+// POST /api/customer/requests/:token/verification/confirm
+router.post('/requests/:token/verification/confirm', customerLink('CONFIRM_CODE', { verified: false }), customerController.confirmVerificationCode);
 
-// POST /api/customer/requests/:id/submit
-router.post('/requests/:id/submit', customerController.submitRequest);
+// POST /api/customer/requests/:token/documents
+router.post('/requests/:token/documents', customerLink('UPLOAD_DOCUMENT'), singleFile, customerController.uploadDocument);
+
+// Resumable uploads (services/resumableUploadService.js)
+// POST /api/customer/requests/:token/uploads
+router.post('/requests/:token/uploads', customerLink('START_UPLOAD'), customerController.createUpload);
+
+// GET (and HEAD) /api/customer/requests/:token/uploads/:uploadId
+router.get('/requests/:token/uploads/:uploadId', customerLink('CHECK_UPLOAD'), customerController.getUpload);
+
+// PATCH /api/customer/requests/:token/uploads/:uploadId
+router.patch('/requests/:token/uploads/:uploadId', customerLink('UPLOAD_CHUNK'), uploadChunk, customerController.appendUploadChunk);
+
+// POST /api/customer/requests/:token/uploads/:uploadId/finalize
+router.post('/requests/:token/uploads/:uploadId/finalize', customerLink('FINISH_UPLOAD'), customerController.finalizeUpload);
+
+// DELETE /api/customer/requests/:token/uploads/:uploadId
+router.delete('/requests/:token/uploads/:uploadId', customerLink('CANCEL_UPLOAD'), customerController.abortUpload);
+
+// DELETE /api/customer/requests/:token/documents/:docId
+router.delete('/requests/:token/documents/:docId', customerLink('REMOVE_DOCUMENT'), customerController.removeDocument);
+
+// POST /api/customer/requests/:token/submit
+router.post('/requests/:token/submit', customerLink('SUBMIT_REQUEST'), customerController.submitRequest);
 
 // GET /api/customer/requests/:token/files/:docId  (proxy — streams file via Admin SDK)
-router.get('/requests/:token/files/:docId', customerController.streamDocument);
+router.get('/requests/:token/files/:docId', customerLink('VIEW_FILE'), customerController.streamDocument);
+
+// GET /api/customer/requests/:token/files/:docId/:variant  (thumbnail, preview or original upload)
+router.get('/requests/:token/files/:docId/:variant', customerLink('VIEW_FILE'), customerController.streamDocument);
+
+// GET /api/customer/requests/:token/merged/:type  (photos of a document type as one PDF)
+router.get('/requests/:token/merged/:type', customerLink('VIEW_MERGED_FILE'), customerController.streamMergedDocument);
 
 module.exports = router;
 
@@ -0,0 +1,46 @@
+/**
+ * File Routes
+ * 
+ * Serves signed URLs issued by the local blob storage driver
+ * (Firebase Storage and S3 serve their own signed URLs)
+ */
+
+const express = require('express');
+const blobStorage = require('../blobStorage');
+
+const router = express.Router();
+
+/**
+ * GET /api/files/:key?expires=...&signature=...
+ */
+router.get('/:key', async (req, res) => {
+  try {
+    if (blobStorage.driverName !== 'local') {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!blobStorage.verifySignedUrl(key, expires, signature)) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Invalid or expired link' });
+    }
+
+    const metadata = await blobStorage.getMetadata(key);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    res.setHeader('Content-Type', metadata.contentType);
+    res.setHeader('Content-Disposition', 'inline');
+    const stream = await blobStorage.stream(key);
+    stream
+      .on('error', () => res.status(500).end())
+      .pipe(res);
+  } catch (error) {
+    console.error('Error serving file:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
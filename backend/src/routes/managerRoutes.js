@@ -18,6 +18,9 @@ router.use(requireRole('manager'));
 // GET /api/manager/kpis
 router.get('/kpis', managerController.getKPIs);
 
+// GET /api/manager/workflows
+router.get('/workflows', managerController.listWorkflows);
+
 // GET /api/manager/requests
 router.get('/requests', managerController.listRequests);
 
@@ -33,5 +36,32 @@ router.post('/requests/:id/reopen', managerController.reopenRequest);
 // GET /api/manager/requests/:id/audit
 router.get('/requests/:id/audit', managerController.getAuditLog);
 
+// GET /api/manager/requests/:id/communications  (messages, calls and other contacts)
+router.get('/requests/:id/communications', managerController.getCommunications);
+
+// GET /api/manager/requests/:id/case-pack  (ZIP of the files with manifest and audit trail)
+router.get('/requests/:id/case-pack', managerController.exportCasePack);
+
+// GET /api/manager/requests/:id/summary-report  (one-page PDF summary)
+router.get('/requests/:id/summary-report', managerController.getSummaryReport);
+
+// GET /api/manager/rejection-reasons
+router.get('/rejection-reasons', managerController.listRejectionReasons);
+
+// PUT /api/manager/rejection-reasons/:code
+router.put('/rejection-reasons/:code', managerController.saveRejectionReason);
+
+// GET /api/manager/message-templates
+router.get('/message-templates', managerController.listMessageTemplates);
+
+// PUT /api/manager/message-templates/:id
+router.put('/message-templates/:id', managerController.saveMessageTemplate);
+
+// DELETE /api/manager/message-templates/:id  (back to the built-in text)
+router.delete('/message-templates/:id', managerController.resetMessageTemplate);
+
+// GET /api/manager/reports/rejection-reasons
+router.get('/reports/rejection-reasons', managerController.getRejectionReasonReport);
+
 module.exports = router;
 
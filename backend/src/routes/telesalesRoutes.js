@@ -21,6 +21,12 @@ router.post('/requests', telesalesController.createRequest);
 // GET /api/telesales/me
 router.get('/me', telesalesController.getCurrentUser);
 
+// GET /api/telesales/workflows
+router.get('/workflows', telesalesController.listWorkflows);
+
+// GET /api/telesales/requirement-profiles
+router.get('/requirement-profiles', telesalesController.listRequirementProfiles);
+
 // GET /api/telesales/requests
 router.get('/requests', telesalesController.listRequests);
 
@@ -39,6 +45,36 @@ router.post('/requests/:id/reopen', telesalesController.reopenRequest);
 // POST /api/telesales/requests/:id/review
 router.post('/requests/:id/review', telesalesController.reviewRequest);
 
+// PUT /api/telesales/requests/:id/documents/:docId/fields
+router.put('/requests/:id/documents/:docId/fields', telesalesController.confirmDocumentFields);
+
+// GET /api/telesales/requests/:id/case-pack  (ZIP of the files with manifest and audit trail)
+router.get('/requests/:id/case-pack', telesalesController.exportCasePack);
+
+// GET /api/telesales/requests/:id/summary-report  (one-page PDF summary)
+router.get('/requests/:id/summary-report', telesalesController.getSummaryReport);
+
+// GET /api/telesales/requests/:id/files/:docId  (the request's files, not tied to the customer link)
+router.get('/requests/:id/files/:docId', telesalesController.streamDocument);
+
+// GET /api/telesales/requests/:id/files/:docId/:variant  (thumbnail, preview or original upload)
+router.get('/requests/:id/files/:docId/:variant', telesalesController.streamDocument);
+
+// GET /api/telesales/requests/:id/merged/:type
+router.get('/requests/:id/merged/:type', telesalesController.streamMergedDocument);
+
+// POST /api/telesales/requests/:id/customer-link/regenerate
+router.post('/requests/:id/customer-link/regenerate', telesalesController.regenerateCustomerLink);
+
+// POST /api/telesales/requests/:id/customer-link/revoke
+router.post('/requests/:id/customer-link/revoke', telesalesController.revokeCustomerLink);
+
+// GET /api/telesales/requests/:id/communications  (messages, calls and other contacts)
+router.get('/requests/:id/communications', telesalesController.getCommunications);
+
+// POST /api/telesales/requests/:id/communications  (log a call, reply or other contact)
+router.post('/requests/:id/communications', telesalesController.logCommunication);
+
 // DELETE /api/telesales/requests/:id
 router.delete('/requests/:id', telesalesController.deleteRequest);
 
@@ -8,6 +8,8 @@ const app = require('./app');
 const cron = require('node-cron');
 const reminderJob = require('./jobs/reminderJob');
 const slaExpiryJob = require('./jobs/slaExpiryJob');
+const malwareScanJob = require('./jobs/malwareScanJob');
+const uploadCleanupJob = require('./jobs/uploadCleanupJob');
 
 const PORT = process.env.PORT || 3001;
 
@@ -33,10 +35,22 @@ cron.schedule('0 * * * *', async () => {
   await slaExpiryJob.processExpiry();
 });
 
+// Malware scan job: retries quarantined uploads every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+  console.log('[Cron] Running malware scan job...');
+  await malwareScanJob.processQuarantine();
+});
+
+// Upload cleanup job: removes expired resumable uploads every hour
+cron.schedule('30 * * * *', async () => {
+  console.log('[Cron] Running upload cleanup job...');
+  await uploadCleanupJob.processExpiredUploads();
+});
+
 // Run jobs immediately on startup (optional, for testing)
 // Uncomment if you want to run jobs on server start
 // reminderJob.processReminders();
 // slaExpiryJob.processExpiry();
 
-console.log('Scheduled jobs initialized (running every hour)');
+console.log('Scheduled jobs initialized (reminders, expiry and upload cleanup every hour, malware scan retries every 5 minutes)');
 
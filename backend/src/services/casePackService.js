@@ -0,0 +1,275 @@
+/**
+ * Case Pack Service
+ *
+ * Builds the ZIP an agent or manager hands to finance underwriting: every current file of
+ * a request with a meaningful name, plus a manifest.
+ *
+ * Contents:
+ * - One entry per current, clean file, named <request number>_<document type>.<extension>
+ *   (REQ-0042_LICENCE.pdf); types with several files are numbered (REQ-0042_BANK_STATEMENT_2.pdf)
+ * - manifest.json: request fields, the files with their checksums, files left out, and the audit trail
+ * - manifest.csv: one row per file; audit-trail.csv: one row per audit entry
+ *
+ * Business rules:
+ * - Originals are exported as uploaded (they are the source of truth), never converted copies
+ * - Files not scanned clean are left out and listed under notIncluded in the manifest
+ * - Each file is hashed (SHA-256) while it is written; the manifest records the hash and whether
+ *   it matches the checksum taken at upload (checksumVerified, null for files without one)
+ * - Every export is audit-logged (CASE_PACK_EXPORTED) before streaming starts, so the trail in
+ *   the pack ends with its own export
+ */
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const archiver = require('archiver');
+const requestRepository = require('../repositories/requestRepository');
+const documentRepository = require('../repositories/documentRepository');
+const auditLogRepository = require('../repositories/auditLogRepository');
+const workflowRepository = require('../repositories/workflowRepository');
+const requirementProfileRepository = require('../repositories/requirementProfileRepository');
+const { getStatusDefinition } = require('../models/workflowDefinitions');
+const { FILE_FORMATS } = require('../models/fileFormats');
+const { getDocumentReviewStatus, getDocumentScanStatus, getDocumentFileId, isDocumentClean } = require('../models/document');
+const blobStorage = require('../blobStorage');
+
+// Request fields copied into the manifest
+const REQUEST_FIELDS = [
+  'id', 'requestNumber', 'customerName', 'customerPhone', 'customerEmail', 'customerType',
+  'dealerId', 'vehicleId', 'workflowId', 'requirementProfileId', 'status', 'reviewStatus',
+  'reviewComment', 'completionPercent', 'agentId', 'notes', 'createdAt', 'updatedAt', 'reviewedAt'
+];
+
+const DOCUMENT_CSV_COLUMNS = [
+  'fileName', 'type', 'label', 'fileNumber', 'version', 'originalName', 'contentType', 'size',
+  'sha256', 'checksumVerified', 'uploadedAt', 'reviewStatus', 'reasonCodes', 'reviewedBy', 'reviewedAt'
+];
+const AUDIT_CSV_COLUMNS = ['timestamp', 'action', 'actorId', 'ip', 'metadata'];
+
+/**
+ * File name of a request's case pack, e.g. REQ-0042_case_pack.zip
+ */
+function casePackFileName(request) {
+  return `${safeName(request.requestNumber || request.id)}_case_pack.zip`;
+}
+
+/**
+ * Keep a name to letters, digits, dashes and underscores
+ */
+function safeName(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]+/g, '_');
+}
+
+/**
+ * File extension of a stored document
+ */
+function extensionOf(document) {
+  const format = Object.values(FILE_FORMATS).find(f => f.contentType === document.contentType);
+  if (format) {
+    return format.extension;
+  }
+  const match = /\.([A-Za-z0-9]+)$/.exec(document.storagePath || '');
+  return match ? match[1].toLowerCase() : 'bin';
+}
+
+/**
+ * ISO string from a stored timestamp (Date, Firestore Timestamp or ISO string)
+ */
+function toIsoString(timestamp) {
+  if (!timestamp) return null;
+  return (timestamp.toDate ? timestamp.toDate() : new Date(timestamp)).toISOString();
+}
+
+/**
+ * One CSV field, quoted when needed
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text from rows of objects
+ */
+function toCsv(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Add a stored file to the archive, hashing it on the way
+ * Resolves with the SHA-256 hex digest once the archive has read the whole file
+ */
+async function appendFile(archive, storagePath, name, date) {
+  const source = await blobStorage.stream(storagePath);
+  const hash = crypto.createHash('sha256');
+  const hashing = new Transform({
+    transform(piece, encoding, callback) {
+      hash.update(piece);
+      callback(null, piece);
+    }
+  });
+
+  const done = new Promise((resolve, reject) => {
+    hashing.on('end', () => resolve(hash.digest('hex')));
+    hashing.on('error', reject);
+    source.on('error', reject);
+  });
+  archive.append(source.pipe(hashing), { name, date });
+  return done;
+}
+
+/**
+ * Plan the entries of a case pack: which files go in and under which name
+ */
+function planFiles(request, documents, requirements) {
+  const prefix = safeName(request.requestNumber || request.id);
+  const included = [];
+  const notIncluded = [];
+
+  const byType = {};
+  documents.forEach(doc => {
+    (byType[doc.type] = byType[doc.type] || []).push(doc);
+  });
+
+  Object.entries(byType).forEach(([type, files]) => {
+    const requirement = requirements.find(r => r.type === type);
+    const clean = files.filter(doc => isDocumentClean(doc) && doc.storagePath);
+    files.filter(doc => !clean.includes(doc)).forEach(doc => {
+      notIncluded.push({
+        documentId: doc.id,
+        type,
+        version: doc.version || 1,
+        scanStatus: getDocumentScanStatus(doc),
+        reason: isDocumentClean(doc) ? 'No stored file' : 'Not scanned clean'
+      });
+    });
+    clean.forEach((doc, index) => {
+      const number = clean.length > 1 ? `_${index + 1}` : '';
+      included.push({
+        doc,
+        label: requirement ? requirement.label : type,
+        fileNumber: index + 1,
+        fileName: `${prefix}_${safeName(type)}${number}.${extensionOf(doc)}`
+      });
+    });
+  });
+
+  return { included, notIncluded };
+}
+
+/**
+ * Write a request's case pack as a ZIP to a writable stream (e.g. the HTTP response)
+ *
+ * @param {string} requestId
+ * @param {Writable} output
+ * @param {Object} actor - { actorId, actorRole, actorIp }
+ * @returns {Object} { fileName, files, notIncluded } once the ZIP is complete
+ */
+async function exportCasePack(requestId, output, { actorId, actorRole = null, actorIp = null }) {
+  const request = await requestRepository.getRequestById(requestId);
+  if (!request) {
+    throw new Error('Request not found');
+  }
+
+  const workflow = await workflowRepository.getWorkflowForRequest(request);
+  const statusDefinition = getStatusDefinition(workflow, request.status);
+  const requirements = await requirementProfileRepository.getRequirementsForRequest(request);
+  const current = (await documentRepository.getCurrentDocumentsByRequestId(requestId))
+    .sort((a, b) => new Date(a.fileAddedAt) - new Date(b.fileAddedAt) || a.fileId.localeCompare(b.fileId));
+  const { included, notIncluded } = planFiles(request, current, requirements);
+  const fileName = casePackFileName(request);
+
+  await auditLogRepository.createAuditLog({
+    actorId,
+    action: 'CASE_PACK_EXPORTED',
+    requestId,
+    ip: actorIp,
+    metadata: {
+      fileName,
+      role: actorRole,
+      documentIds: included.map(entry => entry.doc.id),
+      notIncluded: notIncluded.length
+    }
+  });
+
+  const exportedAt = new Date();
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const written = new Promise(resolve => output.on('finish', resolve));
+  // Settles only if the download breaks off: the client went away or a file could not be read
+  const broken = new Promise((resolve, reject) => {
+    output.on('close', () => reject(new Error('The download was cancelled')));
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  broken.catch(() => archive.abort());
+  archive.pipe(output);
+
+  const files = [];
+  for (const entry of included) {
+    const { doc } = entry;
+    const sha256 = await Promise.race([appendFile(archive, doc.storagePath, entry.fileName, exportedAt), broken]);
+    files.push({
+      fileName: entry.fileName,
+      documentId: doc.id,
+      type: doc.type,
+      label: entry.label,
+      fileId: getDocumentFileId(doc),
+      fileNumber: entry.fileNumber,
+      version: doc.version || 1,
+      originalName: doc.originalName || null,
+      contentType: doc.contentType || null,
+      size: doc.size || null,
+      sha256,
+      checksumVerified: doc.checksum ? doc.checksum === sha256 : null,
+      uploadedAt: doc.uploadedAt,
+      reviewStatus: getDocumentReviewStatus(doc),
+      reasonCodes: doc.reasonCodes || [],
+      reviewComment: doc.reviewComment || null,
+      reviewedBy: doc.reviewedBy || null,
+      reviewedAt: doc.reviewedAt
+    });
+  }
+
+  const auditTrail = (await auditLogRepository.getAuditLogsByRequestId(requestId))
+    .map(log => ({
+      timestamp: toIsoString(log.timestamp),
+      action: log.action,
+      actorId: log.actorId,
+      ip: log.ip || null,
+      metadata: log.metadata || {}
+    }))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const requestFields = Object.fromEntries(REQUEST_FIELDS.map(field => [field, request[field] ?? null]));
+  const manifest = {
+    requestNumber: request.requestNumber || null,
+    exportedAt: exportedAt.toISOString(),
+    exportedBy: actorId,
+    request: {
+      ...requestFields,
+      workflowName: workflow.name,
+      statusLabel: statusDefinition ? statusDefinition.label : request.status
+    },
+    files,
+    notIncluded,
+    auditTrail
+  };
+
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json', date: exportedAt });
+  archive.append(toCsv(DOCUMENT_CSV_COLUMNS, files.map(file => ({
+    ...file,
+    reasonCodes: file.reasonCodes.join(' ')
+  }))), { name: 'manifest.csv', date: exportedAt });
+  archive.append(toCsv(AUDIT_CSV_COLUMNS, auditTrail), { name: 'audit-trail.csv', date: exportedAt });
+  archive.finalize();
+  await Promise.race([written, broken]);
+
+  return { fileName, files, notIncluded };
+}
+
+module.exports = {
+  casePackFileName,
+  exportCasePack
+};
@@ -0,0 +1,104 @@
+/**
+ * Communication Service
+ *
+ * The communication log of a request (models/communication.js): what was said to and
+ * heard from the customer, shown as a timeline in the request detail panel.
+ *
+ * Business rules:
+ * - Messages the system sends are recorded by messageService; staff log everything else:
+ *   calls with their outcome, replies from the customer, messages they sent themselves
+ *   (WhatsApp, their own email) and other contacts
+ * - A logged message is SENT when outbound and RECEIVED when inbound; calls and other
+ *   contacts have no delivery status
+ * - Entries may be logged after the fact (occurredAt), but not for the future
+ * - Logging an entry is audit-logged as COMMUNICATION_LOGGED
+ */
+
+const communicationRepository = require('../repositories/communicationRepository');
+const auditLogRepository = require('../repositories/auditLogRepository');
+const userRepository = require('../repositories/userRepository');
+const {
+  COMMUNICATION_TYPE,
+  COMMUNICATION_DIRECTION,
+  COMMUNICATION_STATUS,
+  validateLoggedCommunication
+} = require('../models/communication');
+
+// Authors that are not users
+const AUTHOR_NAMES = {
+  system: 'System',
+  customer: 'Customer'
+};
+
+/**
+ * Get the communication log of a request, most recent first, with the author's name
+ */
+async function getCommunicationLog(requestId) {
+  const communications = await communicationRepository.getCommunicationsByRequestId(requestId);
+
+  const names = { ...AUTHOR_NAMES };
+  for (const actorId of new Set(communications.map(entry => entry.actorId))) {
+    if (actorId && !names[actorId]) {
+      const user = await userRepository.getUserById(actorId);
+      names[actorId] = user ? (user.name || user.email) : actorId;
+    }
+  }
+
+  return communications.map(entry => ({
+    ...entry,
+    authorName: names[entry.actorId] || null
+  }));
+}
+
+/**
+ * Log a message, call or other contact with a request's customer
+ *
+ * @param {string} requestId - Request ID
+ * @param {Object} entry - { type, direction, channel, outcome, text, occurredAt }
+ * @param {string} actorId - User logging it
+ * @param {string} ip - Their IP address
+ * @returns {Object} the log entry
+ */
+async function logCommunication(requestId, entry, actorId, ip = null) {
+  validateLoggedCommunication(entry);
+
+  let status = null;
+  if (entry.type === COMMUNICATION_TYPE.MESSAGE) {
+    status = entry.direction === COMMUNICATION_DIRECTION.INBOUND
+      ? COMMUNICATION_STATUS.RECEIVED
+      : COMMUNICATION_STATUS.SENT;
+  }
+
+  const communication = await communicationRepository.createCommunication({
+    requestId,
+    type: entry.type,
+    direction: entry.direction,
+    channel: entry.channel,
+    outcome: entry.type === COMMUNICATION_TYPE.CALL ? entry.outcome : null,
+    text: entry.text ? String(entry.text).trim() : null,
+    status,
+    actorId,
+    occurredAt: entry.occurredAt ? new Date(entry.occurredAt) : undefined
+  });
+
+  await auditLogRepository.createAuditLog({
+    actorId,
+    action: 'COMMUNICATION_LOGGED',
+    requestId,
+    ip,
+    metadata: {
+      communicationId: communication.id,
+      type: communication.type,
+      direction: communication.direction,
+      channel: communication.channel,
+      outcome: communication.outcome
+    }
+  });
+
+  return communication;
+}
+
+module.exports = {
+  getCommunicationLog,
+  logCommunication
+};
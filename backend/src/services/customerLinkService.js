@@ -0,0 +1,216 @@
+/**
+ * Customer Link Service
+ *
+ * Manages the secure token in the customer portal link (/customer/<token>).
+ * Every customer endpoint is scoped by this token.
+ *
+ * Business rules:
+ * - A link expires CUSTOMER_LINK_TTL_DAYS (default 30) days after it is issued
+ * - Regenerating a link issues a new token and expiry; the old link stops working at once
+ * - Revoking a link stops it working until the agent regenerates it
+ * - Requests created before links expired have no expiry date and stay valid until
+ *   regenerated or revoked
+ * - Every use of a link is audit-logged (CUSTOMER_LINK_USED, with what it was used for);
+ *   regenerating and revoking are logged as CUSTOMER_LINK_REGENERATED and CUSTOMER_LINK_REVOKED
+ *
+ * The link is recorded on the request as
+ *   secureToken, secureTokenIssuedAt, secureTokenExpiresAt, secureTokenRevokedAt, secureTokenRevokedBy
+ */
+
+const crypto = require('crypto');
+const requestRepository = require('../repositories/requestRepository');
+const auditLogRepository = require('../repositories/auditLogRepository');
+
+const LINK_TTL_DAYS = parseInt(process.env.CUSTOMER_LINK_TTL_DAYS, 10) || 30;
+
+// Error codes for links the portal cannot use
+const LINK_ERROR = {
+  INVALID: 'LINK_INVALID',
+  EXPIRED: 'LINK_EXPIRED',
+  REVOKED: 'LINK_REVOKED'
+};
+
+const LINK_STATUS = {
+  ACTIVE: 'ACTIVE',
+  EXPIRED: 'EXPIRED',
+  REVOKED: 'REVOKED'
+};
+
+/**
+ * Generate a high-entropy secure token for customer access
+ * This token should be unguessable and unique
+ */
+function generateSecureToken() {
+  // Generate 32 random bytes and convert to base64url
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * A new token with its issue and expiry dates, as stored on the request
+ */
+function issueLink() {
+  const issuedAt = new Date();
+  return {
+    secureToken: generateSecureToken(),
+    secureTokenIssuedAt: issuedAt,
+    secureTokenExpiresAt: new Date(issuedAt.getTime() + LINK_TTL_DAYS * 24 * 60 * 60 * 1000),
+    secureTokenRevokedAt: null,
+    secureTokenRevokedBy: null
+  };
+}
+
+/**
+ * Address of the customer frontend (FRONTEND_URL), for links in messages to the customer
+ */
+function getFrontendUrl() {
+  return (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+}
+
+/**
+ * Full portal address of a token
+ */
+function getLinkUrl(secureToken) {
+  return `${getFrontendUrl()}/customer/${secureToken}`;
+}
+
+/**
+ * Address of the "Find my request" page, where customers get a new link sent to them
+ */
+function getRecoveryUrl() {
+  return `${getFrontendUrl()}/find-request`;
+}
+
+/**
+ * Status of a request's link: ACTIVE, EXPIRED or REVOKED
+ */
+function getLinkStatus(request, now = new Date()) {
+  if (request.secureTokenRevokedAt) {
+    return LINK_STATUS.REVOKED;
+  }
+  if (request.secureTokenExpiresAt && new Date(request.secureTokenExpiresAt) <= now) {
+    return LINK_STATUS.EXPIRED;
+  }
+  return LINK_STATUS.ACTIVE;
+}
+
+/**
+ * Error thrown for a link the customer cannot use
+ */
+function linkError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Find the request a customer link belongs to and log its use
+ *
+ * @param {string} token - the token from the link
+ * @param {Object} use - { action: what the link is used for, e.g. UPLOAD_DOCUMENT; ip }
+ * @returns {Object} the request
+ * @throws with code LINK_INVALID (unknown or replaced token), LINK_EXPIRED or LINK_REVOKED
+ */
+async function resolveLink(token, { action, ip = null }) {
+  const request = token ? await requestRepository.getRequestByToken(token) : null;
+  if (!request) {
+    throw linkError('This link is not valid. Please ask your agent for a new link.', LINK_ERROR.INVALID);
+  }
+
+  const status = getLinkStatus(request);
+  if (status !== LINK_STATUS.ACTIVE) {
+    await auditLogRepository.createAuditLog({
+      actorId: 'customer',
+      action: 'CUSTOMER_LINK_REFUSED',
+      requestId: request.id,
+      ip,
+      metadata: { use: action, linkStatus: status }
+    });
+    throw status === LINK_STATUS.REVOKED
+      ? linkError('This link has been withdrawn. Please ask your agent for a new link.', LINK_ERROR.REVOKED)
+      : linkError('This link has expired. Please ask your agent for a new link.', LINK_ERROR.EXPIRED);
+  }
+
+  await auditLogRepository.createAuditLog({
+    actorId: 'customer',
+    action: 'CUSTOMER_LINK_USED',
+    requestId: request.id,
+    ip,
+    metadata: { use: action }
+  });
+
+  return request;
+}
+
+/**
+ * Issue a new link for a request, replacing the old one
+ *
+ * @param {Object} link - the new link, if already issued (issueLink) and sent out before
+ *                        it replaces the old one; a new one by default
+ * @returns {Object} { secureToken, secureTokenExpiresAt, customerLink }
+ */
+async function regenerateLink(requestId, actorId, actorIp = null, link = issueLink()) {
+  const request = await requestRepository.getRequestById(requestId);
+  if (!request) {
+    throw new Error('Request not found');
+  }
+
+  await requestRepository.updateRequest(requestId, link);
+
+  await auditLogRepository.createAuditLog({
+    actorId,
+    action: 'CUSTOMER_LINK_REGENERATED',
+    requestId,
+    ip: actorIp,
+    metadata: {
+      previousLinkStatus: getLinkStatus(request),
+      expiresAt: link.secureTokenExpiresAt.toISOString()
+    }
+  });
+
+  return {
+    secureToken: link.secureToken,
+    secureTokenExpiresAt: link.secureTokenExpiresAt.toISOString(),
+    customerLink: `/customer/${link.secureToken}`
+  };
+}
+
+/**
+ * Stop a request's link from working until it is regenerated
+ */
+async function revokeLink(requestId, actorId, actorIp = null) {
+  const request = await requestRepository.getRequestById(requestId);
+  if (!request) {
+    throw new Error('Request not found');
+  }
+  if (request.secureTokenRevokedAt) {
+    throw linkError('The customer link is already revoked', LINK_ERROR.REVOKED);
+  }
+
+  const revokedAt = new Date();
+  await requestRepository.updateRequest(requestId, {
+    secureTokenRevokedAt: revokedAt,
+    secureTokenRevokedBy: actorId
+  });
+
+  await auditLogRepository.createAuditLog({
+    actorId,
+    action: 'CUSTOMER_LINK_REVOKED',
+    requestId,
+    ip: actorIp,
+    metadata: { linkStatus: getLinkStatus(request) }
+  });
+
+  return { secureTokenRevokedAt: revokedAt.toISOString() };
+}
+
+module.exports = {
+  LINK_ERROR,
+  LINK_STATUS,
+  issueLink,
+  getLinkUrl,
+  getRecoveryUrl,
+  getLinkStatus,
+  resolveLink,
+  regenerateLink,
+  revokeLink
+};
@@ -0,0 +1,200 @@
+/**
+ * Document Check Service
+ *
+ * Runs the consistency checks of a document type (models/documentChecks.js) on the
+ * fields read from the document (ocrService) and records the flags on the document:
+ *   document.consistencyChecks = { overall, results: [{ rule, field, label, outcome, message, value }], checkedAt }
+ *
+ * Business rules:
+ * - Runs after OCR and again whenever an agent confirms or corrects the fields
+ * - Checks come from the document's entry in the request's requirement profile,
+ *   or the defaults for its type
+ * - A field that could not be read gives WARN, never PASS
+ * - overall is the worst outcome (FAIL > WARN > PASS)
+ * - Every run is audit-logged (DOCUMENT_CHECKS_RUN)
+ */
+
+const documentRepository = require('../repositories/documentRepository');
+const requestRepository = require('../repositories/requestRepository');
+const requirementProfileRepository = require('../repositories/requirementProfileRepository');
+const auditLogRepository = require('../repositories/auditLogRepository');
+const { CHECK_RULE, CHECK_OUTCOME, getDefaultChecks } = require('../models/documentChecks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OUTCOME_ORDER = [CHECK_OUTCOME.PASS, CHECK_OUTCOME.WARN, CHECK_OUTCOME.FAIL];
+
+/**
+ * Upper-case name tokens without accents or punctuation
+ */
+function nameTokens(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Similarity of two strings, 0..1 (1 - edit distance / longer length)
+ */
+function stringSimilarity(a, b) {
+  if (!a.length && !b.length) return 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Similarity of two person names, 0..1
+ * Word order does not matter, and extra names on one side (middle names) are
+ * tolerated as long as the shorter name has at least two words that match.
+ */
+function nameSimilarity(nameA, nameB) {
+  const tokensA = nameTokens(nameA);
+  const tokensB = nameTokens(nameB);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const whole = stringSimilarity([...tokensA].sort().join(' '), [...tokensB].sort().join(' '));
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  if (shorter.length < 2) return whole;
+  const covered = shorter
+    .map(token => Math.max(...longer.map(other => stringSimilarity(token, other))))
+    .reduce((sum, score) => sum + score, 0) / shorter.length;
+
+  return Math.max(whole, covered);
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another (positive if `to` is later)
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Evaluate one check
+ * Returns { outcome, message }
+ */
+function evaluateCheck(check, value, fieldLabel, request, today) {
+  if (!value) {
+    return { outcome: CHECK_OUTCOME.WARN, message: `${fieldLabel} could not be read` };
+  }
+
+  switch (check.rule) {
+    case CHECK_RULE.NAME_MATCH: {
+      const similarity = nameSimilarity(value, request.customerName);
+      const percent = Math.round(similarity * 100);
+      if (similarity >= (check.passAt ?? 0.9)) {
+        return { outcome: CHECK_OUTCOME.PASS, message: `Matches ${request.customerName} (${percent}%)` };
+      }
+      if (similarity >= (check.warnAt ?? 0.75)) {
+        return { outcome: CHECK_OUTCOME.WARN, message: `Close to ${request.customerName} (${percent}%)` };
+      }
+      return { outcome: CHECK_OUTCOME.FAIL, message: `Does not match ${request.customerName} (${percent}%)` };
+    }
+    case CHECK_RULE.NOT_EXPIRED: {
+      const daysLeft = daysBetween(today, value);
+      if (daysLeft <= 0) {
+        return { outcome: CHECK_OUTCOME.FAIL, message: `Expired on ${value}` };
+      }
+      if (daysLeft <= (check.warnWithinDays ?? 30)) {
+        return { outcome: CHECK_OUTCOME.WARN, message: `Expires in ${daysLeft} day(s), on ${value}` };
+      }
+      return { outcome: CHECK_OUTCOME.PASS, message: `Valid until ${value}` };
+    }
+    case CHECK_RULE.ISSUED_WITHIN_DAYS: {
+      const age = daysBetween(value, today);
+      if (age < 0) {
+        return { outcome: CHECK_OUTCOME.FAIL, message: `Dated in the future (${value})` };
+      }
+      if (age > check.days) {
+        return { outcome: CHECK_OUTCOME.FAIL, message: `Dated ${value}, more than ${check.days} days ago` };
+      }
+      return { outcome: CHECK_OUTCOME.PASS, message: `Dated ${value} (${age} day(s) ago)` };
+    }
+    default:
+      return { outcome: CHECK_OUTCOME.WARN, message: `Unknown rule ${check.rule}` };
+  }
+}
+
+/**
+ * Run the consistency checks of a document and store the results on it
+ *
+ * @param {string} documentId
+ * @param {Object} options - { trigger: 'OCR' | 'FIELDS_CONFIRMED', actorId, actorIp }
+ * @returns {Object|null} the stored results, or null if the document has no checks or no fields yet
+ */
+async function runChecks(documentId, { trigger, actorId = 'system', actorIp = null } = {}) {
+  const document = await documentRepository.getDocumentById(documentId);
+  if (!document) {
+    throw new Error('Document not found');
+  }
+  if (!document.extraction) {
+    return null;
+  }
+
+  const request = await requestRepository.getRequestById(document.requestId);
+  if (!request) {
+    throw new Error('Request not found');
+  }
+  const requirements = await requirementProfileRepository.getRequirementsForRequest(request);
+  const requirement = requirements.find(doc => doc.type === document.type);
+  const checks = requirement ? requirement.checks : getDefaultChecks(document.type);
+  if (!checks || checks.length === 0) {
+    return null;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const results = checks.map(check => {
+    const field = document.extraction.fields?.[check.field] || {};
+    const label = field.label || check.field;
+    return {
+      rule: check.rule,
+      field: check.field,
+      label,
+      value: field.value || null,
+      ...evaluateCheck(check, field.value, label, request, today)
+    };
+  });
+  const overall = results.reduce(
+    (worst, result) => (OUTCOME_ORDER.indexOf(result.outcome) > OUTCOME_ORDER.indexOf(worst) ? result.outcome : worst),
+    CHECK_OUTCOME.PASS
+  );
+
+  const consistencyChecks = { overall, results, checkedAt: new Date() };
+  await documentRepository.updateDocument(documentId, { consistencyChecks });
+
+  await auditLogRepository.createAuditLog({
+    actorId,
+    action: 'DOCUMENT_CHECKS_RUN',
+    requestId: document.requestId,
+    ip: actorIp,
+    metadata: {
+      documentId,
+      documentType: document.type,
+      trigger: trigger || null,
+      overall,
+      results: results.map(({ rule, field, outcome, message }) => ({ rule, field, outcome, message }))
+    }
+  });
+
+  return consistencyChecks;
+}
+
+module.exports = {
+  nameSimilarity,
+  runChecks
+};
@@ -7,131 +7,288 @@
 const documentRepository = require('../repositories/documentRepository');
 const requestRepository = require('../repositories/requestRepository');
 const auditLogRepository = require('../repositories/auditLogRepository');
-const { REQUEST_STATUS } = require('../models/request');
-const { storage } = require('../firebase');
+const workflowRepository = require('../repositories/workflowRepository');
+const requirementProfileRepository = require('../repositories/requirementProfileRepository');
+const { STATUS_PHASE, getStatusPhase } = require('../models/workflowDefinitions');
+const { DOCUMENT_REVIEW_STATUS, DOCUMENT_SCAN_STATUS, getDocumentReviewStatus, getDocumentScanStatus, getDocumentFileId, getServedFile, isDocumentClean } = require('../models/document');
+const { UPLOAD_ERROR } = require('../models/fileFormats');
+const blobStorage = require('../blobStorage');
+const workflowEngine = require('./workflowEngine');
+const uploadValidationService = require('./uploadValidationService');
+const malwareScanService = require('./malwareScanService');
+const imageQualityService = require('./imageQualityService');
+const normalizationService = require('./normalizationService');
+const { DERIVATIVE_VARIANTS } = require('./previewService');
+const crypto = require('crypto');
 
 /**
- * Upload a document for a request
- * 
- * Business rules:
- * - Request must not be EXPIRED
- * - Document type must be valid
- * - Updates completion percentage
- * - Creates audit log
+ * Get a request the customer may still change documents of
+ * Throws if the request does not exist, is expired or completed, or was approved
+ *
+ * @param {string} action - for the error messages, e.g. 'upload documents to'
  */
-async function uploadDocument(requestId, documentType, file, actorIp = null) {
-  // Verify request exists and is not expired or completed
+async function getOpenRequest(requestId, action) {
   const request = await requestRepository.getRequestById(requestId);
   if (!request) {
     throw new Error('Request not found');
   }
 
-  if (request.status === REQUEST_STATUS.EXPIRED) {
-    throw new Error('Cannot upload documents to expired request');
+  const workflow = await workflowRepository.getWorkflowForRequest(request);
+  const phase = getStatusPhase(workflow, request.status);
+
+  if (phase === STATUS_PHASE.EXPIRED) {
+    throw new Error(`Cannot ${action} expired request`);
   }
 
-  if (request.status === REQUEST_STATUS.COMPLETED) {
-    throw new Error('Cannot upload documents to completed request');
+  if (phase === STATUS_PHASE.COMPLETED) {
+    throw new Error(`Cannot ${action} completed request`);
   }
 
   // Also block if already approved (even if status hasn't changed yet)
   if (request.reviewStatus === 'APPROVED') {
-    throw new Error('Cannot upload documents to approved request');
+    throw new Error(`Cannot ${action} approved request`);
   }
 
-  // Validate document type
-  const { DOCUMENT_TYPES } = require('../models/request');
-  if (!Object.values(DOCUMENT_TYPES).includes(documentType)) {
+  return request;
+}
+
+/**
+ * Check that a request takes an upload for a document type, and work out which file it replaces
+ * Runs before anything is stored (for resumable uploads: when the upload is created and again when it is finished)
+ * Returns { request, requirements, requirement, previousVersion } (previousVersion null when a file is added)
+ */
+async function prepareUpload(requestId, documentType, replaceDocumentId = null) {
+  // Verify request exists and is not expired or completed
+  const request = await getOpenRequest(requestId, 'upload documents to');
+
+  // Validate document type against the request's requirement profile
+  const requirements = await requirementProfileRepository.getRequirementsForRequest(request);
+  const requirement = requirements.find(doc => doc.type === documentType);
+  if (!requirement) {
     throw new Error('Invalid document type');
   }
 
-  // Upload file to Firebase Storage
-  // Use the default bucket configured in Firebase Admin (from firebase.js / environment)
-  const bucket = storage.bucket();
-  const fileName = `requests/${requestId}/${documentType}/${Date.now()}_${file.originalname}`;
-  const fileUpload = bucket.file(fileName);
-
-  // Generate a download token before upload and embed it in the file metadata.
-  // This is the same mechanism Firebase client SDK uses — no IAM permissions needed.
-  const crypto = require('crypto');
-  const downloadToken = crypto.randomUUID();
-
-  // Upload the file
-  await new Promise((resolve, reject) => {
-    const stream = fileUpload.createWriteStream({
-      metadata: {
-        contentType: file.mimetype,
-        metadata: {
-          firebaseStorageDownloadTokens: downloadToken
-        }
-      }
+  const currentFiles = await documentRepository.getDocumentsByType(requestId, documentType);
+  let previousVersion = null;
+  if (replaceDocumentId) {
+    previousVersion = currentFiles.find(doc => doc.id === replaceDocumentId);
+    if (!previousVersion) {
+      throw new Error('The file to replace was not found');
+    }
+  } else if (requirement.files.max === 1 && currentFiles.length > 0) {
+    previousVersion = currentFiles[0];
+  } else if (currentFiles.length >= requirement.files.max) {
+    throw uploadValidationService.uploadError(
+      UPLOAD_ERROR.TOO_MANY_FILES,
+      `At most ${requirement.files.max} files can be uploaded for ${requirement.label}. Replace or remove one first.`
+    );
+  }
+
+  return { request, requirements, requirement, previousVersion };
+}
+
+/**
+ * Blob storage key for an upload
+ */
+function uploadStoragePath(requestId, documentType, fileName) {
+  return `requests/${requestId}/${documentType}/${Date.now()}_${fileName}`;
+}
+
+/**
+ * Record a stored file as the new current version of its file (or a new file of its type)
+ * The file count is checked again in the write transaction (another upload may have taken the
+ * last place since prepareUpload); if the record cannot be written the stored file is removed
+ *
+ * @param {Object} prepared - result of prepareUpload
+ * @param {Object} upload - { storagePath, checksum, checkedFile, quality, clientProcessing }
+ * @param {string} actorIp
+ * @param {Object} auditMetadata - extra audit log metadata
+ */
+async function recordUpload(prepared, upload, actorIp = null, auditMetadata = {}) {
+  const { request, requirements, requirement, previousVersion } = prepared;
+  const { storagePath, checksum, checkedFile, quality, clientProcessing = null } = upload;
+
+  // Create the new document record; the previous version is kept, it is just no longer current
+  let document;
+  try {
+    document = await documentRepository.addDocumentVersion({
+      requestId: request.id,
+      type: requirement.type,
+      fileId: previousVersion ? getDocumentFileId(previousVersion) : null,
+      fileAddedAt: previousVersion ? previousVersion.fileAddedAt : null,
+      storagePath,
+      checksum,
+      version: previousVersion ? (previousVersion.version || 1) + 1 : 1,
+      uploaderIp: actorIp,
+      originalName: checkedFile.fileName,
+      contentType: checkedFile.contentType,
+      size: checkedFile.size,
+      pages: checkedFile.pages,
+      pagesUnchecked: checkedFile.pagesUnchecked,
+      quality,
+      clientProcessing
+    }, {
+      previousVersionId: previousVersion ? previousVersion.id : null,
+      maxFiles: requirement.files.max,
+      label: requirement.label
     });
+  } catch (error) {
+    await blobStorage.remove(storagePath).catch(() => {});
+    throw error;
+  }
 
-    stream.on('error', reject);
-    stream.on('finish', resolve);
-    stream.end(file.buffer);
+  // Update completion percentage
+  const completionPercent = await documentRepository.calculateCompletionPercent(request.id, requirements);
+  await requestRepository.updateRequest(request.id, {
+    completionPercent: completionPercent
   });
 
-  // Construct the download URL using the embedded token
-  const bucketName = bucket.name;
-  const downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucketName}/o/${encodeURIComponent(fileName)}?alt=media&token=${downloadToken}`;
-
-  // Delete old documents of the same type (if any) to allow re-upload
-  const existingDoc = await documentRepository.getDocumentByType(requestId, documentType);
-  if (existingDoc && existingDoc.id) {
-    // Delete old file from Storage
-    try {
-      if (existingDoc.storagePath) {
-        const oldFile = bucket.file(existingDoc.storagePath);
-        await oldFile.delete().catch(() => {
-          // Ignore errors if file doesn't exist
-        });
-      }
-    } catch (err) {
-      console.warn('Could not delete old file:', err);
+  // Create audit log
+  await auditLogRepository.createAuditLog({
+    actorId: 'customer', // Customer uploads don't have a user ID
+    action: 'CUSTOMER_UPLOADED_DOCUMENT',
+    requestId: request.id,
+    ip: actorIp,
+    metadata: {
+      documentType: requirement.type,
+      documentId: document.id,
+      fileId: document.fileId,
+      replacedDocumentId: previousVersion ? previousVersion.id : null,
+      version: document.version,
+      checksum: document.checksum,
+      qualityWarnings: quality ? quality.warnings.map(warning => warning.code) : [],
+      clientProcessed: Boolean(clientProcessing),
+      pagesUnchecked: checkedFile.pagesUnchecked,
+      ...auditMetadata
     }
-    
-    // Delete old document record
-    const { db } = require('../firebase');
-    await db.collection('documents').doc(existingDoc.id).delete();
+  });
+
+  // Scan in the background; the document stays quarantined until then
+  malwareScanService.queueScan(document.id);
+
+  return document;
+}
+
+/**
+ * Upload a file for a document type of a request
+ * 
+ * Business rules:
+ * - Request must not be expired or completed (status phase in its workflow)
+ * - Document type must be part of the request's requirement profile
+ * - A document type holds between files.min and files.max files (requirement profile):
+ *   with replaceDocumentId the upload replaces that file, otherwise it adds a file
+ *   (for a type of a single file, an upload replaces the file already there);
+ *   adding past files.max fails with code TOO_MANY_FILES
+ * - File content must pass the document type's upload rules (format from magic bytes,
+ *   size and page limits, see uploadValidationService); errors carry a `code` for the portal.
+ *   A PDF whose pages cannot be counted is accepted with `pagesUnchecked` for agents to check
+ * - Photos are assessed for resolution, blur, brightness and cut-off edges
+ *   (imageQualityService); the warnings are stored on the document as `quality` and
+ *   returned so the customer can retake the photo, but never refuse the upload
+ * - Photos the portal rotated, cropped or compressed before upload come with a report of the
+ *   original (size, dimensions, EXIF orientation); it is kept on the document as
+ *   `clientProcessing` so agents know the file was processed
+ * - Replacing never deletes anything: the new file becomes the current version and
+ *   earlier versions are kept (with the review outcome they received) for compliance
+ * - The new version starts with review status PENDING and is QUARANTINED until the
+ *   background malware scan reports it clean (malwareScanService)
+ * - Updates completion percentage (accepted required documents only)
+ * - Creates audit log
+ *
+ * Large files can also be uploaded in resumable chunks (resumableUploadService), with the same rules.
+ *
+ * @param {Object} options - { replaceDocumentId, clientProcessing }
+ */
+async function uploadDocument(requestId, documentType, file, actorIp = null, { replaceDocumentId = null, clientProcessing = null } = {}) {
+  // Work out which file the upload replaces, if any, before storing anything
+  const prepared = await prepareUpload(requestId, documentType, replaceDocumentId);
+
+  // Check the real file type, size and page count; the client's name and MIME type are not trusted
+  const checkedFile = uploadValidationService.validateUpload(file, prepared.requirement.upload);
+
+  // Warn about blurry, dark, small or cropped photos before an agent has to reject them
+  const quality = await imageQualityService.assessImage(file.buffer, checkedFile.contentType);
+
+  // Upload file to blob storage (Firebase Storage, local directory or S3, see blobStorage/)
+  // The driver's long-lived download URL is not kept: files are only served through
+  // streamDocument, which checks the malware scan status first
+  const storagePath = uploadStoragePath(requestId, documentType, checkedFile.fileName);
+  await blobStorage.put(storagePath, file.buffer, {
+    contentType: checkedFile.contentType
+  });
+
+  return recordUpload(prepared, {
+    storagePath,
+    checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+    checkedFile,
+    quality,
+    clientProcessing: uploadValidationService.sanitizeClientProcessing(clientProcessing)
+  }, actorIp);
+}
+
+/**
+ * Remove a file from a document type (customer action)
+ *
+ * Business rules:
+ * - Same request checks as uploads (not expired, completed or approved)
+ * - Only current files can be removed, and not once they are ACCEPTED
+ * - Nothing is deleted: the file's versions are kept, none of them current any more,
+ *   and the removed version gets removedAt
+ * - Updates completion percentage
+ * - The type's combined PDF is rebuilt without the file, in the background
+ * - Creates audit log CUSTOMER_REMOVED_DOCUMENT
+ */
+async function removeDocument(requestId, documentId, actorIp = null) {
+  const request = await getOpenRequest(requestId, 'remove documents from');
+
+  const document = await documentRepository.getDocumentById(documentId);
+  if (!document || document.requestId !== requestId || document.isCurrent === false) {
+    throw new Error('Document not found');
+  }
+  if (getDocumentReviewStatus(document) === DOCUMENT_REVIEW_STATUS.ACCEPTED) {
+    throw new Error('Accepted files cannot be removed');
   }
 
-  // Create new document record
-  const document = await documentRepository.createDocument({
-    requestId: requestId,
-    type: documentType,
-    storagePath: fileName,
-    downloadUrl: downloadUrl,
-    checksum: null // Could calculate MD5/SHA256 hash here
+  await documentRepository.updateDocument(documentId, {
+    isCurrent: false,
+    removedAt: new Date()
   });
 
-  // Update completion percentage
-  const completionPercent = await documentRepository.calculateCompletionPercent(requestId);
+  const requirements = await requirementProfileRepository.getRequirementsForRequest(request);
+  const completionPercent = await documentRepository.calculateCompletionPercent(requestId, requirements);
   await requestRepository.updateRequest(requestId, {
     completionPercent: completionPercent
   });
 
-  // Create audit log
   await auditLogRepository.createAuditLog({
-    actorId: 'customer', // Customer uploads don't have a user ID
-    action: 'CUSTOMER_UPLOADED_DOCUMENT',
+    actorId: 'customer',
+    action: 'CUSTOMER_REMOVED_DOCUMENT',
     requestId: requestId,
     ip: actorIp,
     metadata: {
-      documentType: documentType
+      documentType: document.type,
+      documentId: document.id,
+      fileId: getDocumentFileId(document),
+      version: document.version || 1
     }
   });
 
-  return document;
+  setImmediate(() => {
+    normalizationService.updateMergedDocument(requestId, document.type).catch(error => {
+      console.warn(`Could not combine the ${document.type} files of request ${requestId}:`, error.message);
+    });
+  });
 }
 
 /**
  * Submit request (customer action)
  * 
  * Business rules:
- * - All required documents must be uploaded (100%)
- * - Request must not be EXPIRED
- * - Sets status to SUBMITTED
+ * - All required documents of the request's profile must have their minimum number of files
+ * - Files rejected in review must have been replaced or removed
+ * - Documents blocked by the malware scan must have been replaced
+ * - The workflow must allow SUBMIT from the current status (enforced by the workflow engine)
+ * - Sets status to the workflow's SUBMIT target (SUBMITTED)
  * - Sets reviewStatus to PENDING
  */
 async function submitRequest(requestId, actorIp = null) {
@@ -140,45 +297,91 @@ async function submitRequest(requestId, actorIp = null) {
     throw new Error('Request not found');
   }
 
-  if (request.status === REQUEST_STATUS.EXPIRED) {
-    throw new Error('Cannot submit expired request');
-  }
-
-  if (request.status === REQUEST_STATUS.COMPLETED) {
-    throw new Error('Cannot submit completed request');
-  }
-
   // Also block if already approved
   if (request.reviewStatus === 'APPROVED') {
     throw new Error('Cannot submit approved request');
   }
 
-  // Check if all documents are uploaded
-  const allUploaded = await documentRepository.areAllDocumentsUploaded(requestId);
+  const currentDocuments = await documentRepository.getCurrentDocumentsByRequestId(requestId);
+  if (currentDocuments.some(doc => getDocumentScanStatus(doc) === DOCUMENT_SCAN_STATUS.INFECTED)) {
+    throw new Error('Files blocked by the malware scan must be replaced or removed before submission');
+  }
+
+  // Check if all required documents are uploaded (optional ones may be missing)
+  const requirements = await requirementProfileRepository.getRequirementsForRequest(request);
+  const allUploaded = await documentRepository.areAllDocumentsUploaded(requestId, requirements);
   if (!allUploaded) {
     throw new Error('All required documents must be uploaded before submission');
   }
 
-  // Update request
-  await requestRepository.updateRequest(requestId, {
-    status: REQUEST_STATUS.SUBMITTED,
-    completionPercent: 100,
-    reviewStatus: 'PENDING'
-  });
+  // A replacement becomes the current version (PENDING), so a current REJECTED version was not replaced
+  if (currentDocuments.some(doc => getDocumentReviewStatus(doc) === DOCUMENT_REVIEW_STATUS.REJECTED)) {
+    throw new Error('Rejected documents must be re-uploaded before resubmission');
+  }
 
-  // Create audit log
-  await auditLogRepository.createAuditLog({
+  // Update request (the engine writes the CUSTOMER_SUBMITTED audit log)
+  return workflowEngine.performAction(requestId, 'SUBMIT', {
     actorId: 'customer',
-    action: 'CUSTOMER_SUBMITTED',
-    requestId: requestId,
-    ip: actorIp
+    actorIp,
+    updates: {
+      reviewStatus: 'PENDING'
+    }
   });
+}
+
+/**
+ * Find the stored file to serve for a document of a request
+ * (for the customer portal and the agent's request detail panel)
+ *
+ * variant: 'thumbnail' or 'preview' (services/previewService.js), 'original' for the file as
+ * uploaded, or omitted for the viewable file (HEIC and WebP are served converted to JPEG)
+ * Files that have not passed the malware scan are never served: the error then carries
+ * the document's scanStatus
+ *
+ * @returns {Object} { storagePath, disposition } - disposition is the Content-Disposition header
+ */
+async function getDocumentFile(requestId, documentId, variant = null) {
+  if (variant && !DERIVATIVE_VARIANTS.includes(variant) && variant !== 'original') {
+    throw new Error('Unknown file variant');
+  }
+
+  const document = await documentRepository.getDocumentById(documentId);
+  if (!document || document.requestId !== requestId) {
+    throw new Error('Document not found');
+  }
+
+  if (!isDocumentClean(document)) {
+    const error = new Error('This file has not passed the malware scan');
+    error.scanStatus = getDocumentScanStatus(document);
+    throw error;
+  }
+
+  // Thumbnail or preview image, the original upload, or the viewable file
+  let storagePath;
+  if (variant === 'original') {
+    storagePath = document.storagePath;
+  } else if (variant) {
+    storagePath = document.derivatives?.[variant]?.storagePath;
+  } else {
+    storagePath = getServedFile(document).storagePath;
+  }
+  if (!storagePath) {
+    throw new Error('No preview available for this document');
+  }
 
-  return await requestRepository.getRequestById(requestId);
+  const disposition = variant === 'original'
+    ? `attachment; filename="${(document.originalName || storagePath.split('/').pop()).replace(/[^\x20-\x7e]|["\\]/g, '_')}"`
+    : 'inline';
+  return { storagePath, disposition };
 }
 
 module.exports = {
+  prepareUpload,
+  uploadStoragePath,
+  recordUpload,
   uploadDocument,
-  submitRequest
+  removeDocument,
+  submitRequest,
+  getDocumentFile
 };
 
@@ -0,0 +1,164 @@
+/**
+ * Image Quality Service
+ *
+ * Measures photo uploads so the portal can warn the customer straight away about
+ * problems agents would otherwise reject the document for:
+ *   { metrics: { width, height, sharpness, brightness, edgeContent: { top, right, bottom, left } },
+ *     warnings: [{ code, message }], assessedAt }
+ *
+ * Business rules:
+ * - Only JPEG and PNG photos are assessed; PDFs and formats sharp cannot decode get null
+ * - Metrics are measured on a grey copy scaled to ANALYSIS_SIZE, after applying the EXIF
+ *   orientation, so photos from different phones are compared alike
+ * - Limits are in models/imageQuality.js; warnings never refuse the upload
+ */
+
+const sharp = require('sharp');
+const { QUALITY_WARNING, QUALITY_THRESHOLDS } = require('../models/imageQuality');
+
+const ANALYSIS_SIZE = 1000;
+const EDGE_STRENGTH = 40; // Laplacian response counted as a sharp edge
+const EDGE_STRIP = 0.03; // Outer strip checked for cut-off content, as a share of the side
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+const WARNING_MESSAGES = {
+  [QUALITY_WARNING.LOW_RESOLUTION]: 'The photo is small, so details may not be readable. Move closer or use a higher camera resolution.',
+  [QUALITY_WARNING.BLURRY]: 'The photo looks blurry. Hold the camera still and let it focus before taking the photo.',
+  [QUALITY_WARNING.TOO_DARK]: 'The photo is too dark. Take it in a well-lit place.',
+  [QUALITY_WARNING.TOO_BRIGHT]: 'The photo is too bright or has glare. Avoid direct light and flash on the document.'
+};
+
+/**
+ * Laplacian response of a grey image (4-neighbour kernel), borders left at 0
+ */
+function laplacian(pixels, width, height) {
+  const response = new Float32Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      response[i] = pixels[i - 1] + pixels[i + 1] + pixels[i - width] + pixels[i + width] - 4 * pixels[i];
+    }
+  }
+  return response;
+}
+
+/**
+ * Share of sharp-edge pixels in a rectangle of the Laplacian response
+ */
+function edgeDensity(response, width, left, top, right, bottom) {
+  let edges = 0;
+  for (let y = top; y < bottom; y++) {
+    for (let x = left; x < right; x++) {
+      if (Math.abs(response[y * width + x]) > EDGE_STRENGTH) edges++;
+    }
+  }
+  const area = (right - left) * (bottom - top);
+  return area > 0 ? edges / area : 0;
+}
+
+/**
+ * Measure a grey image
+ */
+function measure(pixels, width, height) {
+  const response = laplacian(pixels, width, height);
+
+  let sum = 0;
+  for (let i = 0; i < pixels.length; i++) sum += pixels[i];
+  const brightness = sum / pixels.length;
+
+  // Standard deviation of the Laplacian over the inner pixels: low when there are no sharp edges
+  let responseSum = 0;
+  let responseSquares = 0;
+  const inner = (width - 2) * (height - 2);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const value = response[y * width + x];
+      responseSum += value;
+      responseSquares += value * value;
+    }
+  }
+  const responseMean = responseSum / inner;
+  const sharpness = Math.sqrt(Math.max(0, responseSquares / inner - responseMean * responseMean));
+
+  // Sharp edges in the outer strips compared with the whole photo: text or document edges
+  // running into the border mean the document probably does not fit in the photo
+  const overall = edgeDensity(response, width, 1, 1, width - 1, height - 1);
+  const stripX = Math.max(2, Math.round(width * EDGE_STRIP));
+  const stripY = Math.max(2, Math.round(height * EDGE_STRIP));
+  const strips = {
+    top: edgeDensity(response, width, 1, 1, width - 1, 1 + stripY),
+    right: edgeDensity(response, width, width - 1 - stripX, 1, width - 1, height - 1),
+    bottom: edgeDensity(response, width, 1, height - 1 - stripY, width - 1, height - 1),
+    left: edgeDensity(response, width, 1, 1, 1 + stripX, height - 1)
+  };
+  const edgeContent = {};
+  SIDES.forEach(side => {
+    edgeContent[side] = overall > 0 ? Math.round((strips[side] / overall) * 100) / 100 : 0;
+  });
+
+  return {
+    brightness: Math.round(brightness),
+    sharpness: Math.round(sharpness * 10) / 10,
+    edgeContent
+  };
+}
+
+/**
+ * Assess the quality of an uploaded photo
+ *
+ * @param {Buffer} buffer - file content
+ * @param {string} contentType - detected content type (uploadValidationService)
+ * @returns {Object|null} { metrics, warnings, assessedAt }, or null if the file is not a photo that can be assessed
+ */
+async function assessImage(buffer, contentType) {
+  if (contentType !== 'image/jpeg' && contentType !== 'image/png') {
+    return null;
+  }
+
+  let image;
+  try {
+    const rotated = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+    const { data, info } = await sharp(rotated.data)
+      .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .grayscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    image = { width: rotated.info.width, height: rotated.info.height, pixels: data, analysed: info };
+  } catch (error) {
+    console.warn('[Image Quality] Could not read image:', error.message);
+    return null;
+  }
+
+  const measured = measure(image.pixels, image.analysed.width, image.analysed.height);
+  const metrics = { width: image.width, height: image.height, ...measured };
+
+  const warnings = [];
+  const addWarning = (code, message = WARNING_MESSAGES[code]) => warnings.push({ code, message });
+
+  if (Math.min(image.width, image.height) < QUALITY_THRESHOLDS.minShortSide) {
+    addWarning(QUALITY_WARNING.LOW_RESOLUTION);
+  }
+  if (metrics.sharpness < QUALITY_THRESHOLDS.minSharpness) {
+    addWarning(QUALITY_WARNING.BLURRY);
+  }
+  if (metrics.brightness < QUALITY_THRESHOLDS.minBrightness) {
+    addWarning(QUALITY_WARNING.TOO_DARK);
+  } else if (metrics.brightness > QUALITY_THRESHOLDS.maxBrightness) {
+    addWarning(QUALITY_WARNING.TOO_BRIGHT);
+  }
+  const cutSides = SIDES.filter(side => metrics.edgeContent[side] > QUALITY_THRESHOLDS.maxEdgeContent);
+  if (cutSides.length > 0) {
+    addWarning(
+      QUALITY_WARNING.CUT_OFF,
+      `The document may be cut off at the ${cutSides.join(' and ')}. Make sure all four corners are in the photo.`
+    );
+  }
+
+  return { metrics, warnings, assessedAt: new Date() };
+}
+
+module.exports = {
+  assessImage
+};
@@ -0,0 +1,173 @@
+/**
+ * Link Recovery Service
+ *
+ * Lets customers who lost their portal link get a new one without calling their agent:
+ * they enter their request number and the phone number or email on the request, and a
+ * fresh link is sent there. The link itself is never returned to the page.
+ *
+ * Business rules:
+ * - The request number may be typed loosely (REQ-0042, req 42, 42)
+ * - Phone numbers match on their last 9 digits, so "07700 900123" matches "+44 7700 900123";
+ *   email addresses match ignoring case
+ * - On a match a new link is sent by sms or email, whichever the customer entered; the
+ *   request's communication log records the message without the link
+ * - The new link replaces the old one (customerLinkService, so the old link stops working)
+ *   only once the message is sent; if it cannot be sent, the old link keeps working and
+ *   the caller gets the same answer as always
+ * - Links the agent revoked are not re-issued; the customer has to contact the agent
+ * - The caller is never told whether the details matched, so the page cannot be used to
+ *   find out which request numbers or contact details exist
+ * - At most LINK_RECOVERY_MAX_PER_IP_PER_HOUR (default 10) attempts per IP address and
+ *   LINK_RECOVERY_MAX_PER_REQUEST_PER_HOUR (default 3) per request number, counted in
+ *   rateLimitRepository: an attempt is counted against both in one transaction before
+ *   anything is looked up or sent, so parallel attempts cannot get past the limits
+ * - Every attempt is audit-logged as CUSTOMER_LINK_RECOVERY with its outcome
+ *   (RECOVERY_OUTCOME). Attempts refused for the rate limit are only written to the
+ *   console, so hammering the endpoint does not grow the log
+ */
+
+const requestRepository = require('../repositories/requestRepository');
+const auditLogRepository = require('../repositories/auditLogRepository');
+const rateLimitRepository = require('../repositories/rateLimitRepository');
+const customerLinkService = require('./customerLinkService');
+const messageService = require('./messageService');
+
+const MAX_PER_IP_PER_HOUR = parseInt(process.env.LINK_RECOVERY_MAX_PER_IP_PER_HOUR, 10) || 10;
+const MAX_PER_REQUEST_PER_HOUR = parseInt(process.env.LINK_RECOVERY_MAX_PER_REQUEST_PER_HOUR, 10) || 3;
+
+const RECOVERY_ACTION = 'CUSTOMER_LINK_RECOVERY';
+
+// Error codes of the recovery endpoint
+const RECOVERY_ERROR = {
+  DETAILS_MISSING: 'RECOVERY_DETAILS_MISSING', // No request number, or no phone/email
+  TOO_MANY_ATTEMPTS: 'RECOVERY_TOO_MANY_ATTEMPTS'
+};
+
+// What happened to an attempt, recorded in its audit entry (RATE_LIMITED only on the console)
+const RECOVERY_OUTCOME = {
+  SENT: 'SENT',
+  REQUEST_NOT_FOUND: 'REQUEST_NOT_FOUND',
+  CONTACT_MISMATCH: 'CONTACT_MISMATCH',
+  LINK_REVOKED: 'LINK_REVOKED',
+  SEND_FAILED: 'SEND_FAILED',
+  RATE_LIMITED: 'RATE_LIMITED'
+};
+
+/**
+ * Error with one of the RECOVERY_ERROR codes
+ */
+function recoveryError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Request number in its stored form (REQ-0042), or null if there is no number in it
+ */
+function normalizeRequestNumber(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits ? `REQ-${digits.replace(/^0+(?=\d)/, '').padStart(4, '0')}` : null;
+}
+
+/**
+ * Whether the contact the customer entered is the phone or email on the request
+ * @returns {string|null} the matching channel ('sms' or 'email')
+ */
+function matchContact(request, contact) {
+  if (contact.includes('@')) {
+    const email = String(request.customerEmail || '').trim().toLowerCase();
+    return email && email === contact.toLowerCase() ? 'email' : null;
+  }
+  const digits = contact.replace(/\D/g, '');
+  const phoneDigits = String(request.customerPhone || '').replace(/\D/g, '');
+  if (digits.length < 9 || phoneDigits.length < 9) {
+    return null;
+  }
+  return digits.slice(-9) === phoneDigits.slice(-9) ? 'sms' : null;
+}
+
+/**
+ * Send a new portal link to a customer who proves they know the request number and the
+ * phone number or email on it
+ *
+ * Resolves the same way whether or not the details matched (see business rules);
+ * the outcome is only recorded in the audit log.
+ *
+ * @param {Object} details - { requestNumber, contact: phone number or email address }
+ * @throws with code RECOVERY_DETAILS_MISSING or RECOVERY_TOO_MANY_ATTEMPTS
+ */
+async function recoverLink({ requestNumber, contact }, requesterIp = null) {
+  const number = normalizeRequestNumber(requestNumber);
+  const enteredContact = String(contact || '').trim();
+  if (!number || !enteredContact) {
+    throw recoveryError('Please enter your request number and your phone number or email address', RECOVERY_ERROR.DETAILS_MISSING);
+  }
+  const channel = enteredContact.includes('@') ? 'email' : 'sms';
+
+  const logAttempt = (outcome, requestId = null, metadata = {}) => auditLogRepository.createAuditLog({
+    actorId: 'customer',
+    action: RECOVERY_ACTION,
+    requestId,
+    ip: requesterIp,
+    metadata: { requestNumber: number, channel, outcome, ...metadata }
+  });
+
+  const limits = [{ key: `link-recovery:request:${number}`, max: MAX_PER_REQUEST_PER_HOUR }];
+  if (requesterIp) {
+    limits.push({ key: `link-recovery:ip:${requesterIp}`, max: MAX_PER_IP_PER_HOUR });
+  }
+  const { allowed } = await rateLimitRepository.takeAttempt(limits, 60 * 60 * 1000);
+  if (!allowed) {
+    console.warn(`[Link Recovery] ${RECOVERY_OUTCOME.RATE_LIMITED}: ${number} from ${requesterIp || 'unknown IP'}`);
+    throw recoveryError('Too many attempts. Please try again in an hour or contact your sales agent.', RECOVERY_ERROR.TOO_MANY_ATTEMPTS);
+  }
+
+  const request = await requestRepository.getRequestByNumber(number);
+  if (!request) {
+    await logAttempt(RECOVERY_OUTCOME.REQUEST_NOT_FOUND);
+    return;
+  }
+  if (matchContact(request, enteredContact) !== channel) {
+    await logAttempt(RECOVERY_OUTCOME.CONTACT_MISMATCH, request.id);
+    return;
+  }
+  if (customerLinkService.getLinkStatus(request) === customerLinkService.LINK_STATUS.REVOKED) {
+    await logAttempt(RECOVERY_OUTCOME.LINK_REVOKED, request.id);
+    return;
+  }
+
+  // The new link only replaces the old one once it has reached the customer
+  const link = customerLinkService.issueLink();
+  const linkUrl = customerLinkService.getLinkUrl(link.secureToken);
+  const text = `Here is your new link for document request ${request.requestNumber}: ${linkUrl} ` +
+    'Any earlier link no longer works. If you did not ask for this, please contact your sales agent.';
+  let communication;
+  try {
+    communication = await messageService.sendMessage(request, {
+      channel,
+      // Always the contact on file, never what was typed in
+      to: channel === 'sms' ? request.customerPhone : request.customerEmail,
+      subject: `Your new link for request ${request.requestNumber}`,
+      text
+    }, { actorId: 'customer', loggedText: text.replace(linkUrl, '[new link]') });
+  } catch (error) {
+    console.error(`Error sending recovered link for request ${request.id}:`, error);
+    await logAttempt(RECOVERY_OUTCOME.SEND_FAILED, request.id, { error: error.message });
+    return;
+  }
+
+  await customerLinkService.regenerateLink(request.id, 'customer', requesterIp, link);
+
+  await logAttempt(RECOVERY_OUTCOME.SENT, request.id, {
+    sender: communication.sender,
+    messageId: communication.providerMessageId,
+    linkExpiresAt: link.secureTokenExpiresAt.toISOString()
+  });
+}
+
+module.exports = {
+  RECOVERY_ERROR,
+  RECOVERY_OUTCOME,
+  recoverLink
+};
@@ -0,0 +1,175 @@
+/**
+ * Malware Scan Service
+ * 
+ * Scans customer uploads with the configured scanner (malwareScanners/) after they are stored.
+ * 
+ * Business rules:
+ * - Every new upload starts QUARANTINED and is not served to anyone (streamDocument)
+ * - The scan runs in the background right after the upload; the upload request does not wait
+ * - Clean files become CLEAN and can be viewed and reviewed. At that point HEIC and WebP
+ *   photos are converted to JPEG (normalizationService), their thumbnail and preview are
+ *   built (previewService) and key fields are read by OCR (ocrService)
+ * - Once the scan is done, the combined PDF of the document type is brought up to date
+ *   (normalizationService.updateMergedDocument)
+ * - Infected files become INFECTED, stay blocked and are audit-logged (DOCUMENT_MALWARE_DETECTED);
+ *   the customer has to upload a different file
+ * - If the scanner is unavailable the document stays QUARANTINED and the scan
+ *   job (jobs/malwareScanJob.js) retries it
+ * - A document is scanned by one caller at a time: the scan claims it first, and the job
+ *   skips documents being scanned unless the claim is older than SCAN_CLAIM_STALE_MINUTES
+ */
+
+const documentRepository = require('../repositories/documentRepository');
+const auditLogRepository = require('../repositories/auditLogRepository');
+const { DOCUMENT_SCAN_STATUS, getDocumentScanStatus } = require('../models/document');
+const blobStorage = require('../blobStorage');
+const scanner = require('../malwareScanners');
+const previewService = require('./previewService');
+const ocrService = require('./ocrService');
+const normalizationService = require('./normalizationService');
+
+// A scan claimed longer ago than this is taken to have died (server restart) and may be retried
+const SCAN_CLAIM_STALE_MINUTES = parseInt(process.env.SCAN_CLAIM_STALE_MINUTES, 10) || 15;
+
+/**
+ * Read a stored file into memory
+ */
+async function readFile(storagePath) {
+  const stream = await blobStorage.stream(storagePath);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Scan one document and record the outcome
+ * Documents that are not QUARANTINED, or are being scanned by another caller, are returned
+ * unchanged (still QUARANTINED in the second case)
+ */
+async function scanDocument(documentId) {
+  const staleBefore = new Date(Date.now() - SCAN_CLAIM_STALE_MINUTES * 60 * 1000);
+  const document = await documentRepository.claimScan(documentId, staleBefore);
+  if (!document) {
+    return documentRepository.getDocumentById(documentId);
+  }
+
+  let buffer;
+  let result;
+  try {
+    buffer = await readFile(document.storagePath);
+    result = await scanner.scan(buffer);
+  } catch (error) {
+    // Let the next job run retry it straight away
+    await documentRepository.updateDocument(documentId, { scanClaimedAt: null }).catch(() => {});
+    throw error;
+  }
+
+  const updates = {
+    scanStatus: result.clean ? DOCUMENT_SCAN_STATUS.CLEAN : DOCUMENT_SCAN_STATUS.INFECTED,
+    scanSignature: result.clean ? null : result.signature,
+    scanEngine: scanner.name,
+    scannedAt: new Date(),
+    scanClaimedAt: null
+  };
+  await documentRepository.updateDocument(documentId, updates);
+
+  if (result.clean) {
+    // Previews and OCR read the converted JPEG when there is one
+    let served = { buffer, contentType: document.contentType };
+    try {
+      served = await normalizationService.normalizeDocument({ ...document, ...updates }, buffer);
+      if (served.normalized) {
+        updates.normalized = served.normalized;
+      }
+    } catch (error) {
+      console.warn(`[Malware Scan] Could not convert document ${documentId}:`, error.message);
+    }
+    const viewed = { ...document, ...updates, contentType: served.contentType };
+
+    // A missing preview is not worth failing the scan over; the full file can still be opened
+    try {
+      updates.derivatives = await previewService.generateDerivatives(viewed, served.buffer);
+    } catch (error) {
+      console.warn(`[Malware Scan] Could not build previews for document ${documentId}:`, error.message);
+    }
+    try {
+      updates.extraction = await ocrService.extractDocumentFields(viewed, served.buffer);
+    } catch (error) {
+      console.warn(`[Malware Scan] Could not read fields of document ${documentId}:`, error.message);
+    }
+  } else {
+    console.warn(`[Malware Scan] Document ${documentId} (request ${document.requestId}) is infected: ${result.signature}`);
+    await auditLogRepository.createAuditLog({
+      actorId: 'system',
+      action: 'DOCUMENT_MALWARE_DETECTED',
+      requestId: document.requestId,
+      ip: document.uploaderIp || null,
+      metadata: {
+        documentId,
+        documentType: document.type,
+        version: document.version || 1,
+        checksum: document.checksum || null,
+        signature: result.signature,
+        engine: scanner.name
+      }
+    });
+  }
+
+  try {
+    await normalizationService.updateMergedDocument(document.requestId, document.type);
+  } catch (error) {
+    console.warn(`[Malware Scan] Could not combine the ${document.type} files of request ${document.requestId}:`, error.message);
+  }
+
+  return { ...document, ...updates };
+}
+
+/**
+ * Start scanning a document in the background
+ * Failures leave the document quarantined for the scan job to retry
+ */
+function queueScan(documentId) {
+  setImmediate(() => {
+    scanDocument(documentId).catch(error => {
+      console.error(`[Malware Scan] Scan of document ${documentId} failed, will retry:`, error.message);
+    });
+  });
+}
+
+/**
+ * Scan every document that is still quarantined
+ * Returns { scanned, clean, infected, skipped, failed }; skipped ones are being scanned elsewhere
+ */
+async function scanQuarantinedDocuments() {
+  const documents = await documentRepository.getDocumentsByScanStatus(DOCUMENT_SCAN_STATUS.QUARANTINED);
+  const summary = { scanned: 0, clean: 0, infected: 0, skipped: 0, failed: 0 };
+
+  for (const document of documents) {
+    try {
+      const scanned = await scanDocument(document.id);
+      if (!scanned || getDocumentScanStatus(scanned) === DOCUMENT_SCAN_STATUS.QUARANTINED) {
+        summary.skipped++;
+        continue;
+      }
+      summary.scanned++;
+      if (scanned.scanStatus === DOCUMENT_SCAN_STATUS.INFECTED) {
+        summary.infected++;
+      } else {
+        summary.clean++;
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`[Malware Scan] Scan of document ${document.id} failed:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  scanDocument,
+  queueScan,
+  scanQuarantinedDocuments
+};
@@ -0,0 +1,169 @@
+/**
+ * Message Service
+ *
+ * Sends messages to customers through the message senders and records every one in the
+ * request's communication log: templated messages (models/messageTemplates.js, as edited
+ * by managers) and the verification codes and recovered links other services send.
+ *
+ * Business rules:
+ * - Sent automatically: INVITATION when a request is created, REMINDER when the reminder
+ *   job raises a reminder while documents are still being collected, REJECTION or
+ *   APPROVAL after a review
+ * - A message goes out on every channel in CUSTOMER_MESSAGE_CHANNELS (default "sms,email")
+ *   the request has contact details for
+ * - {{link}} is the portal link while it works; once it has expired or been revoked it is
+ *   the "Find my request" page instead
+ * - {{deadline}} is when the request expires: its creation plus the workflow's slaHours
+ * - A templated message that cannot be sent never stops the action that triggered it; it
+ *   is logged as FAILED with the error
+ * - Secrets in a message (codes, links) can be left out of the log (loggedText)
+ */
+
+const communicationRepository = require('../repositories/communicationRepository');
+const documentRepository = require('../repositories/documentRepository');
+const requirementProfileRepository = require('../repositories/requirementProfileRepository');
+const rejectionReasonRepository = require('../repositories/rejectionReasonRepository');
+const messageTemplateRepository = require('../repositories/messageTemplateRepository');
+const userRepository = require('../repositories/userRepository');
+const workflowRepository = require('../repositories/workflowRepository');
+const customerLinkService = require('./customerLinkService');
+const messageSenders = require('../messageSenders');
+const { renderTemplate } = require('../models/messageTemplates');
+const { COMMUNICATION_TYPE, COMMUNICATION_DIRECTION, COMMUNICATION_STATUS } = require('../models/communication');
+const { DEFAULT_SLA_HOURS } = require('../models/workflowDefinitions');
+const { DOCUMENT_REVIEW_STATUS, getDocumentReviewStatus } = require('../models/document');
+
+const MESSAGE_CHANNELS = (process.env.CUSTOMER_MESSAGE_CHANNELS || 'sms,email')
+  .split(',')
+  .map(channel => channel.trim().toLowerCase())
+  .filter(channel => messageSenders.CHANNELS.includes(channel));
+
+/**
+ * Date as shown in messages, e.g. "25 October 2026"
+ */
+function formatDate(date) {
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/**
+ * Values for the template placeholders of a request
+ */
+async function getPlaceholderValues(request) {
+  const workflow = await workflowRepository.getWorkflowForRequest(request);
+  const requirements = await requirementProfileRepository.getRequirementsForRequest(request);
+  const documents = await documentRepository.getCurrentDocumentsByRequestId(request.id);
+  const documentStatus = await documentRepository.getDocumentUploadStatus(request.id, requirements);
+  const reasons = await rejectionReasonRepository.getAllReasons();
+  const agent = request.agentId ? await userRepository.getUserById(request.agentId) : null;
+
+  const labelOf = type => (requirements.find(doc => doc.type === type) || {}).label || type;
+  const rejected = documents.filter(doc => getDocumentReviewStatus(doc) === DOCUMENT_REVIEW_STATUS.REJECTED);
+  const missing = requirements
+    .filter(doc => doc.required)
+    .filter(doc => !documentStatus[doc.type] || rejected.some(r => r.type === doc.type))
+    .map(doc => doc.label);
+
+  const createdAt = request.createdAt?.toDate ? request.createdAt.toDate() : new Date(request.createdAt);
+  const deadline = new Date(createdAt.getTime() + (workflow.slaHours || DEFAULT_SLA_HOURS) * 60 * 60 * 1000);
+
+  const linkActive = customerLinkService.getLinkStatus(request) === customerLinkService.LINK_STATUS.ACTIVE;
+
+  return {
+    customerName: request.customerName,
+    requestNumber: request.requestNumber,
+    link: linkActive ? customerLinkService.getLinkUrl(request.secureToken) : customerLinkService.getRecoveryUrl(),
+    missingDocuments: missing.join(', '),
+    deadline: formatDate(deadline),
+    rejectedDocuments: rejected.map(doc => {
+      const reasonLabels = (doc.reasonCodes || [])
+        .map(code => (reasons.find(reason => reason.code === code) || {}).label)
+        .filter(Boolean);
+      return reasonLabels.length > 0 ? `${labelOf(doc.type)} (${reasonLabels.join(', ')})` : labelOf(doc.type);
+    }).join('; '),
+    reviewComment: request.reviewComment || '',
+    agentName: agent ? agent.name : ''
+  };
+}
+
+/**
+ * Send a message to a request's customer and record it in the communication log
+ *
+ * @param {Object} request - the request the message is about
+ * @param {Object} message - { channel, to, subject, text }
+ * @param {Object} options - { templateId, actorId (default 'system'), loggedText: text to
+ *                           record instead of the one sent, e.g. with a code left out }
+ * @returns {Object} the communication log entry
+ * @throws the sender's error, once the FAILED message is recorded
+ */
+async function sendMessage(request, message, { templateId = null, actorId = 'system', loggedText = null } = {}) {
+  let result = null;
+  let sendError = null;
+  try {
+    result = await messageSenders.send(message);
+  } catch (err) {
+    sendError = err;
+  }
+
+  const communication = await communicationRepository.createCommunication({
+    requestId: request.id,
+    type: COMMUNICATION_TYPE.MESSAGE,
+    direction: COMMUNICATION_DIRECTION.OUTBOUND,
+    templateId,
+    channel: message.channel,
+    to: message.to,
+    subject: message.subject,
+    text: loggedText || message.text,
+    status: result ? COMMUNICATION_STATUS.SENT : COMMUNICATION_STATUS.FAILED,
+    sender: result ? result.sender : null,
+    providerMessageId: result ? result.messageId : null,
+    error: sendError ? sendError.message : null,
+    actorId
+  });
+
+  if (sendError) {
+    throw sendError;
+  }
+  return communication;
+}
+
+/**
+ * Send a templated message to a request's customer and record it in the communication log
+ *
+ * @param {Object} request - the request (as returned by requestRepository)
+ * @param {string} templateId - one of MESSAGE_TEMPLATE
+ * @param {Object} options - { actorId: who triggered it, default 'system' }
+ * @returns {Array} the communication log entries, one per channel
+ */
+async function sendTemplatedMessage(request, templateId, { actorId = 'system' } = {}) {
+  const template = await messageTemplateRepository.getTemplateById(templateId);
+  if (!template) {
+    throw new Error(`Unknown message template: ${templateId}`);
+  }
+
+  const values = await getPlaceholderValues(request);
+  const destinations = { sms: request.customerPhone, email: request.customerEmail };
+
+  const communications = [];
+  for (const channel of MESSAGE_CHANNELS.filter(c => destinations[c])) {
+    const message = {
+      channel,
+      to: destinations[channel],
+      subject: channel === 'email' ? renderTemplate(template.subject, values) : null,
+      text: renderTemplate(channel === 'email' ? template.email : template.sms, values)
+    };
+
+    try {
+      communications.push(await sendMessage(request, message, { templateId, actorId }));
+    } catch (err) {
+      console.error(`Error sending ${templateId} ${channel} message for request ${request.id}:`, err);
+      communications.push({ ...message, templateId, status: COMMUNICATION_STATUS.FAILED, error: err.message });
+    }
+  }
+
+  return communications;
+}
+
+module.exports = {
+  sendMessage,
+  sendTemplatedMessage
+};
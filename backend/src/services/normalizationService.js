@@ -0,0 +1,291 @@
+/**
+ * Normalization Service
+ *
+ * Makes clean uploads viewable in any browser without changing them:
+ * - HEIC and WebP photos are converted to JPEG. sharp converts WebP; HEIC needs a sharp
+ *   build with HEVC support or libheif's heif-convert (HEIF_CONVERT_PATH, default
+ *   "heif-convert" on the PATH, from the libheif-examples package)
+ * - For document types with mergeImages in the requirement profile, the photos of all the
+ *   type's current files are combined into one PDF, a page per photo, in file order
+ *
+ * Originals are never changed and stay the source of truth (checksum, audit log, exports).
+ * The converted JPEG is stored next to the original ("<storagePath>.normalized.jpg") and recorded as
+ *   document.normalized = { storagePath, contentType, size, sourceContentType, createdAt }
+ * streamDocument serves it instead of the original (see getServedFile in models/document.js).
+ * The combined PDF is recorded on the request as
+ *   request.mergedDocuments[type] = { storagePath, contentType, pages, documentIds, createdAt }
+ *
+ * Both run after the malware scan reports a file clean (malwareScanService); the PDF is
+ * also rebuilt when a file is removed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const documentRepository = require('../repositories/documentRepository');
+const requestRepository = require('../repositories/requestRepository');
+const requirementProfileRepository = require('../repositories/requirementProfileRepository');
+const auditLogRepository = require('../repositories/auditLogRepository');
+const blobStorage = require('../blobStorage');
+const { FILE_FORMATS, CONVERTED_FORMATS } = require('../models/fileFormats');
+const { getServedFile, isDocumentClean } = require('../models/document');
+
+const CONVERTED_CONTENT_TYPES = CONVERTED_FORMATS.map(format => FILE_FORMATS[format].contentType);
+const MERGED_CONTENT_TYPES = ['image/jpeg', 'image/png'];
+const JPEG_QUALITY = 90;
+const HEIF_CONVERT_TIMEOUT_MS = 60000;
+
+// Merged PDF pages: A4 in points, photos scaled to fit inside the margin at up to MERGE_IMAGE_SIZE px
+const A4 = [595.28, 841.89];
+const PAGE_MARGIN = 24;
+const MERGE_IMAGE_SIZE = 2000;
+
+/**
+ * Convert a HEIC file to JPEG with heif-convert
+ * Returns the JPEG buffer, or null if heif-convert is not installed or cannot read the file
+ */
+async function convertWithHeifConvert(buffer) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'normalize-'));
+  try {
+    const inputPath = path.join(workDir, 'input.heic');
+    const outputPath = path.join(workDir, 'output.jpg');
+    await fs.promises.writeFile(inputPath, buffer);
+
+    await new Promise((resolve, reject) => {
+      execFile(
+        process.env.HEIF_CONVERT_PATH || 'heif-convert',
+        ['-q', String(JPEG_QUALITY), inputPath, outputPath],
+        { timeout: HEIF_CONVERT_TIMEOUT_MS },
+        (error) => (error ? reject(error) : resolve())
+      );
+    });
+
+    return await fs.promises.readFile(outputPath);
+  } catch (error) {
+    console.warn('[Normalization] Could not convert HEIC:', error.code === 'ENOENT' ? 'heif-convert is not installed' : error.message);
+    return null;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Convert a HEIC or WebP file to an upright JPEG
+ * Returns the JPEG buffer, or null if it cannot be converted here
+ */
+async function convertToJpeg(buffer, contentType) {
+  try {
+    return await sharp(buffer).rotate().flatten({ background: '#ffffff' }).jpeg({ quality: JPEG_QUALITY }).toBuffer();
+  } catch (error) {
+    if (contentType !== FILE_FORMATS.heic.contentType) {
+      console.warn('[Normalization] Could not convert image:', error.message);
+      return null;
+    }
+  }
+  // The bundled sharp build decodes AVIF but not HEVC-coded HEIC
+  return convertWithHeifConvert(buffer);
+}
+
+/**
+ * Convert a clean HEIC or WebP document to JPEG and record it on the document
+ * Other formats are left as they are.
+ *
+ * @param {Object} document - document record (storagePath, contentType)
+ * @param {Buffer} buffer - contents of the original file
+ * @returns {Object} { normalized, buffer, contentType }: the record (or null) and the file
+ *   later steps (previews, OCR) should read
+ */
+async function normalizeDocument(document, buffer) {
+  if (!CONVERTED_CONTENT_TYPES.includes(document.contentType)) {
+    return { normalized: null, buffer, contentType: document.contentType };
+  }
+
+  const jpeg = await convertToJpeg(buffer, document.contentType);
+  if (!jpeg) {
+    return { normalized: null, buffer, contentType: document.contentType };
+  }
+
+  const storagePath = `${document.storagePath}.normalized.jpg`;
+  await blobStorage.put(storagePath, jpeg, { contentType: 'image/jpeg' });
+
+  const normalized = {
+    storagePath,
+    contentType: 'image/jpeg',
+    size: jpeg.length,
+    sourceContentType: document.contentType,
+    createdAt: new Date()
+  };
+  await documentRepository.updateDocument(document.id, { normalized });
+
+  return { normalized, buffer: jpeg, contentType: 'image/jpeg' };
+}
+
+/**
+ * Read a stored file into memory
+ */
+async function readFile(storagePath) {
+  const stream = await blobStorage.stream(storagePath);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Build a PDF with one A4 page per image (landscape pages for landscape images)
+ * @param {Array} images - [{ data: JPEG buffer, width, height }]
+ */
+function buildImagePdf(images, title) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ autoFirstPage: false, info: { Title: title } });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    images.forEach(image => {
+      const landscape = image.width > image.height;
+      const [pageWidth, pageHeight] = landscape ? [A4[1], A4[0]] : A4;
+      pdf.addPage({ size: [pageWidth, pageHeight], margin: 0 });
+      pdf.image(image.data, PAGE_MARGIN, PAGE_MARGIN, {
+        fit: [pageWidth - 2 * PAGE_MARGIN, pageHeight - 2 * PAGE_MARGIN],
+        align: 'center',
+        valign: 'center'
+      });
+    });
+    pdf.end();
+  });
+}
+
+// Rebuilds running per request and document type ("<requestId>:<type>"), so they run one after another
+const rebuilds = new Map();
+
+/**
+ * Run a task after the earlier tasks with the same key have finished
+ */
+function runInTurn(key, task) {
+  const run = (rebuilds.get(key) || Promise.resolve()).then(task);
+  const turn = run.catch(() => {});
+  rebuilds.set(key, turn);
+  turn.then(() => {
+    if (rebuilds.get(key) === turn) {
+      rebuilds.delete(key);
+    }
+  });
+  return run;
+}
+
+/**
+ * Drop the combined PDF of a document type from a request
+ */
+async function removeMergedDocument(request, documentType) {
+  if (!request.mergedDocuments || !request.mergedDocuments[documentType]) {
+    return;
+  }
+  const replaced = await requestRepository.setMergedDocument(request.id, documentType, null);
+  if (replaced) {
+    await blobStorage.remove(replaced.storagePath).catch(() => {});
+  }
+}
+
+/**
+ * Rebuild the combined PDF of a document type after its files changed
+ *
+ * Business rules:
+ * - Only for types with mergeImages in the request's requirement profile
+ * - Takes the type's current files that are clean photos (converted ones included), in file order;
+ *   PDFs and files still being scanned are left out
+ * - Needs at least two photos; otherwise any earlier PDF is removed
+ * - Nothing is rebuilt when the photos are the same as last time
+ * - Creates audit log DOCUMENTS_MERGED
+ * - Rebuilds of the same request and type run one at a time; only the type's entry of
+ *   request.mergedDocuments is changed, and the PDF it replaces is removed from storage
+ *
+ * @returns {Object|null} the request's record of the PDF, or null if there is none
+ */
+function updateMergedDocument(requestId, documentType) {
+  return runInTurn(`${requestId}:${documentType}`, () => rebuildMergedDocument(requestId, documentType));
+}
+
+/**
+ * Rebuild the combined PDF of a document type (updateMergedDocument runs it in turn)
+ */
+async function rebuildMergedDocument(requestId, documentType) {
+  const request = await requestRepository.getRequestById(requestId);
+  if (!request) {
+    throw new Error('Request not found');
+  }
+  const requirements = await requirementProfileRepository.getRequirementsForRequest(request);
+  const requirement = requirements.find(doc => doc.type === documentType);
+
+  const files = await documentRepository.getDocumentsByType(requestId, documentType);
+  const photos = files.filter(doc => isDocumentClean(doc) && MERGED_CONTENT_TYPES.includes(getServedFile(doc).contentType));
+
+  if (!requirement || !requirement.mergeImages || photos.length < 2) {
+    await removeMergedDocument(request, documentType);
+    return null;
+  }
+
+  const documentIds = photos.map(doc => doc.id);
+  const existing = request.mergedDocuments && request.mergedDocuments[documentType];
+  if (existing && existing.documentIds.join(',') === documentIds.join(',')) {
+    return existing;
+  }
+
+  const images = [];
+  for (const doc of photos) {
+    const { data, info } = await sharp(await readFile(getServedFile(doc).storagePath))
+      .rotate()
+      .resize(MERGE_IMAGE_SIZE, MERGE_IMAGE_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 85 })
+      .toBuffer({ resolveWithObject: true });
+    images.push({ data, width: info.width, height: info.height });
+  }
+  const pdf = await buildImagePdf(images, `${request.requestNumber || requestId} ${requirement.label}`);
+
+  const storagePath = `requests/${requestId}/${documentType}/${Date.now()}_merged.pdf`;
+  await blobStorage.put(storagePath, pdf, { contentType: 'application/pdf' });
+
+  const merged = {
+    storagePath,
+    contentType: 'application/pdf',
+    pages: images.length,
+    documentIds,
+    createdAt: new Date()
+  };
+  let replaced;
+  try {
+    replaced = await requestRepository.setMergedDocument(requestId, documentType, merged);
+  } catch (error) {
+    await blobStorage.remove(storagePath).catch(() => {});
+    throw error;
+  }
+  // The PDF actually replaced, which may be newer than the one read above
+  if (replaced && replaced.storagePath !== storagePath) {
+    await blobStorage.remove(replaced.storagePath).catch(() => {});
+  }
+
+  await auditLogRepository.createAuditLog({
+    actorId: 'system',
+    action: 'DOCUMENTS_MERGED',
+    requestId,
+    metadata: {
+      documentType,
+      documentIds,
+      pages: images.length,
+      size: pdf.length
+    }
+  });
+
+  return merged;
+}
+
+module.exports = {
+  normalizeDocument,
+  updateMergedDocument
+};
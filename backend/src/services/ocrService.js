@@ -0,0 +1,284 @@
+/**
+ * OCR Service
+ *
+ * Reads key fields (name, date of birth, document numbers, dates) from ID, licence,
+ * proof of address and bank statement uploads so agents do not have to retype them.
+ *
+ * Business rules:
+ * - Runs after the malware scan reports the file clean (malwareScanService), for document
+ *   types listed in models/documentFields.js, with the engine from ocrEngines/ (OCR_ENGINE)
+ * - PDFs are read from their first page (rendered with pdftoppm), images as uploaded
+ * - Each field is stored with the value found and a 0..1 confidence:
+ *   document.extraction = { status, engine, confidence, text, extractedAt, fields: { [key]: field } }
+ * - Agents confirm or correct the fields in the request detail panel; the OCR value is kept
+ *   next to the agent's value and the change is audit-logged (DOCUMENT_FIELDS_CONFIRMED)
+ * - The consistency checks (documentCheckService) run after OCR and after every confirmation
+ */
+
+const sharp = require('sharp');
+const documentRepository = require('../repositories/documentRepository');
+const auditLogRepository = require('../repositories/auditLogRepository');
+const ocrEngine = require('../ocrEngines');
+const { renderPdfFirstPage } = require('./previewService');
+const documentCheckService = require('./documentCheckService');
+const { FIELD_FORMAT, FIELD_STATUS, EXTRACTION_STATUS, getDocumentFields } = require('../models/documentFields');
+
+const OCR_PDF_DPI = 300;
+const MAX_STORED_TEXT = 5000;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Build an ISO date (YYYY-MM-DD), or null if the parts are not a real date
+ */
+function isoDate(year, month, day) {
+  let fullYear = parseInt(year, 10);
+  if (year.length === 2) {
+    // Two-digit years: assume the most recent century that does not put the date in the far future
+    fullYear += fullYear > (new Date().getFullYear() % 100) + 20 ? 1900 : 2000;
+  }
+  const date = new Date(Date.UTC(fullYear, month - 1, parseInt(day, 10)));
+  if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== parseInt(day, 10)) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the first date in a piece of text
+ * Accepts 1990-12-31, 31/12/1990, 31.12.90, 31-12-1990 and 31 DEC 1990 (day first)
+ */
+function parseDate(text) {
+  let match = text.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (match) {
+    return isoDate(match[1], parseInt(match[2], 10), match[3]);
+  }
+  match = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/);
+  if (match) {
+    return isoDate(match[3], parseInt(match[2], 10), match[1]);
+  }
+  match = text.match(/\b(\d{1,2})[\s-]*([A-Za-z]{3})[A-Za-z]*[\s-]*(\d{4}|\d{2})\b/);
+  if (match && MONTHS.includes(match[2].toUpperCase())) {
+    return isoDate(match[3], MONTHS.indexOf(match[2].toUpperCase()) + 1, match[1]);
+  }
+  return null;
+}
+
+/**
+ * Read a value of the given format from the text that follows a label
+ */
+function parseValue(format, text) {
+  if (format === FIELD_FORMAT.DATE) {
+    return parseDate(text);
+  }
+  if (format === FIELD_FORMAT.NUMBER) {
+    const match = text.match(/[A-Z0-9][A-Z0-9-]{3,}[A-Z0-9]/i);
+    return match ? match[0].toUpperCase() : null;
+  }
+  // Names: letters, spaces, apostrophes and hyphens
+  const match = text.match(/[A-Za-zÀ-ɏ][A-Za-zÀ-ɏ' -]*[A-Za-zÀ-ɏ]/);
+  return match ? match[0].replace(/\s+/g, ' ').toUpperCase() : null;
+}
+
+/**
+ * Find one field in OCR lines
+ * The value is looked for after one of the field's printed labels, on the same line
+ * (up to the next field's label) or else on the next line. Labels are tried in the order
+ * they are listed, so a specific label ("statement date") wins over a generic one ("date").
+ * Returns { value, confidence } or null
+ */
+function findField(definition, lines, allLabels) {
+  for (const label of definition.labels) {
+    for (let index = 0; index < lines.length; index++) {
+      const line = lines[index];
+      const labelMatch = line.text.match(label);
+      if (!labelMatch) continue;
+
+      // Text after the label, cut off where another field's label starts
+      let rest = line.text.slice(labelMatch.index + labelMatch[0].length).replace(/^[\s:.#-]+/, '');
+      allLabels.forEach(other => {
+        const otherMatch = rest.match(other);
+        if (otherMatch && otherMatch.index > 0) rest = rest.slice(0, otherMatch.index);
+      });
+
+      const sameLine = parseValue(definition.format, rest);
+      if (sameLine) {
+        return { value: sameLine, confidence: line.confidence };
+      }
+      const nextLine = lines[index + 1] && parseValue(definition.format, lines[index + 1].text);
+      if (nextLine) {
+        // A value on the next line is a weaker match than one next to its label
+        return { value: nextLine, confidence: lines[index + 1].confidence * 0.8 };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the key fields of a document type in OCR lines
+ *
+ * @param {string} documentType
+ * @param {Array} lines - [{ text, confidence }] from the OCR engine
+ * @returns {Object} { [key]: { label, value, ocrValue, confidence, status } }
+ */
+function parseFields(documentType, lines) {
+  const definitions = getDocumentFields(documentType);
+  const allLabels = definitions.flatMap(definition => definition.labels);
+  const fields = {};
+
+  definitions.forEach(definition => {
+    const found = findField(definition, lines, allLabels);
+    fields[definition.key] = {
+      label: definition.label,
+      value: found ? found.value : null,
+      ocrValue: found ? found.value : null,
+      confidence: found ? Math.round(found.confidence * 100) / 100 : null,
+      status: found ? FIELD_STATUS.EXTRACTED : FIELD_STATUS.MISSING
+    };
+  });
+
+  return fields;
+}
+
+/**
+ * Get an image the OCR engine can read for a file, or null if there is none
+ */
+async function ocrImage(buffer, contentType) {
+  if (contentType === 'application/pdf') {
+    return renderPdfFirstPage(buffer, OCR_PDF_DPI);
+  }
+  if (contentType === 'image/jpeg' || contentType === 'image/png') {
+    return sharp(buffer).rotate().grayscale().png().toBuffer();
+  }
+  return null;
+}
+
+/**
+ * Run OCR on a clean document and store the extracted fields on it
+ * Returns the extraction, or null if the document type has no fields or OCR is off
+ */
+async function extractDocumentFields(document, buffer) {
+  if (getDocumentFields(document.type).length === 0 || ocrEngine.engineName === 'none') {
+    return null;
+  }
+
+  let extraction;
+  try {
+    const image = await ocrImage(buffer, document.contentType);
+    if (!image) {
+      throw new Error(`Cannot read text from ${document.contentType} files`);
+    }
+    const result = await ocrEngine.recognize(image);
+    if (!result) {
+      return null;
+    }
+    extraction = {
+      status: EXTRACTION_STATUS.COMPLETED,
+      engine: ocrEngine.name,
+      confidence: Math.round(result.confidence * 100) / 100,
+      text: result.text.slice(0, MAX_STORED_TEXT),
+      extractedAt: new Date(),
+      fields: parseFields(document.type, result.lines)
+    };
+  } catch (error) {
+    console.warn(`[OCR] Could not read document ${document.id}:`, error.message);
+    extraction = {
+      status: EXTRACTION_STATUS.FAILED,
+      engine: ocrEngine.name,
+      error: error.message,
+      extractedAt: new Date(),
+      fields: parseFields(document.type, [])
+    };
+  }
+
+  await documentRepository.updateDocument(document.id, { extraction });
+  await documentCheckService.runChecks(document.id, { trigger: 'OCR' });
+  return extraction;
+}
+
+/**
+ * Confirm or correct the extracted fields of a document (agent action)
+ *
+ * Business rules:
+ * - The document must be a document of the request and its type must have key fields
+ * - values: { [key]: value } for any of the type's fields; a value equal to the OCR value
+ *   confirms it, anything else corrects it (empty clears it)
+ * - Dates must be YYYY-MM-DD
+ * - Works without an OCR result too (agent enters the fields by hand)
+ * - Creates audit log DOCUMENT_FIELDS_CONFIRMED
+ */
+async function confirmDocumentFields(requestId, documentId, values, actorId, actorIp = null) {
+  const document = await documentRepository.getDocumentById(documentId);
+  if (!document || document.requestId !== requestId) {
+    throw new Error('Document not found');
+  }
+
+  const definitions = getDocumentFields(document.type);
+  if (definitions.length === 0) {
+    throw new Error(`No fields are captured for ${document.type} documents`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error('Field values are required');
+  }
+
+  const extraction = document.extraction || {
+    status: EXTRACTION_STATUS.MANUAL,
+    engine: null,
+    confidence: null,
+    text: null,
+    extractedAt: null,
+    fields: parseFields(document.type, [])
+  };
+  const fields = { ...extraction.fields };
+  const confirmedAt = new Date();
+  const changes = [];
+
+  for (const [key, rawValue] of Object.entries(values)) {
+    const definition = definitions.find(d => d.key === key);
+    if (!definition) {
+      throw new Error(`Unknown field ${key} for ${document.type} documents`);
+    }
+    const value = rawValue === null || rawValue === undefined ? '' : String(rawValue).trim();
+    if (value && definition.format === FIELD_FORMAT.DATE && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      throw new Error(`${definition.label}: use the format YYYY-MM-DD`);
+    }
+
+    const field = fields[key] || { label: definition.label, ocrValue: null, confidence: null };
+    const status = field.ocrValue !== null && value === field.ocrValue ? FIELD_STATUS.CONFIRMED : FIELD_STATUS.CORRECTED;
+    fields[key] = {
+      ...field,
+      value: value || null,
+      status,
+      confirmedBy: actorId,
+      confirmedAt
+    };
+    changes.push({ key, status, ocrValue: field.ocrValue, value: value || null });
+  }
+
+  const updatedExtraction = { ...extraction, fields };
+  await documentRepository.updateDocument(documentId, { extraction: updatedExtraction });
+
+  await auditLogRepository.createAuditLog({
+    actorId,
+    action: 'DOCUMENT_FIELDS_CONFIRMED',
+    requestId,
+    ip: actorIp,
+    metadata: {
+      documentId,
+      documentType: document.type,
+      fields: changes
+    }
+  });
+
+  await documentCheckService.runChecks(documentId, { trigger: 'FIELDS_CONFIRMED', actorId, actorIp });
+
+  return updatedExtraction;
+}
+
+module.exports = {
+  parseDate,
+  parseFields,
+  extractDocumentFields,
+  confirmDocumentFields
+};
@@ -0,0 +1,229 @@
+/**
+ * Portal Verification Service
+ *
+ * Optional one-time code check before the customer portal shows anything, on top of the
+ * secure link (CUSTOMER_OTP_REQUIRED=true turns it on).
+ *
+ * Business rules:
+ * - The code goes to the phone (sms) or email on the request, whichever the customer picks;
+ *   the portal only ever shows them masked (•••• 0123, j•••@example.com)
+ * - Codes have CUSTOMER_OTP_LENGTH (default 6) digits and expire after
+ *   CUSTOMER_OTP_TTL_MINUTES (default 10); sending a new code replaces the previous one
+ * - At most CUSTOMER_OTP_MAX_ATTEMPTS (default 5) tries per code, then a new code is needed;
+ *   every try is counted in a transaction before the code is compared, also when tries come
+ *   in parallel, and a code starts one portal session at most
+ * - At most CUSTOMER_OTP_MAX_CODES_PER_HOUR (default 5) codes per request per hour
+ * - The right code starts a portal session of CUSTOMER_SESSION_TTL_MINUTES (default 30);
+ *   the portal sends its token with every call (X-Portal-Session header, or ?session= for
+ *   files shown in the page). Regenerating the link ends its sessions
+ * - Codes and session tokens are stored hashed; the request's communication log records
+ *   the code message with the code left out
+ * - Audit logs: CUSTOMER_CODE_SENT, CUSTOMER_CODE_FAILED (every wrong code), CUSTOMER_CODE_VERIFIED
+ */
+
+const crypto = require('crypto');
+const portalVerificationRepository = require('../repositories/portalVerificationRepository');
+const auditLogRepository = require('../repositories/auditLogRepository');
+const messageService = require('./messageService');
+const { VERIFICATION_STATUS, VERIFICATION_ERROR } = require('../models/portalVerification');
+
+const CODE_LENGTH = parseInt(process.env.CUSTOMER_OTP_LENGTH, 10) || 6;
+const CODE_TTL_MINUTES = parseInt(process.env.CUSTOMER_OTP_TTL_MINUTES, 10) || 10;
+const MAX_ATTEMPTS = parseInt(process.env.CUSTOMER_OTP_MAX_ATTEMPTS, 10) || 5;
+const MAX_CODES_PER_HOUR = parseInt(process.env.CUSTOMER_OTP_MAX_CODES_PER_HOUR, 10) || 5;
+const SESSION_TTL_MINUTES = parseInt(process.env.CUSTOMER_SESSION_TTL_MINUTES, 10) || 30;
+
+/**
+ * Whether customers must enter a code before the portal opens
+ */
+function isVerificationRequired() {
+  return process.env.CUSTOMER_OTP_REQUIRED === 'true';
+}
+
+/**
+ * Error with one of the VERIFICATION_ERROR codes
+ */
+function verificationError(message, code, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Phone number with all but the last four digits hidden
+ */
+function maskPhone(phone) {
+  const digits = String(phone).replace(/\D/g, '');
+  return `•••• ${digits.slice(-4)}`;
+}
+
+/**
+ * Email address with the name hidden after its first letter
+ */
+function maskEmail(email) {
+  const [name, domain] = String(email).split('@');
+  return `${name.slice(0, 1)}•••@${domain || ''}`;
+}
+
+/**
+ * Where codes can be sent for a request: [{ channel, destination (masked) }]
+ */
+function getChannels(request) {
+  const channels = [];
+  if (request.customerPhone) {
+    channels.push({ channel: 'sms', destination: maskPhone(request.customerPhone) });
+  }
+  if (request.customerEmail) {
+    channels.push({ channel: 'email', destination: maskEmail(request.customerEmail) });
+  }
+  return channels;
+}
+
+/**
+ * Send a new code to the customer
+ *
+ * @param {Object} request - the request the link belongs to
+ * @param {string} channel - 'sms' or 'email'
+ * @returns {Object} { channel, destination (masked), expiresAt }
+ */
+async function sendCode(request, channel, requesterIp = null) {
+  const to = channel === 'sms' ? request.customerPhone : channel === 'email' ? request.customerEmail : null;
+  if (!to) {
+    throw verificationError('We have no contact details to send a code that way', VERIFICATION_ERROR.NO_DESTINATION);
+  }
+
+  const verifications = await portalVerificationRepository.getVerificationsByRequestId(request.id);
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+  if (verifications.filter(v => v.createdAt > hourAgo).length >= MAX_CODES_PER_HOUR) {
+    throw verificationError('Too many codes were sent. Please try again in an hour.', VERIFICATION_ERROR.TOO_MANY_CODES);
+  }
+
+  // Only the newest code counts
+  for (const verification of verifications.filter(v => v.status === VERIFICATION_STATUS.PENDING)) {
+    await portalVerificationRepository.updateVerification(verification.id, { status: VERIFICATION_STATUS.REPLACED });
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+  const destination = channel === 'sms' ? maskPhone(to) : maskEmail(to);
+  const expiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000);
+  const verification = await portalVerificationRepository.createVerification({
+    requestId: request.id,
+    channel,
+    destination,
+    codeHash: sha256(`${request.id}:${code}`),
+    maxAttempts: MAX_ATTEMPTS,
+    requesterIp,
+    expiresAt
+  });
+
+  const text = `Your code to open your document request ${request.requestNumber || ''} is {{code}}. It expires in ${CODE_TTL_MINUTES} minutes. Do not share it with anyone.`;
+  const communication = await messageService.sendMessage(request, {
+    channel,
+    to,
+    subject: 'Your verification code',
+    text: text.replace('{{code}}', code)
+  }, { actorId: 'customer', loggedText: text.replace('{{code}}', '••••••') });
+
+  await auditLogRepository.createAuditLog({
+    actorId: 'customer',
+    action: 'CUSTOMER_CODE_SENT',
+    requestId: request.id,
+    ip: requesterIp,
+    metadata: {
+      verificationId: verification.id,
+      channel,
+      destination,
+      sender: communication.sender,
+      messageId: communication.providerMessageId
+    }
+  });
+
+  return { channel, destination, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Check a code the customer entered and start a portal session
+ *
+ * @returns {Object} { sessionToken, expiresAt }
+ * @throws with code CODE_INVALID (and attemptsLeft), CODE_EXPIRED or TOO_MANY_ATTEMPTS
+ */
+async function verifyCode(request, code, requesterIp = null) {
+  const entered = Buffer.from(sha256(`${request.id}:${String(code || '').trim()}`));
+  const { verification, expired, matched, locked } = await portalVerificationRepository.recordAttempt(
+    request.id,
+    (pending) => crypto.timingSafeEqual(Buffer.from(pending.codeHash), entered)
+  );
+  if (expired) {
+    throw verificationError('This code has expired. Please ask for a new code.', VERIFICATION_ERROR.CODE_EXPIRED);
+  }
+
+  if (!matched) {
+    const { attempts } = verification;
+    await auditLogRepository.createAuditLog({
+      actorId: 'customer',
+      action: 'CUSTOMER_CODE_FAILED',
+      requestId: request.id,
+      ip: requesterIp,
+      metadata: { verificationId: verification.id, attempts, locked }
+    });
+    if (locked) {
+      throw verificationError('The code was entered wrongly too many times. Please ask for a new code.', VERIFICATION_ERROR.TOO_MANY_ATTEMPTS);
+    }
+    throw verificationError('That code is not right. Please check it and try again.', VERIFICATION_ERROR.CODE_INVALID, {
+      attemptsLeft: verification.maxAttempts - attempts
+    });
+  }
+
+  const sessionToken = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000);
+  await portalVerificationRepository.createSession(sha256(sessionToken), {
+    requestId: request.id,
+    linkHash: sha256(request.secureToken),
+    verificationId: verification.id,
+    expiresAt
+  });
+
+  await auditLogRepository.createAuditLog({
+    actorId: 'customer',
+    action: 'CUSTOMER_CODE_VERIFIED',
+    requestId: request.id,
+    ip: requesterIp,
+    metadata: { verificationId: verification.id, channel: verification.channel, sessionExpiresAt: expiresAt.toISOString() }
+  });
+
+  return { sessionToken, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Make sure a portal call comes with a valid session, if codes are required
+ * @throws with code VERIFICATION_REQUIRED (and the channels codes can be sent to)
+ */
+async function checkSession(request, sessionToken) {
+  if (!isVerificationRequired()) {
+    return;
+  }
+
+  const session = sessionToken ? await portalVerificationRepository.getSessionById(sha256(sessionToken)) : null;
+  const valid = session &&
+    session.requestId === request.id &&
+    session.linkHash === sha256(request.secureToken) &&
+    session.expiresAt > new Date();
+  if (!valid) {
+    throw verificationError('Please confirm it is you with a code we send to your phone or email.', VERIFICATION_ERROR.REQUIRED, {
+      channels: getChannels(request)
+    });
+  }
+}
+
+module.exports = {
+  isVerificationRequired,
+  getChannels,
+  sendCode,
+  verifyCode,
+  checkSession
+};
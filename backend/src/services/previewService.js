@@ -0,0 +1,134 @@
+/**
+ * Preview Service
+ * 
+ * Builds the derivatives shown in review screens and the customer portal, so nobody
+ * has to download a multi-megabyte original just to look at it:
+ * - thumbnail: small JPEG (THUMBNAIL_SIZE px box) for lists and version history
+ * - preview: larger JPEG (PREVIEW_SIZE px box) for inline viewing
+ * 
+ * Images are resized with sharp (EXIF orientation applied). For PDFs the first page is
+ * rasterised with poppler's pdftoppm (PDFTOPPM_PATH, default "pdftoppm" on the PATH);
+ * without it PDFs simply get no preview. HEIC and WebP photos are previewed from the JPEG
+ * converted from them (normalizationService); a HEIC photo that could not be converted
+ * gets no preview.
+ * 
+ * Derivatives are stored next to the original ("<storagePath>.thumbnail.jpg",
+ * "<storagePath>.preview.jpg") and recorded on the document as
+ * derivatives: { thumbnail, preview, generatedAt } (each { storagePath, width, height } or null).
+ * They are built after the malware scan reports the file clean (malwareScanService),
+ * never from quarantined files.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const documentRepository = require('../repositories/documentRepository');
+const blobStorage = require('../blobStorage');
+
+const THUMBNAIL_SIZE = 240;
+const PREVIEW_SIZE = 1024;
+const PDF_RENDER_DPI = 110;
+const PDF_RENDER_TIMEOUT_MS = 30000;
+
+const DERIVATIVE_SIZES = {
+  thumbnail: THUMBNAIL_SIZE,
+  preview: PREVIEW_SIZE
+};
+
+/**
+ * Storage key of a derivative, next to the original file
+ */
+function derivativePath(storagePath, variant) {
+  return `${storagePath}.${variant}.jpg`;
+}
+
+/**
+ * Rasterise the first page of a PDF to PNG with pdftoppm
+ * Returns the PNG buffer, or null if pdftoppm is not installed or cannot read the file
+ * (also used by ocrService, at a higher resolution)
+ */
+async function renderPdfFirstPage(buffer, dpi = PDF_RENDER_DPI) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+  try {
+    const inputPath = path.join(workDir, 'input.pdf');
+    const outputRoot = path.join(workDir, 'page');
+    await fs.promises.writeFile(inputPath, buffer);
+
+    await new Promise((resolve, reject) => {
+      execFile(
+        process.env.PDFTOPPM_PATH || 'pdftoppm',
+        ['-f', '1', '-l', '1', '-singlefile', '-r', String(dpi), '-png', inputPath, outputRoot],
+        { timeout: PDF_RENDER_TIMEOUT_MS },
+        (error) => (error ? reject(error) : resolve())
+      );
+    });
+
+    return await fs.promises.readFile(`${outputRoot}.png`);
+  } catch (error) {
+    console.warn('[Previews] Could not render PDF page:', error.code === 'ENOENT' ? 'pdftoppm is not installed' : error.message);
+    return null;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Get an image sharp can read for a file, or null if there is none
+ */
+async function sourceImage(buffer, contentType) {
+  if (contentType === 'application/pdf') {
+    return renderPdfFirstPage(buffer);
+  }
+  if (contentType === 'image/jpeg' || contentType === 'image/png') {
+    return buffer;
+  }
+  return null;
+}
+
+/**
+ * Build and store the derivatives of a document, and record them on the document
+ * 
+ * @param {Object} document - document record (storagePath, contentType)
+ * @param {Buffer} buffer - contents of the original file
+ * @returns {Object} derivatives recorded on the document
+ */
+async function generateDerivatives(document, buffer) {
+  const derivatives = { thumbnail: null, preview: null, generatedAt: new Date() };
+
+  const image = await sourceImage(buffer, document.contentType);
+  if (image) {
+    for (const [variant, size] of Object.entries(DERIVATIVE_SIZES)) {
+      const { data, info } = await sharp(image)
+        .rotate() // apply EXIF orientation
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      const storagePath = derivativePath(document.storagePath, variant);
+      await blobStorage.put(storagePath, data, { contentType: 'image/jpeg' });
+      derivatives[variant] = { storagePath, width: info.width, height: info.height };
+    }
+  }
+
+  await documentRepository.updateDocument(document.id, { derivatives });
+  return derivatives;
+}
+
+/**
+ * Storage keys of a document's derivatives (for deleting them with the original)
+ */
+function getDerivativePaths(document) {
+  return Object.keys(DERIVATIVE_SIZES)
+    .map(variant => document.derivatives?.[variant]?.storagePath)
+    .filter(Boolean);
+}
+
+module.exports = {
+  DERIVATIVE_VARIANTS: Object.keys(DERIVATIVE_SIZES),
+  generateDerivatives,
+  getDerivativePaths,
+  renderPdfFirstPage
+};
@@ -9,26 +9,36 @@ const requestRepository = require('../repositories/requestRepository');
 const documentRepository = require('../repositories/documentRepository');
 const userRepository = require('../repositories/userRepository');
 const auditLogRepository = require('../repositories/auditLogRepository');
-const { createRequest: createRequestModel, REQUEST_STATUS, REVIEW_STATUS } = require('../models/request');
-const crypto = require('crypto');
-
-/**
- * Generate a high-entropy secure token for customer access
- * This token should be unguessable and unique
- */
-function generateSecureToken() {
-  // Generate 32 random bytes and convert to base64url
-  return crypto.randomBytes(32).toString('base64url');
-}
+const blobStorage = require('../blobStorage');
+const workflowRepository = require('../repositories/workflowRepository');
+const requirementProfileRepository = require('../repositories/requirementProfileRepository');
+const rejectionReasonRepository = require('../repositories/rejectionReasonRepository');
+const workflowEngine = require('./workflowEngine');
+const previewService = require('./previewService');
+const { createRequest: createRequestModel, REVIEW_STATUS, CUSTOMER_TYPE } = require('../models/request');
+const { STATUS_PHASE, DEFAULT_WORKFLOW_ID, getStatusDefinition } = require('../models/workflowDefinitions');
+const { DEFAULT_REQUIREMENT_PROFILE_ID } = require('../models/requirementProfiles');
+const { DOCUMENT_REVIEW_STATUS, getDocumentReviewStatus, isDocumentClean } = require('../models/document');
+const { getDocumentFields } = require('../models/documentFields');
+const customerLinkService = require('./customerLinkService');
+const messageService = require('./messageService');
+const communicationRepository = require('../repositories/communicationRepository');
+const uploadSessionRepository = require('../repositories/uploadSessionRepository');
+const portalVerificationRepository = require('../repositories/portalVerificationRepository');
+const { MESSAGE_TEMPLATE } = require('../models/messageTemplates');
 
 /**
  * Create a new customer request
  * 
  * Business rules:
  * - Creates customer user if doesn't exist
- * - Generates secure token for customer access
- * - Sets initial status to OPEN
+ * - Generates secure token for customer access, valid for CUSTOMER_LINK_TTL_DAYS (customerLinkService)
+ * - Follows the workflow of the chosen product line (default: vehicle finance)
+ * - Uses the chosen document requirement profile, or the most specific one that
+ *   applies to the product line, dealer and customer type
+ * - Sets initial status from the workflow definition
  * - Creates audit log entry
+ * - Sends the customer the INVITATION message with the link (messageService)
  */
 async function createRequest(agentId, requestData, actorIp = null) {
   // Find or create customer user
@@ -39,13 +49,26 @@ async function createRequest(agentId, requestData, actorIp = null) {
   });
 
   // Generate secure token for customer portal access
-  const secureToken = generateSecureToken();
+  const link = customerLinkService.issueLink();
+
+  let requirementProfileId = requestData.requirementProfileId;
+  if (!requirementProfileId) {
+    const [profile] = await requirementProfileRepository.getApplicableProfiles({
+      workflowId: requestData.workflowId || DEFAULT_WORKFLOW_ID,
+      dealerId: requestData.dealerId,
+      customerType: requestData.customerType || CUSTOMER_TYPE.INDIVIDUAL
+    });
+    requirementProfileId = profile ? profile.id : DEFAULT_REQUIREMENT_PROFILE_ID;
+  }
 
   // Create request document
   const request = createRequestModel({
     customerId: customer.id,
     agentId: agentId,
-    secureToken: secureToken,
+    workflowId: requestData.workflowId,
+    requirementProfileId,
+    customerType: requestData.customerType,
+    ...link,
     customerName: requestData.customerName,
     customerPhone: requestData.customerPhone,
     customerEmail: requestData.customerEmail,
@@ -54,86 +77,123 @@ async function createRequest(agentId, requestData, actorIp = null) {
     notes: requestData.notes
   });
 
-  const createdRequest = await requestRepository.createRequest(request);
-
-  // Create audit log
-  await auditLogRepository.createAuditLog({
+  // Workflow engine saves the request and writes the REQUEST_CREATED audit log
+  const createdRequest = await workflowEngine.createRequest(request, {
     actorId: agentId,
-    action: 'REQUEST_CREATED',
-    requestId: createdRequest.id,
-    ip: actorIp,
+    actorIp,
     metadata: {
       customerName: requestData.customerName,
       customerPhone: requestData.customerPhone
     }
   });
 
+  // A message that cannot be sent is logged, it does not undo the request
+  const invitations = await messageService.sendTemplatedMessage(createdRequest, MESSAGE_TEMPLATE.INVITATION, { actorId: agentId })
+    .catch(error => {
+      console.error('Error sending invitation:', error);
+      return [];
+    });
+
   return {
     ...createdRequest,
-    customerLink: `/customer/${secureToken}`
+    customerLink: `/customer/${link.secureToken}`,
+    // Where the invitation went: [{ channel, to, status }]
+    invitations: invitations.map(({ channel, to, status }) => ({ channel, to, status }))
   };
 }
 
 /**
  * Get request details including documents
+ * documents holds the current version of every file, documentVersions every version grouped by type
+ * viewerRole decides which workflow actions are offered (allowedActions / allowedStatusChanges)
  */
-async function getRequestDetails(requestId) {
+async function getRequestDetails(requestId, viewerRole = 'agent') {
   const request = await requestRepository.getRequestById(requestId);
   if (!request) {
     return null;
   }
 
-  const documentStatus = await documentRepository.getDocumentUploadStatus(requestId);
+  const workflow = await workflowRepository.getWorkflowForRequest(request);
+  const statusDefinition = getStatusDefinition(workflow, request.status);
+  const documentRequirements = await requirementProfileRepository.getRequirementsForRequest(request);
+  const documentStatus = await documentRepository.getDocumentUploadStatus(requestId, documentRequirements);
 
   // Only return document files after customer has submitted — not while they're still uploading
-  const showDocuments = ['SUBMITTED', 'COMPLETED'].includes(request.status) ||
+  const showDocuments = [STATUS_PHASE.REVIEW, STATUS_PHASE.COMPLETED].includes(statusDefinition?.phase) ||
                         ['APPROVED', 'REJECTED'].includes(request.reviewStatus);
   const documents = showDocuments
-    ? await documentRepository.getDocumentsByRequestId(requestId)
+    ? await documentRepository.getCurrentDocumentsByRequestId(requestId)
     : [];
+  const documentVersions = showDocuments
+    ? await documentRepository.getDocumentVersionsByType(requestId)
+    : {};
+  // Photos of a document type combined into one PDF (normalizationService), by type
+  const mergedDocuments = showDocuments
+    ? Object.fromEntries(Object.entries(request.mergedDocuments || {}).map(([type, merged]) => [type, {
+      pages: merged.pages,
+      documentIds: merged.documentIds,
+      createdAt: toIsoString(merged.createdAt)
+    }]))
+    : {};
 
   return {
     ...request,
     documents,
-    documentStatus
+    documentVersions,
+    mergedDocuments,
+    // ACTIVE, EXPIRED or REVOKED (customerLinkService)
+    customerLinkStatus: customerLinkService.getLinkStatus(request),
+    documentStatus,
+    documentRequirements,
+    // Key fields agents confirm per document type (OCR results are on each document's extraction)
+    documentFields: Object.fromEntries(documentRequirements
+      .filter(doc => getDocumentFields(doc.type).length > 0)
+      .map(doc => [doc.type, getDocumentFields(doc.type).map(({ key, label, format }) => ({ key, label, format }))])),
+    // Rejection reason catalog, retired reasons included so earlier reviews still show their labels
+    rejectionReasons: await rejectionReasonRepository.getAllReasons(),
+    workflowName: workflow.name,
+    statusLabel: statusDefinition ? statusDefinition.label : request.status,
+    statusPhase: statusDefinition ? statusDefinition.phase : null,
+    statusLabels: Object.fromEntries(workflow.statuses.map(status => [status.id, status.label])),
+    // Workflow actions the viewer may trigger (APPROVE, REJECT, REOPEN, ...)
+    allowedActions: await workflowEngine.getAllowedActions(request, viewerRole),
+    // Statuses the viewer may pick in the "Change Status" dropdown
+    allowedStatusChanges: await workflowEngine.getAllowedStatuses(request, 'CHANGE_STATUS', viewerRole)
   };
 }
 
+/**
+ * ISO string from a stored timestamp (Date, Firestore Timestamp or ISO string)
+ */
+function toIsoString(timestamp) {
+  if (!timestamp) return null;
+  return (timestamp.toDate ? timestamp.toDate() : new Date(timestamp)).toISOString();
+}
+
 /**
  * Update request status and/or notes
+ * 
+ * Status changes go through the workflow engine, which only allows
+ * the CHANGE_STATUS transitions of the request's workflow
  */
 async function updateRequest(requestId, updates, actorId, actorIp = null) {
-  const currentRequest = await requestRepository.getRequestById(requestId);
+  let currentRequest = await requestRepository.getRequestById(requestId);
   if (!currentRequest) {
     throw new Error('Request not found');
   }
 
-  const updateData = {};
-
   // Update status if provided
   if (updates.status && updates.status !== currentRequest.status) {
-    // Validate status transition (basic check - can be enhanced)
-    if (currentRequest.status === REQUEST_STATUS.EXPIRED && updates.status !== REQUEST_STATUS.OPEN) {
-      throw new Error('Expired requests can only be reopened (set to OPEN)');
-    }
-    updateData.status = updates.status;
-    
-    // Create audit log for status change
-    await auditLogRepository.createAuditLog({
-      actorId: actorId,
-      action: 'STATUS_CHANGED',
-      requestId: requestId,
-      ip: actorIp,
-      metadata: {
-        oldStatus: currentRequest.status,
-        newStatus: updates.status
-      }
+    currentRequest = await workflowEngine.performAction(requestId, 'CHANGE_STATUS', {
+      actorId,
+      actorIp,
+      toStatus: updates.status
     });
   }
 
   // Update notes if provided
   if (updates.notes !== undefined && updates.notes !== currentRequest.notes) {
-    updateData.notes = updates.notes;
+    currentRequest = await requestRepository.updateRequest(requestId, { notes: updates.notes });
     
     await auditLogRepository.createAuditLog({
       actorId: actorId,
@@ -143,11 +203,7 @@ async function updateRequest(requestId, updates, actorId, actorIp = null) {
     });
   }
 
-  if (Object.keys(updateData).length === 0) {
-    return currentRequest; // No changes
-  }
-
-  return await requestRepository.updateRequest(requestId, updateData);
+  return currentRequest;
 }
 
 /**
@@ -164,7 +220,8 @@ async function markReminderConfirmed(requestId, actorId, actorIp = null) {
     throw new Error('Request not found');
   }
 
-  if (request.status === REQUEST_STATUS.EXPIRED) {
+  const workflow = await workflowRepository.getWorkflowForRequest(request);
+  if (getStatusDefinition(workflow, request.status)?.phase === STATUS_PHASE.EXPIRED) {
     throw new Error('Cannot confirm reminder for expired request');
   }
 
@@ -187,106 +244,167 @@ async function markReminderConfirmed(requestId, actorId, actorIp = null) {
  * Reopen an expired request
  * 
  * Business rules:
- * - Only works if status is EXPIRED
- * - Sets status to OPEN
+ * - Only works from statuses the workflow allows REOPEN from (enforced by the workflow engine)
+ * - Sets status to the workflow's REOPEN target (OPEN in the built-in workflows)
  * - Clears expiredAt
- * - Resets reminder level
+ * - Resets reminder level, and the customer can be sent reminders again
  */
 async function reopenRequest(requestId, actorId, actorIp = null) {
+  return workflowEngine.performAction(requestId, 'REOPEN', {
+    actorId,
+    actorIp,
+    updates: {
+      expiredAt: null,
+      needsReminderLevel: 0,
+      lastReminderAt: null,
+      customerRemindersSent: 0,
+      lastCustomerReminderAt: null
+    }
+  });
+}
+
+/**
+ * Reassign request to another agent (manager action)
+ */
+async function reassignRequest(requestId, newAgent, actorId, actorIp = null) {
   const request = await requestRepository.getRequestById(requestId);
   if (!request) {
     throw new Error('Request not found');
   }
 
-  if (request.status !== REQUEST_STATUS.EXPIRED) {
-    throw new Error('Can only reopen expired requests');
-  }
-
-  await requestRepository.updateRequest(requestId, {
-    status: REQUEST_STATUS.OPEN,
-    expiredAt: null,
-    needsReminderLevel: 0,
-    lastReminderAt: null
-  });
-
-  await auditLogRepository.createAuditLog({
-    actorId: actorId,
-    action: 'REQUEST_REOPENED',
-    requestId: requestId,
-    ip: actorIp
+  return workflowEngine.performAction(requestId, 'REASSIGN', {
+    actorId,
+    actorIp,
+    updates: { agentId: newAgent.id },
+    metadata: { oldAgentId: request.agentId, newAgentId: newAgent.id, newAgentName: newAgent.name }
   });
-
-  return await requestRepository.getRequestById(requestId);
 }
 
 /**
- * Review request (Approve or Reject)
- * 
+ * Review request documents; the request-level decision follows from them
+ *
+ * documentReviews: [{ documentId, status: 'ACCEPTED' | 'REJECTED', reasonCodes: [], comment }]
+ * for current document versions. Documents accepted in an earlier review round keep
+ * their state unless listed again.
+ *
  * Business rules:
- * - Only works if status is SUBMITTED
- * - Sets reviewStatus and reviewComment
- * - Records who reviewed and when
- * - If APPROVED: Automatically changes status to COMPLETED
- * - If REJECTED: Changes status to IN_PROGRESS so customer can fix and resubmit
+ * - Every current document must end up ACCEPTED or REJECTED (none left PENDING)
+ * - A rejected document needs one or more active catalog reasons for its type
+ *   (models/rejectionReasons.js); reasons marked requiresComment (OTHER) need a comment
+ * - Only documents that passed the malware scan (CLEAN) can be accepted
+ * - Any rejected document rejects the request, otherwise it is approved
+ * - Only works from statuses the workflow allows APPROVE/REJECT from (enforced by the workflow engine)
+ * - Sets reviewStatus, reviewComment (optional overall comment) and rejectedDocumentTypes
+ * - Records who reviewed and when, on the request and on each document
+ * - The document decisions and the request's new status are saved in one transaction
+ * - Completion percentage counts accepted required documents only
+ * - If APPROVED: Moves to the workflow's APPROVE target (COMPLETED for vehicle finance)
+ * - If REJECTED: Moves to the workflow's REJECT target (IN_PROGRESS) so customer can re-upload and resubmit
+ * - Sends the customer the APPROVAL or REJECTION message (messageService)
  */
-async function reviewRequest(requestId, decision, comment, actorId, actorIp = null, rejectedDocumentTypes = []) {
+async function reviewRequest(requestId, documentReviews, comment, actorId, actorIp = null) {
   const request = await requestRepository.getRequestById(requestId);
   if (!request) {
     throw new Error('Request not found');
   }
 
-  if (request.status !== REQUEST_STATUS.SUBMITTED) {
-    throw new Error('Can only review submitted requests');
+  const currentDocuments = await documentRepository.getCurrentDocumentsByRequestId(requestId);
+  if (currentDocuments.length === 0) {
+    throw new Error('There are no documents to review');
   }
 
-  if (decision === 'REJECT' && !comment) {
-    throw new Error('Rejection comment is required');
+  // Apply the submitted decisions to the current versions (saved with the transition below)
+  const reviewedAt = new Date();
+  const changes = {};
+  for (const review of documentReviews || []) {
+    const doc = currentDocuments.find(d => d.id === review.documentId);
+    if (!doc) {
+      throw new Error(`Document ${review.documentId} is not a current document of this request`);
+    }
+    if (![DOCUMENT_REVIEW_STATUS.ACCEPTED, DOCUMENT_REVIEW_STATUS.REJECTED].includes(review.status)) {
+      throw new Error(`Document ${doc.type}: status must be ACCEPTED or REJECTED`);
+    }
+
+    // An agent cannot have looked at a file that is still quarantined or infected
+    if (review.status === DOCUMENT_REVIEW_STATUS.ACCEPTED && !isDocumentClean(doc)) {
+      throw new Error(`Document ${doc.type}: cannot be accepted before it passes the malware scan`);
+    }
+
+    const rejected = review.status === DOCUMENT_REVIEW_STATUS.REJECTED;
+    const reasonCodes = rejected ? [...new Set(review.reasonCodes || [])] : [];
+    if (rejected) {
+      if (reasonCodes.length === 0) {
+        throw new Error(`Document ${doc.type}: at least one rejection reason is required`);
+      }
+      const allowedReasons = await rejectionReasonRepository.getActiveReasonsForDocumentType(doc.type);
+      for (const code of reasonCodes) {
+        const reason = allowedReasons.find(r => r.code === code);
+        if (!reason) {
+          throw new Error(`Document ${doc.type}: unknown rejection reason ${code}`);
+        }
+        if (reason.requiresComment && !review.comment) {
+          throw new Error(`Document ${doc.type}: a comment is required for reason ${code}`);
+        }
+      }
+    }
+
+    changes[doc.id] = {
+      reviewStatus: review.status,
+      reasonCodes,
+      reviewComment: review.comment || null,
+      reviewedBy: actorId,
+      reviewedAt
+    };
   }
 
-  if (decision === 'REJECT' && (!rejectedDocumentTypes || rejectedDocumentTypes.length === 0)) {
-    throw new Error('At least one document must be selected for the customer to re-upload');
+  const reviewedDocuments = currentDocuments.map(doc => ({ ...doc, ...changes[doc.id] }));
+  const pendingTypes = reviewedDocuments
+    .filter(doc => getDocumentReviewStatus(doc) === DOCUMENT_REVIEW_STATUS.PENDING)
+    .map(doc => doc.type);
+  if (pendingTypes.length > 0) {
+    throw new Error(`Every document must be accepted or rejected (pending: ${pendingTypes.join(', ')})`);
   }
 
-  const reviewStatus = decision === 'APPROVE' ? REVIEW_STATUS.APPROVED : REVIEW_STATUS.REJECTED;
+  const rejectedDocuments = reviewedDocuments.filter(doc => doc.reviewStatus === DOCUMENT_REVIEW_STATUS.REJECTED);
+  const decision = rejectedDocuments.length > 0 ? 'REJECT' : 'APPROVE';
+  const requirements = await requirementProfileRepository.getRequirementsForRequest(request);
 
-  // Prepare update data
   const updateData = {
-    reviewStatus: reviewStatus,
+    reviewStatus: decision === 'APPROVE' ? REVIEW_STATUS.APPROVED : REVIEW_STATUS.REJECTED,
     reviewComment: comment || null,
     reviewedBy: actorId,
-    reviewedAt: new Date()
+    reviewedAt,
+    // Kept on the request so the portal knows what to re-upload
+    rejectedDocumentTypes: [...new Set(rejectedDocuments.map(doc => doc.type))],
+    completionPercent: documentRepository.completionPercentFor(reviewedDocuments, requirements)
   };
 
-  // If approved, automatically change status to COMPLETED
-  if (decision === 'APPROVE') {
-    updateData.status = REQUEST_STATUS.COMPLETED;
-    updateData.rejectedDocumentTypes = [];
-  }
-  // If rejected, change status back to IN_PROGRESS so customer can fix and resubmit
-  // Keep reviewStatus as REJECTED so customer can see the rejection comment
-  else if (decision === 'REJECT') {
-    updateData.status = REQUEST_STATUS.IN_PROGRESS;
-    updateData.rejectedDocumentTypes = rejectedDocumentTypes;
-    // Recalculate completion: rejected docs no longer count as valid uploads
-    const TOTAL_DOCS = 4; // ID, LICENCE, PROOF_OF_ADDRESS, BANK_STATEMENT
-    const validDocs = TOTAL_DOCS - rejectedDocumentTypes.length;
-    updateData.completionPercent = Math.round((validDocs / TOTAL_DOCS) * 100);
-  }
-
-  await requestRepository.updateRequest(requestId, updateData);
-
-  await auditLogRepository.createAuditLog({
-    actorId: actorId,
-    action: decision === 'APPROVE' ? 'REVIEW_APPROVED' : 'REVIEW_REJECTED',
-    requestId: requestId,
-    ip: actorIp,
+  const reviewedRequest = await workflowEngine.performAction(requestId, decision, {
+    actorId,
+    actorIp,
+    updates: updateData,
+    // Saved together with the status change: a failed review leaves nothing half-written
+    documentUpdates: changes,
     metadata: {
-      comment: comment,
-      rejectedDocumentTypes: rejectedDocumentTypes
+      comment: comment || null,
+      rejectedDocumentTypes: updateData.rejectedDocumentTypes,
+      documents: reviewedDocuments.map(doc => ({
+        documentId: doc.id,
+        type: doc.type,
+        fileId: doc.fileId,
+        version: doc.version || 1,
+        status: doc.reviewStatus,
+        reasonCodes: doc.reasonCodes || []
+      }))
     }
   });
 
-  return await requestRepository.getRequestById(requestId);
+  // Tell the customer the outcome (the documents are saved, so the message can list the rejected ones)
+  const template = decision === 'APPROVE' ? MESSAGE_TEMPLATE.APPROVAL : MESSAGE_TEMPLATE.REJECTION;
+  await messageService.sendTemplatedMessage(reviewedRequest, template, { actorId })
+    .catch(error => console.error(`Error sending ${template} message:`, error));
+
+  return reviewedRequest;
 }
 
 /**
@@ -294,7 +412,8 @@ async function reviewRequest(requestId, decision, comment, actorId, actorIp = nu
  * 
  * Business rules:
  * - Only the agent who owns the request can delete it
- * - Deletes request, documents, files, and audit logs
+ * - Deletes request, documents, files, audit logs and the communication log, resumable
+ *   uploads with their stored chunks, and portal verification codes and sessions
  * - Note: Audit logs are deleted, so deletion won't be logged
  */
 async function deleteRequest(requestId, actorId, actorIp = null) {
@@ -308,42 +427,56 @@ async function deleteRequest(requestId, actorId, actorIp = null) {
     throw new Error('You do not have permission to delete this request');
   }
 
-  const { db, storage } = require('../firebase');
-  const documentRepository = require('../repositories/documentRepository');
-
-  // 1. Get all documents for this request
+  // 1. Get all documents for this request (every version)
   const documents = await documentRepository.getDocumentsByRequestId(requestId);
 
-  // 2. Delete all files from Storage
-  const bucket = storage.bucket('customer-request-tracking.firebasestorage.app');
+  // 2. Delete all files from Storage (originals with their converted copies, thumbnails and previews,
+  //    and the combined PDFs)
+  const mergedPaths = Object.values(request.mergedDocuments || {}).map(merged => merged.storagePath);
   for (const doc of documents) {
-    if (doc.storagePath) {
+    const paths = doc.storagePath
+      ? [doc.storagePath, ...(doc.normalized ? [doc.normalized.storagePath] : []), ...previewService.getDerivativePaths(doc)]
+      : [];
+    for (const storagePath of paths) {
       try {
-        const file = bucket.file(doc.storagePath);
-        await file.delete().catch(() => {
-          // Ignore errors if file doesn't exist
-        });
+        await blobStorage.remove(storagePath);
       } catch (err) {
-        console.warn(`Could not delete file ${doc.storagePath}:`, err.message);
+        console.warn(`Could not delete file ${storagePath}:`, err.message);
       }
     }
   }
+  for (const storagePath of mergedPaths) {
+    try {
+      await blobStorage.remove(storagePath);
+    } catch (err) {
+      console.warn(`Could not delete file ${storagePath}:`, err.message);
+    }
+  }
 
-  // 3. Delete all document records from Firestore
+  // 3. Delete all document records
   for (const doc of documents) {
-    await db.collection('documents').doc(doc.id).delete();
+    await documentRepository.deleteDocument(doc.id);
+  }
+
+  // 4. Delete resumable uploads and their chunks (uploads/<uploadId>/...)
+  for (const session of await uploadSessionRepository.getSessionsByRequestId(requestId)) {
+    for (const key of await blobStorage.list(`uploads/${session.id}/`)) {
+      try {
+        await blobStorage.remove(key);
+      } catch (err) {
+        console.warn(`Could not delete file ${key}:`, err.message);
+      }
+    }
+    await uploadSessionRepository.deleteSession(session.id);
   }
 
-  // 4. Delete all audit logs for this request
-  const auditLogsSnapshot = await db.collection('auditLogs')
-    .where('requestId', '==', requestId)
-    .get();
-  
-  const auditLogDeletes = auditLogsSnapshot.docs.map(doc => doc.ref.delete());
-  await Promise.all(auditLogDeletes);
+  // 5. Delete all audit logs, the communication log and portal verifications and sessions
+  await auditLogRepository.deleteAuditLogsByRequestId(requestId);
+  await communicationRepository.deleteCommunicationsByRequestId(requestId);
+  await portalVerificationRepository.deleteByRequestId(requestId);
 
-  // 5. Delete the request itself
-  await db.collection('requests').doc(requestId).delete();
+  // 6. Delete the request itself
+  await requestRepository.deleteRequest(requestId);
 
   // Note: We don't create an audit log for deletion since we're deleting all audit logs
   // for this request anyway. The deletion is logged in the application logs.
@@ -357,6 +490,7 @@ module.exports = {
   updateRequest,
   markReminderConfirmed,
   reopenRequest,
+  reassignRequest,
   reviewRequest,
   deleteRequest
 };
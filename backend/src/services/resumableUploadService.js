@@ -0,0 +1,381 @@
+/**
+ * Resumable Upload Service
+ *
+ * Lets the customer portal upload a file in chunks over a flaky connection and carry on
+ * where it stopped (tus-style): create an upload, append chunks at the stored offset,
+ * ask for the offset after a dropped connection, and finish the upload.
+ *
+ * Business rules:
+ * - The same rules as a direct upload apply (documentService.uploadDocument): the request
+ *   must take uploads for the document type and the file must pass the type's upload rules
+ * - The declared size is checked against the type's size limit when the upload is created;
+ *   format and page limits are checked when it is finished, once all bytes are there
+ * - Chunks are stored in blob storage as they arrive (uploads/<uploadId>/...), so the file is
+ *   never held in memory as a whole; finishing streams them into the document's storage path
+ * - A chunk must start at the stored offset (OFFSET_MISMATCH otherwise) and may not go past
+ *   the declared size
+ * - An upload becomes one document however often it is finished: the call that claims it
+ *   records the file, the others get UPLOAD_FINALIZING or the recorded document
+ * - A claim older than UPLOAD_FINALIZE_STALE_MINUTES (the server stopped while finishing) is
+ *   taken over by the next finalize call
+ * - Unfinished uploads expire after UPLOAD_SESSION_TTL_HOURS and their chunks are removed
+ *   (jobs/uploadCleanupJob.js)
+ */
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const uploadSessionRepository = require('../repositories/uploadSessionRepository');
+const documentService = require('./documentService');
+const documentRepository = require('../repositories/documentRepository');
+const uploadValidationService = require('./uploadValidationService');
+const imageQualityService = require('./imageQualityService');
+const blobStorage = require('../blobStorage');
+const { UPLOAD_SESSION_STATUS } = require('../models/uploadSession');
+const { DEFAULT_UPLOAD_RULES, UPLOAD_ERROR } = require('../models/fileFormats');
+
+const CHUNK_SIZE = Math.round((parseFloat(process.env.UPLOAD_CHUNK_SIZE_MB) || 2) * 1024 * 1024);
+const SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24;
+const FINALIZE_STALE_MINUTES = parseInt(process.env.UPLOAD_FINALIZE_STALE_MINUTES, 10) || 10;
+const HEAD_BYTES = 1024;
+
+// Photos are read back into memory for the quality check; they are limited to a few MB anyway
+const ASSESSED_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * Blob storage key of a chunk; the offset keeps the keys in file order
+ */
+function chunkKey(sessionId, offset) {
+  return `uploads/${sessionId}/${String(offset).padStart(12, '0')}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Get an active upload session of a request
+ * With staleBefore, a session whose finalize claim is older than that counts as active too
+ */
+async function getActiveSession(requestId, uploadId, staleBefore = null) {
+  const session = await uploadSessionRepository.getSessionById(uploadId);
+  if (!session || session.requestId !== requestId) {
+    throw new Error('Upload not found');
+  }
+  const staleClaim = staleBefore && uploadSessionRepository.isStaleClaim(session, staleBefore);
+  if (session.status !== UPLOAD_SESSION_STATUS.ACTIVE && !staleClaim) {
+    throw new Error(`This upload is ${session.status.toLowerCase()}`);
+  }
+  if (toDate(session.expiresAt) < new Date()) {
+    throw new Error('This upload has expired. Please start it again.');
+  }
+  return session;
+}
+
+/**
+ * Public view of an upload session
+ */
+function describeSession(session) {
+  return {
+    id: session.id,
+    documentType: session.documentType,
+    replaceDocumentId: session.replaceDocumentId,
+    fileName: session.fileName,
+    size: session.size,
+    offset: session.offset,
+    status: session.status,
+    documentId: session.documentId,
+    chunkSize: CHUNK_SIZE,
+    expiresAt: toDate(session.expiresAt).toISOString()
+  };
+}
+
+/**
+ * Start a resumable upload
+ *
+ * @param {string} requestId
+ * @param {Object} upload - { type, fileName, size, replaceDocumentId, clientProcessing }
+ *   clientProcessing: the portal's report of a photo it processed (documentService.uploadDocument)
+ * @param {string} actorIp
+ */
+async function createUpload(requestId, { type, fileName, size, replaceDocumentId = null, clientProcessing = null }, actorIp = null) {
+  if (!type) {
+    throw new Error('Document type is required');
+  }
+  if (!Number.isInteger(size) || size < 0) {
+    throw new Error('File size must be a whole number of bytes');
+  }
+  if (size === 0) {
+    throw uploadValidationService.uploadError(UPLOAD_ERROR.EMPTY_FILE, 'The file is empty');
+  }
+
+  // Fail before any bytes are sent if the request, type or file count rules out the upload
+  const { requirement } = await documentService.prepareUpload(requestId, type, replaceDocumentId);
+  const maxSizeMb = (requirement.upload && requirement.upload.maxSizeMb) || DEFAULT_UPLOAD_RULES.maxSizeMb;
+  if (size > maxSizeMb * 1024 * 1024) {
+    throw uploadValidationService.uploadError(UPLOAD_ERROR.FILE_TOO_LARGE, `The file is larger than ${maxSizeMb} MB`);
+  }
+
+  const session = await uploadSessionRepository.createSession({
+    requestId,
+    documentType: type,
+    replaceDocumentId,
+    fileName: fileName || null,
+    size,
+    clientProcessing: uploadValidationService.sanitizeClientProcessing(clientProcessing),
+    uploaderIp: actorIp,
+    expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000)
+  });
+
+  return describeSession(session);
+}
+
+/**
+ * Get the state of an upload (where to resume)
+ */
+async function getUpload(requestId, uploadId) {
+  const session = await uploadSessionRepository.getSessionById(uploadId);
+  if (!session || session.requestId !== requestId) {
+    throw new Error('Upload not found');
+  }
+  return describeSession(session);
+}
+
+/**
+ * Store a chunk of an upload
+ *
+ * @param {number} offset - where the chunk starts in the file (must equal the stored offset)
+ * @param {Buffer} buffer - chunk content
+ * @returns {Object} the upload with its new offset
+ */
+async function appendChunk(requestId, uploadId, offset, buffer) {
+  const session = await getActiveSession(requestId, uploadId);
+
+  if (!Number.isInteger(offset) || offset !== session.offset) {
+    const error = new Error(`The upload continues at byte ${session.offset}`);
+    error.code = UPLOAD_ERROR.OFFSET_MISMATCH;
+    error.offset = session.offset;
+    throw error;
+  }
+  if (!buffer || buffer.length === 0) {
+    throw new Error('The chunk is empty');
+  }
+  if (offset + buffer.length > session.size) {
+    throw new Error(`The chunk goes past the declared file size of ${session.size} bytes`);
+  }
+
+  const key = chunkKey(session.id, offset);
+  await blobStorage.put(key, buffer, { contentType: 'application/octet-stream' });
+
+  try {
+    const updated = await uploadSessionRepository.appendChunk(session.id, {
+      offset,
+      length: buffer.length,
+      key,
+      // Format detection needs the first bytes; the first chunk always holds them
+      head: offset === 0 ? buffer.subarray(0, HEAD_BYTES).toString('base64') : null
+    });
+    return describeSession(updated);
+  } catch (error) {
+    // Another copy of this chunk got there first
+    await blobStorage.remove(key).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Stream the chunks of an upload in order into a writable stream
+ */
+async function pipeChunks(chunks, destination) {
+  try {
+    for (const key of chunks) {
+      const source = await blobStorage.stream(key);
+      for await (const piece of source) {
+        if (!destination.write(piece)) {
+          await new Promise(resolve => destination.once('drain', resolve));
+        }
+      }
+    }
+    destination.end();
+  } catch (error) {
+    destination.destroy(error);
+  }
+}
+
+/**
+ * Remove the stored chunks of an upload
+ */
+async function removeChunks(session) {
+  await Promise.all((session.chunks || []).map(key => blobStorage.remove(key).catch(() => {})));
+}
+
+/**
+ * Finish an upload: check the whole file and record it as a document version
+ * Returns the document (with its photo quality warnings in document.quality)
+ *
+ * The session is claimed (ACTIVE -> FINALIZING) before anything is copied, so a retried or
+ * doubled finalize call cannot record the file twice: it gets UPLOAD_FINALIZING while the
+ * first call runs, and the document the upload became once it is COMPLETED. A claim older
+ * than FINALIZE_STALE_MINUTES was left by a call that never finished and is taken over.
+ */
+async function finalizeUpload(requestId, uploadId, actorIp = null) {
+  const staleBefore = new Date(Date.now() - FINALIZE_STALE_MINUTES * 60 * 1000);
+
+  const stored = await uploadSessionRepository.getSessionById(uploadId);
+  if (stored && stored.requestId === requestId) {
+    if (stored.status === UPLOAD_SESSION_STATUS.COMPLETED) {
+      // Finished by an earlier call whose answer was lost
+      return documentRepository.getDocumentById(stored.documentId);
+    }
+    if (stored.status === UPLOAD_SESSION_STATUS.FINALIZING && !uploadSessionRepository.isStaleClaim(stored, staleBefore)) {
+      throw uploadValidationService.uploadError(UPLOAD_ERROR.UPLOAD_FINALIZING, 'This upload is already being finished');
+    }
+  }
+
+  const active = await getActiveSession(requestId, uploadId, staleBefore);
+  if (active.offset !== active.size) {
+    throw uploadValidationService.uploadError(
+      UPLOAD_ERROR.UPLOAD_INCOMPLETE,
+      `Only ${active.offset} of ${active.size} bytes have been uploaded`
+    );
+  }
+
+  const { session, claimed } = await uploadSessionRepository.claimSession(active.id, staleBefore);
+  if (!claimed) {
+    if (session.status === UPLOAD_SESSION_STATUS.COMPLETED) {
+      return documentRepository.getDocumentById(session.documentId);
+    }
+    if (session.status === UPLOAD_SESSION_STATUS.FINALIZING) {
+      throw uploadValidationService.uploadError(UPLOAD_ERROR.UPLOAD_FINALIZING, 'This upload is already being finished');
+    }
+    throw new Error(`This upload is ${session.status.toLowerCase()}`);
+  }
+
+  let failed = false;
+  try {
+    // Checked again: the request or its files may have changed while the chunks were sent
+    const prepared = await documentService.prepareUpload(requestId, session.documentType, session.replaceDocumentId);
+
+    // A file that breaks the upload rules fails the upload for good and its chunks are removed
+    const head = Buffer.from(session.head || '', 'base64');
+    const checkFile = async (countPages) => {
+      try {
+        return uploadValidationService.checkUpload({
+          head,
+          size: session.size,
+          originalName: session.fileName,
+          countPages
+        }, prepared.requirement.upload);
+      } catch (error) {
+        failed = true;
+        await uploadSessionRepository.updateSession(session.id, { status: UPLOAD_SESSION_STATUS.FAILED });
+        await removeChunks(session);
+        throw error;
+      }
+    };
+
+    // Format and size need only the first bytes; the page count is taken while copying the file
+    const preliminary = await checkFile(() => null);
+
+    // Copy the chunks into the document's storage path, hashing and counting pages on the way
+    const storagePath = documentService.uploadStoragePath(requestId, session.documentType, preliminary.fileName);
+    const hash = crypto.createHash('sha256');
+    const pageCounter = uploadValidationService.createPdfPageCounter();
+    const copy = new Transform({
+      transform(piece, encoding, callback) {
+        hash.update(piece);
+        if (preliminary.format === 'pdf') pageCounter.push(piece);
+        callback(null, piece);
+      }
+    });
+
+    let checkedFile;
+    try {
+      await Promise.all([
+        pipeChunks(session.chunks, copy),
+        blobStorage.putStream(storagePath, copy, {
+          contentType: preliminary.contentType,
+          size: session.size
+        })
+      ]);
+
+      checkedFile = await checkFile(() => pageCounter.result());
+    } catch (error) {
+      await blobStorage.remove(storagePath).catch(() => {});
+      throw error;
+    }
+
+    let quality = null;
+    if (ASSESSED_TYPES.includes(checkedFile.contentType)) {
+      const pieces = [];
+      for await (const piece of await blobStorage.stream(storagePath)) {
+        pieces.push(piece);
+      }
+      quality = await imageQualityService.assessImage(Buffer.concat(pieces), checkedFile.contentType);
+    }
+
+    const document = await documentService.recordUpload(prepared, {
+      storagePath,
+      checksum: hash.digest('hex'),
+      checkedFile,
+      quality,
+      clientProcessing: session.clientProcessing || null
+    }, actorIp, { uploadId: session.id });
+
+    await uploadSessionRepository.updateSession(session.id, {
+      status: UPLOAD_SESSION_STATUS.COMPLETED,
+      documentId: document.id
+    });
+    await removeChunks(session);
+
+    return document;
+  } catch (error) {
+    // Release the claim so the upload can be finished again (a refused file cannot)
+    if (!failed) {
+      await uploadSessionRepository.releaseClaim(session.id, session.claimedAt)
+        .catch(releaseError => console.error('Error releasing upload session:', releaseError));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Cancel an upload and remove its chunks
+ */
+async function abortUpload(requestId, uploadId) {
+  const session = await getActiveSession(requestId, uploadId);
+  await uploadSessionRepository.updateSession(session.id, { status: UPLOAD_SESSION_STATUS.ABORTED });
+  await removeChunks(session);
+}
+
+/**
+ * Remove expired uploads and the chunks of those never finished
+ * Returns { removed, unfinished }
+ */
+async function removeExpiredUploads() {
+  let removed = 0;
+  let unfinished = 0;
+
+  for (const session of await uploadSessionRepository.getExpiredSessions(new Date())) {
+    if ([UPLOAD_SESSION_STATUS.ACTIVE, UPLOAD_SESSION_STATUS.FINALIZING].includes(session.status)) {
+      await removeChunks(session);
+      unfinished++;
+    }
+    await uploadSessionRepository.deleteSession(session.id);
+    removed++;
+  }
+
+  return { removed, unfinished };
+}
+
+/**
+ * Date from a stored timestamp (Date, Firestore Timestamp or ISO string)
+ */
+function toDate(timestamp) {
+  return timestamp && timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  createUpload,
+  getUpload,
+  appendChunk,
+  finalizeUpload,
+  abortUpload,
+  removeExpiredUploads
+};
@@ -0,0 +1,375 @@
+/**
+ * Summary Report Service
+ *
+ * Builds a printable one-page PDF summary of a request for the deal file (built with pdfkit):
+ * - Request number, product line, status and review outcome
+ * - Customer details, dealer and vehicle, assigned agent
+ * - Timeline of status changes and other workflow events from the audit log
+ * - Review decision per document, with rejection reason labels
+ * - Thumbnail index of the current documents (previewService thumbnails)
+ *
+ * Business rules:
+ * - Thumbnails are only shown for files scanned clean; others get a placeholder saying why
+ * - The timeline keeps the most recent TIMELINE_LIMIT events so the summary stays on one page
+ * - Every report is audit-logged (SUMMARY_REPORT_GENERATED)
+ */
+
+const PDFDocument = require('pdfkit');
+const requestRepository = require('../repositories/requestRepository');
+const documentRepository = require('../repositories/documentRepository');
+const auditLogRepository = require('../repositories/auditLogRepository');
+const userRepository = require('../repositories/userRepository');
+const workflowRepository = require('../repositories/workflowRepository');
+const requirementProfileRepository = require('../repositories/requirementProfileRepository');
+const rejectionReasonRepository = require('../repositories/rejectionReasonRepository');
+const { getStatusDefinition } = require('../models/workflowDefinitions');
+const { DOCUMENT_REVIEW_STATUS, DOCUMENT_SCAN_STATUS, getDocumentReviewStatus, getDocumentScanStatus } = require('../models/document');
+const blobStorage = require('../blobStorage');
+
+// Audit actions shown on the timeline (workflowEngine ACTIONS), with their wording
+const TIMELINE_EVENTS = {
+  REQUEST_CREATED: 'Request created',
+  CUSTOMER_SUBMITTED: 'Submitted by the customer',
+  REVIEW_APPROVED: 'Review: approved',
+  REVIEW_REJECTED: 'Review: rejected',
+  STATUS_CHANGED: 'Status changed',
+  REQUEST_EXPIRED: 'Expired',
+  REQUEST_REOPENED: 'Reopened',
+  REQUEST_REASSIGNED: 'Reassigned'
+};
+const TIMELINE_LIMIT = 12;
+
+// Page layout in points (A4)
+const PAGE_MARGIN = 40;
+const THUMBNAIL_SIZE = 72;
+const THUMBNAIL_GAP = 14;
+const COLORS = {
+  text: '#212529',
+  muted: '#6c757d',
+  rule: '#dee2e6',
+  accepted: '#155724',
+  rejected: '#721c24',
+  placeholder: '#f1f3f5'
+};
+
+/**
+ * File name of a request's summary report, e.g. REQ-0042_summary.pdf
+ */
+function summaryReportFileName(request) {
+  return `${String(request.requestNumber || request.id).replace(/[^A-Za-z0-9_-]+/g, '_')}_summary.pdf`;
+}
+
+/**
+ * Date from a stored timestamp (Date, Firestore Timestamp or ISO string)
+ */
+function toDate(timestamp) {
+  return timestamp && timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+}
+
+/**
+ * Date and time for the report, e.g. "19 Oct 2026, 14:05"
+ */
+function formatDateTime(timestamp) {
+  if (!timestamp) return '—';
+  const date = toDate(timestamp);
+  if (isNaN(date.getTime())) return '—';
+  return date.toLocaleString('en-GB', {
+    day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+}
+
+/**
+ * Read a stored file into memory
+ */
+async function readFile(storagePath) {
+  const stream = await blobStorage.stream(storagePath);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Display names of the people on the report, by user ID
+ */
+async function loadActorNames(actorIds) {
+  const names = { system: 'System', customer: 'Customer' };
+  for (const actorId of new Set(actorIds.filter(Boolean))) {
+    if (!names[actorId]) {
+      const user = await userRepository.getUserById(actorId);
+      names[actorId] = user ? user.name || user.email || actorId : actorId;
+    }
+  }
+  return names;
+}
+
+/**
+ * Section heading with a rule under it
+ */
+function sectionHeading(pdf, title) {
+  pdf.moveDown(0.8);
+  pdf.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.muted).text(title.toUpperCase(), PAGE_MARGIN);
+  const y = pdf.y + 2;
+  pdf.moveTo(PAGE_MARGIN, y).lineTo(pdf.page.width - PAGE_MARGIN, y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  pdf.y = y + 5;
+}
+
+/**
+ * Rows of "Label: value" pairs in two columns
+ */
+function fieldColumns(pdf, fields) {
+  const columnWidth = (pdf.page.width - 2 * PAGE_MARGIN) / 2;
+  const shown = fields.filter(([, value]) => value !== null && value !== undefined && value !== '');
+  for (let i = 0; i < shown.length; i += 2) {
+    const y = pdf.y;
+    let bottom = y;
+    shown.slice(i, i + 2).forEach(([label, value], column) => {
+      pdf.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.text)
+        .text(`${label}: `, PAGE_MARGIN + column * columnWidth, y, { width: columnWidth - 10, continued: true })
+        .font('Helvetica').text(String(value));
+      bottom = Math.max(bottom, pdf.y);
+    });
+    pdf.y = bottom + 2;
+  }
+}
+
+/**
+ * Thumbnail grid of the current documents
+ */
+function documentIndex(pdf, entries) {
+  const usableWidth = pdf.page.width - 2 * PAGE_MARGIN;
+  const perRow = Math.floor((usableWidth + THUMBNAIL_GAP) / (THUMBNAIL_SIZE + THUMBNAIL_GAP));
+  const rowHeight = THUMBNAIL_SIZE + 40;
+  const top = pdf.y + 4;
+
+  entries.forEach((entry, index) => {
+    const x = PAGE_MARGIN + (index % perRow) * (THUMBNAIL_SIZE + THUMBNAIL_GAP);
+    const y = top + Math.floor(index / perRow) * rowHeight;
+
+    if (entry.thumbnail) {
+      pdf.image(entry.thumbnail, x, y, { fit: [THUMBNAIL_SIZE, THUMBNAIL_SIZE], align: 'center', valign: 'center' });
+    } else {
+      pdf.rect(x, y, THUMBNAIL_SIZE, THUMBNAIL_SIZE).fillColor(COLORS.placeholder).fill();
+      pdf.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+        .text(entry.placeholder, x + 4, y + THUMBNAIL_SIZE / 2 - 5, { width: THUMBNAIL_SIZE - 8, align: 'center' });
+    }
+    pdf.rect(x, y, THUMBNAIL_SIZE, THUMBNAIL_SIZE).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+
+    pdf.font('Helvetica-Bold').fontSize(7.5).fillColor(COLORS.text)
+      .text(entry.label, x, y + THUMBNAIL_SIZE + 3, { width: THUMBNAIL_SIZE, height: 18, ellipsis: true });
+    pdf.font('Helvetica').fontSize(7).fillColor(entry.color)
+      .text(entry.status, x, y + THUMBNAIL_SIZE + 22, { width: THUMBNAIL_SIZE, lineBreak: false, ellipsis: true });
+  });
+
+  pdf.y = top + Math.ceil(entries.length / perRow) * rowHeight;
+  pdf.x = PAGE_MARGIN;
+}
+
+/**
+ * Render the report to a PDF buffer
+ */
+function renderReport(report) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: { Title: `${report.title} summary`, Author: report.generatedBy }
+    });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    // Header
+    pdf.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.text).text(`Request ${report.title}`);
+    pdf.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+      .text(`${report.workflowName} · Generated ${formatDateTime(report.generatedAt)} by ${report.generatedBy}`);
+
+    sectionHeading(pdf, 'Request');
+    fieldColumns(pdf, report.requestFields);
+
+    sectionHeading(pdf, 'Customer, dealer and vehicle');
+    fieldColumns(pdf, report.customerFields);
+
+    sectionHeading(pdf, 'Timeline');
+    if (report.timeline.length === 0) {
+      pdf.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text('No events recorded.');
+    }
+    if (report.earlierEvents > 0) {
+      pdf.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+        .text(`${report.earlierEvents} earlier event${report.earlierEvents === 1 ? '' : 's'} not shown`);
+    }
+    report.timeline.forEach(event => {
+      const y = pdf.y;
+      pdf.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(formatDateTime(event.timestamp), PAGE_MARGIN, y, { width: 110 });
+      pdf.font('Helvetica-Bold').fillColor(COLORS.text).text(event.label, PAGE_MARGIN + 115, y, { width: 150 });
+      pdf.font('Helvetica').text(event.detail, PAGE_MARGIN + 270, y, { width: pdf.page.width - 2 * PAGE_MARGIN - 270 });
+      pdf.y = Math.max(pdf.y, y + 12);
+    });
+
+    sectionHeading(pdf, 'Review decisions');
+    if (report.reviews.length === 0) {
+      pdf.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text('Not reviewed yet.');
+    }
+    report.reviews.forEach(review => {
+      pdf.font('Helvetica-Bold').fontSize(9).fillColor(review.color)
+        .text(`${review.label}: `, PAGE_MARGIN, pdf.y, { continued: true })
+        .font('Helvetica').fillColor(COLORS.text).text(review.detail);
+    });
+    if (report.reviewComment) {
+      pdf.moveDown(0.3);
+      pdf.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.text)
+        .text('Review comment: ', PAGE_MARGIN, pdf.y, { continued: true })
+        .font('Helvetica-Oblique').text(`"${report.reviewComment}"`);
+    }
+
+    sectionHeading(pdf, `Documents (${report.documents.length})`);
+    if (report.documents.length === 0) {
+      pdf.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text('No documents uploaded.');
+    } else {
+      documentIndex(pdf, report.documents);
+    }
+
+    pdf.end();
+  });
+}
+
+/**
+ * Build the summary report of a request
+ *
+ * @param {string} requestId
+ * @param {Object} actor - { actorId, actorRole, actorIp }
+ * @returns {Object} { fileName, buffer }
+ */
+async function generateSummaryReport(requestId, { actorId, actorRole = null, actorIp = null }) {
+  const request = await requestRepository.getRequestById(requestId);
+  if (!request) {
+    throw new Error('Request not found');
+  }
+
+  const workflow = await workflowRepository.getWorkflowForRequest(request);
+  const statusLabel = (status) => {
+    const definition = getStatusDefinition(workflow, status);
+    return definition ? definition.label : status;
+  };
+  const requirements = await requirementProfileRepository.getRequirementsForRequest(request);
+  const reasons = await rejectionReasonRepository.getAllReasons();
+  const documents = (await documentRepository.getCurrentDocumentsByRequestId(requestId))
+    .sort((a, b) => new Date(a.fileAddedAt) - new Date(b.fileAddedAt) || a.fileId.localeCompare(b.fileId));
+
+  const logs = (await auditLogRepository.getAuditLogsByRequestId(requestId))
+    .filter(log => TIMELINE_EVENTS[log.action])
+    .sort((a, b) => toDate(a.timestamp) - toDate(b.timestamp));
+  const names = await loadActorNames([
+    request.agentId, request.reviewedBy, actorId,
+    ...logs.map(log => log.actorId), ...documents.map(doc => doc.reviewedBy)
+  ]);
+
+  const documentLabel = (doc) => {
+    const requirement = requirements.find(r => r.type === doc.type);
+    const label = requirement ? requirement.label : doc.type.replace(/_/g, ' ');
+    const files = documents.filter(d => d.type === doc.type);
+    return files.length > 1 ? `${label} (${files.indexOf(doc) + 1})` : label;
+  };
+  const reasonLabels = (codes) => (codes || [])
+    .map(code => (reasons.find(reason => reason.code === code) || { label: code }).label)
+    .join(', ');
+
+  const timeline = logs.map(log => {
+    const metadata = log.metadata || {};
+    const parts = [];
+    if (metadata.oldStatus && metadata.newStatus) {
+      parts.push(`${statusLabel(metadata.oldStatus)} -> ${statusLabel(metadata.newStatus)}`);
+    }
+    if (log.action === 'REQUEST_REASSIGNED' && metadata.newAgentName) {
+      parts.push(`to ${metadata.newAgentName}`);
+    }
+    parts.push(`by ${names[log.actorId] || log.actorId}`);
+    return { timestamp: log.timestamp, label: TIMELINE_EVENTS[log.action], detail: parts.join(', ') };
+  });
+
+  const reviews = documents
+    .filter(doc => getDocumentReviewStatus(doc) !== DOCUMENT_REVIEW_STATUS.PENDING)
+    .map(doc => {
+      const rejected = getDocumentReviewStatus(doc) === DOCUMENT_REVIEW_STATUS.REJECTED;
+      const detail = [
+        rejected ? `Rejected (${reasonLabels(doc.reasonCodes)})` : 'Accepted',
+        doc.reviewComment ? `"${doc.reviewComment}"` : null,
+        doc.reviewedBy ? `by ${names[doc.reviewedBy] || doc.reviewedBy}, ${formatDateTime(doc.reviewedAt)}` : null
+      ].filter(Boolean).join(' — ');
+      return { label: documentLabel(doc), detail, color: rejected ? COLORS.rejected : COLORS.accepted };
+    });
+
+  const documentEntries = [];
+  for (const doc of documents) {
+    const scanStatus = getDocumentScanStatus(doc);
+    const reviewStatus = getDocumentReviewStatus(doc);
+    let thumbnail = null;
+    if (scanStatus === DOCUMENT_SCAN_STATUS.CLEAN && doc.derivatives?.thumbnail) {
+      thumbnail = await readFile(doc.derivatives.thumbnail.storagePath).catch(() => null);
+    }
+    documentEntries.push({
+      label: documentLabel(doc),
+      thumbnail,
+      placeholder: scanStatus === DOCUMENT_SCAN_STATUS.INFECTED ? 'Blocked by virus scan'
+        : scanStatus === DOCUMENT_SCAN_STATUS.QUARANTINED ? 'Virus scan pending'
+          : (doc.contentType === 'application/pdf' ? 'PDF' : 'No preview'),
+      status: `v${doc.version || 1} · ${reviewStatus.charAt(0)}${reviewStatus.slice(1).toLowerCase()}`,
+      color: reviewStatus === DOCUMENT_REVIEW_STATUS.REJECTED ? COLORS.rejected
+        : reviewStatus === DOCUMENT_REVIEW_STATUS.ACCEPTED ? COLORS.accepted : COLORS.muted
+    });
+  }
+
+  const report = {
+    title: request.requestNumber || request.id,
+    workflowName: workflow.name,
+    generatedAt: new Date(),
+    generatedBy: names[actorId] || actorId,
+    requestFields: [
+      ['Request #', request.requestNumber],
+      ['Status', statusLabel(request.status)],
+      ['Review', request.reviewStatus || 'PENDING'],
+      ['Completion', `${request.completionPercent || 0}%`],
+      ['Created', formatDateTime(request.createdAt)],
+      ['Agent', names[request.agentId] || request.agentId],
+      ['Reviewed', request.reviewedAt ? `${formatDateTime(request.reviewedAt)} by ${names[request.reviewedBy] || request.reviewedBy}` : null],
+      ['Expired', request.expiredAt ? formatDateTime(request.expiredAt) : null]
+    ],
+    customerFields: [
+      ['Name', request.customerName],
+      ['Phone', request.customerPhone],
+      ['Email', request.customerEmail],
+      ['Customer type', request.customerType],
+      ['Dealer ID', request.dealerId],
+      ['Vehicle ID', request.vehicleId]
+    ],
+    timeline: timeline.slice(-TIMELINE_LIMIT),
+    earlierEvents: Math.max(0, timeline.length - TIMELINE_LIMIT),
+    reviews,
+    reviewComment: request.reviewComment || null,
+    documents: documentEntries
+  };
+
+  const buffer = await renderReport(report);
+  const fileName = summaryReportFileName(request);
+
+  await auditLogRepository.createAuditLog({
+    actorId,
+    action: 'SUMMARY_REPORT_GENERATED',
+    requestId,
+    ip: actorIp,
+    metadata: {
+      fileName,
+      role: actorRole,
+      documents: documents.length
+    }
+  });
+
+  return { fileName, buffer };
+}
+
+module.exports = {
+  summaryReportFileName,
+  generateSummaryReport
+};
@@ -0,0 +1,383 @@
+/**
+ * Upload Validation Service
+ *
+ * Checks customer uploads before they are stored:
+ * - Detects the real format from the file's magic bytes (PDF, JPEG, PNG, HEIC, WebP)
+ * - Allows only the formats configured for the document type
+ * - Enforces the document type's size and page limits
+ * - Builds a safe file name for the storage path
+ *
+ * Refused uploads throw an Error with a `code` from UPLOAD_ERROR (models/fileFormats.js)
+ * so the portal can show a specific message.
+ *
+ * validateUpload checks a file held in memory; checkUpload does the same from the
+ * file's first bytes, size and page count, for resumable uploads that are never
+ * held in memory as a whole (resumableUploadService).
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const { FILE_FORMATS, DEFAULT_UPLOAD_RULES, UPLOAD_ERROR } = require('../models/fileFormats');
+
+// ISO base media brands used by HEIC/HEIF images
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+// Fields of the report the portal sends with a photo it processed before upload, by type
+const CLIENT_PROCESSING_FIELDS = {
+  source: 'string', // 'camera' (in-portal capture) or 'file' (chosen file)
+  originalName: 'string',
+  originalContentType: 'string',
+  originalSize: 'number',
+  originalWidth: 'number',
+  originalHeight: 'number',
+  orientation: 'number', // EXIF orientation of the original (1 = upright)
+  orientationFixed: 'boolean',
+  cropped: 'boolean',
+  resized: 'boolean',
+  width: 'number',
+  height: 'number',
+  size: 'number',
+  jpegQuality: 'number'
+};
+const CLIENT_PROCESSING_SOURCES = ['camera', 'file'];
+
+/**
+ * Error carrying an UPLOAD_ERROR code
+ */
+function uploadError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Detect the format of a file from its first bytes
+ * Returns a key of FILE_FORMATS, or null if the content is not a supported format
+ */
+function detectFormat(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  // PDF: "%PDF-" (allow a little leading junk, as PDF readers do)
+  if (buffer.subarray(0, 1024).includes('%PDF-')) {
+    return 'pdf';
+  }
+  // JPEG: FF D8 FF
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  // PNG: 89 50 4E 47 0D 0A 1A 0A
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  // HEIC: "ftyp" box at offset 4 with a HEIF brand
+  if (buffer.toString('latin1', 4, 8) === 'ftyp' && HEIC_BRANDS.includes(buffer.toString('latin1', 8, 12))) {
+    return 'heic';
+  }
+  // WebP: "RIFF" <size> "WEBP"
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+}
+
+// Text carried from one piece of a PDF to the next, so markers split across pieces are found
+const PDF_MARKER_OVERLAP = 1024;
+
+// Page tree counts: "/Type /Pages ... /Count n" in either order
+const PDF_PAGES_COUNT = /\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g;
+const PDF_PAGE_OBJECT = /\/Type\s*\/Page(?![a-zA-Z])/g;
+
+// Object streams are read up to this size each (stored and inflated), and inflated up to
+// MAX_INFLATED_BYTES_PER_FILE in total; past either limit the pages are left unchecked
+// rather than inflating without bound (a small PDF can inflate to gigabytes)
+const MAX_OBJECT_STREAM_BYTES = 1024 * 1024;
+const MAX_INFLATED_BYTES_PER_FILE = 8 * 1024 * 1024;
+
+/**
+ * Count the pages of a PDF read in pieces
+ * Uses the largest /Count of the page tree, falling back to counting /Type /Page objects.
+ * Newer PDFs keep the page tree in compressed object streams (/Type /ObjStm); those are
+ * collected and inflated (FlateDecode or unfiltered) and searched the same way.
+ * result() is null when no page tree or page objects could be read, or when object streams
+ * were over the size limits (their pages could not all be counted).
+ */
+function createPdfPageCounter() {
+  let carried = '';
+  let maxCount = null;
+  let pageObjects = 0;
+  let pageObjectAtEnd = false;
+  // Object stream being collected ({ flate, readable, data, size }), and text not yet searched for one
+  let objectStream = null;
+  let streamCarried = '';
+  let inflatedBytes = 0;
+  let overLimit = false;
+
+  const countIn = (text) => {
+    for (const match of text.matchAll(PDF_PAGES_COUNT)) {
+      maxCount = Math.max(maxCount || 0, parseInt(match[1] || match[2], 10));
+    }
+  };
+
+  const readObjectStream = ({ flate, readable, data }) => {
+    if (!readable || overLimit) {
+      return;
+    }
+    const limit = Math.min(MAX_OBJECT_STREAM_BYTES, MAX_INFLATED_BYTES_PER_FILE - inflatedBytes);
+    let content = Buffer.from(data.join(''), 'latin1');
+    if (flate) {
+      try {
+        content = zlib.inflateSync(content, {
+          finishFlush: zlib.constants.Z_SYNC_FLUSH,
+          maxOutputLength: Math.max(limit, 1)
+        });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          overLimit = true;
+        }
+        // Otherwise a damaged stream: its pages stay uncounted
+        return;
+      }
+    }
+    if (content.length > limit) {
+      overLimit = true;
+      return;
+    }
+    inflatedBytes += content.length;
+
+    const text = content.toString('latin1');
+    countIn(text);
+    pageObjects += (text.match(PDF_PAGE_OBJECT) || []).length;
+  };
+
+  const collect = (data) => {
+    objectStream.size += data.length;
+    if (objectStream.size > MAX_OBJECT_STREAM_BYTES) {
+      overLimit = overLimit || objectStream.readable;
+      objectStream.readable = false;
+      objectStream.data = [];
+    } else if (objectStream.readable && !overLimit) {
+      objectStream.data.push(data);
+    }
+  };
+
+  // Find object streams in the text and collect their data up to "endstream"
+  const pushObjectStreams = (piece) => {
+    let text = streamCarried + piece;
+    for (;;) {
+      if (objectStream) {
+        const end = text.indexOf('endstream');
+        if (end === -1) {
+          // Keep enough to find an "endstream" split across pieces
+          const keep = Math.max(0, text.length - 'endstream'.length);
+          collect(text.slice(0, keep));
+          streamCarried = text.slice(keep);
+          return;
+        }
+        collect(text.slice(0, end));
+        readObjectStream(objectStream);
+        objectStream = null;
+        text = text.slice(end + 'endstream'.length);
+        continue;
+      }
+
+      const match = /\/Type\s*\/ObjStm\b/.exec(text);
+      if (!match) {
+        streamCarried = text.slice(-PDF_MARKER_OVERLAP);
+        return;
+      }
+      const keyword = /stream(\r\n|\n|\r)/g;
+      keyword.lastIndex = match.index;
+      const start = keyword.exec(text);
+      if (!start) {
+        streamCarried = text.slice(Math.max(0, match.index - PDF_MARKER_OVERLAP));
+        return;
+      }
+      const dictionary = text.slice(Math.max(0, text.lastIndexOf('obj', match.index)), start.index);
+      const filters = dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/);
+      const flate = Boolean(filters && /^\[?\s*\/FlateDecode\s*\]?$/.test(filters[1]));
+      objectStream = {
+        flate,
+        // Other filters and predictors are not decoded
+        readable: (!filters || flate) && !/\/Predictor/.test(dictionary),
+        data: [],
+        size: 0
+      };
+      text = text.slice(start.index + start[0].length);
+    }
+  };
+
+  return {
+    push(buffer) {
+      const piece = buffer.toString('latin1');
+      const text = carried + piece;
+
+      countIn(text);
+      // Count page objects ending after the carried text (which was counted before), except one
+      // ending the text: the next piece may turn it into /Pages, so it is counted next time
+      pageObjectAtEnd = false;
+      for (const match of text.matchAll(PDF_PAGE_OBJECT)) {
+        const end = match.index + match[0].length;
+        if (end === text.length) {
+          pageObjectAtEnd = true;
+        } else if (end >= carried.length) {
+          pageObjects++;
+        }
+      }
+
+      carried = text.slice(-PDF_MARKER_OVERLAP);
+      pushObjectStreams(piece);
+    },
+    result() {
+      if (overLimit) {
+        return null;
+      }
+      if (maxCount !== null) {
+        return maxCount;
+      }
+      const pages = pageObjects + (pageObjectAtEnd ? 1 : 0);
+      return pages > 0 ? pages : null;
+    }
+  };
+}
+
+/**
+ * Count the pages of a PDF held in memory
+ */
+function countPdfPages(buffer) {
+  const counter = createPdfPageCounter();
+  counter.push(buffer);
+  return counter.result();
+}
+
+/**
+ * Make a client-supplied file name safe for storage paths and display
+ * Keeps letters, digits, dots, dashes and underscores; the extension always matches the detected format
+ */
+function sanitizeFileName(originalName, format) {
+  const base = path.basename(String(originalName || '').replace(/\\/g, '/'));
+  const stem = base
+    .replace(/\.[^.]*$/, '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // drop accents left over from NFKD (é -> e)
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .replace(/^[._-]+|[._-]+$/g, '')
+    .slice(0, 80);
+
+  return `${stem || 'document'}.${FILE_FORMATS[format].extension}`;
+}
+
+/**
+ * Check an upload against a document type's upload rules
+ *
+ * @param {Object} upload - { head, size, originalName, countPages }
+ *   head: the file's first bytes (at least 1 KB when the file is that long)
+ *   countPages: returns the page count of a PDF (only called for PDFs)
+ * @param {Object} rules - { formats, maxSizeMb, maxPages } (missing values use DEFAULT_UPLOAD_RULES)
+ * @returns {Object} { format, contentType, fileName, size, pages, pagesUnchecked }
+ *   pagesUnchecked: a PDF whose pages could not be counted, so maxPages was not applied
+ */
+function checkUpload({ head, size, originalName, countPages }, rules = {}) {
+  const { formats, maxSizeMb, maxPages } = { ...DEFAULT_UPLOAD_RULES, ...rules };
+
+  if (!size) {
+    throw uploadError(UPLOAD_ERROR.EMPTY_FILE, 'The file is empty');
+  }
+
+  const allowedLabels = formats.map(format => FILE_FORMATS[format].label).join(', ');
+  const format = detectFormat(head);
+  if (!format) {
+    throw uploadError(UPLOAD_ERROR.UNSUPPORTED_FILE_TYPE, `This file type is not supported. Please upload ${allowedLabels}.`);
+  }
+  if (!formats.includes(format)) {
+    throw uploadError(UPLOAD_ERROR.FILE_TYPE_NOT_ALLOWED, `${FILE_FORMATS[format].label} files are not accepted for this document. Please upload ${allowedLabels}.`);
+  }
+
+  if (size > maxSizeMb * 1024 * 1024) {
+    throw uploadError(UPLOAD_ERROR.FILE_TOO_LARGE, `The file is larger than ${maxSizeMb} MB`);
+  }
+
+  const pages = format === 'pdf' ? countPages() : 1;
+  if (pages && pages > maxPages) {
+    throw uploadError(UPLOAD_ERROR.TOO_MANY_PAGES, `The document has ${pages} pages; at most ${maxPages} are accepted`);
+  }
+
+  return {
+    format,
+    contentType: FILE_FORMATS[format].contentType,
+    fileName: sanitizeFileName(originalName, format),
+    size,
+    pages,
+    pagesUnchecked: format === 'pdf' && !pages
+  };
+}
+
+/**
+ * Validate an uploaded file held in memory against a document type's upload rules
+ *
+ * @param {Object} file - multer file ({ buffer, originalname, size })
+ * @param {Object} rules - { formats, maxSizeMb, maxPages } (missing values use DEFAULT_UPLOAD_RULES)
+ * @returns {Object} { format, contentType, fileName, size, pages, pagesUnchecked }
+ */
+function validateUpload(file, rules = {}) {
+  if (!file || !file.buffer) {
+    throw uploadError(UPLOAD_ERROR.NO_FILE, 'No file uploaded');
+  }
+
+  return checkUpload({
+    head: file.buffer.subarray(0, 1024),
+    size: file.buffer.length,
+    originalName: file.originalname,
+    countPages: () => countPdfPages(file.buffer)
+  }, rules);
+}
+
+/**
+ * Keep the known fields of the report the portal sends with a photo it rotated, cropped,
+ * resized or compressed before upload, so agents know the file is not the original
+ * The report is the customer's own claim; anything unexpected is dropped rather than refused.
+ *
+ * @param {Object|string} raw - report object, or JSON text from a multipart field
+ * @returns {Object|null} { source, originalSize, originalWidth, ..., processedAt }, or null if there is none
+ */
+function sanitizeClientProcessing(raw) {
+  let report = raw;
+  if (typeof report === 'string') {
+    try {
+      report = JSON.parse(report);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!report || typeof report !== 'object' || Array.isArray(report)) {
+    return null;
+  }
+
+  const processing = {};
+  Object.entries(CLIENT_PROCESSING_FIELDS).forEach(([field, type]) => {
+    const value = report[field];
+    if (type === 'number' && Number.isFinite(value) && value >= 0) {
+      processing[field] = value;
+    } else if (type === 'boolean' && typeof value === 'boolean') {
+      processing[field] = value;
+    } else if (type === 'string' && typeof value === 'string' && value) {
+      processing[field] = value.slice(0, 200);
+    }
+  });
+  if (!CLIENT_PROCESSING_SOURCES.includes(processing.source)) {
+    return null;
+  }
+
+  return { ...processing, processedAt: new Date() };
+}
+
+module.exports = {
+  detectFormat,
+  createPdfPageCounter,
+  countPdfPages,
+  sanitizeFileName,
+  checkUpload,
+  validateUpload,
+  sanitizeClientProcessing,
+  uploadError
+};
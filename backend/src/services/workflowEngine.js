@@ -0,0 +1,290 @@
+/**
+ * Workflow Engine
+ *
+ * Single place where request lifecycle changes happen.
+ * Every transition (create, submit, review, expire, reopen, reassign, manual status change)
+ * goes through performAction(), which:
+ * 1. Loads the workflow definition the request follows (repositories/workflowRepository.js)
+ * 2. Rejects unknown actions and statuses
+ * 3. Finds a transition for the action from the current status and checks the actor's role
+ * 4. Runs "before" hooks (may adjust updates or throw to veto)
+ * 5. Saves the request (with any document changes of the action) in a transaction that checks
+ *    the transition again against the stored status, so concurrent actions cannot both apply
+ * 6. Runs "after" hooks (audit logging is registered by default)
+ */
+
+const requestRepository = require('../repositories/requestRepository');
+const auditLogRepository = require('../repositories/auditLogRepository');
+const userRepository = require('../repositories/userRepository');
+const workflowRepository = require('../repositories/workflowRepository');
+const { DEFAULT_WORKFLOW_ID, getStatusDefinition, findTransitions } = require('../models/workflowDefinitions');
+
+/**
+ * Workflow actions
+ * Which statuses an action moves a request between is defined per workflow
+ * (transitions in models/workflowDefinitions.js)
+ * - changesStatus: false for actions that never change status
+ * - auditAction: action name written to the audit log
+ * - label: used in error messages ("Cannot submit a request with status EXPIRED")
+ */
+const ACTIONS = {
+  CREATE: {
+    changesStatus: true,
+    auditAction: 'REQUEST_CREATED',
+    label: 'create'
+  },
+  SUBMIT: {
+    changesStatus: true,
+    auditAction: 'CUSTOMER_SUBMITTED',
+    label: 'submit'
+  },
+  APPROVE: {
+    changesStatus: true,
+    auditAction: 'REVIEW_APPROVED',
+    label: 'approve'
+  },
+  REJECT: {
+    changesStatus: true,
+    auditAction: 'REVIEW_REJECTED',
+    label: 'reject'
+  },
+  EXPIRE: {
+    changesStatus: true,
+    auditAction: 'REQUEST_EXPIRED',
+    label: 'expire'
+  },
+  REOPEN: {
+    changesStatus: true,
+    auditAction: 'REQUEST_REOPENED',
+    label: 'reopen'
+  },
+  REASSIGN: {
+    changesStatus: false,
+    auditAction: 'REQUEST_REASSIGNED',
+    label: 'reassign'
+  },
+  // Manual status change by an agent or manager (PATCH /api/telesales/requests/:id)
+  CHANGE_STATUS: {
+    changesStatus: true,
+    auditAction: 'STATUS_CHANGED',
+    label: 'change the status of'
+  }
+};
+
+const hooks = {
+  before: [],
+  after: []
+};
+
+/**
+ * Register a hook that runs before or after every action
+ *
+ * Hooks receive the transition context:
+ * { action, requestId, request, workflow, fromStatus, toStatus, actorId, actorIp, updates, metadata, updatedRequest }
+ * "before" hooks may change context.updates or throw to stop the transition.
+ * "after" hooks see the saved request in context.updatedRequest.
+ */
+function registerHook(stage, fn) {
+  if (!hooks[stage]) {
+    throw new Error(`Unknown hook stage: ${stage}`);
+  }
+  hooks[stage].push(fn);
+}
+
+async function runHooks(stage, context) {
+  for (const hook of hooks[stage]) {
+    await hook(context);
+  }
+}
+
+/**
+ * Work out the role of whoever triggers an action
+ * Customers and scheduled jobs use fixed actor ids; staff roles come from the users collection
+ */
+async function resolveActorRole(actorId) {
+  if (actorId === 'customer' || actorId === 'system') {
+    return actorId;
+  }
+  const user = actorId ? await userRepository.getUserById(actorId) : null;
+  return user ? user.role : null;
+}
+
+/**
+ * Work out and validate the status an action moves a request to
+ * Returns null when the action does not change status
+ */
+function resolveTargetStatus(action, workflow, currentStatus, requestedStatus, actorRole) {
+  const definition = ACTIONS[action];
+  if (!definition.changesStatus) {
+    return null;
+  }
+
+  if (requestedStatus && !getStatusDefinition(workflow, requestedStatus)) {
+    throw new Error(`Unknown status: ${requestedStatus}`);
+  }
+
+  const candidates = findTransitions(workflow, action, currentStatus);
+  if (candidates.length === 0) {
+    throw new Error(`Cannot ${definition.label} a request with status ${currentStatus}`);
+  }
+
+  const matching = requestedStatus
+    ? candidates.filter(transition => transition.to === requestedStatus)
+    : candidates;
+  if (matching.length === 0) {
+    throw new Error(`Cannot ${definition.label} a request to status ${requestedStatus}`);
+  }
+  if (matching.length > 1) {
+    throw new Error(`A target status is required to ${definition.label} a request`);
+  }
+
+  const [transition] = matching;
+  if (!transition.roles.includes(actorRole)) {
+    throw new Error(`Role ${actorRole || 'unknown'} may not ${definition.label} a request with status ${currentStatus}`);
+  }
+
+  return transition.to;
+}
+
+/**
+ * Create a new request in the initial status of its workflow
+ */
+async function createRequest(requestData, options = {}) {
+  const workflowId = requestData.workflowId || DEFAULT_WORKFLOW_ID;
+  const workflow = await workflowRepository.getWorkflowById(workflowId);
+  if (!workflow) {
+    throw new Error(`Unknown workflow: ${workflowId}`);
+  }
+  const toStatus = workflow.initialStatus;
+
+  const context = {
+    action: 'CREATE',
+    requestId: null,
+    request: null,
+    workflow,
+    fromStatus: null,
+    toStatus,
+    actorId: options.actorId,
+    actorIp: options.actorIp || null,
+    updates: { ...requestData, workflowId, status: toStatus },
+    metadata: { ...options.metadata, workflowId }
+  };
+
+  await runHooks('before', context);
+
+  const created = await requestRepository.createRequest(context.updates);
+  context.requestId = created.id;
+  context.updatedRequest = created;
+
+  await runHooks('after', context);
+
+  return created;
+}
+
+/**
+ * Perform a workflow action on an existing request
+ *
+ * @param {string} requestId
+ * @param {string} action - key of ACTIONS
+ * @param {Object} options - { actorId, actorIp, actorRole, toStatus, updates, documentUpdates, metadata }
+ *                            actorRole is looked up from actorId when not given
+ *                            documentUpdates ({ [documentId]: fields }) are saved atomically with the request
+ */
+async function performAction(requestId, action, options = {}) {
+  const definition = ACTIONS[action];
+  if (!definition || action === 'CREATE') {
+    throw new Error(`Unknown workflow action: ${action}`);
+  }
+
+  const request = await requestRepository.getRequestById(requestId);
+  if (!request) {
+    throw new Error('Request not found');
+  }
+
+  const workflow = await workflowRepository.getWorkflowForRequest(request);
+  const actorRole = options.actorRole || await resolveActorRole(options.actorId);
+  const toStatus = resolveTargetStatus(action, workflow, request.status, options.toStatus, actorRole);
+
+  const context = {
+    action,
+    requestId,
+    request,
+    workflow,
+    fromStatus: request.status,
+    toStatus: toStatus || request.status,
+    actorId: options.actorId,
+    actorIp: options.actorIp || null,
+    updates: { ...options.updates },
+    metadata: options.metadata || {}
+  };
+  if (toStatus) {
+    context.updates.status = toStatus;
+  }
+
+  await runHooks('before', context);
+
+  context.updatedRequest = await requestRepository.applyTransition(requestId, context.updates, {
+    documentUpdates: options.documentUpdates,
+    // Another action (an SLA expiry, a second click) may have moved the request since it was read
+    check: (current) => {
+      if (!definition.changesStatus || current.status === request.status) {
+        return;
+      }
+      resolveTargetStatus(action, workflow, current.status, options.toStatus, actorRole);
+      throw new Error(`The request status changed to ${current.status} meanwhile; reload it and try again`);
+    }
+  });
+
+  await runHooks('after', context);
+
+  return context.updatedRequest;
+}
+
+/**
+ * Statuses an action could move this request to right now for the given role (used by the UI)
+ */
+async function getAllowedStatuses(request, action, actorRole) {
+  const workflow = await workflowRepository.getWorkflowForRequest(request);
+  return findTransitions(workflow, action, request.status)
+    .filter(transition => transition.roles.includes(actorRole))
+    .map(transition => transition.to);
+}
+
+/**
+ * Actions the given role may perform on this request right now (used by the UI)
+ */
+async function getAllowedActions(request, actorRole) {
+  const workflow = await workflowRepository.getWorkflowForRequest(request);
+  return Object.keys(ACTIONS).filter(action =>
+    ACTIONS[action].changesStatus &&
+    findTransitions(workflow, action, request.status).some(transition => transition.roles.includes(actorRole))
+  );
+}
+
+/**
+ * Default after-hook: audit log for every transition
+ */
+registerHook('after', async (context) => {
+  const metadata = { ...context.metadata };
+  if (context.fromStatus && context.fromStatus !== context.toStatus) {
+    metadata.oldStatus = context.fromStatus;
+    metadata.newStatus = context.toStatus;
+  }
+
+  await auditLogRepository.createAuditLog({
+    actorId: context.actorId,
+    action: ACTIONS[context.action].auditAction,
+    requestId: context.requestId,
+    ip: context.actorIp,
+    metadata
+  });
+});
+
+module.exports = {
+  ACTIONS,
+  registerHook,
+  createRequest,
+  performAction,
+  getAllowedStatuses,
+  getAllowedActions
+};
@@ -0,0 +1,48 @@
+/**
+ * Document Check Service tests: name matching used by the NAME_MATCH check
+ */
+
+// Repositories are loaded with the service; keep them off Firestore
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { nameSimilarity } = require('../src/services/documentCheckService');
+
+// Default NAME_MATCH thresholds (documentCheckService evaluateCheck)
+const PASS_AT = 0.9;
+const WARN_AT = 0.75;
+
+test('the same name passes whatever the case, accents, punctuation or word order', () => {
+  assert.equal(nameSimilarity('Jane Doe', 'JANE DOE'), 1);
+  assert.equal(nameSimilarity('José Álvarez', 'JOSE ALVAREZ'), 1);
+  assert.equal(nameSimilarity('Doe, Jane', 'Jane Doe'), 1);
+  assert.equal(nameSimilarity("Mary-Jane O'Neil", 'MARY JANE O NEIL'), 1);
+});
+
+test('extra middle names on one side still pass', () => {
+  assert.ok(nameSimilarity('Jane Mary Doe', 'Jane Doe') >= PASS_AT);
+  assert.ok(nameSimilarity('Jane Doe', 'JANE ELIZABETH MARY DOE') >= PASS_AT);
+});
+
+test('an OCR slip in one letter is a warning, not a pass', () => {
+  const similarity = nameSimilarity('Jane Doe', 'Jane Dae');
+  assert.ok(similarity >= WARN_AT && similarity < PASS_AT, `got ${similarity}`);
+});
+
+test('a different person fails', () => {
+  assert.ok(nameSimilarity('Jane Doe', 'John Smith') < WARN_AT);
+  // One shared word is not enough when the other differs
+  assert.ok(nameSimilarity('Jane Doe', 'Jane Smith') < PASS_AT);
+});
+
+test('a single word is compared as a whole', () => {
+  assert.equal(nameSimilarity('Doe', 'Doe'), 1);
+  assert.ok(nameSimilarity('Doe', 'Jane Doe') < PASS_AT);
+});
+
+test('a missing name matches nothing', () => {
+  assert.equal(nameSimilarity('', 'Jane Doe'), 0);
+  assert.equal(nameSimilarity(null, 'Jane Doe'), 0);
+  assert.equal(nameSimilarity('Jane Doe', '  '), 0);
+});
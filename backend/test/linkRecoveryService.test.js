@@ -0,0 +1,110 @@
+/**
+ * Link Recovery Service tests: matching the details and the per-request and per-IP limits,
+ * also for attempts that arrive in parallel
+ */
+
+process.env.PERSISTENCE_DRIVER = 'memory';
+process.env.PERSISTENCE_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const linkRecoveryService = require('../src/services/linkRecoveryService');
+const requestRepository = require('../src/repositories/requestRepository');
+const auditLogRepository = require('../src/repositories/auditLogRepository');
+
+const { RECOVERY_ERROR, RECOVERY_OUTCOME } = linkRecoveryService;
+
+// Each test uses its own IP addresses so the per-IP limit of one does not reach the next
+let nextIp = 1;
+function newIp() {
+  return `203.0.113.${nextIp++}`;
+}
+
+async function createRequest() {
+  const created = await requestRepository.createRequest({
+    customerName: 'Jane Doe',
+    customerPhone: '+44 7700 900123',
+    customerEmail: 'jane@example.com',
+    secureToken: 'old-token',
+    status: 'OPEN'
+  });
+  return requestRepository.getRequestById(created.id);
+}
+
+async function outcomes(requestNumber) {
+  const logs = await auditLogRepository.getAuditLogsByAction('CUSTOMER_LINK_RECOVERY');
+  return logs.filter(log => log.metadata.requestNumber === requestNumber).map(log => log.metadata.outcome);
+}
+
+test('matching details send a new link that replaces the old one', async () => {
+  const request = await createRequest();
+
+  await linkRecoveryService.recoverLink({ requestNumber: request.requestNumber.toLowerCase(), contact: '07700 900123' }, newIp());
+
+  const updated = await requestRepository.getRequestById(request.id);
+  assert.notEqual(updated.secureToken, 'old-token');
+  assert.deepEqual(await outcomes(request.requestNumber), [RECOVERY_OUTCOME.SENT]);
+});
+
+test('details that do not match resolve the same way and keep the old link', async () => {
+  const request = await createRequest();
+
+  await linkRecoveryService.recoverLink({ requestNumber: request.requestNumber, contact: 'someone@example.com' }, newIp());
+
+  assert.equal((await requestRepository.getRequestById(request.id)).secureToken, 'old-token');
+  assert.deepEqual(await outcomes(request.requestNumber), [RECOVERY_OUTCOME.CONTACT_MISMATCH]);
+});
+
+test('missing details are refused', async () => {
+  await assert.rejects(
+    linkRecoveryService.recoverLink({ requestNumber: 'abc', contact: 'jane@example.com' }, newIp()),
+    (error) => error.code === RECOVERY_ERROR.DETAILS_MISSING
+  );
+});
+
+test('parallel attempts for one request number stop at the per-request limit', async () => {
+  const request = await createRequest();
+
+  const results = await Promise.allSettled(Array.from({ length: 20 }, () =>
+    linkRecoveryService.recoverLink({ requestNumber: request.requestNumber, contact: 'jane@example.com' }, newIp())
+  ));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 3);
+  assert.ok(results
+    .filter(result => result.status === 'rejected')
+    .every(result => result.reason.code === RECOVERY_ERROR.TOO_MANY_ATTEMPTS));
+  // Refused attempts are not logged and sent nothing
+  assert.deepEqual(await outcomes(request.requestNumber), [RECOVERY_OUTCOME.SENT, RECOVERY_OUTCOME.SENT, RECOVERY_OUTCOME.SENT]);
+});
+
+test('parallel attempts from one IP stop at the per-IP limit, whatever the request numbers', async () => {
+  const ip = newIp();
+
+  const results = await Promise.allSettled(Array.from({ length: 25 }, (_, i) =>
+    linkRecoveryService.recoverLink({ requestNumber: `REQ-${9000 + i}`, contact: 'jane@example.com' }, ip)
+  ));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 10);
+
+  // Another IP is not held back
+  await linkRecoveryService.recoverLink({ requestNumber: 'REQ-9999', contact: 'jane@example.com' }, newIp());
+});
+
+test('a refused attempt does not use up the other limit', async () => {
+  const request = await createRequest();
+  const ip = newIp();
+
+  for (let i = 0; i < 3; i++) {
+    await linkRecoveryService.recoverLink({ requestNumber: request.requestNumber, contact: 'jane@example.com' }, newIp());
+  }
+  // This IP is refused for the request number, and that attempt is not counted against the IP
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(
+      linkRecoveryService.recoverLink({ requestNumber: request.requestNumber, contact: 'jane@example.com' }, ip),
+      (error) => error.code === RECOVERY_ERROR.TOO_MANY_ATTEMPTS
+    );
+  }
+  for (let i = 0; i < 10; i++) {
+    await linkRecoveryService.recoverLink({ requestNumber: `REQ-${8000 + i}`, contact: 'jane@example.com' }, ip);
+  }
+});
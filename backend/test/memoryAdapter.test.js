@@ -0,0 +1,167 @@
+/**
+ * Memory Adapter tests: records, queries, transactions and Firestore's nested-field rules
+ */
+
+process.env.PERSISTENCE_DRIVER = 'memory';
+// Keep test data in process memory only
+process.env.PERSISTENCE_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/persistence');
+
+test('the persistence layer picks the memory driver', () => {
+  assert.equal(db.driverName, 'memory');
+});
+
+test('generateId returns 20-character Firestore-style IDs', () => {
+  const id = db.generateId('things');
+  assert.match(id, /^[A-Za-z0-9]{20}$/);
+  assert.notEqual(db.generateId('things'), id);
+});
+
+test('get returns the record with its ID, or null', async () => {
+  await db.set('getTest', 'a', { name: 'A' });
+
+  assert.deepEqual(await db.get('getTest', 'a'), { id: 'a', name: 'A' });
+  assert.equal(await db.get('getTest', 'missing'), null);
+});
+
+test('records are copies: changing a result does not change the store', async () => {
+  const data = { tags: ['x'], when: new Date('2024-01-01T00:00:00Z') };
+  await db.set('copyTest', 'a', data);
+  data.tags.push('changed');
+
+  const record = await db.get('copyTest', 'a');
+  record.tags.push('changed');
+
+  const again = await db.get('copyTest', 'a');
+  assert.deepEqual(again.tags, ['x']);
+  assert.ok(again.when instanceof Date);
+});
+
+test('set without merge replaces the whole record', async () => {
+  await db.set('setTest', 'a', { name: 'A', extra: 1 });
+  await db.set('setTest', 'a', { name: 'B' });
+
+  assert.deepEqual(await db.get('setTest', 'a'), { id: 'a', name: 'B' });
+});
+
+test('set with merge merges nested objects key by key', async () => {
+  await db.set('mergeTest', 'a', {
+    name: 'A',
+    merged: { ID: { url: 'id.pdf' } },
+    tags: ['x', 'y'],
+    at: new Date('2024-01-01T00:00:00Z')
+  });
+  await db.set('mergeTest', 'a', {
+    merged: { STATEMENT: { url: 'statement.pdf' } },
+    tags: ['z'],
+    at: new Date('2024-02-01T00:00:00Z')
+  }, { merge: true });
+
+  const record = await db.get('mergeTest', 'a');
+  assert.equal(record.name, 'A');
+  assert.deepEqual(record.merged, { ID: { url: 'id.pdf' }, STATEMENT: { url: 'statement.pdf' } });
+  // Arrays and Dates are values, not merged
+  assert.deepEqual(record.tags, ['z']);
+  assert.equal(record.at.toISOString(), '2024-02-01T00:00:00.000Z');
+});
+
+test('set with merge creates a missing record', async () => {
+  await db.set('mergeTest', 'new', { count: 1 }, { merge: true });
+  assert.deepEqual(await db.get('mergeTest', 'new'), { id: 'new', count: 1 });
+});
+
+test('update replaces the top-level fields it names', async () => {
+  await db.set('updateTest', 'a', { name: 'A', merged: { ID: 1, STATEMENT: 2 } });
+  await db.update('updateTest', 'a', { merged: { ID: 3 } });
+
+  assert.deepEqual(await db.get('updateTest', 'a'), { id: 'a', name: 'A', merged: { ID: 3 } });
+});
+
+test('update sets one nested field through a dotted key', async () => {
+  await db.set('updateTest', 'b', { merged: { ID: 1, STATEMENT: 2 } });
+  await db.update('updateTest', 'b', { 'merged.ID': 3, 'checks.name.status': 'PASS' });
+
+  const record = await db.get('updateTest', 'b');
+  assert.deepEqual(record.merged, { ID: 3, STATEMENT: 2 });
+  assert.deepEqual(record.checks, { name: { status: 'PASS' } });
+});
+
+test('update refuses a missing record', async () => {
+  await assert.rejects(db.update('updateTest', 'missing', { name: 'A' }), /No record to update/);
+});
+
+test('remove deletes the record', async () => {
+  await db.set('removeTest', 'a', { name: 'A' });
+  await db.remove('removeTest', 'a');
+
+  assert.equal(await db.get('removeTest', 'a'), null);
+});
+
+test('query filters, orders and limits', async () => {
+  await db.set('queryTest', 'a', { type: 'ID', size: 3, tags: ['front'], at: new Date('2024-01-03') });
+  await db.set('queryTest', 'b', { type: 'ID', size: 1, tags: ['back'], at: new Date('2024-01-01') });
+  await db.set('queryTest', 'c', { type: 'STATEMENT', size: 2, at: new Date('2024-01-02') });
+
+  const ids = records => records.map(record => record.id);
+
+  assert.deepEqual(ids(await db.query('queryTest', { where: [['type', '==', 'ID']], orderBy: ['size'] })), ['b', 'a']);
+  assert.deepEqual(ids(await db.query('queryTest', { orderBy: ['at', 'desc'], limit: 2 })), ['a', 'c']);
+  assert.deepEqual(ids(await db.query('queryTest', { where: [['at', '>=', new Date('2024-01-02')]], orderBy: ['at'] })), ['c', 'a']);
+  assert.deepEqual(ids(await db.query('queryTest', { where: [['type', 'in', ['STATEMENT']]] })), ['c']);
+  assert.deepEqual(ids(await db.query('queryTest', { where: [['tags', 'array-contains', 'back']] })), ['b']);
+  // != leaves out records without the field, as Firestore does
+  assert.deepEqual(ids(await db.query('queryTest', { where: [['tags', '!=', null]], orderBy: ['size'] })), ['b', 'a']);
+});
+
+test('query refuses an unknown operator', async () => {
+  await db.set('queryTest', 'd', { type: 'ID' });
+  await assert.rejects(db.query('queryTest', { where: [['type', 'like', 'I%']] }), /Unsupported query operator/);
+});
+
+test('a transaction applies its writes only when it succeeds', async () => {
+  await db.set('txTest', 'a', { count: 1 });
+
+  await assert.rejects(db.runTransaction(async (tx) => {
+    tx.set('txTest', 'a', { count: 2 });
+    throw new Error('stop');
+  }), /stop/);
+  assert.equal((await db.get('txTest', 'a')).count, 1);
+
+  const result = await db.runTransaction(async (tx) => {
+    const record = await tx.get('txTest', 'a');
+    tx.set('txTest', 'a', { count: record.count + 1, nested: { ok: true } }, { merge: true });
+    return record.count;
+  });
+  assert.equal(result, 1);
+  assert.deepEqual(await db.get('txTest', 'a'), { id: 'a', count: 2, nested: { ok: true } });
+});
+
+test('transactions run one at a time, so read-then-write counters do not lose updates', async () => {
+  await db.set('txCounter', 'counter', { count: 0 });
+
+  await Promise.all(Array.from({ length: 20 }, () => db.runTransaction(async (tx) => {
+    const [record] = await tx.query('txCounter', { where: [['count', '>=', 0]] });
+    await new Promise(resolve => setImmediate(resolve));
+    tx.set('txCounter', record.id, { count: record.count + 1 }, { merge: true });
+  })));
+
+  assert.equal((await db.get('txCounter', 'counter')).count, 20);
+});
+
+test('a transaction update follows update() and refuses a missing record before writing anything', async () => {
+  await db.set('txUpdate', 'a', { merged: { ID: 1, STATEMENT: 2 }, count: 1 });
+
+  await db.runTransaction(async (tx) => {
+    tx.update('txUpdate', 'a', { 'merged.ID': 3, count: 2 });
+  });
+  assert.deepEqual(await db.get('txUpdate', 'a'), { id: 'a', merged: { ID: 3, STATEMENT: 2 }, count: 2 });
+
+  await assert.rejects(db.runTransaction(async (tx) => {
+    tx.set('txUpdate', 'b', { count: 1 });
+    tx.update('txUpdate', 'missing', { count: 2 });
+  }), /No record to update: txUpdate\/missing/);
+  assert.equal(await db.get('txUpdate', 'b'), null);
+});
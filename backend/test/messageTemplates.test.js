@@ -0,0 +1,66 @@
+/**
+ * Message Templates tests: filling in placeholders and validating edited templates
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MESSAGE_TEMPLATE,
+  BUILT_IN_MESSAGE_TEMPLATES,
+  renderTemplate,
+  validateMessageTemplate
+} = require('../src/models/messageTemplates');
+
+test('renderTemplate fills in placeholders, with or without spaces inside the braces', () => {
+  const text = renderTemplate('Hi {{customerName}}, request {{ requestNumber }}: {{link}}', {
+    customerName: 'Jane',
+    requestNumber: 'REQ-0042',
+    link: 'https://example.com/x'
+  });
+
+  assert.equal(text, 'Hi Jane, request REQ-0042: https://example.com/x');
+});
+
+test('renderTemplate leaves out unknown and empty placeholders', () => {
+  assert.equal(renderTemplate('A{{unknown}}B{{reviewComment}}C', { reviewComment: null }), 'ABC');
+  assert.equal(renderTemplate('{{count}} files', { count: 0 }), '0 files');
+});
+
+test('renderTemplate collapses the blank lines an empty placeholder leaves', () => {
+  const text = renderTemplate('Dear Jane,\n\n{{reviewComment}}\n\nThanks', { reviewComment: '' });
+
+  assert.equal(text, 'Dear Jane,\n\nThanks');
+});
+
+test('renderTemplate renders missing text as empty', () => {
+  assert.equal(renderTemplate(undefined, {}), '');
+});
+
+test('every built-in template is valid', () => {
+  BUILT_IN_MESSAGE_TEMPLATES.forEach(template => {
+    assert.doesNotThrow(() => validateMessageTemplate(template), template.id);
+  });
+});
+
+test('validateMessageTemplate accepts an edited built-in template', () => {
+  assert.doesNotThrow(() => validateMessageTemplate({
+    id: MESSAGE_TEMPLATE.REMINDER,
+    subject: 'Still missing: {{missingDocuments}}',
+    email: 'Dear {{customerName}}, please upload by {{deadline}}: {{link}}',
+    sms: '{{requestNumber}}: {{link}}'
+  }));
+});
+
+test('validateMessageTemplate lists every problem', () => {
+  assert.throws(
+    () => validateMessageTemplate({ id: 'WELCOME', subject: ' ', email: 'Hi {{firstName}} {{firstName}}', sms: 'ok' }),
+    (error) => {
+      assert.match(error.message, /^Invalid message template: /);
+      assert.match(error.message, /id must be one of INVITATION, REMINDER, REJECTION, APPROVAL/);
+      assert.match(error.message, /subject is required/);
+      assert.match(error.message, /email uses unknown placeholders: firstName(;|$)/);
+      assert.doesNotMatch(error.message, /sms/);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,84 @@
+/**
+ * OCR Service tests: reading dates and fields from OCR lines (no OCR engine involved)
+ */
+
+// Repositories are loaded with the service; keep them off Firestore
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDate, parseFields } = require('../src/services/ocrService');
+
+test('parseDate reads ISO dates', () => {
+  assert.equal(parseDate('1990-12-31'), '1990-12-31');
+  assert.equal(parseDate('Issued 2024/3/5'), '2024-03-05');
+});
+
+test('parseDate reads numeric dates day first', () => {
+  assert.equal(parseDate('31/12/1990'), '1990-12-31');
+  assert.equal(parseDate('07.03.1985'), '1985-03-07');
+  assert.equal(parseDate('07-03-1985'), '1985-03-07');
+});
+
+test('parseDate reads dates with a month name', () => {
+  assert.equal(parseDate('31 DEC 1990'), '1990-12-31');
+  assert.equal(parseDate('7 March 1985'), '1985-03-07');
+  assert.equal(parseDate('07-mar-1985'), '1985-03-07');
+});
+
+test('parseDate puts two-digit years in the most recent century not far in the future', () => {
+  const thisYear = new Date().getFullYear() % 100;
+  const pad = (year) => String(year % 100).padStart(2, '0');
+
+  assert.equal(parseDate('07/03/85'), '1985-03-07');
+  assert.equal(parseDate(`01/01/${pad(thisYear)}`), `20${pad(thisYear)}-01-01`);
+  // Up to 20 years ahead is an expiry date, further is a birth date last century
+  assert.equal(parseDate(`01/01/${pad(thisYear + 20)}`), `20${pad(thisYear + 20)}-01-01`);
+  assert.equal(parseDate(`01/01/${pad(thisYear + 21)}`), `19${pad(thisYear + 21)}-01-01`);
+});
+
+test('parseDate refuses dates that do not exist', () => {
+  assert.equal(parseDate('31/02/1990'), null);
+  assert.equal(parseDate('1990-13-01'), null);
+  assert.equal(parseDate('32 JAN 1990'), null);
+  assert.equal(parseDate('no date here'), null);
+});
+
+test('parseFields finds ID fields next to their labels or on the next line', () => {
+  const fields = parseFields('ID', [
+    { text: 'Full name: Jane Mary Doe', confidence: 0.9 },
+    { text: 'Date of birth', confidence: 0.8 },
+    { text: '07.03.1985', confidence: 0.7 },
+    { text: 'ID No: ab123456', confidence: 0.95 }
+  ]);
+
+  assert.equal(fields.fullName.value, 'JANE MARY DOE');
+  assert.equal(fields.fullName.confidence, 0.9);
+  assert.equal(fields.fullName.status, 'EXTRACTED');
+  // A value on the next line counts for less
+  assert.equal(fields.dateOfBirth.value, '1985-03-07');
+  assert.equal(fields.dateOfBirth.confidence, 0.56);
+  assert.equal(fields.idNumber.value, 'AB123456');
+  assert.equal(fields.idNumber.ocrValue, 'AB123456');
+});
+
+test('parseFields stops a value where the next label starts', () => {
+  const fields = parseFields('ID', [
+    { text: 'Name JANE DOE Date of birth 31/12/1990', confidence: 0.9 }
+  ]);
+
+  assert.equal(fields.fullName.value, 'JANE DOE');
+  assert.equal(fields.dateOfBirth.value, '1990-12-31');
+});
+
+test('parseFields marks fields that were not found as missing', () => {
+  const fields = parseFields('ID', [{ text: 'nothing useful', confidence: 0.9 }]);
+
+  assert.equal(fields.expiryDate.value, null);
+  assert.equal(fields.expiryDate.confidence, null);
+  assert.equal(fields.expiryDate.status, 'MISSING');
+});
+
+test('parseFields returns nothing for a type without fields', () => {
+  assert.deepEqual(parseFields('NOT_A_TYPE', [{ text: 'Name JANE DOE', confidence: 0.9 }]), {});
+});
@@ -0,0 +1,129 @@
+/**
+ * Portal Verification Service tests: counting code attempts, also when they come in parallel,
+ * and starting one portal session per code
+ */
+
+process.env.PERSISTENCE_DRIVER = 'memory';
+process.env.PERSISTENCE_FILE = '';
+process.env.CUSTOMER_OTP_REQUIRED = 'true';
+
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const portalVerificationService = require('../src/services/portalVerificationService');
+const portalVerificationRepository = require('../src/repositories/portalVerificationRepository');
+const requestRepository = require('../src/repositories/requestRepository');
+const db = require('../src/persistence');
+const { VERIFICATION_STATUS, VERIFICATION_ERROR } = require('../src/models/portalVerification');
+
+const CODE = '123456';
+
+/**
+ * A request with a code sent to its phone; the code is set to CODE
+ */
+async function requestWithCode() {
+  const created = await requestRepository.createRequest({
+    customerName: 'Jane Doe',
+    customerPhone: '+44 7700 900123',
+    secureToken: crypto.randomBytes(16).toString('hex'),
+    status: 'OPEN'
+  });
+  const request = await requestRepository.getRequestById(created.id);
+  await portalVerificationService.sendCode(request, 'sms');
+
+  const [verification] = await portalVerificationRepository.getVerificationsByRequestId(request.id);
+  await portalVerificationRepository.updateVerification(verification.id, {
+    codeHash: crypto.createHash('sha256').update(`${request.id}:${CODE}`).digest('hex')
+  });
+  return { request, verificationId: verification.id };
+}
+
+async function sessionsOf(requestId) {
+  return db.query('portalSessions', { where: [['requestId', '==', requestId]] });
+}
+
+test('a wrong code counts an attempt and says how many are left', async () => {
+  const { request, verificationId } = await requestWithCode();
+
+  await assert.rejects(
+    portalVerificationService.verifyCode(request, '000000'),
+    (error) => error.code === VERIFICATION_ERROR.CODE_INVALID && error.attemptsLeft === 4
+  );
+
+  const verification = await db.get('portalVerifications', verificationId);
+  assert.equal(verification.attempts, 1);
+  assert.equal(verification.status, VERIFICATION_STATUS.PENDING);
+});
+
+test('parallel wrong guesses are all counted and stop at the attempt limit', async () => {
+  const { request, verificationId } = await requestWithCode();
+
+  const guesses = Array.from({ length: 50 }, (_, i) => String(i).padStart(6, '0'));
+  const results = await Promise.allSettled(guesses.map(guess => portalVerificationService.verifyCode(request, guess)));
+  const codes = results.map(result => result.reason.code);
+
+  assert.equal(codes.filter(code => code === VERIFICATION_ERROR.CODE_INVALID).length, 4);
+  assert.equal(codes.filter(code => code === VERIFICATION_ERROR.TOO_MANY_ATTEMPTS).length, 1);
+  // The code is used up: the rest are not compared at all
+  assert.equal(codes.filter(code => code === VERIFICATION_ERROR.CODE_EXPIRED).length, 45);
+
+  const verification = await db.get('portalVerifications', verificationId);
+  assert.equal(verification.attempts, 5);
+  assert.equal(verification.status, VERIFICATION_STATUS.FAILED);
+
+  // Not even the right code opens the portal now
+  await assert.rejects(
+    portalVerificationService.verifyCode(request, CODE),
+    (error) => error.code === VERIFICATION_ERROR.CODE_EXPIRED
+  );
+  assert.equal((await sessionsOf(request.id)).length, 0);
+});
+
+test('the right code starts a portal session and cannot be used again', async () => {
+  const { request, verificationId } = await requestWithCode();
+
+  const { sessionToken } = await portalVerificationService.verifyCode(request, ` ${CODE} `);
+  await portalVerificationService.checkSession(request, sessionToken);
+
+  const verification = await db.get('portalVerifications', verificationId);
+  assert.equal(verification.status, VERIFICATION_STATUS.VERIFIED);
+  assert.ok(verification.verifiedAt instanceof Date);
+
+  await assert.rejects(
+    portalVerificationService.verifyCode(request, CODE),
+    (error) => error.code === VERIFICATION_ERROR.CODE_EXPIRED
+  );
+});
+
+test('the right code entered twice at once starts one session', async () => {
+  const { request } = await requestWithCode();
+
+  const results = await Promise.allSettled([
+    portalVerificationService.verifyCode(request, CODE),
+    portalVerificationService.verifyCode(request, CODE),
+    portalVerificationService.verifyCode(request, CODE)
+  ]);
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.equal((await sessionsOf(request.id)).length, 1);
+});
+
+test('an expired code is refused without counting an attempt', async () => {
+  const { request, verificationId } = await requestWithCode();
+  await portalVerificationRepository.updateVerification(verificationId, { expiresAt: new Date(Date.now() - 1000) });
+
+  await assert.rejects(
+    portalVerificationService.verifyCode(request, CODE),
+    (error) => error.code === VERIFICATION_ERROR.CODE_EXPIRED
+  );
+  assert.equal((await db.get('portalVerifications', verificationId)).attempts, 0);
+});
+
+test('a portal call without a valid session must verify first', async () => {
+  const { request } = await requestWithCode();
+
+  await assert.rejects(
+    portalVerificationService.checkSession(request, 'not-a-session'),
+    (error) => error.code === VERIFICATION_ERROR.REQUIRED && error.channels[0].destination === '•••• 0123'
+  );
+});
@@ -0,0 +1,182 @@
+/**
+ * Request Service tests: per-document review and the request decision derived from it
+ */
+
+const os = require('os');
+const path = require('path');
+
+process.env.PERSISTENCE_DRIVER = 'memory';
+process.env.PERSISTENCE_FILE = '';
+process.env.BLOB_STORAGE_DRIVER = 'local';
+process.env.BLOB_STORAGE_DIR = path.join(os.tmpdir(), `request-service-test-${process.pid}`);
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const requestService = require('../src/services/requestService');
+const workflowEngine = require('../src/services/workflowEngine');
+const requestRepository = require('../src/repositories/requestRepository');
+const documentRepository = require('../src/repositories/documentRepository');
+const auditLogRepository = require('../src/repositories/auditLogRepository');
+const userRepository = require('../src/repositories/userRepository');
+const { DOCUMENT_SCAN_STATUS } = require('../src/models/document');
+
+test.before(() => userRepository.createUser({ id: 'agent-1', name: 'Alex', email: 'alex@example.com', role: 'agent' }));
+
+/**
+ * A submitted request with one clean current document per type
+ */
+async function submittedRequest(types = ['ID', 'LICENCE', 'PROOF_OF_ADDRESS', 'BANK_STATEMENT']) {
+  const request = await workflowEngine.createRequest({ customerName: 'Jane Doe', agentId: 'agent-1' }, { actorId: 'agent-1' });
+
+  const documents = {};
+  for (const type of types) {
+    const document = await documentRepository.createDocument({
+      requestId: request.id,
+      type,
+      storagePath: `requests/${request.id}/${type}.pdf`
+    });
+    await documentRepository.updateDocument(document.id, { scanStatus: DOCUMENT_SCAN_STATUS.CLEAN });
+    documents[type] = document.id;
+  }
+  await workflowEngine.performAction(request.id, 'SUBMIT', { actorId: 'customer' });
+
+  return { requestId: request.id, documents };
+}
+
+function accept(documentId) {
+  return { documentId, status: 'ACCEPTED' };
+}
+
+function reject(documentId, reasonCodes = ['UNREADABLE'], comment) {
+  return { documentId, status: 'REJECTED', reasonCodes, comment };
+}
+
+async function reviewStatuses(requestId) {
+  const documents = await documentRepository.getCurrentDocumentsByRequestId(requestId);
+  return Object.fromEntries(documents.map(doc => [doc.type, doc.reviewStatus]));
+}
+
+test('accepting every document approves the request', async () => {
+  const { requestId, documents } = await submittedRequest();
+
+  const reviewed = await requestService.reviewRequest(
+    requestId,
+    Object.values(documents).map(accept),
+    'Looks good',
+    'agent-1'
+  );
+
+  assert.equal(reviewed.status, 'COMPLETED');
+  assert.equal(reviewed.reviewStatus, 'APPROVED');
+  assert.equal(reviewed.reviewComment, 'Looks good');
+  assert.equal(reviewed.reviewedBy, 'agent-1');
+  assert.deepEqual(reviewed.rejectedDocumentTypes, []);
+  assert.equal(reviewed.completionPercent, 100);
+  assert.deepEqual(Object.values(await reviewStatuses(requestId)), ['ACCEPTED', 'ACCEPTED', 'ACCEPTED', 'ACCEPTED']);
+
+  const logs = await auditLogRepository.getAuditLogsByRequestId(requestId);
+  const approval = logs.find(log => log.action === 'REVIEW_APPROVED');
+  assert.equal(approval.metadata.documents.length, 4);
+});
+
+test('any rejected document rejects the request and lists the types to upload again', async () => {
+  const { requestId, documents } = await submittedRequest();
+
+  const reviewed = await requestService.reviewRequest(requestId, [
+    accept(documents.ID),
+    accept(documents.LICENCE),
+    reject(documents.PROOF_OF_ADDRESS),
+    accept(documents.BANK_STATEMENT)
+  ], null, 'agent-1');
+
+  assert.equal(reviewed.status, 'IN_PROGRESS');
+  assert.equal(reviewed.reviewStatus, 'REJECTED');
+  assert.deepEqual(reviewed.rejectedDocumentTypes, ['PROOF_OF_ADDRESS']);
+  // Only accepted required documents count
+  assert.equal(reviewed.completionPercent, 75);
+
+  const rejected = await documentRepository.getDocumentById(documents.PROOF_OF_ADDRESS);
+  assert.deepEqual(rejected.reasonCodes, ['UNREADABLE']);
+  assert.equal(rejected.reviewedBy, 'agent-1');
+});
+
+test('a partial review is refused and leaves the request and documents as they were', async () => {
+  const { requestId, documents } = await submittedRequest();
+
+  await assert.rejects(
+    requestService.reviewRequest(requestId, [accept(documents.ID), reject(documents.LICENCE)], null, 'agent-1'),
+    /Every document must be accepted or rejected \(pending: .*PROOF_OF_ADDRESS/
+  );
+
+  const request = await requestRepository.getRequestById(requestId);
+  assert.equal(request.status, 'SUBMITTED');
+  assert.equal(request.reviewStatus, undefined);
+  assert.deepEqual(Object.values(await reviewStatuses(requestId)), ['PENDING', 'PENDING', 'PENDING', 'PENDING']);
+});
+
+test('documents accepted in an earlier round keep their decision', async () => {
+  const { requestId, documents } = await submittedRequest(['ID', 'LICENCE']);
+
+  await requestService.reviewRequest(requestId, [accept(documents.ID), reject(documents.LICENCE)], null, 'agent-1');
+
+  // The customer uploads a new licence version and submits again
+  const licence = await documentRepository.getDocumentById(documents.LICENCE);
+  const newLicence = await documentRepository.addDocumentVersion(
+    { requestId, type: 'LICENCE', fileId: licence.fileId, version: 2, storagePath: 'licence-v2.pdf' },
+    { previousVersionId: licence.id, maxFiles: 2, label: 'Driving Licence' }
+  );
+  await documentRepository.updateDocument(newLicence.id, { scanStatus: DOCUMENT_SCAN_STATUS.CLEAN });
+  await workflowEngine.performAction(requestId, 'SUBMIT', { actorId: 'customer' });
+
+  const reviewed = await requestService.reviewRequest(requestId, [accept(newLicence.id)], null, 'agent-1');
+
+  assert.equal(reviewed.status, 'COMPLETED');
+  assert.deepEqual(await reviewStatuses(requestId), { ID: 'ACCEPTED', LICENCE: 'ACCEPTED' });
+});
+
+test('a rejection needs a known reason, and a comment for reasons that ask for one', async () => {
+  const { requestId, documents } = await submittedRequest(['ID']);
+
+  await assert.rejects(
+    requestService.reviewRequest(requestId, [reject(documents.ID, [])], null, 'agent-1'),
+    /Document ID: at least one rejection reason is required/
+  );
+  await assert.rejects(
+    requestService.reviewRequest(requestId, [reject(documents.ID, ['NOT_A_REASON'])], null, 'agent-1'),
+    /Document ID: unknown rejection reason NOT_A_REASON/
+  );
+  await assert.rejects(
+    requestService.reviewRequest(requestId, [reject(documents.ID, ['OTHER'])], null, 'agent-1'),
+    /Document ID: a comment is required for reason OTHER/
+  );
+
+  const reviewed = await requestService.reviewRequest(requestId, [reject(documents.ID, ['OTHER'], 'Wrong person')], null, 'agent-1');
+  assert.equal(reviewed.reviewStatus, 'REJECTED');
+});
+
+test('a document that has not passed the malware scan cannot be accepted', async () => {
+  const { requestId, documents } = await submittedRequest(['ID']);
+  await documentRepository.updateDocument(documents.ID, { scanStatus: DOCUMENT_SCAN_STATUS.QUARANTINED });
+
+  await assert.rejects(
+    requestService.reviewRequest(requestId, [accept(documents.ID)], null, 'agent-1'),
+    /Document ID: cannot be accepted before it passes the malware scan/
+  );
+});
+
+test('a review needs a submitted request with current documents', async () => {
+  const { requestId, documents } = await submittedRequest(['ID']);
+  await requestService.reviewRequest(requestId, [accept(documents.ID)], null, 'agent-1');
+
+  await assert.rejects(
+    requestService.reviewRequest(requestId, [accept(documents.ID)], null, 'agent-1'),
+    /Cannot approve a request with status COMPLETED/
+  );
+  await assert.rejects(
+    requestService.reviewRequest(requestId, [accept('someone-elses-document')], null, 'agent-1'),
+    /Document someone-elses-document is not a current document of this request/
+  );
+
+  const empty = await workflowEngine.createRequest({ customerName: 'John Doe' }, { actorId: 'agent-1' });
+  await assert.rejects(requestService.reviewRequest(empty.id, [], null, 'agent-1'), /There are no documents to review/);
+});
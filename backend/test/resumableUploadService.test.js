@@ -0,0 +1,219 @@
+/**
+ * Resumable Upload Service tests: offsets, finishing an upload once, stale claims and cleanup
+ */
+
+const os = require('os');
+const path = require('path');
+
+process.env.PERSISTENCE_DRIVER = 'memory';
+process.env.PERSISTENCE_FILE = '';
+process.env.BLOB_STORAGE_DRIVER = 'local';
+process.env.BLOB_STORAGE_DIR = path.join(os.tmpdir(), `resumable-upload-test-${process.pid}`);
+
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const resumableUploadService = require('../src/services/resumableUploadService');
+const workflowEngine = require('../src/services/workflowEngine');
+const uploadSessionRepository = require('../src/repositories/uploadSessionRepository');
+const documentRepository = require('../src/repositories/documentRepository');
+const blobStorage = require('../src/blobStorage');
+const { UPLOAD_SESSION_STATUS } = require('../src/models/uploadSession');
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Pages /Kids [2 0 R] /Count 1 >> endobj\n2 0 obj << /Type /Page /Parent 1 0 R >> endobj\n%%EOF\n', 'latin1');
+
+test.after(() => fs.rmSync(process.env.BLOB_STORAGE_DIR, { recursive: true, force: true }));
+
+async function openRequest() {
+  const request = await workflowEngine.createRequest({ customerName: 'Jane Doe', agentId: 'agent-1' }, { actorId: 'agent-1' });
+  return request.id;
+}
+
+/**
+ * Start an upload of the test PDF and send it in two chunks
+ */
+async function uploadedSession(requestId, file = PDF) {
+  const upload = await resumableUploadService.createUpload(requestId, { type: 'PROOF_OF_ADDRESS', fileName: 'bill.pdf', size: file.length });
+  const middle = Math.floor(file.length / 2);
+  await resumableUploadService.appendChunk(requestId, upload.id, 0, file.subarray(0, middle));
+  await resumableUploadService.appendChunk(requestId, upload.id, middle, file.subarray(middle));
+  return upload.id;
+}
+
+async function chunksStored(uploadId) {
+  return (await blobStorage.list(`uploads/${uploadId}/`)).length;
+}
+
+test('chunks must arrive at the stored offset and stay within the declared size', async () => {
+  const requestId = await openRequest();
+  const upload = await resumableUploadService.createUpload(requestId, { type: 'PROOF_OF_ADDRESS', fileName: 'bill.pdf', size: PDF.length });
+  assert.equal(upload.offset, 0);
+  assert.equal(upload.status, UPLOAD_SESSION_STATUS.ACTIVE);
+
+  await assert.rejects(
+    resumableUploadService.appendChunk(requestId, upload.id, 10, PDF.subarray(10, 20)),
+    (error) => error.code === 'OFFSET_MISMATCH' && error.offset === 0
+  );
+
+  const afterFirst = await resumableUploadService.appendChunk(requestId, upload.id, 0, PDF.subarray(0, 20));
+  assert.equal(afterFirst.offset, 20);
+  assert.equal((await resumableUploadService.getUpload(requestId, upload.id)).offset, 20);
+
+  await assert.rejects(
+    resumableUploadService.appendChunk(requestId, upload.id, 20, Buffer.alloc(PDF.length)),
+    /The chunk goes past the declared file size/
+  );
+  await assert.rejects(resumableUploadService.getUpload('another-request', upload.id), /Upload not found/);
+});
+
+test('two copies of the same chunk are counted once', async () => {
+  const requestId = await openRequest();
+  const upload = await resumableUploadService.createUpload(requestId, { type: 'PROOF_OF_ADDRESS', fileName: 'bill.pdf', size: PDF.length });
+
+  const results = await Promise.allSettled([
+    resumableUploadService.appendChunk(requestId, upload.id, 0, PDF.subarray(0, 20)),
+    resumableUploadService.appendChunk(requestId, upload.id, 0, PDF.subarray(0, 20))
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.code, 'OFFSET_MISMATCH');
+  assert.equal((await resumableUploadService.getUpload(requestId, upload.id)).offset, 20);
+  assert.equal(await chunksStored(upload.id), 1);
+});
+
+test('an upload cannot be finished before every byte is there', async () => {
+  const requestId = await openRequest();
+  const upload = await resumableUploadService.createUpload(requestId, { type: 'PROOF_OF_ADDRESS', fileName: 'bill.pdf', size: PDF.length });
+  await resumableUploadService.appendChunk(requestId, upload.id, 0, PDF.subarray(0, 20));
+
+  await assert.rejects(
+    resumableUploadService.finalizeUpload(requestId, upload.id),
+    (error) => error.code === 'UPLOAD_INCOMPLETE'
+  );
+  assert.equal((await uploadSessionRepository.getSessionById(upload.id)).status, UPLOAD_SESSION_STATUS.ACTIVE);
+});
+
+test('finishing records the file as a document and removes the chunks', async () => {
+  const requestId = await openRequest();
+  const uploadId = await uploadedSession(requestId);
+
+  const document = await resumableUploadService.finalizeUpload(requestId, uploadId);
+  assert.equal(document.type, 'PROOF_OF_ADDRESS');
+  assert.equal(document.size, PDF.length);
+  assert.equal(document.pages, 1);
+
+  const stored = Buffer.concat(await blobStorage.stream(document.storagePath).then(async (source) => {
+    const pieces = [];
+    for await (const piece of source) pieces.push(piece);
+    return pieces;
+  }));
+  assert.ok(stored.equals(PDF));
+
+  const session = await uploadSessionRepository.getSessionById(uploadId);
+  assert.equal(session.status, UPLOAD_SESSION_STATUS.COMPLETED);
+  assert.equal(session.documentId, document.id);
+  assert.equal(await chunksStored(uploadId), 0);
+
+  // A retry whose first answer was lost gets the same document
+  const again = await resumableUploadService.finalizeUpload(requestId, uploadId);
+  assert.equal(again.id, document.id);
+});
+
+test('two finalize calls at once make one document', async () => {
+  const requestId = await openRequest();
+  const uploadId = await uploadedSession(requestId);
+
+  const results = await Promise.allSettled([
+    resumableUploadService.finalizeUpload(requestId, uploadId),
+    resumableUploadService.finalizeUpload(requestId, uploadId)
+  ]);
+
+  const documents = results.filter(result => result.status === 'fulfilled').map(result => result.value.id);
+  const refused = results.filter(result => result.status === 'rejected').map(result => result.reason.code);
+  assert.equal(new Set(documents).size, 1);
+  assert.ok(refused.every(code => code === 'UPLOAD_FINALIZING'));
+  assert.equal((await documentRepository.getDocumentsByType(requestId, 'PROOF_OF_ADDRESS')).length, 1);
+});
+
+test('a fresh claim is respected; a stale one is taken over', async () => {
+  const requestId = await openRequest();
+  const uploadId = await uploadedSession(requestId);
+
+  // Another call is finishing it right now
+  await uploadSessionRepository.updateSession(uploadId, { status: UPLOAD_SESSION_STATUS.FINALIZING, claimedAt: new Date() });
+  await assert.rejects(
+    resumableUploadService.finalizeUpload(requestId, uploadId),
+    (error) => error.code === 'UPLOAD_FINALIZING'
+  );
+
+  // The server stopped half an hour ago while finishing it
+  await uploadSessionRepository.updateSession(uploadId, { claimedAt: new Date(Date.now() - 30 * 60 * 1000) });
+  const document = await resumableUploadService.finalizeUpload(requestId, uploadId);
+
+  assert.equal(document.type, 'PROOF_OF_ADDRESS');
+  assert.equal((await uploadSessionRepository.getSessionById(uploadId)).status, UPLOAD_SESSION_STATUS.COMPLETED);
+});
+
+test('a claim is only released by the call that holds it', async () => {
+  const requestId = await openRequest();
+  const uploadId = await uploadedSession(requestId);
+
+  const stale = new Date(Date.now() - 30 * 60 * 1000);
+  await uploadSessionRepository.updateSession(uploadId, { status: UPLOAD_SESSION_STATUS.FINALIZING, claimedAt: stale });
+  const { session, claimed } = await uploadSessionRepository.claimSession(uploadId, new Date(Date.now() - 60 * 1000));
+  assert.equal(claimed, true);
+
+  // The call whose claim went stale gives up late: the new claim stays
+  await uploadSessionRepository.releaseClaim(uploadId, stale);
+  assert.equal((await uploadSessionRepository.getSessionById(uploadId)).status, UPLOAD_SESSION_STATUS.FINALIZING);
+
+  await uploadSessionRepository.releaseClaim(uploadId, session.claimedAt);
+  const released = await uploadSessionRepository.getSessionById(uploadId);
+  assert.equal(released.status, UPLOAD_SESSION_STATUS.ACTIVE);
+  assert.equal(released.claimedAt, null);
+});
+
+test('a finished file that breaks the upload rules fails the upload and removes its chunks', async () => {
+  const requestId = await openRequest();
+  const uploadId = await uploadedSession(requestId, Buffer.from('just some text, not a PDF or a photo'));
+
+  await assert.rejects(
+    resumableUploadService.finalizeUpload(requestId, uploadId),
+    (error) => error.code === 'UNSUPPORTED_FILE_TYPE'
+  );
+
+  assert.equal((await uploadSessionRepository.getSessionById(uploadId)).status, UPLOAD_SESSION_STATUS.FAILED);
+  assert.equal(await chunksStored(uploadId), 0);
+  await assert.rejects(resumableUploadService.finalizeUpload(requestId, uploadId), /This upload is failed/);
+});
+
+test('an aborted upload takes no more chunks', async () => {
+  const requestId = await openRequest();
+  const upload = await resumableUploadService.createUpload(requestId, { type: 'PROOF_OF_ADDRESS', fileName: 'bill.pdf', size: PDF.length });
+  await resumableUploadService.appendChunk(requestId, upload.id, 0, PDF.subarray(0, 20));
+
+  await resumableUploadService.abortUpload(requestId, upload.id);
+
+  assert.equal(await chunksStored(upload.id), 0);
+  await assert.rejects(
+    resumableUploadService.appendChunk(requestId, upload.id, 20, PDF.subarray(20)),
+    /This upload is aborted/
+  );
+});
+
+test('expired uploads are removed with the chunks of unfinished ones', async () => {
+  const requestId = await openRequest();
+  const upload = await resumableUploadService.createUpload(requestId, { type: 'PROOF_OF_ADDRESS', fileName: 'bill.pdf', size: PDF.length });
+  await resumableUploadService.appendChunk(requestId, upload.id, 0, PDF.subarray(0, 20));
+  await uploadSessionRepository.updateSession(upload.id, { expiresAt: new Date(Date.now() - 1000) });
+
+  await assert.rejects(
+    resumableUploadService.appendChunk(requestId, upload.id, 20, PDF.subarray(20)),
+    /This upload has expired/
+  );
+
+  const summary = await resumableUploadService.removeExpiredUploads();
+  assert.ok(summary.removed >= 1 && summary.unfinished >= 1);
+  assert.equal(await uploadSessionRepository.getSessionById(upload.id), null);
+  assert.equal(await chunksStored(upload.id), 0);
+});
@@ -0,0 +1,86 @@
+/**
+ * Upload Validation Service tests: PDF page counting, including compressed object streams
+ * and the limits on how much of them is inflated
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { countPdfPages, createPdfPageCounter, validateUpload } = require('../src/services/uploadValidationService');
+
+/**
+ * A PDF whose page tree sits in one or more object streams
+ */
+function objectStreamPdf(streams, filter = '/Filter /FlateDecode') {
+  const parts = ['%PDF-1.5\n'];
+  streams.forEach((content, index) => {
+    parts.push(Buffer.from(`${index + 1} 0 obj\n<< /Type /ObjStm /N 1 /First 4 ${filter} /Length ${content.length} >>\nstream\n`, 'latin1'));
+    parts.push(content);
+    parts.push('\nendstream\nendobj\n');
+  });
+  parts.push('%%EOF\n');
+  return Buffer.concat(parts.map(part => Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1')));
+}
+
+const PAGE_TREE = '<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 3 >> << /Type /Page >> << /Type /Page >> << /Type /Page >>';
+
+test('pages are counted from a plain page tree', () => {
+  const pdf = Buffer.from(`%PDF-1.4\n1 0 obj ${PAGE_TREE} endobj\n%%EOF\n`, 'latin1');
+  assert.equal(countPdfPages(pdf), 3);
+});
+
+test('pages are counted from a compressed object stream, whatever the piece sizes', () => {
+  const pdf = objectStreamPdf([zlib.deflateSync(PAGE_TREE)]);
+  assert.equal(countPdfPages(pdf), 3);
+
+  for (const size of [1, 7, 64]) {
+    const counter = createPdfPageCounter();
+    for (let i = 0; i < pdf.length; i += size) {
+      counter.push(pdf.subarray(i, i + size));
+    }
+    assert.equal(counter.result(), 3, `pieces of ${size} bytes`);
+  }
+});
+
+test('a stream with a filter that is not decoded leaves the pages uncounted', () => {
+  const pdf = objectStreamPdf([Buffer.from('~>', 'latin1')], '/Filter /ASCII85Decode');
+  assert.equal(countPdfPages(pdf), null);
+});
+
+test('an object stream that inflates past 1 MB is not inflated further and leaves the pages unchecked', () => {
+  // About 10 KB that inflates to 10 MB
+  const bomb = zlib.deflateSync(Buffer.concat([Buffer.from(PAGE_TREE), Buffer.alloc(10 * 1024 * 1024)]));
+  const pdf = objectStreamPdf([bomb]);
+
+  assert.ok(pdf.length < 64 * 1024);
+  assert.equal(countPdfPages(pdf), null);
+});
+
+test('many object streams are inflated up to 8 MB per file in total', () => {
+  // Each inflates to just under the 1 MB per-stream limit
+  const stream = zlib.deflateSync(Buffer.concat([Buffer.from(PAGE_TREE), Buffer.alloc(1000 * 1024)]));
+
+  assert.equal(countPdfPages(objectStreamPdf(Array(4).fill(stream))), 3);
+  assert.equal(countPdfPages(objectStreamPdf(Array(12).fill(stream))), null);
+});
+
+test('an upload whose pages cannot be counted is accepted with pagesUnchecked', () => {
+  const bomb = zlib.deflateSync(Buffer.alloc(20 * 1024 * 1024));
+  const buffer = objectStreamPdf([bomb]);
+
+  const result = validateUpload({ buffer, originalname: 'statement.pdf', size: buffer.length }, { formats: ['pdf'] });
+  assert.equal(result.pages, null);
+  assert.equal(result.pagesUnchecked, true);
+});
+
+test('the page limit applies to pages found in object streams', () => {
+  const buffer = objectStreamPdf([zlib.deflateSync(PAGE_TREE)]);
+
+  assert.throws(
+    () => validateUpload({ buffer, originalname: 'id.pdf', size: buffer.length }, { formats: ['pdf'], maxPages: 2 }),
+    (error) => error.code === 'TOO_MANY_PAGES'
+  );
+  const result = validateUpload({ buffer, originalname: 'id.pdf', size: buffer.length }, { formats: ['pdf'], maxPages: 3 });
+  assert.equal(result.pages, 3);
+  assert.equal(result.pagesUnchecked, false);
+});
@@ -0,0 +1,82 @@
+/**
+ * Workflow Definitions tests: validation of the built-in and edited definitions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BUILT_IN_WORKFLOWS, STATUS_PHASE, validateWorkflowDefinition } = require('../src/models/workflowDefinitions');
+
+/**
+ * A small valid workflow to break in each test
+ */
+function workflow(changes = {}) {
+  return {
+    id: 'test',
+    name: 'Test',
+    initialStatus: 'OPEN',
+    statuses: [
+      { id: 'OPEN', label: 'Open', phase: STATUS_PHASE.COLLECTING, terminal: false },
+      { id: 'SUBMITTED', label: 'Submitted', phase: STATUS_PHASE.REVIEW, terminal: false },
+      { id: 'COMPLETED', label: 'Completed', phase: STATUS_PHASE.COMPLETED, terminal: true }
+    ],
+    transitions: [
+      { action: 'SUBMIT', from: ['OPEN'], to: 'SUBMITTED', roles: ['customer'] },
+      { action: 'APPROVE', from: ['SUBMITTED'], to: 'COMPLETED', roles: ['agent'] }
+    ],
+    ...changes
+  };
+}
+
+test('every built-in workflow is valid', () => {
+  BUILT_IN_WORKFLOWS.forEach(definition => {
+    assert.doesNotThrow(() => validateWorkflowDefinition(definition), definition.id);
+  });
+});
+
+test('a complete definition is valid', () => {
+  assert.doesNotThrow(() => validateWorkflowDefinition(workflow()));
+});
+
+test('id, name and statuses are required', () => {
+  assert.throws(
+    () => validateWorkflowDefinition({ initialStatus: 'OPEN' }),
+    /id is required; name is required; at least one status is required; initialStatus "OPEN" is not a status/
+  );
+});
+
+test('status ids must be unique and phases known', () => {
+  const definition = workflow();
+  definition.statuses.push({ id: 'OPEN', label: 'Again', phase: 'waiting', terminal: false });
+
+  assert.throws(() => validateWorkflowDefinition(definition), (error) => {
+    assert.match(error.message, /status ids must be unique/);
+    assert.match(error.message, /status OPEN has unknown phase "waiting"/);
+    return true;
+  });
+});
+
+test('transitions must join known statuses and list their roles', () => {
+  const definition = workflow({
+    transitions: [
+      { action: 'SUBMIT', from: ['DRAFT'], to: 'SUBMITTED', roles: ['customer'] },
+      { action: 'APPROVE', from: ['SUBMITTED'], to: 'DONE', roles: [] }
+    ]
+  });
+
+  assert.throws(() => validateWorkflowDefinition(definition), (error) => {
+    assert.match(error.message, /transition 1 \(SUBMIT\) starts from unknown status "DRAFT"/);
+    assert.match(error.message, /transition 2 \(APPROVE\) goes to unknown status "DONE"/);
+    assert.match(error.message, /transition 2 \(APPROVE\) must list the roles that may trigger it/);
+    return true;
+  });
+});
+
+test('no transition may leave a terminal status', () => {
+  const definition = workflow();
+  definition.transitions.push({ action: 'REOPEN', from: ['COMPLETED'], to: 'OPEN', roles: ['agent'] });
+
+  assert.throws(
+    () => validateWorkflowDefinition(definition),
+    /transition 3 \(REOPEN\) starts from terminal status "COMPLETED"/
+  );
+});
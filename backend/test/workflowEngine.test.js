@@ -0,0 +1,169 @@
+/**
+ * Workflow Engine tests: allowed and refused transitions, roles, hooks and concurrent actions
+ */
+
+process.env.PERSISTENCE_DRIVER = 'memory';
+process.env.PERSISTENCE_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const workflowEngine = require('../src/services/workflowEngine');
+const requestRepository = require('../src/repositories/requestRepository');
+const auditLogRepository = require('../src/repositories/auditLogRepository');
+const userRepository = require('../src/repositories/userRepository');
+const { DEFAULT_WORKFLOW_ID } = require('../src/models/workflowDefinitions');
+
+function createRequest(changes = {}) {
+  return workflowEngine.createRequest({ customerName: 'Jane Doe', agentId: 'agent-1', ...changes }, { actorId: 'agent-1' });
+}
+
+test('a new request starts in the initial status of its workflow and is audited', async () => {
+  const request = await createRequest();
+
+  assert.equal(request.status, 'OPEN');
+  assert.equal(request.workflowId, DEFAULT_WORKFLOW_ID);
+  assert.match(request.requestNumber, /^REQ-\d{4}$/);
+
+  const logs = await auditLogRepository.getAuditLogsByRequestId(request.id);
+  assert.deepEqual(logs.map(log => log.action), ['REQUEST_CREATED']);
+});
+
+test('allowed transitions move the request and record the old and new status', async () => {
+  const { id } = await createRequest();
+
+  const submitted = await workflowEngine.performAction(id, 'SUBMIT', { actorId: 'customer' });
+  assert.equal(submitted.status, 'SUBMITTED');
+
+  const approved = await workflowEngine.performAction(id, 'APPROVE', {
+    actorRole: 'agent',
+    actorId: 'agent-1',
+    updates: { reviewComment: 'All good' }
+  });
+  assert.equal(approved.status, 'COMPLETED');
+  assert.equal(approved.reviewComment, 'All good');
+
+  const logs = await auditLogRepository.getAuditLogsByRequestId(id);
+  const approval = logs.find(log => log.action === 'REVIEW_APPROVED');
+  assert.equal(approval.metadata.oldStatus, 'SUBMITTED');
+  assert.equal(approval.metadata.newStatus, 'COMPLETED');
+});
+
+test('the actor role is looked up from the users collection when not given', async () => {
+  await userRepository.createUser({ id: 'manager-1', name: 'Max', email: 'max@example.com', role: 'manager' });
+  const { id } = await createRequest();
+  await workflowEngine.performAction(id, 'SUBMIT', { actorId: 'customer' });
+
+  const rejected = await workflowEngine.performAction(id, 'REJECT', { actorId: 'manager-1' });
+  assert.equal(rejected.status, 'IN_PROGRESS');
+});
+
+test('an action that is not allowed from the current status is refused and writes nothing', async () => {
+  const { id } = await createRequest();
+
+  await assert.rejects(
+    workflowEngine.performAction(id, 'APPROVE', { actorRole: 'agent', updates: { reviewComment: 'x' } }),
+    /Cannot approve a request with status OPEN/
+  );
+
+  const request = await requestRepository.getRequestById(id);
+  assert.equal(request.status, 'OPEN');
+  assert.equal(request.reviewComment, undefined);
+});
+
+test('a role the transition does not list is refused', async () => {
+  const { id } = await createRequest();
+
+  await assert.rejects(
+    workflowEngine.performAction(id, 'SUBMIT', { actorRole: 'agent' }),
+    /Role agent may not submit a request with status OPEN/
+  );
+  await assert.rejects(
+    workflowEngine.performAction(id, 'EXPIRE', { actorId: 'nobody' }),
+    /Role unknown may not expire/
+  );
+});
+
+test('unknown actions, statuses and target statuses are refused', async () => {
+  const { id } = await createRequest();
+
+  await assert.rejects(workflowEngine.performAction(id, 'ARCHIVE', { actorRole: 'agent' }), /Unknown workflow action: ARCHIVE/);
+  await assert.rejects(workflowEngine.performAction(id, 'CREATE', { actorRole: 'agent' }), /Unknown workflow action: CREATE/);
+  await assert.rejects(
+    workflowEngine.performAction(id, 'CHANGE_STATUS', { actorRole: 'agent', toStatus: 'PAUSED' }),
+    /Unknown status: PAUSED/
+  );
+  await assert.rejects(
+    workflowEngine.performAction(id, 'CHANGE_STATUS', { actorRole: 'agent', toStatus: 'COMPLETED' }),
+    /Cannot change the status of a request to status COMPLETED/
+  );
+  await assert.rejects(workflowEngine.performAction('missing', 'SUBMIT', { actorId: 'customer' }), /Request not found/);
+});
+
+test('actions that do not change status keep it', async () => {
+  const { id } = await createRequest();
+
+  const reassigned = await workflowEngine.performAction(id, 'REASSIGN', { actorRole: 'manager', updates: { agentId: 'agent-2' } });
+  assert.equal(reassigned.status, 'OPEN');
+  assert.equal(reassigned.agentId, 'agent-2');
+});
+
+test('before hooks may change the updates or veto the action; after hooks see the saved request', async () => {
+  const { id } = await createRequest();
+  const seen = [];
+
+  workflowEngine.registerHook('before', (context) => {
+    if (context.requestId !== id) return;
+    if (context.action === 'REASSIGN' && context.updates.agentId === 'blocked') {
+      throw new Error('Agent is on leave');
+    }
+    context.updates.touchedByHook = true;
+  });
+  workflowEngine.registerHook('after', (context) => {
+    if (context.requestId !== id) return;
+    seen.push([context.action, context.fromStatus, context.toStatus, context.updatedRequest.status]);
+  });
+
+  const submitted = await workflowEngine.performAction(id, 'SUBMIT', { actorId: 'customer' });
+  assert.equal(submitted.touchedByHook, true);
+
+  await assert.rejects(
+    workflowEngine.performAction(id, 'REASSIGN', { actorRole: 'manager', updates: { agentId: 'blocked' } }),
+    /Agent is on leave/
+  );
+  assert.equal((await requestRepository.getRequestById(id)).agentId, 'agent-1');
+
+  assert.deepEqual(seen, [['SUBMIT', 'OPEN', 'SUBMITTED', 'SUBMITTED']]);
+  assert.throws(() => workflowEngine.registerHook('during', () => {}), /Unknown hook stage: during/);
+});
+
+test('of two concurrent actions from the same status only one applies', async () => {
+  const { id } = await createRequest();
+  await workflowEngine.performAction(id, 'SUBMIT', { actorId: 'customer' });
+
+  const results = await Promise.allSettled([
+    workflowEngine.performAction(id, 'EXPIRE', { actorId: 'system', updates: { expiredAt: new Date() } }),
+    workflowEngine.performAction(id, 'APPROVE', { actorRole: 'agent' })
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  const [refused] = results.filter(result => result.status === 'rejected');
+  const request = await requestRepository.getRequestById(id);
+  assert.ok(['EXPIRED', 'COMPLETED'].includes(request.status));
+  assert.match(refused.reason.message, new RegExp(`status ${request.status}`));
+
+  const logs = await auditLogRepository.getAuditLogsByRequestId(id);
+  assert.equal(logs.filter(log => ['REQUEST_EXPIRED', 'REVIEW_APPROVED'].includes(log.action)).length, 1);
+});
+
+test('a double submit applies once', async () => {
+  const { id } = await createRequest();
+
+  const results = await Promise.allSettled([
+    workflowEngine.performAction(id, 'SUBMIT', { actorId: 'customer' }),
+    workflowEngine.performAction(id, 'SUBMIT', { actorId: 'customer' })
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  const logs = await auditLogRepository.getAuditLogsByRequestId(id);
+  assert.equal(logs.filter(log => log.action === 'CUSTOMER_SUBMITTED').length, 1);
+});
@@ -11,6 +11,7 @@ import { auth } from './firebaseClient';
 
 import LoginPage from './pages/LoginPage';
 import CustomerPortal from './pages/CustomerPortal';
+import FindRequest from './pages/FindRequest';
 import TeleSalesDashboard from './pages/TeleSalesDashboard';
 import ManagerDashboard from './pages/ManagerDashboard';
 
@@ -40,6 +41,7 @@ function App() {
       <Routes>
         {/* Public routes */}
         <Route path="/customer/:token" element={<CustomerPortal />} />
+        <Route path="/find-request" element={<FindRequest />} />
         
         {/* Login route */}
         <Route 
@@ -0,0 +1,49 @@
+/**
+ * Authenticated File Component
+ *
+ * Shows a file served by an employee endpoint (which needs the Authorization header, so
+ * it cannot be the src of an <img> or <iframe> directly): the file is fetched into a blob
+ * URL, shown, and the blob URL freed again when the file changes or goes away.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { fetchFileUrl } from '../utils/api';
+
+/**
+ * @param {string} url - API path of the file, e.g. /api/telesales/requests/:id/files/:docId/preview
+ * @param {string} as - 'img' (default) or 'iframe'
+ * Other props (alt, title, style) go to the element
+ */
+function AuthenticatedFile({ url, as = 'img', ...props }) {
+  const [blobUrl, setBlobUrl] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let loadedUrl = null;
+    setBlobUrl(null);
+    fetchFileUrl(url)
+      .then(fileUrl => {
+        if (cancelled) {
+          URL.revokeObjectURL(fileUrl);
+          return;
+        }
+        loadedUrl = fileUrl;
+        setBlobUrl(fileUrl);
+      })
+      .catch(err => console.error('Error loading file:', err));
+    return () => {
+      cancelled = true;
+      if (loadedUrl) URL.revokeObjectURL(loadedUrl);
+    };
+  }, [url]);
+
+  if (!blobUrl) {
+    return null;
+  }
+  if (as === 'iframe') {
+    return <iframe src={blobUrl} {...props} />;
+  }
+  return <img src={blobUrl} {...props} />;
+}
+
+export default AuthenticatedFile;
@@ -0,0 +1,241 @@
+/**
+ * Camera Capture Component
+ *
+ * Full-screen camera for photographing a document in the customer portal. A frame
+ * shaped like the document (a card or a page) guides the customer; the photo is
+ * cropped to the frame with a small margin, scaled and compressed in the browser
+ * (utils/imageProcessing.js), and shown for a retake before it is used.
+ * Without camera access (no permission, desktop without a camera) the customer can
+ * choose a photo or take one with the phone's own camera app instead.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { captureFrame, TARGET_BYTES } from '../utils/imageProcessing';
+
+// Width / height of the document frame
+const GUIDE_ASPECT = {
+  card: 85.6 / 54, // ID cards and licences (ISO/IEC 7810 ID-1)
+  page: 210 / 297 // A4 letters and statements
+};
+// Share of the camera frame the guide fills, and the margin kept around it in the photo
+const GUIDE_FILL = 0.88;
+const CROP_MARGIN = 0.04;
+
+/**
+ * Guide rectangle for a camera frame, as fractions of the frame
+ */
+function guideRect(frameWidth, frameHeight, guide) {
+  const aspect = GUIDE_ASPECT[guide] || GUIDE_ASPECT.page;
+  let width = GUIDE_FILL;
+  let height = (GUIDE_FILL * frameWidth) / aspect / frameHeight;
+  if (height > GUIDE_FILL) {
+    height = GUIDE_FILL;
+    width = (GUIDE_FILL * frameHeight * aspect) / frameWidth;
+  }
+  return { x: (1 - width) / 2, y: (1 - height) / 2, width, height };
+}
+
+/**
+ * Crop rectangle: the guide with a margin, kept inside the frame
+ */
+function cropRect(rect) {
+  const x = Math.max(0, rect.x - CROP_MARGIN);
+  const y = Math.max(0, rect.y - CROP_MARGIN);
+  return {
+    x,
+    y,
+    width: Math.min(1 - x, rect.width + 2 * CROP_MARGIN),
+    height: Math.min(1 - y, rect.height + 2 * CROP_MARGIN)
+  };
+}
+
+/**
+ * @param {string} title - what to photograph, e.g. "Driving Licence"
+ * @param {string} guide - 'card' or 'page'
+ * @param {number} targetBytes - size to compress the photo to
+ * @param {Function} onCapture - called with (file, processing); processing is null for a chosen file
+ * @param {Function} onCancel
+ */
+function CameraCapture({ title, guide = 'page', targetBytes = TARGET_BYTES, onCapture, onCancel }) {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const [state, setState] = useState('starting'); // starting | live | preview | unavailable
+  const [frame, setFrame] = useState(null);
+  const [captured, setCaptured] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [error, setError] = useState(null);
+
+  const stopCamera = () => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+  };
+
+  const startCamera = async () => {
+    setState('starting');
+    setError(null);
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setState('unavailable');
+      return;
+    }
+    try {
+      // Back camera at a high resolution where the phone has one
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: { ideal: 'environment' }, width: { ideal: 3840 }, height: { ideal: 2160 } },
+        audio: false
+      });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setState('live');
+    } catch (err) {
+      setError(err.name === 'NotAllowedError' ? 'Camera access was not allowed.' : 'The camera could not be started.');
+      setState('unavailable');
+    }
+  };
+
+  useEffect(() => {
+    startCamera();
+    return stopCamera;
+  }, []);
+
+  useEffect(() => () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+  }, [previewUrl]);
+
+  const handleTakePhoto = async () => {
+    const video = videoRef.current;
+    if (!video || !video.videoWidth) return;
+    try {
+      const rect = guideRect(video.videoWidth, video.videoHeight, guide);
+      const result = await captureFrame(video, cropRect(rect), { targetBytes, name: title.replace(/\s+/g, '_') });
+      setCaptured(result);
+      setPreviewUrl(URL.createObjectURL(result.file));
+      setState('preview');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRetake = () => {
+    setCaptured(null);
+    setPreviewUrl(null);
+    setState('live');
+  };
+
+  const handleUse = () => {
+    stopCamera();
+    onCapture(captured.file, captured.processing);
+  };
+
+  const handleCancel = () => {
+    stopCamera();
+    onCancel();
+  };
+
+  const buttonStyle = (backgroundColor, color = '#fff') => ({
+    padding: '12px 20px',
+    backgroundColor,
+    color,
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '16px',
+    margin: '0 6px'
+  });
+
+  const guideBox = frame && guideRect(frame.width, frame.height, guide);
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      backgroundColor: '#000',
+      zIndex: 1000,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      color: '#fff',
+      padding: '12px'
+    }}>
+      <p style={{ margin: '0 0 10px', fontSize: '16px', textAlign: 'center' }}>
+        {state === 'preview' ? 'Is everything sharp and readable?' : `${title}: fit the document inside the frame`}
+      </p>
+
+      <div style={{ position: 'relative', display: state === 'live' || state === 'starting' ? 'inline-block' : 'none', maxWidth: '100%', overflow: 'hidden' }}>
+        <video
+          ref={videoRef}
+          playsInline
+          muted
+          onLoadedMetadata={(e) => setFrame({ width: e.target.videoWidth, height: e.target.videoHeight })}
+          style={{ display: 'block', maxWidth: '100%', maxHeight: '70vh' }}
+        />
+        {guideBox && (
+          <div style={{
+            position: 'absolute',
+            left: `${guideBox.x * 100}%`,
+            top: `${guideBox.y * 100}%`,
+            width: `${guideBox.width * 100}%`,
+            height: `${guideBox.height * 100}%`,
+            border: '3px dashed #fff',
+            borderRadius: guide === 'card' ? '12px' : '4px',
+            // Darken everything outside the frame
+            boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.45)',
+            pointerEvents: 'none'
+          }} />
+        )}
+      </div>
+
+      {state === 'preview' && previewUrl && (
+        <img src={previewUrl} alt={title} style={{ maxWidth: '100%', maxHeight: '70vh', borderRadius: '4px' }} />
+      )}
+
+      {state === 'unavailable' && (
+        <div style={{ maxWidth: '360px', textAlign: 'center' }}>
+          <p style={{ margin: '0 0 12px' }}>{error || 'This browser cannot use the camera here.'}</p>
+          <p style={{ margin: '0 0 16px', fontSize: '14px', color: '#ced4da' }}>
+            You can take the photo with your camera app, or choose one you already have.
+          </p>
+          <input
+            type="file"
+            id="camera-capture-fallback"
+            accept="image/*"
+            capture="environment"
+            onChange={(e) => {
+              const file = e.target.files[0];
+              if (file) {
+                stopCamera();
+                onCapture(file, null);
+              }
+            }}
+            style={{ display: 'none' }}
+          />
+          <label htmlFor="camera-capture-fallback" style={{ ...buttonStyle('#007bff'), display: 'inline-block' }}>
+            Take or Choose Photo
+          </label>
+        </div>
+      )}
+
+      {error && state !== 'unavailable' && (
+        <p style={{ margin: '10px 0 0', color: '#f8d7da' }}>{error}</p>
+      )}
+
+      <div style={{ marginTop: '16px' }}>
+        {state === 'live' && (
+          <button onClick={handleTakePhoto} style={buttonStyle('#007bff')}>Take Photo</button>
+        )}
+        {state === 'preview' && (
+          <>
+            <button onClick={handleRetake} style={buttonStyle('#6c757d')}>Retake</button>
+            <button onClick={handleUse} style={buttonStyle('#28a745')}>Use Photo</button>
+          </>
+        )}
+        <button onClick={handleCancel} style={buttonStyle('transparent', '#ced4da')}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+export default CameraCapture;
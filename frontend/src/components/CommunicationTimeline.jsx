@@ -0,0 +1,310 @@
+/**
+ * Communication Timeline Component
+ *
+ * The communication log of a request as a timeline, newest first:
+ * - Messages the system sent (invitation, reminders, review results, codes, new links)
+ *   with their delivery status
+ * - Calls with their outcome, replies from the customer and other contacts logged by agents
+ * - "Log contact" form to add a call, message or other contact
+ */
+
+import React, { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../utils/api';
+
+const CHANNELS = {
+  sms: { icon: '💬', label: 'SMS' },
+  email: { icon: '✉️', label: 'Email' },
+  phone: { icon: '📞', label: 'Phone' },
+  whatsapp: { icon: '🟢', label: 'WhatsApp' },
+  in_person: { icon: '🤝', label: 'In person' },
+  other: { icon: '•', label: 'Other' }
+};
+
+const TYPES = {
+  MESSAGE: 'Message',
+  CALL: 'Call',
+  CONTACT: 'Contact'
+};
+
+const BADGES = {
+  SENT: { label: 'Sent', color: '#155724', backgroundColor: '#d4edda' },
+  FAILED: { label: 'Failed', color: '#721c24', backgroundColor: '#f8d7da' },
+  RECEIVED: { label: 'Received', color: '#004085', backgroundColor: '#cce5ff' },
+  ANSWERED: { label: 'Answered', color: '#155724', backgroundColor: '#d4edda' },
+  NO_ANSWER: { label: 'No answer', color: '#856404', backgroundColor: '#fff3cd' },
+  VOICEMAIL: { label: 'Voicemail', color: '#856404', backgroundColor: '#fff3cd' },
+  CALLBACK_REQUESTED: { label: 'Callback requested', color: '#004085', backgroundColor: '#cce5ff' },
+  WRONG_NUMBER: { label: 'Wrong number', color: '#721c24', backgroundColor: '#f8d7da' }
+};
+
+const TEMPLATE_LABELS = {
+  INVITATION: 'Invitation',
+  REMINDER: 'Reminder',
+  REJECTION: 'Documents rejected',
+  APPROVAL: 'Documents approved'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '6px 10px',
+  border: '1px solid #ced4da',
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = { display: 'block', fontSize: '12px', color: '#6c757d', marginBottom: '4px' };
+
+/**
+ * Value for a datetime-local input (local time, no seconds)
+ */
+function toLocalInputValue(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+function emptyForm() {
+  return {
+    type: 'CALL',
+    direction: 'OUTBOUND',
+    channel: 'phone',
+    outcome: 'ANSWERED',
+    text: '',
+    occurredAt: toLocalInputValue(new Date())
+  };
+}
+
+/**
+ * @param {string} requestId - Request whose log is shown
+ * @param {*} refreshKey - Changes whenever the request is reloaded (actions may have sent messages)
+ */
+function CommunicationTimeline({ requestId, refreshKey }) {
+  const [communications, setCommunications] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadCommunications();
+  }, [requestId, refreshKey]);
+
+  const loadCommunications = async () => {
+    try {
+      const data = await authenticatedFetch(`/api/telesales/requests/${requestId}/communications`);
+      setCommunications(data.communications || []);
+      setLoadError(null);
+    } catch (err) {
+      console.error('Error loading communications:', err);
+      setLoadError(err.message);
+    }
+  };
+
+  // Calls are always by phone; a message is more likely WhatsApp than a phone
+  const setType = (type) => {
+    let channel = form.channel;
+    if (type === 'CALL') channel = 'phone';
+    else if (type === 'MESSAGE' && channel === 'phone') channel = 'whatsapp';
+    setForm({ ...form, type, channel });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await authenticatedFetch(`/api/telesales/requests/${requestId}/communications`, {
+        method: 'POST',
+        body: JSON.stringify({
+          type: form.type,
+          direction: form.direction,
+          channel: form.channel,
+          outcome: form.type === 'CALL' ? form.outcome : null,
+          text: form.text,
+          occurredAt: new Date(form.occurredAt).toISOString()
+        })
+      });
+      setForm(null);
+      await loadCommunications();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const incomplete = form && (form.type !== 'CALL' && !form.text.trim());
+
+  return (
+    <div style={{ marginBottom: '20px', paddingBottom: '20px', borderBottom: '1px solid #dee2e6' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '10px' }}>
+        <p style={{ margin: 0, fontSize: '12px', color: '#6c757d', fontWeight: '600', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Communication Log</p>
+        {!form && (
+          <button
+            onClick={() => { setError(null); setForm(emptyForm()); }}
+            style={{ padding: '4px 10px', backgroundColor: '#fff', color: '#007bff', border: '1px solid #007bff', borderRadius: '4px', cursor: 'pointer', fontSize: '13px' }}
+          >
+            + Log contact
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <div style={{ border: '1px solid #dee2e6', borderRadius: '4px', padding: '12px', marginBottom: '14px', backgroundColor: '#f8f9fa' }}>
+          <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: '10px' }}>
+            <div style={{ flex: '1 1 120px' }}>
+              <label style={labelStyle}>Type</label>
+              <select value={form.type} onChange={e => setType(e.target.value)} style={inputStyle}>
+                {Object.entries(TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            <div style={{ flex: '1 1 120px' }}>
+              <label style={labelStyle}>Direction</label>
+              <select value={form.direction} onChange={e => setForm({ ...form, direction: e.target.value })} style={inputStyle}>
+                <option value="OUTBOUND">To the customer</option>
+                <option value="INBOUND">From the customer</option>
+              </select>
+            </div>
+            <div style={{ flex: '1 1 120px' }}>
+              <label style={labelStyle}>Channel</label>
+              <select
+                value={form.channel}
+                disabled={form.type === 'CALL'}
+                onChange={e => setForm({ ...form, channel: e.target.value })}
+                style={inputStyle}
+              >
+                {Object.entries(CHANNELS).map(([value, channel]) => <option key={value} value={value}>{channel.label}</option>)}
+              </select>
+            </div>
+            {form.type === 'CALL' && (
+              <div style={{ flex: '1 1 150px' }}>
+                <label style={labelStyle}>Outcome</label>
+                <select value={form.outcome} onChange={e => setForm({ ...form, outcome: e.target.value })} style={inputStyle}>
+                  {['ANSWERED', 'NO_ANSWER', 'VOICEMAIL', 'CALLBACK_REQUESTED', 'WRONG_NUMBER'].map(outcome => (
+                    <option key={outcome} value={outcome}>{BADGES[outcome].label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div style={{ flex: '1 1 180px' }}>
+              <label style={labelStyle}>When</label>
+              <input
+                type="datetime-local"
+                value={form.occurredAt}
+                max={toLocalInputValue(new Date())}
+                onChange={e => setForm({ ...form, occurredAt: e.target.value })}
+                style={inputStyle}
+              />
+            </div>
+          </div>
+          <div style={{ marginBottom: '10px' }}>
+            <label style={labelStyle}>{form.type === 'CALL' ? 'Notes (optional)' : 'What was said'}</label>
+            <textarea
+              value={form.text}
+              onChange={e => setForm({ ...form, text: e.target.value })}
+              rows="3"
+              style={{ ...inputStyle, fontFamily: 'inherit' }}
+            />
+          </div>
+          {error && (
+            <p style={{ color: '#dc3545', fontSize: '13px', margin: '0 0 10px 0' }}>{error}</p>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={saving || incomplete}
+            style={{
+              padding: '6px 16px',
+              backgroundColor: '#007bff',
+              color: '#fff',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: saving ? 'not-allowed' : 'pointer',
+              opacity: (saving || incomplete) ? 0.6 : 1,
+              marginRight: '8px'
+            }}
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button
+            onClick={() => setForm(null)}
+            style={{ padding: '6px 16px', backgroundColor: '#6c757d', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {loadError && (
+        <p style={{ color: '#dc3545', fontSize: '13px' }}>Could not load the communication log: {loadError}</p>
+      )}
+      {!loadError && communications.length === 0 && (
+        <p style={{ color: '#6c757d', fontSize: '14px', fontStyle: 'italic', margin: 0 }}>Nothing has been sent to or heard from the customer yet.</p>
+      )}
+
+      <div style={{ position: 'relative', maxHeight: '420px', overflowY: 'auto' }}>
+        {communications.map((entry, index) => {
+          const channel = CHANNELS[entry.channel] || CHANNELS.other;
+          const badge = BADGES[entry.type === 'CALL' ? entry.outcome : entry.status];
+          const inbound = entry.direction === 'INBOUND';
+          const title = entry.templateId
+            ? TEMPLATE_LABELS[entry.templateId] || entry.templateId
+            : `${TYPES[entry.type] || 'Message'} ${inbound ? 'from' : 'to'} the customer`;
+          return (
+            <div key={entry.id || index} style={{ display: 'flex', gap: '10px' }}>
+              {/* Timeline rail */}
+              <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', width: '28px', flexShrink: 0 }}>
+                <div
+                  title={channel.label}
+                  style={{
+                    width: '28px',
+                    height: '28px',
+                    borderRadius: '50%',
+                    backgroundColor: inbound ? '#cce5ff' : '#e9ecef',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    fontSize: '14px'
+                  }}
+                >
+                  {channel.icon}
+                </div>
+                {index < communications.length - 1 && (
+                  <div style={{ flex: 1, width: '2px', backgroundColor: '#dee2e6', minHeight: '12px' }} />
+                )}
+              </div>
+
+              <div style={{ flex: 1, paddingBottom: '14px', minWidth: 0 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap', fontSize: '13px' }}>
+                  <strong>{inbound ? '←' : '→'} {title}</strong>
+                  <span style={{ color: '#6c757d' }}>· {channel.label}</span>
+                  {badge && (
+                    <span style={{ padding: '1px 6px', borderRadius: '3px', fontSize: '11px', fontWeight: '600', color: badge.color, backgroundColor: badge.backgroundColor }}>
+                      {badge.label}
+                    </span>
+                  )}
+                </div>
+                <div style={{ fontSize: '12px', color: '#6c757d', marginTop: '2px' }}>
+                  {new Date(entry.occurredAt).toLocaleString()}
+                  {entry.authorName && <> · {entry.authorName}</>}
+                  {entry.to && <> · {entry.to}</>}
+                </div>
+                {entry.subject && (
+                  <div style={{ fontSize: '13px', fontWeight: '600', marginTop: '4px' }}>{entry.subject}</div>
+                )}
+                {entry.text && (
+                  <div style={{ fontSize: '13px', color: '#495057', marginTop: '4px', whiteSpace: 'pre-wrap', overflowWrap: 'anywhere' }}>
+                    {entry.text}
+                  </div>
+                )}
+                {entry.error && (
+                  <div style={{ fontSize: '12px', color: '#dc3545', marginTop: '4px' }}>{entry.error}</div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default CommunicationTimeline;
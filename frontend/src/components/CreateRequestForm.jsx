@@ -2,11 +2,13 @@
  * Create Request Form Component
  *
  * Form for Tele-Sales agents to create new customer requests
- * Returns a secure customer link that can be sent via WhatsApp/email
+ * The customer is sent an invitation with their link automatically; the link is also
+ * shown so it can be shared another way (e.g. WhatsApp) if the invitation did not arrive
  */
 
 import React, { useState } from 'react';
 import { authenticatedFetch } from '../utils/api';
+import { getApplicableProfiles } from '../utils/requirementProfiles';
 
 const inputStyle = {
   width: '100%',
@@ -41,28 +43,44 @@ function Field({ label, required, children }) {
   );
 }
 
+const DEFAULT_WORKFLOW_ID = 'vehicle-finance';
+
+const EMPTY_FORM = {
+  customerName: '',
+  customerPhone: '',
+  customerEmail: '',
+  customerType: 'individual',
+  workflowId: DEFAULT_WORKFLOW_ID,
+  requirementProfileId: '',
+  dealerId: '',
+  vehicleId: '',
+  notes: ''
+};
+
 /**
  * @param {Function} onSuccess - Callback when request is created successfully
  * @param {Function} onCancel - Callback to cancel form
+ * @param {Array} workflows - Workflow definitions, one per product line
+ * @param {Array} requirementProfiles - Document requirement profiles
  */
-function CreateRequestForm({ onSuccess, onCancel }) {
-  const [formData, setFormData] = useState({
-    customerName: '',
-    customerPhone: '',
-    customerEmail: '',
-    dealerId: '',
-    vehicleId: '',
-    notes: ''
-  });
+function CreateRequestForm({ onSuccess, onCancel, workflows = [], requirementProfiles = [] }) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [createdLink, setCreatedLink] = useState(null);
+  const [invitations, setInvitations] = useState([]);
   const [copied, setCopied] = useState(false);
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  // Profiles that fit the product line, dealer and customer type; the most specific is suggested
+  const applicableProfiles = getApplicableProfiles(requirementProfiles, formData);
+  const selectedProfile = applicableProfiles.find(p => p.id === formData.requirementProfileId) ||
+                          applicableProfiles[0] ||
+                          null;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -70,9 +88,10 @@ function CreateRequestForm({ onSuccess, onCancel }) {
     try {
       const result = await authenticatedFetch('/api/telesales/requests', {
         method: 'POST',
-        body: JSON.stringify(formData)
+        body: JSON.stringify({ ...formData, requirementProfileId: selectedProfile?.id || undefined })
       });
       setCreatedLink(result.customerLink);
+      setInvitations(result.invitations || []);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -88,8 +107,9 @@ function CreateRequestForm({ onSuccess, onCancel }) {
 
   const handleCreateAnother = () => {
     setCreatedLink(null);
+    setInvitations([]);
     setCopied(false);
-    setFormData({ customerName: '', customerPhone: '', customerEmail: '', dealerId: '', vehicleId: '', notes: '' });
+    setFormData(EMPTY_FORM);
     setError(null);
   };
 
@@ -106,11 +126,23 @@ function CreateRequestForm({ onSuccess, onCancel }) {
         <div style={{ backgroundColor: '#28a745', padding: '20px 24px' }}>
           <h3 style={{ margin: 0, color: '#fff', fontSize: '18px' }}>Request Created Successfully</h3>
           <p style={{ margin: '4px 0 0', color: 'rgba(255,255,255,0.85)', fontSize: '14px' }}>
-            Share the link below with the customer to begin document upload.
+            {invitations.some(invitation => invitation.status === 'SENT')
+              ? 'The customer has been sent an invitation with the link below.'
+              : 'Share the link below with the customer to begin document upload.'}
           </p>
         </div>
 
         <div style={{ padding: '24px' }}>
+          {invitations.length > 0 && (
+            <ul style={{ margin: '0 0 16px', paddingLeft: '18px', fontSize: '14px' }}>
+              {invitations.map(invitation => (
+                <li key={invitation.channel} style={{ color: invitation.status === 'SENT' ? '#155724' : '#721c24', marginBottom: '4px' }}>
+                  {invitation.channel === 'sms' ? 'Text message' : 'Email'} to {invitation.to}
+                  {invitation.status === 'SENT' ? ' sent' : ' could not be sent'}
+                </li>
+              ))}
+            </ul>
+          )}
           <p style={{ margin: '0 0 8px', fontSize: '13px', fontWeight: '600', color: '#6c757d', textTransform: 'uppercase', letterSpacing: '0.4px' }}>Customer Link</p>
           <div style={{
             backgroundColor: '#f8f9fa',
@@ -244,6 +276,35 @@ function CreateRequestForm({ onSuccess, onCancel }) {
           />
         </Field>
 
+        <Field label="Customer Type" required>
+          <select
+            name="customerType"
+            value={formData.customerType}
+            onChange={handleChange}
+            required
+            style={inputStyle}
+          >
+            <option value="individual">Individual</option>
+            <option value="business">Business</option>
+          </select>
+        </Field>
+
+        {workflows.length > 0 && (
+          <Field label="Product Line" required>
+            <select
+              name="workflowId"
+              value={formData.workflowId}
+              onChange={handleChange}
+              required
+              style={inputStyle}
+            >
+              {workflows.map(workflow => (
+                <option key={workflow.id} value={workflow.id}>{workflow.name}</option>
+              ))}
+            </select>
+          </Field>
+        )}
+
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
           <Field label="Customer ID">
             <input
@@ -267,6 +328,29 @@ function CreateRequestForm({ onSuccess, onCancel }) {
           </Field>
         </div>
 
+        {selectedProfile && (
+          <Field label="Document Requirements" required>
+            <select
+              name="requirementProfileId"
+              value={selectedProfile.id}
+              onChange={handleChange}
+              required
+              style={inputStyle}
+            >
+              {applicableProfiles.map(profile => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.name}{profile.description ? ` — ${profile.description}` : ''}
+                </option>
+              ))}
+            </select>
+            <p style={{ margin: '6px 0 0', fontSize: '13px', color: '#6c757d' }}>
+              {selectedProfile.documents.map(doc => (
+                doc.requirement === 'required' ? doc.label : `${doc.label} (${doc.requirement})`
+              )).join(' · ')}
+            </p>
+          </Field>
+        )}
+
         <Field label="Notes">
           <textarea
             name="notes"
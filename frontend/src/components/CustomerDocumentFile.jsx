@@ -0,0 +1,257 @@
+/**
+ * Customer Document File Component
+ *
+ * One uploaded file of a document type in the customer portal: its review and
+ * virus-scan state, photo quality warnings, a preview, and buttons to replace or
+ * remove it. A document type can hold several files (front and back, monthly statements).
+ */
+
+import React from 'react';
+
+/**
+ * @param {Object} doc - current version of the file
+ * @param {string} token - customer token (files are streamed through the customer API)
+ * @param {string} session - portal session token, when the portal was opened with a one-time code
+ * @param {string} label - e.g. "Driving Licence" or "File 2"
+ * @param {boolean} showPreview - whether the file itself may be shown
+ * @param {boolean} recentlyUploaded - uploaded in this visit (review messages no longer apply)
+ * @param {boolean} readOnly - no replacing or removing
+ * @param {boolean} busy - an upload for this document type is running
+ * @param {Array} warnings - photo quality warnings [{ code, message }]
+ * @param {Function} onReplace - called with the new file
+ * @param {Function} onTakePhoto - opens the camera to replace the file (omit to hide the button)
+ * @param {Function} onRemove - called when the customer removes the file (omit to hide the button)
+ */
+function CustomerDocumentFile({ doc, token, session, label, showPreview, recentlyUploaded, readOnly, busy, warnings, onReplace, onTakePhoto, onRemove }) {
+  const isRejected = doc.reviewStatus === 'REJECTED';
+  const isAccepted = doc.reviewStatus === 'ACCEPTED';
+  // Every upload is virus-scanned before it can be viewed; blocked files must be replaced
+  const isScanning = doc.scanStatus === 'QUARANTINED';
+  const isInfected = doc.scanStatus === 'INFECTED';
+  const canChange = !readOnly && !isAccepted;
+
+  // variant: 'thumbnail' or 'preview' for the images built from the file, omitted for the file itself
+  const getDocumentUrl = (variant) => {
+    // Use backend proxy — streams via Admin SDK, always has access
+    // Images and links cannot send headers, so the portal session goes in the query
+    return `/api/customer/requests/${token}/files/${doc.id}${variant ? `/${variant}` : ''}${session ? `?session=${encodeURIComponent(session)}` : ''}`;
+  };
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return 'N/A';
+    try {
+      const date = timestamp?.toDate ? timestamp.toDate() : new Date(timestamp);
+      if (isNaN(date.getTime())) return 'N/A';
+      return date.toLocaleString();
+    } catch (e) {
+      return 'N/A';
+    }
+  };
+
+  const buttonStyle = (backgroundColor, color = '#fff') => ({
+    padding: '6px 12px',
+    backgroundColor,
+    color,
+    border: 'none',
+    borderRadius: '4px',
+    cursor: busy ? 'not-allowed' : 'pointer',
+    opacity: busy ? 0.6 : 1,
+    fontSize: '13px',
+    marginLeft: '8px'
+  });
+
+  return (
+    <div style={{
+      marginTop: '10px',
+      padding: '10px',
+      backgroundColor: '#f8f9fa',
+      borderRadius: '4px',
+      border: (isRejected || isInfected) && !recentlyUploaded ? '1px solid #dc3545' : '1px solid #e9ecef',
+      fontSize: '14px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '6px' }}>
+        <div>
+          <strong style={{ fontSize: '13px' }}>{label}</strong>
+          {isAccepted && <span style={{ marginLeft: '8px', color: '#28a745', fontSize: '13px' }}>✓ Accepted</span>}
+          {isRejected && <span style={{ marginLeft: '8px', color: '#dc3545', fontWeight: 'bold', fontSize: '13px' }}>⚠ Action required</span>}
+          {isInfected && <span style={{ marginLeft: '8px', color: '#dc3545', fontWeight: 'bold', fontSize: '13px' }}>⚠ File blocked</span>}
+          {isScanning && <span style={{ marginLeft: '8px', color: '#6c757d', fontSize: '13px' }}>Checking file...</span>}
+          <p style={{ margin: '2px 0 0', color: '#6c757d', fontSize: '12px' }}>
+            Uploaded: {formatDate(doc.uploadedAt)}
+          </p>
+        </div>
+        {canChange && (
+          <div>
+            <input
+              type="file"
+              id={`replace-${doc.id}`}
+              onChange={(e) => {
+                const file = e.target.files[0];
+                if (file) {
+                  onReplace(file);
+                  // Reset the input so the same file can be selected again
+                  e.target.value = '';
+                }
+              }}
+              disabled={busy}
+              style={{ display: 'none' }}
+            />
+            <label
+              htmlFor={`replace-${doc.id}`}
+              style={buttonStyle((isRejected || isInfected) ? '#dc3545' : '#ffc107', (isRejected || isInfected) ? '#fff' : '#000')}
+            >
+              {isInfected ? 'Upload Another File' : isRejected ? 'Re-upload Required' : 'Replace'}
+            </label>
+            {onTakePhoto && (
+              <button onClick={onTakePhoto} disabled={busy} style={buttonStyle('#e7f1ff', '#007bff')}>
+                📷 Retake
+              </button>
+            )}
+            {onRemove && (
+              <button onClick={onRemove} disabled={busy} style={buttonStyle('#6c757d')}>
+                Remove
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {canChange && warnings.length > 0 && (
+        <div style={{ margin: '8px 0 0', padding: '8px 10px', backgroundColor: '#fff3cd', color: '#856404', borderRadius: '4px', fontSize: '13px' }}>
+          <strong>Please check your photo:</strong>
+          <ul style={{ margin: '4px 0 0', paddingLeft: '18px' }}>
+            {warnings.map(warning => (
+              <li key={warning.code}>{warning.message}</li>
+            ))}
+          </ul>
+          <p style={{ margin: '4px 0 0' }}>You can replace it with a new photo now, or keep this one if it is clear enough.</p>
+        </div>
+      )}
+
+      {showPreview && isScanning && (
+        <p style={{ margin: '10px 0 0', color: '#6c757d', fontSize: '13px' }}>
+          We are checking this file for viruses. The preview appears when the check is done.
+        </p>
+      )}
+      {showPreview && doc.scanStatus === 'CLEAN' && (
+        <div style={{ marginTop: '10px' }}>
+          <div style={{
+            border: '1px solid #dee2e6',
+            borderRadius: '4px',
+            padding: '10px',
+            backgroundColor: '#fff',
+            marginBottom: '10px',
+            textAlign: 'center',
+            minHeight: '200px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+          }}>
+            <div style={{ width: '100%' }}>
+              {doc.derivatives?.preview ? (
+                // Preview image built after the virus scan; the full file opens in a new tab
+                <img
+                  src={getDocumentUrl('preview')}
+                  alt={label}
+                  style={{
+                    maxWidth: '100%',
+                    maxHeight: '400px',
+                    borderRadius: '4px',
+                    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                    display: 'block',
+                    margin: '0 auto'
+                  }}
+                />
+              ) : (
+                <>
+                  {/* Try to show as image first */}
+                  <img
+                    src={getDocumentUrl()}
+                    alt={label}
+                    style={{
+                      maxWidth: '100%',
+                      maxHeight: '400px',
+                      borderRadius: '4px',
+                      boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                      display: 'block',
+                      margin: '0 auto'
+                    }}
+                    onError={(e) => {
+                      // If image fails, try PDF viewer
+                      e.target.style.display = 'none';
+                      const parent = e.target.parentElement;
+                      const docUrl = getDocumentUrl();
+
+                      // Check if it's a PDF or other file type
+                      const iframe = document.createElement('iframe');
+                      iframe.src = docUrl;
+                      iframe.style.cssText = 'width: 100%; height: 500px; border: none; border-radius: 4px;';
+                      iframe.title = label;
+                      parent.appendChild(iframe);
+
+                      // Also add a fallback link
+                      const fallback = document.createElement('div');
+                      fallback.style.cssText = 'margin-top: 10px;';
+                      const link = document.createElement('a');
+                      link.href = docUrl;
+                      link.target = '_blank';
+                      link.rel = 'noopener noreferrer';
+                      link.style.cssText = 'display: inline-block; padding: 8px 16px; background-color: #6c757d; color: #fff; text-decoration: none; border-radius: 4px; font-size: 14px;';
+                      link.textContent = '📄 Download File';
+                      fallback.appendChild(link);
+                      parent.appendChild(fallback);
+                    }}
+                  />
+                </>
+              )}
+            </div>
+          </div>
+          <a
+            href={getDocumentUrl()}
+            target="_blank"
+            rel="noopener noreferrer"
+            style={{
+              display: 'inline-block',
+              padding: '6px 12px',
+              backgroundColor: '#007bff',
+              color: '#fff',
+              textDecoration: 'none',
+              borderRadius: '4px',
+              fontSize: '14px'
+            }}
+          >
+            Open in New Tab
+          </a>
+        </div>
+      )}
+
+      {isAccepted && !recentlyUploaded && (
+        <p style={{ margin: '8px 0 0', color: '#155724', fontSize: '13px' }}>
+          ✓ This file was accepted. No action needed.
+        </p>
+      )}
+      {isInfected && (
+        <p style={{ margin: '8px 0 0', color: '#721c24', fontSize: '13px' }}>
+          ✗ Our virus check blocked this file. Please upload a different file, for example a new photo of the document.
+        </p>
+      )}
+      {isRejected && !recentlyUploaded && (
+        <div style={{ margin: '8px 0 0', color: '#721c24', fontSize: '13px' }}>
+          <p style={{ margin: '0' }}>
+            ✗ This file needs to be re-uploaded. Please use the button above.
+          </p>
+          {(doc.rejectionReasons || []).map(reason => (
+            <p key={reason.code} style={{ margin: '6px 0 0 0' }}>
+              <strong>{reason.label}:</strong> {reason.guidance}
+            </p>
+          ))}
+          {doc.reviewComment && (
+            <p style={{ margin: '4px 0 0 0' }}>{doc.reviewComment}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CustomerDocumentFile;
@@ -0,0 +1,140 @@
+/**
+ * Document Fields Editor Component
+ *
+ * Shows the key fields read from a document by OCR (name, date of birth, numbers, dates)
+ * with their confidence, and lets the agent confirm or correct them.
+ * Without an OCR result the fields can be typed in by hand.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../utils/api';
+
+const STATUS_LABELS = {
+  EXTRACTED: 'Not checked',
+  MISSING: 'Not found',
+  CONFIRMED: 'Confirmed',
+  CORRECTED: 'Corrected'
+};
+
+/**
+ * Badge colours for an OCR confidence (0..1)
+ */
+function confidenceColors(confidence) {
+  if (confidence >= 0.85) return { backgroundColor: '#d4edda', color: '#155724' };
+  if (confidence >= 0.6) return { backgroundColor: '#fff3cd', color: '#856404' };
+  return { backgroundColor: '#f8d7da', color: '#721c24' };
+}
+
+function initialValues(fields, extraction) {
+  const values = {};
+  fields.forEach(field => {
+    values[field.key] = extraction?.fields?.[field.key]?.value || '';
+  });
+  return values;
+}
+
+/**
+ * @param {string} requestId
+ * @param {Object} document - current document version (with extraction)
+ * @param {Array} fields - [{ key, label, format }] for the document's type
+ * @param {Function} onSaved - called after the fields are saved
+ */
+function DocumentFieldsEditor({ requestId, document, fields, onSaved }) {
+  const extraction = document.extraction;
+  const [values, setValues] = useState(initialValues(fields, extraction));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setValues(initialValues(fields, extraction));
+  }, [document.id, extraction]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await authenticatedFetch(`/api/telesales/requests/${requestId}/documents/${document.id}/fields`, {
+        method: 'PUT',
+        body: JSON.stringify({ fields: values })
+      });
+      if (onSaved) await onSaved();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: '10px', padding: '10px', backgroundColor: '#fff', border: '1px solid #dee2e6', borderRadius: '4px' }}>
+      <p style={{ margin: '0 0 6px 0', fontSize: '12px', fontWeight: '600', color: '#495057' }}>
+        Document fields
+        {extraction?.status === 'COMPLETED' && (
+          <span style={{ fontWeight: 'normal', color: '#6c757d' }}> · read by OCR</span>
+        )}
+        {extraction?.status === 'FAILED' && (
+          <span style={{ fontWeight: 'normal', color: '#721c24' }}> · OCR could not read this file</span>
+        )}
+      </p>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+        <tbody>
+          {fields.map(field => {
+            const extracted = extraction?.fields?.[field.key];
+            const corrected = extracted?.ocrValue && values[field.key] !== extracted.ocrValue;
+            return (
+              <tr key={field.key}>
+                <td style={{ padding: '3px 6px 3px 0', color: '#6c757d', whiteSpace: 'nowrap' }}>{field.label}</td>
+                <td style={{ padding: '3px 0' }}>
+                  <input
+                    type={field.format === 'date' ? 'date' : 'text'}
+                    value={values[field.key]}
+                    onChange={e => setValues({ ...values, [field.key]: e.target.value })}
+                    style={{ width: '100%', padding: '3px 6px', border: '1px solid #ced4da', borderRadius: '3px', fontSize: '12px', boxSizing: 'border-box' }}
+                  />
+                  {corrected && (
+                    <div style={{ color: '#6c757d', fontSize: '11px' }}>OCR read: {extracted.ocrValue}</div>
+                  )}
+                </td>
+                <td style={{ padding: '3px 0 3px 6px', whiteSpace: 'nowrap' }}>
+                  {typeof extracted?.confidence === 'number' && (
+                    <span
+                      title="OCR confidence"
+                      style={{ ...confidenceColors(extracted.confidence), padding: '1px 6px', borderRadius: '8px', fontSize: '11px' }}
+                    >
+                      {Math.round(extracted.confidence * 100)}%
+                    </span>
+                  )}
+                  {extracted?.status && (
+                    <span style={{ marginLeft: '4px', fontSize: '11px', color: ['CONFIRMED', 'CORRECTED'].includes(extracted.status) ? '#155724' : '#6c757d' }}>
+                      {STATUS_LABELS[extracted.status] || extracted.status}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {error && <p style={{ color: '#dc3545', fontSize: '12px', margin: '6px 0 0 0' }}>{error}</p>}
+      <button
+        onClick={handleSave}
+        disabled={saving}
+        style={{
+          marginTop: '8px',
+          padding: '4px 12px',
+          backgroundColor: '#28a745',
+          color: '#fff',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: saving ? 'not-allowed' : 'pointer',
+          opacity: saving ? 0.6 : 1,
+          fontSize: '12px'
+        }}
+      >
+        {saving ? 'Saving...' : 'Confirm Fields'}
+      </button>
+    </div>
+  );
+}
+
+export default DocumentFieldsEditor;
@@ -0,0 +1,240 @@
+/**
+ * Message Template Editor Component (managers)
+ *
+ * - Lists the messages sent to customers automatically (invitation, reminder, ...)
+ * - Edit the email subject, email text and SMS text of a template
+ * - Placeholders ({{customerName}}, {{link}}, ...) are inserted by clicking them
+ * - Reset an edited template to the built-in text
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { authenticatedFetch } from '../utils/api';
+
+const inputStyle = {
+  width: '100%',
+  padding: '6px 10px',
+  border: '1px solid #ced4da',
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = { display: 'block', fontSize: '12px', color: '#6c757d', marginBottom: '4px' };
+
+// SMS longer than this are sent as several messages
+const SMS_SEGMENT_LENGTH = 160;
+
+function MessageTemplateEditor() {
+  const [templates, setTemplates] = useState([]);
+  const [placeholders, setPlaceholders] = useState({});
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  // Field the next placeholder is inserted into, with the cursor position in it
+  const focused = useRef({ field: 'email', position: null });
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const loadTemplates = async () => {
+    try {
+      const data = await authenticatedFetch('/api/manager/message-templates');
+      setTemplates(data.templates || []);
+      setPlaceholders(data.placeholders || {});
+    } catch (err) {
+      console.error('Error loading message templates:', err);
+    }
+  };
+
+  const startEdit = (template) => {
+    setError(null);
+    focused.current = { field: 'email', position: null };
+    setForm({ id: template.id, label: template.label, subject: template.subject, email: template.email, sms: template.sms });
+  };
+
+  const trackCursor = (field) => (e) => {
+    focused.current = { field, position: e.target.selectionStart };
+  };
+
+  const insertPlaceholder = (name) => {
+    const { field, position } = focused.current;
+    const text = form[field] || '';
+    const at = position === null ? text.length : position;
+    const token = `{{${name}}}`;
+    focused.current = { field, position: at + token.length };
+    setForm({ ...form, [field]: text.slice(0, at) + token + text.slice(at) });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await authenticatedFetch(`/api/manager/message-templates/${encodeURIComponent(form.id)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ subject: form.subject, email: form.email, sms: form.sms })
+      });
+      setForm(null);
+      await loadTemplates();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async (template) => {
+    if (!window.confirm(`Go back to the default text of "${template.label}"? Your changes will be lost.`)) {
+      return;
+    }
+    try {
+      await authenticatedFetch(`/api/manager/message-templates/${encodeURIComponent(template.id)}`, {
+        method: 'DELETE'
+      });
+      if (form && form.id === template.id) {
+        setForm(null);
+      }
+      await loadTemplates();
+    } catch (err) {
+      alert('Failed to reset template: ' + err.message);
+    }
+  };
+
+  const incomplete = form && (!form.subject.trim() || !form.email.trim() || !form.sms.trim());
+
+  return (
+    <div style={{ marginTop: '24px', backgroundColor: '#fff', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.08)', padding: '20px' }}>
+      <h3 style={{ margin: '0 0 4px 0' }}>Customer Message Templates</h3>
+      <p style={{ fontSize: '13px', color: '#6c757d', margin: '0 0 12px 0' }}>
+        Sent to customers by SMS and email when a request is created, reminded, rejected or approved.
+      </p>
+
+      {form && (
+        <div style={{ border: '1px solid #dee2e6', borderRadius: '4px', padding: '14px', marginBottom: '16px', backgroundColor: '#f8f9fa' }}>
+          <h4 style={{ margin: '0 0 10px 0' }}>{form.label}</h4>
+
+          <div style={{ marginBottom: '10px' }}>
+            <label style={labelStyle}>Placeholders (click to insert at the cursor)</label>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+              {Object.entries(placeholders).map(([name, description]) => (
+                <button
+                  key={name}
+                  type="button"
+                  title={description}
+                  onClick={() => insertPlaceholder(name)}
+                  style={{ padding: '2px 8px', backgroundColor: '#e7f1ff', color: '#0056b3', border: '1px solid #b8d4fe', borderRadius: '12px', cursor: 'pointer', fontSize: '12px', fontFamily: 'monospace' }}
+                >
+                  {`{{${name}}}`}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div style={{ marginBottom: '10px' }}>
+            <label style={labelStyle}>Email subject</label>
+            <input
+              type="text"
+              value={form.subject}
+              onChange={e => setForm({ ...form, subject: e.target.value })}
+              onSelect={trackCursor('subject')}
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ marginBottom: '10px' }}>
+            <label style={labelStyle}>Email text</label>
+            <textarea
+              value={form.email}
+              onChange={e => setForm({ ...form, email: e.target.value })}
+              onSelect={trackCursor('email')}
+              rows="8"
+              style={{ ...inputStyle, fontFamily: 'inherit' }}
+            />
+          </div>
+          <div style={{ marginBottom: '10px' }}>
+            <label style={labelStyle}>SMS text</label>
+            <textarea
+              value={form.sms}
+              onChange={e => setForm({ ...form, sms: e.target.value })}
+              onSelect={trackCursor('sms')}
+              rows="3"
+              style={{ ...inputStyle, fontFamily: 'inherit' }}
+            />
+            <div style={{ fontSize: '12px', color: form.sms.length > SMS_SEGMENT_LENGTH ? '#856404' : '#6c757d', marginTop: '2px' }}>
+              {form.sms.length} characters before placeholders are filled in
+              {form.sms.length > SMS_SEGMENT_LENGTH && ' (may be sent as more than one text message)'}
+            </div>
+          </div>
+
+          {error && (
+            <p style={{ color: '#dc3545', fontSize: '13px', margin: '0 0 10px 0' }}>{error}</p>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={saving || incomplete}
+            style={{
+              padding: '6px 16px',
+              backgroundColor: '#007bff',
+              color: '#fff',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: saving ? 'not-allowed' : 'pointer',
+              opacity: (saving || incomplete) ? 0.6 : 1,
+              marginRight: '8px'
+            }}
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button
+            onClick={() => setForm(null)}
+            style={{ padding: '6px 16px', backgroundColor: '#6c757d', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+        <thead>
+          <tr style={{ textAlign: 'left', borderBottom: '2px solid #dee2e6' }}>
+            <th style={{ padding: '8px' }}>Template</th>
+            <th style={{ padding: '8px' }}>Email Subject</th>
+            <th style={{ padding: '8px' }}>SMS</th>
+            <th style={{ padding: '8px' }}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {templates.map(template => (
+            <tr key={template.id} style={{ borderBottom: '1px solid #dee2e6' }}>
+              <td style={{ padding: '8px', verticalAlign: 'top' }}>
+                <div style={{ fontWeight: '600' }}>{template.label}</div>
+                <div style={{ fontFamily: 'monospace', fontSize: '12px', color: '#6c757d' }}>
+                  {template.id}{template.custom ? ' (edited)' : ''}
+                </div>
+              </td>
+              <td style={{ padding: '8px', verticalAlign: 'top', color: '#495057' }}>{template.subject}</td>
+              <td style={{ padding: '8px', verticalAlign: 'top', color: '#495057', fontSize: '13px' }}>{template.sms}</td>
+              <td style={{ padding: '8px', verticalAlign: 'top', whiteSpace: 'nowrap' }}>
+                <button
+                  onClick={() => startEdit(template)}
+                  style={{ padding: '4px 10px', backgroundColor: '#fff', border: '1px solid #adb5bd', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+                >
+                  Edit
+                </button>
+                {template.custom && (
+                  <button
+                    onClick={() => handleReset(template)}
+                    style={{ padding: '4px 10px', marginLeft: '6px', backgroundColor: '#fff', color: '#dc3545', border: '1px solid #dc3545', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+                  >
+                    Reset to default
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default MessageTemplateEditor;
@@ -0,0 +1,151 @@
+/**
+ * Portal Verification Component
+ *
+ * Asks the customer for a one-time code before the portal opens (when the server
+ * requires it): pick where to send the code (phone or email on the request, shown
+ * masked), enter it, and hand the portal session to the page.
+ */
+
+import React, { useState } from 'react';
+import { publicFetch } from '../utils/api';
+
+const CHANNEL_LABELS = {
+  sms: 'Text me a code',
+  email: 'Email me a code'
+};
+
+/**
+ * @param {string} token - customer token from the link
+ * @param {Array} channels - where a code can be sent: [{ channel: 'sms' | 'email', destination (masked) }]
+ * @param {Function} onVerified - called with { sessionToken, expiresAt } once the code is right
+ * @param {Function} onLinkError - called with errors about the link itself (expired, revoked)
+ */
+function PortalVerification({ token, channels, onVerified, onLinkError }) {
+  const [sent, setSent] = useState(null); // { channel, destination, expiresAt }
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const sendCode = async (channel) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await publicFetch(`/api/customer/requests/${token}/verification`, {
+        method: 'POST',
+        body: JSON.stringify({ channel })
+      });
+      setSent(result);
+      setCode('');
+    } catch (err) {
+      if (!onLinkError(err)) setMessage(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const confirmCode = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setMessage(null);
+    try {
+      const session = await publicFetch(`/api/customer/requests/${token}/verification/confirm`, {
+        method: 'POST',
+        body: JSON.stringify({ code })
+      });
+      onVerified(session);
+    } catch (err) {
+      if (onLinkError(err)) return;
+      if (err.code === 'CODE_INVALID' && err.body?.attemptsLeft) {
+        setMessage(`${err.message} ${err.body.attemptsLeft} ${err.body.attemptsLeft === 1 ? 'try' : 'tries'} left.`);
+      } else {
+        setMessage(err.message);
+        // The code can no longer be used: start again with a new one
+        if (err.code === 'CODE_EXPIRED' || err.code === 'TOO_MANY_ATTEMPTS') setSent(null);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const buttonStyle = {
+    display: 'block',
+    width: '100%',
+    padding: '12px 16px',
+    marginBottom: '10px',
+    backgroundColor: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: busy ? 'not-allowed' : 'pointer',
+    opacity: busy ? 0.6 : 1,
+    fontSize: '15px'
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', backgroundColor: '#f8f9fa', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '20px 16px' }}>
+      <div style={{ padding: '32px', backgroundColor: '#fff', borderRadius: '10px', boxShadow: '0 2px 8px rgba(0,0,0,0.1)', maxWidth: '420px', width: '100%' }}>
+        <div style={{ fontSize: '40px', marginBottom: '12px', textAlign: 'center' }}>🔒</div>
+        <h2 style={{ margin: '0 0 8px', color: '#343a40', textAlign: 'center' }}>Confirm it is you</h2>
+
+        {!sent ? (
+          <>
+            <p style={{ margin: '0 0 20px', color: '#6c757d', textAlign: 'center' }}>
+              To protect your documents, we send a short code to the phone or email we have for you.
+            </p>
+            {channels.length === 0 && (
+              <p style={{ color: '#721c24' }}>We have no phone number or email for you. Please contact your sales agent.</p>
+            )}
+            {channels.map(({ channel, destination }) => (
+              <button key={channel} onClick={() => sendCode(channel)} disabled={busy} style={buttonStyle}>
+                {CHANNEL_LABELS[channel] || channel} ({destination})
+              </button>
+            ))}
+          </>
+        ) : (
+          <form onSubmit={confirmCode}>
+            <p style={{ margin: '0 0 16px', color: '#6c757d', textAlign: 'center' }}>
+              Enter the code we sent to {sent.destination}.
+            </p>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+              placeholder="Code"
+              autoFocus
+              style={{
+                width: '100%',
+                boxSizing: 'border-box',
+                padding: '12px',
+                marginBottom: '12px',
+                fontSize: '22px',
+                letterSpacing: '6px',
+                textAlign: 'center',
+                border: '1px solid #ced4da',
+                borderRadius: '6px'
+              }}
+            />
+            <button type="submit" disabled={busy || !code} style={buttonStyle}>
+              {busy ? 'Checking…' : 'Continue'}
+            </button>
+            <button
+              type="button"
+              onClick={() => sendCode(sent.channel)}
+              disabled={busy}
+              style={{ ...buttonStyle, backgroundColor: '#fff', color: '#007bff', border: '1px solid #007bff' }}
+            >
+              Send a new code
+            </button>
+          </form>
+        )}
+
+        {message && (
+          <p style={{ margin: '8px 0 0', color: '#721c24', fontSize: '14px', textAlign: 'center' }}>{message}</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PortalVerification;
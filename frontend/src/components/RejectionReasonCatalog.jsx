@@ -0,0 +1,292 @@
+/**
+ * Rejection Reason Catalog Component (managers)
+ *
+ * - Lists the rejection reasons agents pick from when rejecting a document
+ * - Add or edit a reason: label for agents, guidance for customers, document types, retire
+ * - Report of the most common rejection reasons in a date range
+ */
+
+import React, { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../utils/api';
+
+const EMPTY_REASON = {
+  code: '',
+  label: '',
+  guidance: '',
+  documentTypes: '',
+  requiresComment: false,
+  active: true
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '6px 10px',
+  border: '1px solid #ced4da',
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = { display: 'block', fontSize: '12px', color: '#6c757d', marginBottom: '4px' };
+
+function RejectionReasonCatalog() {
+  const [reasons, setReasons] = useState([]);
+  const [report, setReport] = useState(null);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [form, setForm] = useState(null);
+  const [isNew, setIsNew] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadReasons();
+    loadReport('', '');
+  }, []);
+
+  const loadReasons = async () => {
+    try {
+      const data = await authenticatedFetch('/api/manager/rejection-reasons');
+      setReasons(data.reasons || []);
+    } catch (err) {
+      console.error('Error loading rejection reasons:', err);
+    }
+  };
+
+  const loadReport = async (start, end) => {
+    const params = new URLSearchParams();
+    if (start) params.append('startDate', start);
+    if (end) params.append('endDate', `${end}T23:59:59`);
+    try {
+      const data = await authenticatedFetch(`/api/manager/reports/rejection-reasons?${params}`);
+      setReport(data);
+    } catch (err) {
+      console.error('Error loading rejection reason report:', err);
+    }
+  };
+
+  const startEdit = (reason) => {
+    setError(null);
+    setIsNew(!reason);
+    setForm(reason
+      ? { ...EMPTY_REASON, ...reason, documentTypes: (reason.documentTypes || []).join(', ') }
+      : EMPTY_REASON);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await authenticatedFetch(`/api/manager/rejection-reasons/${encodeURIComponent(form.code.trim().toUpperCase())}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          label: form.label,
+          guidance: form.guidance,
+          documentTypes: form.documentTypes.split(',').map(type => type.trim().toUpperCase()).filter(Boolean),
+          requiresComment: form.requiresComment,
+          active: form.active
+        })
+      });
+      setForm(null);
+      await loadReasons();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const maxCount = report?.reasons?.length ? report.reasons[0].count : 0;
+
+  return (
+    <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-start', marginTop: '24px', flexWrap: 'wrap' }}>
+
+      {/* Catalog */}
+      <div style={{ flex: '2 1 500px', backgroundColor: '#fff', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.08)', padding: '20px' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+          <h3 style={{ margin: 0 }}>Rejection Reasons</h3>
+          <button
+            onClick={() => startEdit(null)}
+            style={{ padding: '6px 14px', backgroundColor: '#28a745', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '13px' }}
+          >
+            + New Reason
+          </button>
+        </div>
+
+        {form && (
+          <div style={{ border: '1px solid #dee2e6', borderRadius: '4px', padding: '14px', marginBottom: '16px', backgroundColor: '#f8f9fa' }}>
+            <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '10px' }}>
+              <div style={{ flex: '1 1 160px' }}>
+                <label style={labelStyle}>Code</label>
+                <input
+                  type="text"
+                  value={form.code}
+                  disabled={!isNew}
+                  onChange={e => setForm({ ...form, code: e.target.value })}
+                  placeholder="e.g. GLARE"
+                  style={inputStyle}
+                />
+              </div>
+              <div style={{ flex: '2 1 240px' }}>
+                <label style={labelStyle}>Label (shown to agents)</label>
+                <input
+                  type="text"
+                  value={form.label}
+                  onChange={e => setForm({ ...form, label: e.target.value })}
+                  style={inputStyle}
+                />
+              </div>
+            </div>
+            <div style={{ marginBottom: '10px' }}>
+              <label style={labelStyle}>Guidance (shown to the customer)</label>
+              <textarea
+                value={form.guidance}
+                onChange={e => setForm({ ...form, guidance: e.target.value })}
+                rows="3"
+                style={{ ...inputStyle, fontFamily: 'inherit' }}
+              />
+            </div>
+            <div style={{ marginBottom: '10px' }}>
+              <label style={labelStyle}>Document types (comma separated, empty = all)</label>
+              <input
+                type="text"
+                value={form.documentTypes}
+                onChange={e => setForm({ ...form, documentTypes: e.target.value })}
+                placeholder="ID, LICENCE"
+                style={inputStyle}
+              />
+            </div>
+            <div style={{ display: 'flex', gap: '20px', marginBottom: '10px', fontSize: '14px' }}>
+              <label style={{ cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={form.requiresComment}
+                  onChange={e => setForm({ ...form, requiresComment: e.target.checked })}
+                  style={{ marginRight: '6px' }}
+                />
+                Agent must add a comment
+              </label>
+              <label style={{ cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={form.active}
+                  onChange={e => setForm({ ...form, active: e.target.checked })}
+                  style={{ marginRight: '6px' }}
+                />
+                Active
+              </label>
+            </div>
+            {error && (
+              <p style={{ color: '#dc3545', fontSize: '13px', margin: '0 0 10px 0' }}>{error}</p>
+            )}
+            <button
+              onClick={handleSave}
+              disabled={saving || !form.code || !form.label || !form.guidance}
+              style={{
+                padding: '6px 16px',
+                backgroundColor: '#007bff',
+                color: '#fff',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: saving ? 'not-allowed' : 'pointer',
+                opacity: (saving || !form.code || !form.label || !form.guidance) ? 0.6 : 1,
+                marginRight: '8px'
+              }}
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              style={{ padding: '6px 16px', backgroundColor: '#6c757d', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', borderBottom: '2px solid #dee2e6' }}>
+              <th style={{ padding: '8px' }}>Reason</th>
+              <th style={{ padding: '8px' }}>Customer Guidance</th>
+              <th style={{ padding: '8px' }}>Document Types</th>
+              <th style={{ padding: '8px' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {reasons.map(reason => (
+              <tr key={reason.code} style={{ borderBottom: '1px solid #dee2e6', opacity: reason.active === false ? 0.5 : 1 }}>
+                <td style={{ padding: '8px', verticalAlign: 'top' }}>
+                  <div style={{ fontWeight: '600' }}>{reason.label}</div>
+                  <div style={{ fontFamily: 'monospace', fontSize: '12px', color: '#6c757d' }}>
+                    {reason.code}{reason.active === false && ' (retired)'}
+                  </div>
+                </td>
+                <td style={{ padding: '8px', verticalAlign: 'top', color: '#495057' }}>{reason.guidance}</td>
+                <td style={{ padding: '8px', verticalAlign: 'top', fontSize: '12px' }}>
+                  {reason.documentTypes?.length ? reason.documentTypes.join(', ') : 'All'}
+                </td>
+                <td style={{ padding: '8px', verticalAlign: 'top' }}>
+                  <button
+                    onClick={() => startEdit(reason)}
+                    style={{ padding: '4px 10px', backgroundColor: '#fff', border: '1px solid #adb5bd', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+                  >
+                    Edit
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Report */}
+      <div style={{ flex: '1 1 300px', backgroundColor: '#fff', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.08)', padding: '20px' }}>
+        <h3 style={{ margin: '0 0 12px 0' }}>Most Common Rejection Reasons</h3>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', marginBottom: '16px', flexWrap: 'wrap' }}>
+          <div>
+            <label style={labelStyle}>From</label>
+            <input type="date" value={startDate} onChange={e => setStartDate(e.target.value)} style={inputStyle} />
+          </div>
+          <div>
+            <label style={labelStyle}>To</label>
+            <input type="date" value={endDate} onChange={e => setEndDate(e.target.value)} style={inputStyle} />
+          </div>
+          <button
+            onClick={() => loadReport(startDate, endDate)}
+            style={{ padding: '7px 14px', backgroundColor: '#007bff', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '13px' }}
+          >
+            Apply
+          </button>
+        </div>
+
+        {report && report.reasons.length === 0 && (
+          <p style={{ color: '#6c757d', fontSize: '14px' }}>No rejected documents in this period.</p>
+        )}
+        {report && report.reasons.length > 0 && (
+          <>
+            <p style={{ fontSize: '13px', color: '#6c757d', margin: '0 0 12px 0' }}>
+              {report.total} rejected document{report.total !== 1 ? 's' : ''}
+            </p>
+            {report.reasons.map(reason => (
+              <div key={reason.code} style={{ marginBottom: '12px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px' }}>
+                  <span>{reason.label}</span>
+                  <strong>{reason.count}</strong>
+                </div>
+                <div style={{ height: '6px', backgroundColor: '#e9ecef', borderRadius: '3px', marginTop: '4px' }}>
+                  <div style={{ height: '6px', width: `${(reason.count / maxCount) * 100}%`, backgroundColor: '#dc3545', borderRadius: '3px' }} />
+                </div>
+                <div style={{ fontSize: '12px', color: '#6c757d', marginTop: '2px' }}>
+                  {Object.entries(reason.byDocumentType).map(([type, count]) => `${type.replace(/_/g, ' ')}: ${count}`).join(' · ')}
+                </div>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RejectionReasonCatalog;
@@ -3,16 +3,61 @@
  * 
  * Shows detailed information about a request including:
  * - Request info
- * - Uploaded documents
+ * - Uploaded documents (a type may have several files), with the version history of each type, the fields read by OCR
+ *   and the pass/warn/fail flags of the consistency checks, and whether the customer's device processed a photo
+ * - Customer portal link, with its expiry and Regenerate / Revoke buttons
+ * - Communication log: messages, calls and other contacts with the customer
  * - Notes
  * - Actions (update status, remind, reopen, review)
  */
 
 import React, { useState, useEffect } from 'react';
-import { authenticatedFetch } from '../utils/api';
+import { authenticatedFetch, downloadFile, openFile } from '../utils/api';
 import ReminderBadge from './ReminderBadge';
+import AuthenticatedFile from './AuthenticatedFile';
+import DocumentFieldsEditor from './DocumentFieldsEditor';
+import CommunicationTimeline from './CommunicationTimeline';
 
-const DOCUMENT_TYPES = ['ID', 'LICENCE', 'PROOF_OF_ADDRESS', 'BANK_STATEMENT'];
+// Colours and symbols of consistency check outcomes
+const CHECK_STYLES = {
+  PASS: { symbol: '✓', label: 'Checks passed', color: '#155724', backgroundColor: '#d4edda' },
+  WARN: { symbol: '!', label: 'Checks need attention', color: '#856404', backgroundColor: '#fff3cd' },
+  FAIL: { symbol: '✗', label: 'Checks failed', color: '#721c24', backgroundColor: '#f8d7da' }
+};
+
+/**
+ * One line on what the customer's device did to a photo before upload (doc.clientProcessing)
+ */
+function processingSummary(processing) {
+  const megabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  const steps = [];
+  if (processing.cropped) steps.push('cropped to the document frame');
+  if (processing.orientationFixed) steps.push('turned upright');
+  if (processing.resized && processing.originalWidth) {
+    steps.push(`scaled down from ${processing.originalWidth}×${processing.originalHeight}`);
+  }
+  if (processing.size) {
+    steps.push(processing.originalSize
+      ? `compressed from ${megabytes(processing.originalSize)} to ${megabytes(processing.size)}`
+      : `compressed to ${megabytes(processing.size)}`);
+  }
+  const source = processing.source === 'camera' ? 'Taken with the portal camera' : 'Processed on the customer\'s device';
+  return steps.length > 0 ? `${source}: ${steps.join(', ')}` : source;
+}
+
+/**
+ * Review decisions to start from: documents accepted in an earlier round stay accepted
+ * Returns { [documentId]: { status, reasonCodes, comment } }
+ */
+function initialDocumentReviews(request) {
+  const reviews = {};
+  (request.documents || []).forEach(doc => {
+    if (doc.reviewStatus === 'ACCEPTED') {
+      reviews[doc.id] = { status: 'ACCEPTED', reasonCodes: [], comment: doc.reviewComment || '' };
+    }
+  });
+  return reviews;
+}
 
 /**
  * @param {Object} request - Request object with full details
@@ -21,18 +66,23 @@ const DOCUMENT_TYPES = ['ID', 'LICENCE', 'PROOF_OF_ADDRESS', 'BANK_STATEMENT'];
 function RequestDetailPanel({ request, onUpdate }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [reviewDecision, setReviewDecision] = useState('');
+  const [documentReviews, setDocumentReviews] = useState(initialDocumentReviews(request));
   const [reviewComment, setReviewComment] = useState('');
-  const [rejectedDocTypes, setRejectedDocTypes] = useState([]);
   const [notes, setNotes] = useState(request.notes || '');
   const [currentRequest, setCurrentRequest] = useState(request);
   const [showCustomerLink, setShowCustomerLink] = useState(false);
   const [linkCopied, setLinkCopied] = useState(false);
+  const [historyType, setHistoryType] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+  const [downloading, setDownloading] = useState(null); // export being downloaded
 
   // Sync request prop with state when it changes
   useEffect(() => {
     setCurrentRequest(request);
     setNotes(request.notes || '');
+    setHistoryType(null);
+    setCompareIds([]);
+    setDocumentReviews(initialDocumentReviews(request));
   }, [request]);
 
   const handleStatusChange = async (newStatus) => {
@@ -74,6 +124,31 @@ function RequestDetailPanel({ request, onUpdate }) {
     }
   };
 
+  // action: 'regenerate' (new link, the old one stops working) or 'revoke' (no working link until regenerated)
+  const handleCustomerLink = async (action) => {
+    const question = action === 'revoke'
+      ? 'Revoke the customer link? The customer will not be able to open the portal until you regenerate it.'
+      : 'Create a new customer link? The current link stops working straight away.';
+    if (!window.confirm(question)) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      await authenticatedFetch(`/api/telesales/requests/${req.id}/customer-link/${action}`, {
+        method: 'POST'
+      });
+      const details = await authenticatedFetch(`/api/telesales/requests/${req.id}`);
+      setCurrentRequest(details.request);
+      setLinkCopied(false);
+      if (action === 'regenerate') setShowCustomerLink(true);
+      if (onUpdate) onUpdate();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleReminderConfirmed = async () => {
     setLoading(true);
     setError(null);
@@ -133,17 +208,28 @@ function RequestDetailPanel({ request, onUpdate }) {
     }
   };
 
+  const findReason = (code) => (currentRequest.rejectionReasons || []).find(reason => reason.code === code);
+
+  const setDocumentReview = (docId, changes) => {
+    setDocumentReviews(prev => ({
+      ...prev,
+      [docId]: { status: '', reasonCodes: [], comment: '', ...prev[docId], ...changes }
+    }));
+  };
+
   const handleReview = async () => {
-    if (!reviewDecision) {
-      setError('Please select Approve or Reject');
+    const docs = currentRequest.documents || [];
+    if (docs.some(doc => !documentReviews[doc.id]?.status)) {
+      setError('Please accept or reject every document');
       return;
     }
-    if (reviewDecision === 'REJECT' && !reviewComment) {
-      setError('Comment is required for rejection');
+    if (docs.some(doc => documentReviews[doc.id].status === 'REJECTED' && documentReviews[doc.id].reasonCodes.length === 0)) {
+      setError('Please pick at least one reason for every rejected document');
       return;
     }
-    if (reviewDecision === 'REJECT' && rejectedDocTypes.length === 0) {
-      setError('Please select at least one document for the customer to re-upload');
+    if (docs.some(doc => documentReviews[doc.id].status === 'REJECTED' && !documentReviews[doc.id].comment &&
+        documentReviews[doc.id].reasonCodes.some(code => findReason(code)?.requiresComment))) {
+      setError('Please add a comment where the reason asks for one');
       return;
     }
 
@@ -153,17 +239,20 @@ function RequestDetailPanel({ request, onUpdate }) {
       await authenticatedFetch(`/api/telesales/requests/${request.id}/review`, {
         method: 'POST',
         body: JSON.stringify({
-          decision: reviewDecision,
-          comment: reviewComment,
-          rejectedDocumentTypes: reviewDecision === 'REJECT' ? rejectedDocTypes : []
+          documents: docs.map(doc => ({
+            documentId: doc.id,
+            status: documentReviews[doc.id].status,
+            reasonCodes: documentReviews[doc.id].status === 'REJECTED' ? documentReviews[doc.id].reasonCodes : [],
+            comment: documentReviews[doc.id].comment
+          })),
+          comment: reviewComment
         })
       });
-      setReviewDecision('');
       setReviewComment('');
-      setRejectedDocTypes([]);
       // Reload full request details
       const details = await authenticatedFetch(`/api/telesales/requests/${request.id}`);
       setCurrentRequest(details.request);
+      setDocumentReviews(initialDocumentReviews(details.request));
       if (onUpdate) onUpdate();
     } catch (err) {
       setError(err.message);
@@ -255,7 +344,7 @@ function RequestDetailPanel({ request, onUpdate }) {
   };
 
   const getCustomerLink = () => {
-    if (req.secureToken) {
+    if (req.secureToken && req.customerLinkStatus === 'ACTIVE') {
       const baseUrl = window.location.origin;
       return `${baseUrl}/customer/${req.secureToken}`;
     }
@@ -289,16 +378,103 @@ function RequestDetailPanel({ request, onUpdate }) {
     }
   };
 
-  const getDocumentUrl = (doc) => {
-    // Use backend proxy via the request's secure token — streams via Admin SDK, always has access
-    if (req.secureToken) {
-      return `/api/customer/requests/${req.secureToken}/files/${doc.id}`;
+  // variant: 'thumbnail' or 'preview' for the images built from the file, 'original' for the upload
+  // as it was (HEIC and WebP are otherwise served converted to JPEG), omitted for the file itself
+  // Served by the agent's own endpoint, so files stay viewable when the customer link is revoked or expired
+  const getDocumentUrl = (doc, variant) => {
+    return `/api/telesales/requests/${req.id}/files/${doc.id}${variant ? `/${variant}` : ''}`;
+  };
+
+  // Files need the agent's sign-in, so links open them through openFile instead of a plain new tab
+  const handleOpenFile = (e, url) => {
+    e.preventDefault();
+    openFile(url).catch(err => setError(err.message));
+  };
+
+  // export: 'summary-report' (one-page PDF for the deal file) or 'case-pack' (ZIP of the files
+  // with a manifest and the audit trail, for underwriting)
+  const handleDownload = async (exportName) => {
+    setDownloading(exportName);
+    setError(null);
+    try {
+      const fallbackName = `${req.requestNumber || req.id}_${exportName === 'case-pack' ? 'case_pack.zip' : 'summary.pdf'}`;
+      await downloadFile(`/api/telesales/requests/${req.id}/${exportName}`, fallbackName);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDownloading(null);
     }
-    return '';
+  };
+
+  const linkButtonStyle = {
+    padding: '6px 12px',
+    backgroundColor: '#fff',
+    color: '#004085',
+    border: '1px solid #b3d9ff',
+    borderRadius: '4px',
+    cursor: loading ? 'not-allowed' : 'pointer',
+    fontSize: '13px'
+  };
+
+  const downloadButtonStyle = {
+    padding: '8px 16px',
+    backgroundColor: '#fff',
+    color: '#495057',
+    border: '1px solid #adb5bd',
+    borderRadius: '4px',
+    cursor: downloading ? 'not-allowed' : 'pointer',
+    opacity: downloading ? 0.6 : 1,
+    fontSize: '14px'
+  };
+
+  // PDF combining the photos of a document type (built by the server for some document types)
+  const getMergedUrl = (type) => {
+    return `/api/telesales/requests/${req.id}/merged/${type}`;
+  };
+
+  // Pick up to two versions to compare side by side (picking a third drops the oldest pick)
+  const toggleCompare = (docId) => {
+    setCompareIds(prev => {
+      if (prev.includes(docId)) return prev.filter(id => id !== docId);
+      return [...prev, docId].slice(-2);
+    });
+  };
+
+  const showHistory = (type) => {
+    setHistoryType(historyType === type ? null : type);
+    setCompareIds([]);
   };
 
   // Use currentRequest state instead of request prop
   const req = currentRequest;
+  const reasonLabels = (codes) => (codes || []).map(code => findReason(code)?.label || code).join(', ');
+  // Active catalog reasons for a document type (reasons without documentTypes apply to every type)
+  const reasonsFor = (docType) => (req.rejectionReasons || []).filter(reason =>
+    reason.active !== false && (!reason.documentTypes?.length || reason.documentTypes.includes(docType))
+  );
+  // Number of a file within its type, when the type has had more than one file
+  // (documentVersions lists the versions of a type file by file, in the order the files were added)
+  const fileNumber = (doc) => {
+    const fileIds = [...new Set((req.documentVersions?.[doc.type] || []).map(version => version.fileId))];
+    return fileIds.length > 1 ? fileIds.indexOf(doc.fileId) + 1 : null;
+  };
+  const documentLabel = (doc) => {
+    const label = req.documentRequirements?.find(r => r.type === doc.type)?.label || doc.type.replace(/_/g, ' ');
+    return fileNumber(doc) ? `${label} · file ${fileNumber(doc)}` : label;
+  };
+  // Current files grouped by type in profile order, then in the order they were added
+  const typeOrder = (doc) => {
+    const index = (req.documentRequirements || []).findIndex(r => r.type === doc.type);
+    return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+  };
+  const currentDocs = [...(req.documents || [])].sort((a, b) =>
+    typeOrder(a) - typeOrder(b) || new Date(a.fileAddedAt) - new Date(b.fileAddedAt)
+  );
+  const allDocsDecided = currentDocs.length > 0 && currentDocs.every(doc => documentReviews[doc.id]?.status);
+  const rejectsRequest = currentDocs.some(doc => documentReviews[doc.id]?.status === 'REJECTED');
+  const historyVersions = (historyType && req.documentVersions?.[historyType]) || [];
+  const comparedVersions = historyVersions.filter(v => compareIds.includes(v.id))
+    .sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
 
   return (
     <div style={{
@@ -343,6 +519,7 @@ function RequestDetailPanel({ request, onUpdate }) {
             <strong style={{ color: '#004085' }}>Customer Portal Link</strong>
             <button
               onClick={() => setShowCustomerLink(!showCustomerLink)}
+              disabled={!getCustomerLink()}
               style={{
                 padding: '6px 12px',
                 backgroundColor: '#007bff',
@@ -356,6 +533,21 @@ function RequestDetailPanel({ request, onUpdate }) {
               {showCustomerLink ? 'Hide Link' : 'Show Link'}
             </button>
           </div>
+          <p style={{ margin: '0 0 10px', fontSize: '13px', color: req.customerLinkStatus === 'ACTIVE' ? '#004085' : '#721c24' }}>
+            {req.customerLinkStatus === 'REVOKED' && <>Revoked {formatDate(req.secureTokenRevokedAt)}: the customer cannot open the portal.</>}
+            {req.customerLinkStatus === 'EXPIRED' && <>Expired {formatDate(req.secureTokenExpiresAt)}: the customer cannot open the portal.</>}
+            {req.customerLinkStatus === 'ACTIVE' && (req.secureTokenExpiresAt ? <>Valid until {formatDate(req.secureTokenExpiresAt)}</> : <>No expiry date</>)}
+          </p>
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '10px' }}>
+            <button onClick={() => handleCustomerLink('regenerate')} disabled={loading} style={linkButtonStyle}>
+              ↻ Regenerate Link
+            </button>
+            {req.customerLinkStatus !== 'REVOKED' && (
+              <button onClick={() => handleCustomerLink('revoke')} disabled={loading} style={{ ...linkButtonStyle, color: '#dc3545', borderColor: '#dc3545' }}>
+                ⊘ Revoke Link
+              </button>
+            )}
+          </div>
           {showCustomerLink && getCustomerLink() && (
             <div>
               <div style={{
@@ -401,12 +593,17 @@ function RequestDetailPanel({ request, onUpdate }) {
         </div>
       </div>
 
+      <CommunicationTimeline requestId={req.id} refreshKey={req} />
+
       <div style={{ marginBottom: '20px', paddingBottom: '20px', borderBottom: '1px solid #dee2e6' }}>
         <p style={{ margin: '0 0 10px', fontSize: '12px', color: '#6c757d', fontWeight: '600', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Request Information</p>
         {req.requestNumber && (
           <p><strong>Request #:</strong> <span style={{ fontFamily: 'monospace', fontWeight: '600' }}>{req.requestNumber}</span></p>
         )}
-        <p><strong>Status:</strong> {req.status}</p>
+        {req.workflowName && (
+          <p><strong>Product Line:</strong> {req.workflowName}</p>
+        )}
+        <p><strong>Status:</strong> {req.statusLabel || req.status}</p>
         <p><strong>Completion:</strong> {req.completionPercent}%</p>
         <p><strong>Created:</strong> {formatDate(req.createdAt)}</p>
         <p><strong>Reminder:</strong> {req.needsReminderLevel !== undefined && req.needsReminderLevel !== null ? (
@@ -421,13 +618,28 @@ function RequestDetailPanel({ request, onUpdate }) {
         {req.reviewComment && (
           <p><strong>Review Comment:</strong> {req.reviewComment}</p>
         )}
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginTop: '6px' }}>
+          <button onClick={() => handleDownload('summary-report')} disabled={!!downloading} style={downloadButtonStyle}>
+            {downloading === 'summary-report' ? 'Preparing…' : '🖨 Summary PDF'}
+          </button>
+          <button onClick={() => handleDownload('case-pack')} disabled={!!downloading} style={downloadButtonStyle}>
+            {downloading === 'case-pack' ? 'Preparing…' : '⬇ Download Case Pack (ZIP)'}
+          </button>
+        </div>
       </div>
 
       {req.documents && req.documents.length > 0 && (
         <div style={{ marginBottom: '20px', paddingBottom: '20px', borderBottom: '1px solid #dee2e6' }}>
           <p style={{ margin: '0 0 12px', fontSize: '12px', color: '#6c757d', fontWeight: '600', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Uploaded Documents</p>
+          {Object.entries(req.mergedDocuments || {}).map(([type, merged]) => (
+            <p key={type} style={{ margin: '0 0 12px', fontSize: '14px' }}>
+              <a href={getMergedUrl(type)} onClick={(e) => handleOpenFile(e, getMergedUrl(type))} style={{ color: '#007bff' }}>
+                📄 {req.documentRequirements?.find(r => r.type === type)?.label || type.replace(/_/g, ' ')}: all {merged.pages} photos as one PDF
+              </a>
+            </p>
+          ))}
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '20px' }}>
-            {req.documents.map((doc) => (
+            {currentDocs.map((doc) => (
               <div key={doc.id} style={{
                 border: '1px solid #dee2e6',
                 borderRadius: '4px',
@@ -435,12 +647,78 @@ function RequestDetailPanel({ request, onUpdate }) {
                 backgroundColor: '#f8f9fa'
               }}>
                 <div style={{ marginBottom: '10px' }}>
-                  <p style={{ fontWeight: 'bold', margin: '0 0 5px 0', fontSize: '16px' }}>{doc.type.replace(/_/g, ' ')}</p>
+                  <p style={{ fontWeight: 'bold', margin: '0 0 5px 0', fontSize: '16px' }}>
+                    {documentLabel(doc)}
+                  </p>
                   <p style={{ fontSize: '12px', color: '#6c757d', margin: '0' }}>
                     Uploaded: {formatDate(doc.uploadedAt)}
+                    {doc.version > 1 && <> · Version {doc.version}</>}
                   </p>
+                  {doc.reviewStatus && doc.reviewStatus !== 'PENDING' && (
+                    <p style={{ fontSize: '12px', margin: '4px 0 0 0', fontWeight: '500', color: doc.reviewStatus === 'REJECTED' ? '#721c24' : '#155724' }}>
+                      {doc.reviewStatus === 'REJECTED' ? `Rejected: ${reasonLabels(doc.reasonCodes)}` : 'Accepted'}
+                      {doc.reviewComment && <span style={{ fontWeight: 'normal' }}> — {doc.reviewComment}</span>}
+                    </p>
+                  )}
+                  {doc.scanStatus === 'QUARANTINED' && (
+                    <p style={{ fontSize: '12px', margin: '4px 0 0 0', color: '#856404' }}>
+                      Virus scan pending: the file cannot be opened yet
+                    </p>
+                  )}
+                  {doc.scanStatus === 'INFECTED' && (
+                    <p style={{ fontSize: '12px', margin: '4px 0 0 0', fontWeight: '500', color: '#721c24' }}>
+                      Blocked by virus scan{doc.scanSignature && `: ${doc.scanSignature}`}
+                    </p>
+                  )}
+                  {doc.quality?.warnings?.length > 0 && (
+                    <p
+                      title={doc.quality.warnings.map(warning => warning.message).join('\n')}
+                      style={{ fontSize: '12px', margin: '4px 0 0 0', color: '#856404' }}
+                    >
+                      Photo quality: {doc.quality.warnings.map(warning => warning.code.replace(/_/g, ' ').toLowerCase()).join(', ')}
+                    </p>
+                  )}
+                  {doc.pagesUnchecked && (
+                    <p style={{ fontSize: '12px', margin: '4px 0 0 0', color: '#856404' }}>
+                      Page count could not be read: check the page limit when opening the PDF
+                    </p>
+                  )}
+                  {doc.clientProcessing && (
+                    <p style={{ fontSize: '12px', margin: '4px 0 0 0', color: '#6c757d' }}>
+                      {processingSummary(doc.clientProcessing)}
+                    </p>
+                  )}
+                  {doc.normalized && doc.scanStatus === 'CLEAN' && (
+                    <p style={{ fontSize: '12px', margin: '4px 0 0 0', color: '#6c757d' }}>
+                      Shown as JPEG, converted from {doc.normalized.sourceContentType === 'image/webp' ? 'WebP' : 'HEIC'} ·{' '}
+                      <a
+                        href={getDocumentUrl(doc, 'original')}
+                        onClick={(e) => { e.preventDefault(); downloadFile(getDocumentUrl(doc, 'original'), doc.originalName || doc.type).catch(err => setError(err.message)); }}
+                        style={{ color: '#007bff' }}
+                      >
+                        Download original
+                      </a>
+                    </p>
+                  )}
+                  {(req.documentVersions?.[doc.type] || []).length > 1 && (
+                    <button
+                      onClick={() => showHistory(doc.type)}
+                      style={{
+                        marginTop: '6px',
+                        padding: '4px 10px',
+                        backgroundColor: historyType === doc.type ? '#495057' : '#fff',
+                        color: historyType === doc.type ? '#fff' : '#495057',
+                        border: '1px solid #adb5bd',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontSize: '12px'
+                      }}
+                    >
+                      {historyType === doc.type ? 'Hide' : 'Show'} version history ({req.documentVersions[doc.type].length})
+                    </button>
+                  )}
                 </div>
-                {doc.storagePath && (
+                {doc.storagePath && doc.scanStatus === 'CLEAN' && (
                   <div>
                     <div style={{
                       border: '1px solid #dee2e6',
@@ -455,50 +733,49 @@ function RequestDetailPanel({ request, onUpdate }) {
                       justifyContent: 'center'
                     }}>
                       <div style={{ width: '100%' }}>
-                        {/* Try to show as image first */}
-                        <img
-                          src={getDocumentUrl(doc)}
-                          alt={doc.type}
-                          style={{
-                            maxWidth: '100%',
-                            maxHeight: '400px',
-                            borderRadius: '4px',
-                            boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
-                            display: 'block',
-                            margin: '0 auto'
-                          }}
-                          onError={(e) => {
-                            // If image fails, try PDF viewer
-                            e.target.style.display = 'none';
-                            const parent = e.target.parentElement;
-                            const docUrl = getDocumentUrl(doc);
-                            
-                            // Check if it's a PDF or other file type
-                            const iframe = document.createElement('iframe');
-                            iframe.src = docUrl;
-                            iframe.style.cssText = 'width: 100%; height: 500px; border: none; border-radius: 4px;';
-                            iframe.title = doc.type;
-                            parent.appendChild(iframe);
-                            
-                            // Also add a fallback link
-                            const fallback = document.createElement('div');
-                            fallback.style.cssText = 'margin-top: 10px;';
-                            const link = document.createElement('a');
-                            link.href = docUrl;
-                            link.target = '_blank';
-                            link.rel = 'noopener noreferrer';
-                            link.style.cssText = 'display: inline-block; padding: 8px 16px; background-color: #6c757d; color: #fff; text-decoration: none; border-radius: 4px; font-size: 14px;';
-                            link.textContent = '📄 Download File';
-                            fallback.appendChild(link);
-                            parent.appendChild(fallback);
-                          }}
-                        />
+                        {doc.derivatives?.preview ? (
+                          // Preview image built after the virus scan; the full file opens in a new tab
+                          <AuthenticatedFile
+                            url={getDocumentUrl(doc, 'preview')}
+                            alt={doc.type}
+                            style={{
+                              maxWidth: '100%',
+                              maxHeight: '400px',
+                              borderRadius: '4px',
+                              boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                              display: 'block',
+                              margin: '0 auto'
+                            }}
+                          />
+                        ) : (
+                          <>
+                            {/* PDFs open in a viewer, photos (HEIC and WebP are served as JPEG) as an image */}
+                            <AuthenticatedFile
+                              url={getDocumentUrl(doc)}
+                              as={(doc.normalized?.contentType || doc.contentType) === 'application/pdf' ? 'iframe' : 'img'}
+                              alt={doc.type}
+                              title={doc.type}
+                              style={(doc.normalized?.contentType || doc.contentType) === 'application/pdf' ? {
+                                width: '100%',
+                                height: '500px',
+                                border: 'none',
+                                borderRadius: '4px'
+                              } : {
+                                maxWidth: '100%',
+                                maxHeight: '400px',
+                                borderRadius: '4px',
+                                boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                                display: 'block',
+                                margin: '0 auto'
+                              }}
+                            />
+                          </>
+                        )}
                       </div>
                     </div>
                     <a
                       href={getDocumentUrl(doc)}
-                      target="_blank"
-                      rel="noopener noreferrer"
+                      onClick={(e) => handleOpenFile(e, getDocumentUrl(doc))}
                       style={{
                         display: 'inline-block',
                         padding: '8px 16px',
@@ -515,9 +792,156 @@ function RequestDetailPanel({ request, onUpdate }) {
                     </a>
                   </div>
                 )}
+                {doc.consistencyChecks && doc.scanStatus === 'CLEAN' && (
+                  <div style={{ marginTop: '10px', padding: '10px', backgroundColor: '#fff', border: '1px solid #dee2e6', borderRadius: '4px' }}>
+                    <p style={{ margin: '0 0 6px 0', fontSize: '12px', fontWeight: '600', color: CHECK_STYLES[doc.consistencyChecks.overall].color }}>
+                      {CHECK_STYLES[doc.consistencyChecks.overall].label}
+                    </p>
+                    {doc.consistencyChecks.results.map(result => (
+                      <div key={`${result.rule}-${result.field}`} style={{ display: 'flex', alignItems: 'baseline', gap: '6px', fontSize: '12px', marginBottom: '3px' }}>
+                        <span style={{
+                          color: CHECK_STYLES[result.outcome].color,
+                          backgroundColor: CHECK_STYLES[result.outcome].backgroundColor,
+                          display: 'inline-block',
+                          width: '16px',
+                          textAlign: 'center',
+                          borderRadius: '8px',
+                          fontWeight: 'bold'
+                        }}>
+                          {CHECK_STYLES[result.outcome].symbol}
+                        </span>
+                        <span style={{ color: '#6c757d' }}>{result.label}:</span>
+                        <span>{result.message}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {req.documentFields?.[doc.type] && doc.scanStatus === 'CLEAN' && (
+                  <DocumentFieldsEditor
+                    requestId={req.id}
+                    document={doc}
+                    fields={req.documentFields[doc.type]}
+                    onSaved={async () => {
+                      const details = await authenticatedFetch(`/api/telesales/requests/${req.id}`);
+                      setCurrentRequest(details.request);
+                    }}
+                  />
+                )}
               </div>
             ))}
           </div>
+
+          {historyVersions.length > 0 && (
+            <div style={{ marginTop: '20px', border: '1px solid #dee2e6', borderRadius: '4px', padding: '15px', backgroundColor: '#fff' }}>
+              <p style={{ fontWeight: 'bold', margin: '0 0 4px 0' }}>
+                Version history: {req.documentRequirements?.find(r => r.type === historyType)?.label || historyType.replace(/_/g, ' ')}
+              </p>
+              <p style={{ fontSize: '12px', color: '#6c757d', margin: '0 0 10px 0' }}>
+                Tick two versions to compare them side by side.
+              </p>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                <thead>
+                  <tr style={{ textAlign: 'left', borderBottom: '1px solid #dee2e6' }}>
+                    <th style={{ padding: '6px' }}>Compare</th>
+                    <th style={{ padding: '6px' }}>Version</th>
+                    <th style={{ padding: '6px' }}>Preview</th>
+                    <th style={{ padding: '6px' }}>Uploaded</th>
+                    <th style={{ padding: '6px' }}>Uploader IP</th>
+                    <th style={{ padding: '6px' }}>Checksum (SHA-256)</th>
+                    <th style={{ padding: '6px' }}>Review</th>
+                    <th style={{ padding: '6px' }}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {historyVersions.map(version => (
+                    <tr key={version.id} style={{ borderBottom: '1px solid #f1f3f5' }}>
+                      <td style={{ padding: '6px' }}>
+                        <input
+                          type="checkbox"
+                          checked={compareIds.includes(version.id)}
+                          disabled={version.scanStatus !== 'CLEAN'}
+                          onChange={() => toggleCompare(version.id)}
+                        />
+                      </td>
+                      <td style={{ padding: '6px' }}>
+                        {fileNumber(version) && <>File {fileNumber(version)} · </>}
+                        v{version.version || 1}
+                        {version.isCurrent !== false && (
+                          <span style={{ marginLeft: '6px', padding: '1px 6px', borderRadius: '8px', backgroundColor: '#d4edda', color: '#155724', fontSize: '11px' }}>current</span>
+                        )}
+                        {version.removedAt && (
+                          <span
+                            title={`Removed by the customer ${formatDate(version.removedAt)}`}
+                            style={{ marginLeft: '6px', padding: '1px 6px', borderRadius: '8px', backgroundColor: '#e9ecef', color: '#495057', fontSize: '11px' }}
+                          >
+                            removed
+                          </span>
+                        )}
+                      </td>
+                      <td style={{ padding: '6px' }}>
+                        {version.derivatives?.thumbnail ? (
+                          <AuthenticatedFile
+                            url={getDocumentUrl(version, 'thumbnail')}
+                            alt={`v${version.version || 1}`}
+                            style={{ height: '48px', borderRadius: '2px', border: '1px solid #dee2e6' }}
+                          />
+                        ) : '—'}
+                      </td>
+                      <td style={{ padding: '6px' }}>{formatDate(version.uploadedAt)}</td>
+                      <td style={{ padding: '6px', fontFamily: 'monospace' }}>{version.uploaderIp || '—'}</td>
+                      <td style={{ padding: '6px', fontFamily: 'monospace' }} title={version.checksum || ''}>
+                        {version.checksum ? `${version.checksum.slice(0, 12)}…` : '—'}
+                      </td>
+                      <td style={{ padding: '6px' }}>
+                        {version.reviewStatus && version.reviewStatus !== 'PENDING' ? (
+                          <span style={{ color: version.reviewStatus === 'REJECTED' ? '#721c24' : '#155724', fontWeight: '500' }}>
+                            {version.reviewStatus}{version.reasonCodes?.length > 0 && ` · ${reasonLabels(version.reasonCodes)}`}
+                            {version.reviewedAt && <span style={{ color: '#6c757d', fontWeight: 'normal' }}> ({formatDate(version.reviewedAt)})</span>}
+                          </span>
+                        ) : (
+                          <span style={{ color: '#6c757d', fontStyle: 'italic' }}>Not reviewed</span>
+                        )}
+                      </td>
+                      <td style={{ padding: '6px' }}>
+                        {version.scanStatus === 'CLEAN' ? (
+                          <a href={getDocumentUrl(version)} onClick={(e) => handleOpenFile(e, getDocumentUrl(version))}>Open</a>
+                        ) : (
+                          <span style={{ color: version.scanStatus === 'INFECTED' ? '#721c24' : '#856404', fontSize: '12px' }}>
+                            {version.scanStatus === 'INFECTED' ? 'Blocked' : 'Scanning'}
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {comparedVersions.length === 2 && (
+                <div style={{ marginTop: '15px' }}>
+                  <p style={{ fontSize: '13px', margin: '0 0 10px 0', color: comparedVersions[0].checksum && comparedVersions[0].checksum === comparedVersions[1].checksum ? '#856404' : '#495057' }}>
+                    {comparedVersions[0].checksum && comparedVersions[0].checksum === comparedVersions[1].checksum
+                      ? 'These versions are the same file (identical checksum).'
+                      : 'These versions are different files.'}
+                  </p>
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '15px' }}>
+                    {comparedVersions.map(version => (
+                      <div key={version.id}>
+                        <p style={{ fontSize: '13px', fontWeight: '600', margin: '0 0 6px 0' }}>
+                          {fileNumber(version) && <>File {fileNumber(version)} · </>}v{version.version || 1} · {formatDate(version.uploadedAt)}
+                        </p>
+                        <AuthenticatedFile
+                          url={getDocumentUrl(version)}
+                          as="iframe"
+                          title={`${version.type} v${version.version || 1}`}
+                          style={{ width: '100%', height: '450px', border: '1px solid #dee2e6', borderRadius: '4px' }}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
         </div>
       )}
 
@@ -575,7 +999,7 @@ function RequestDetailPanel({ request, onUpdate }) {
           </button>
         </div>
 
-        {req.status === 'EXPIRED' ? (
+        {req.allowedActions?.includes('REOPEN') ? (
           <button
             onClick={handleReopen}
             disabled={loading}
@@ -593,25 +1017,27 @@ function RequestDetailPanel({ request, onUpdate }) {
           </button>
         ) : (
           <>
-            <div style={{ marginBottom: '15px' }}>
-              <label style={{ display: 'block', marginBottom: '5px' }}>Change Status:</label>
-              <select
-                value={req.status}
-                onChange={(e) => handleStatusChange(e.target.value)}
-                disabled={loading}
-                style={{
-                  padding: '8px',
-                  border: '1px solid #ced4da',
-                  borderRadius: '4px',
-                  marginRight: '10px'
-                }}
-              >
-                <option value="OPEN">OPEN</option>
-                <option value="IN_PROGRESS">IN_PROGRESS</option>
-                <option value="SUBMITTED">SUBMITTED</option>
-                <option value="COMPLETED">COMPLETED</option>
-              </select>
-            </div>
+            {/* Only statuses the workflow allows from the current one (submit/review/expiry set the rest) */}
+            {req.allowedStatusChanges && req.allowedStatusChanges.length > 0 && (
+              <div style={{ marginBottom: '15px' }}>
+                <label style={{ display: 'block', marginBottom: '5px' }}>Change Status:</label>
+                <select
+                  value={req.status}
+                  onChange={(e) => handleStatusChange(e.target.value)}
+                  disabled={loading}
+                  style={{
+                    padding: '8px',
+                    border: '1px solid #ced4da',
+                    borderRadius: '4px',
+                    marginRight: '10px'
+                  }}
+                >
+                  {[req.status, ...req.allowedStatusChanges].map(status => (
+                    <option key={status} value={status}>{req.statusLabels?.[status] || status}</option>
+                  ))}
+                </select>
+              </div>
+            )}
 
             {(req.needsReminderLevel === 1 || req.needsReminderLevel === 2) && (
               <button
@@ -632,7 +1058,8 @@ function RequestDetailPanel({ request, onUpdate }) {
               </button>
             )}
 
-            {req.status === 'SUBMITTED' && req.reviewStatus === 'PENDING' && (
+            {/* The workflow decides from which statuses a request can be approved or rejected */}
+            {(req.allowedActions?.includes('APPROVE') || req.allowedActions?.includes('REJECT')) && req.reviewStatus === 'PENDING' && (
               <div style={{
                 border: '1px solid #dee2e6',
                 padding: '15px',
@@ -640,76 +1067,114 @@ function RequestDetailPanel({ request, onUpdate }) {
                 marginTop: '20px'
               }}>
                 <h4>Review Request</h4>
-                <div style={{ marginBottom: '10px' }}>
-                  <label style={{ marginRight: '20px', cursor: 'pointer' }}>
-                    <input
-                      type="radio"
-                      name="reviewDecision"
-                      value="APPROVE"
-                      checked={reviewDecision === 'APPROVE'}
-                      onChange={(e) => { setReviewDecision(e.target.value); setRejectedDocTypes([]); }}
-                      style={{ marginRight: '6px' }}
-                    />
-                    Approve
-                  </label>
-                  <label style={{ cursor: 'pointer' }}>
-                    <input
-                      type="radio"
-                      name="reviewDecision"
-                      value="REJECT"
-                      checked={reviewDecision === 'REJECT'}
-                      onChange={(e) => setReviewDecision(e.target.value)}
-                      style={{ marginRight: '6px' }}
-                    />
-                    Reject
-                  </label>
-                </div>
-
-                {reviewDecision === 'REJECT' && (
-                  <div style={{
-                    marginBottom: '15px',
-                    padding: '12px',
-                    backgroundColor: '#fff3cd',
-                    borderRadius: '4px',
-                    border: '1px solid #ffc107'
-                  }}>
-                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: 'bold' }}>
-                      Which documents must the customer re-upload? <span style={{ color: 'red' }}>*</span>
-                    </label>
-                    {DOCUMENT_TYPES.map(docType => (
-                      <label key={docType} style={{ display: 'block', marginBottom: '6px', cursor: 'pointer' }}>
-                        <input
-                          type="checkbox"
-                          checked={rejectedDocTypes.includes(docType)}
-                          onChange={(e) => {
-                            if (e.target.checked) {
-                              setRejectedDocTypes(prev => [...prev, docType]);
-                            } else {
-                              setRejectedDocTypes(prev => prev.filter(t => t !== docType));
-                            }
-                          }}
-                          style={{ marginRight: '8px' }}
-                        />
-                        {docType.replace(/_/g, ' ')}
-                      </label>
-                    ))}
-                    {rejectedDocTypes.length === 0 && (
-                      <p style={{ margin: '8px 0 0 0', fontSize: '12px', color: '#856404' }}>
-                        You must select at least one document.
-                      </p>
-                    )}
-                  </div>
-                )}
+                <p style={{ fontSize: '13px', color: '#6c757d', margin: '0 0 12px 0' }}>
+                  Accept or reject each document. The request is approved when every document is accepted and rejected otherwise.
+                </p>
+                {currentDocs.map(doc => {
+                  const review = documentReviews[doc.id] || {};
+                  return (
+                    <div key={doc.id} style={{
+                      marginBottom: '10px',
+                      padding: '10px 12px',
+                      borderRadius: '4px',
+                      border: '1px solid #dee2e6',
+                      backgroundColor: review.status === 'REJECTED' ? '#fff3cd' : review.status === 'ACCEPTED' ? '#f0fff4' : '#fff'
+                    }}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '8px' }}>
+                        <strong style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                          {doc.derivatives?.thumbnail && (
+                            <AuthenticatedFile
+                              url={getDocumentUrl(doc, 'thumbnail')}
+                              alt=""
+                              style={{ height: '40px', borderRadius: '2px', border: '1px solid #dee2e6' }}
+                            />
+                          )}
+                          <span>
+                            {documentLabel(doc)}
+                            {doc.version > 1 && <span style={{ fontWeight: 'normal', color: '#6c757d' }}> (v{doc.version})</span>}
+                          </span>
+                          {doc.consistencyChecks && (
+                            <span
+                              title={doc.consistencyChecks.results.map(result => `${result.label}: ${result.message}`).join('\n')}
+                              style={{
+                                color: CHECK_STYLES[doc.consistencyChecks.overall].color,
+                                backgroundColor: CHECK_STYLES[doc.consistencyChecks.overall].backgroundColor,
+                                padding: '1px 8px',
+                                borderRadius: '10px',
+                                fontSize: '11px',
+                                fontWeight: 'normal'
+                              }}
+                            >
+                              {CHECK_STYLES[doc.consistencyChecks.overall].symbol} {CHECK_STYLES[doc.consistencyChecks.overall].label}
+                            </span>
+                          )}
+                        </strong>
+                        <div>
+                          <label
+                            title={doc.scanStatus !== 'CLEAN' ? 'Only files that passed the virus scan can be accepted' : undefined}
+                            style={{ marginRight: '16px', cursor: doc.scanStatus === 'CLEAN' ? 'pointer' : 'not-allowed', opacity: doc.scanStatus === 'CLEAN' ? 1 : 0.5 }}
+                          >
+                            <input
+                              type="radio"
+                              name={`review-${doc.id}`}
+                              checked={review.status === 'ACCEPTED'}
+                              disabled={doc.scanStatus !== 'CLEAN'}
+                              onChange={() => setDocumentReview(doc.id, { status: 'ACCEPTED', reasonCodes: [] })}
+                              style={{ marginRight: '6px' }}
+                            />
+                            Accept
+                          </label>
+                          <label style={{ cursor: 'pointer' }}>
+                            <input
+                              type="radio"
+                              name={`review-${doc.id}`}
+                              checked={review.status === 'REJECTED'}
+                              onChange={() => setDocumentReview(doc.id, { status: 'REJECTED' })}
+                              style={{ marginRight: '6px' }}
+                            />
+                            Reject
+                          </label>
+                        </div>
+                      </div>
+                      {review.status === 'REJECTED' && (
+                        <div style={{ marginTop: '8px' }}>
+                          {reasonsFor(doc.type).map(reason => (
+                            <label key={reason.code} title={reason.guidance} style={{ display: 'block', marginBottom: '4px', fontSize: '13px', cursor: 'pointer' }}>
+                              <input
+                                type="checkbox"
+                                checked={review.reasonCodes.includes(reason.code)}
+                                onChange={(e) => setDocumentReview(doc.id, {
+                                  reasonCodes: e.target.checked
+                                    ? [...review.reasonCodes, reason.code]
+                                    : review.reasonCodes.filter(code => code !== reason.code)
+                                })}
+                                style={{ marginRight: '6px' }}
+                              />
+                              {reason.label}
+                            </label>
+                          ))}
+                          <input
+                            type="text"
+                            value={review.comment}
+                            onChange={(e) => setDocumentReview(doc.id, { comment: e.target.value })}
+                            placeholder={review.reasonCodes.some(code => findReason(code)?.requiresComment) ? 'Comment (required)' : 'Comment for the customer (optional)'}
+                            style={{ width: '100%', marginTop: '4px', padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', boxSizing: 'border-box' }}
+                          />
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
 
                 <div style={{ marginBottom: '10px' }}>
                   <label style={{ display: 'block', marginBottom: '5px' }}>
-                    Comment {reviewDecision === 'REJECT' && <span style={{ color: 'red' }}>*</span>}
+                    Overall comment
                   </label>
                   <textarea
                     value={reviewComment}
                     onChange={(e) => setReviewComment(e.target.value)}
                     rows="3"
-                    placeholder={reviewDecision === 'REJECT' ? 'Explain what the customer needs to fix...' : 'Optional comment'}
+                    placeholder="Optional comment"
                     style={{
                       width: '100%',
                       padding: '8px',
@@ -718,25 +1183,30 @@ function RequestDetailPanel({ request, onUpdate }) {
                     }}
                   />
                 </div>
+                {allDocsDecided && !req.allowedActions.includes(rejectsRequest ? 'REJECT' : 'APPROVE') && (
+                  <p style={{ fontSize: '13px', color: '#721c24', margin: '0 0 10px 0' }}>
+                    The request cannot be {rejectsRequest ? 'rejected' : 'approved'} from its current status.
+                  </p>
+                )}
                 <button
                   onClick={handleReview}
-                  disabled={loading || (reviewDecision === 'REJECT' && rejectedDocTypes.length === 0)}
+                  disabled={loading || !allDocsDecided}
                   style={{
                     padding: '10px 20px',
-                    backgroundColor: reviewDecision === 'REJECT' ? '#dc3545' : '#28a745',
+                    backgroundColor: rejectsRequest ? '#dc3545' : '#28a745',
                     color: '#fff',
                     border: 'none',
                     borderRadius: '4px',
-                    cursor: (loading || (reviewDecision === 'REJECT' && rejectedDocTypes.length === 0)) ? 'not-allowed' : 'pointer',
-                    opacity: (loading || (reviewDecision === 'REJECT' && rejectedDocTypes.length === 0)) ? 0.6 : 1
+                    cursor: (loading || !allDocsDecided) ? 'not-allowed' : 'pointer',
+                    opacity: (loading || !allDocsDecided) ? 0.6 : 1
                   }}
                 >
-                  {reviewDecision === 'REJECT' ? 'Confirm Rejection' : reviewDecision === 'APPROVE' ? 'Confirm Approval' : 'Submit Review'}
+                  {!allDocsDecided ? 'Review every document' : rejectsRequest ? 'Confirm Rejection' : 'Confirm Approval'}
                 </button>
               </div>
             )}
 
-            {req.status === 'SUBMITTED' && req.reviewStatus !== 'PENDING' && (
+            {req.statusPhase === 'review' && req.reviewStatus !== 'PENDING' && (
               <div style={{
                 border: '1px solid #dee2e6',
                 padding: '15px',
@@ -3,26 +3,19 @@
  *
  * Displays a table of requests for Tele-Sales agents
  * Shows: request number, customer name, status, completion, reminder badge, review status
+ * Status badge labels and colours come from the workflow definitions (statusStyles prop)
  */
 
 import React from 'react';
 import ReminderBadge from './ReminderBadge';
 
-const STATUS_COLORS = {
-  OPEN:        { bg: '#d1ecf1', color: '#0c5460' },
-  IN_PROGRESS: { bg: '#fff3cd', color: '#856404' },
-  SUBMITTED:   { bg: '#cce5ff', color: '#004085' },
-  COMPLETED:   { bg: '#d4edda', color: '#155724' },
-  EXPIRED:     { bg: '#f8d7da', color: '#721c24' }
-};
-
 const REVIEW_COLORS = {
   PENDING:  { bg: '#e2e3e5', color: '#383d41' },
   APPROVED: { bg: '#d4edda', color: '#155724' },
   REJECTED: { bg: '#f8d7da', color: '#721c24' }
 };
 
-function StatusBadge({ status, colorMap }) {
+function StatusBadge({ status, colorMap, label }) {
   const style = colorMap[status] || { bg: '#e2e3e5', color: '#383d41' };
   return (
     <span style={{
@@ -33,12 +26,12 @@ function StatusBadge({ status, colorMap }) {
       backgroundColor: style.bg,
       color: style.color
     }}>
-      {status}
+      {label || status}
     </span>
   );
 }
 
-function RequestTable({ requests, onRowClick }) {
+function RequestTable({ requests, onRowClick, statusStyles }) {
   const formatDate = (timestamp) => {
     if (!timestamp) return 'N/A';
     try {
@@ -111,7 +104,11 @@ function RequestTable({ requests, onRowClick }) {
                 <div style={{ fontSize: '13px', color: '#6c757d', marginTop: '2px' }}>{request.customerPhone}</div>
               </td>
               <td style={{ padding: '14px 16px' }}>
-                <StatusBadge status={request.status} colorMap={STATUS_COLORS} />
+                <StatusBadge
+                  status={request.status}
+                  colorMap={statusStyles || {}}
+                  label={statusStyles?.[request.status]?.label}
+                />
               </td>
               <td style={{ padding: '14px 16px', color: '#495057' }}>{request.completionPercent}%</td>
               <td style={{ padding: '14px 16px', color: '#6c757d', whiteSpace: 'nowrap' }}>{formatDate(request.createdAt)}</td>
@@ -2,80 +2,250 @@
  * Customer Portal Page
  * 
  * Public page accessed via secure token: /customer/:token
+ * When the server asks for it, the customer first confirms a one-time code sent to their
+ * phone or email (components/PortalVerification.jsx); the portal session it starts is kept
+ * for the browser tab and sent with every call.
  * Customers can:
  * - View their request status
- * - Upload required documents
+ * - Upload required documents (some take several files, e.g. front and back), replace
+ *   or remove files, with an immediate warning when a photo is blurry, dark or cropped
+ * - Photograph documents with the device camera inside a document-shaped frame; photos are
+ *   turned upright, scaled and compressed before upload (the original's details go with them)
+ * - See upload progress; uploads go in chunks and carry on after a dropped connection
  * - Submit request when all documents are uploaded
  * - View review feedback
  */
 
 import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
-import { publicFetch, uploadFile } from '../utils/api';
+import { useParams, Link } from 'react-router-dom';
+import { publicFetch } from '../utils/api';
+import { uploadFileResumable } from '../utils/resumableUpload';
+import { preparePhoto, TARGET_BYTES } from '../utils/imageProcessing';
 import ReviewStatusBanner from '../components/ReviewStatusBanner';
+import CustomerDocumentFile from '../components/CustomerDocumentFile';
+import CameraCapture from '../components/CameraCapture';
+import PortalVerification from '../components/PortalVerification';
 
-// Required document types
-const DOCUMENT_TYPES = {
-  ID: 'ID',
-  LICENCE: 'LICENCE',
-  PROOF_OF_ADDRESS: 'PROOF_OF_ADDRESS',
-  BANK_STATEMENT: 'BANK_STATEMENT'
+// Upload formats the server accepts (backend models/fileFormats.js)
+const FILE_FORMATS = {
+  pdf: { label: 'PDF', accept: '.pdf,application/pdf' },
+  jpeg: { label: 'JPG', accept: '.jpg,.jpeg,image/jpeg' },
+  png: { label: 'PNG', accept: '.png,image/png' },
+  heic: { label: 'HEIC', accept: '.heic,.heif,image/heic,image/heif' },
+  webp: { label: 'WebP', accept: '.webp,image/webp' }
 };
 
+// Camera frame shape by document type ('page' for any other type)
+const CAMERA_GUIDES = {
+  ID: 'card',
+  LICENCE: 'card'
+};
+
+/**
+ * Size to compress photos to for a document: the usual target, or less if the type allows less
+ */
+function photoTargetBytes(requirement) {
+  const maxSizeMb = requirement?.upload?.maxSizeMb;
+  return maxSizeMb ? Math.min(TARGET_BYTES, maxSizeMb * 1024 * 1024 * 0.9) : TARGET_BYTES;
+}
+
+/**
+ * Whether photos can be uploaded for a document (JPG is one of its formats)
+ */
+function acceptsPhotos(requirement) {
+  return !requirement.upload || requirement.upload.formats.includes('jpeg');
+}
+
+// Extra help shown under the server's message, by upload error code
+const UPLOAD_ERROR_HINTS = {
+  EMPTY_FILE: 'Please choose the file again.',
+  UNSUPPORTED_FILE_TYPE: 'Take a photo of the document or save it as a PDF, then upload that file.',
+  FILE_TYPE_NOT_ALLOWED: 'Take a photo of the document or save it as one of the accepted formats.',
+  FILE_TOO_LARGE: 'Try a photo at a lower resolution, or a compressed PDF.',
+  TOO_MANY_PAGES: 'Upload only the pages we ask for.',
+  TOO_MANY_FILES: 'Use Replace on a file below, or remove one you do not need.'
+};
+
+// Error codes of a link that no longer works (the server explains which in its message)
+const LINK_ERROR_CODES = ['LINK_INVALID', 'LINK_EXPIRED', 'LINK_REVOKED'];
+
+// The portal session of a link lives in sessionStorage, so it ends with the browser tab
+function sessionKey(token) {
+  return `portalSession:${token}`;
+}
+function recallSession(token) {
+  try { return JSON.parse(window.sessionStorage.getItem(sessionKey(token))); } catch (e) { return null; }
+}
+function rememberSession(token, session) {
+  try {
+    if (session) window.sessionStorage.setItem(sessionKey(token), JSON.stringify(session));
+    else window.sessionStorage.removeItem(sessionKey(token));
+  } catch (e) { /* the code is asked again after a reload */ }
+}
+
 function CustomerPortal() {
   const { token } = useParams();
   const [request, setRequest] = useState(null);
   const [documents, setDocuments] = useState([]);
   const [documentStatus, setDocumentStatus] = useState({});
+  const [documentRequirements, setDocumentRequirements] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // LINK_INVALID, LINK_EXPIRED or LINK_REVOKED when the link cannot be used
+  const [linkErrorCode, setLinkErrorCode] = useState(null);
   const [uploading, setUploading] = useState({});
+  const [uploadErrors, setUploadErrors] = useState({});
+  // Per document type: { percent, reconnecting, preparing } while an upload runs
+  const [uploadProgress, setUploadProgress] = useState({});
+  // Open camera: { requirement, replaceDocumentId }
+  const [camera, setCamera] = useState(null);
+  const [qualityWarnings, setQualityWarnings] = useState({});
   const [submitting, setSubmitting] = useState(false);
   const [recentlyUploaded, setRecentlyUploaded] = useState(new Set());
+  // Portal session started with a one-time code: { sessionToken, expiresAt }
+  const [session, setSession] = useState(() => recallSession(token));
+  // Where a code can be sent while the server asks for one: [{ channel, destination }]
+  const [verificationChannels, setVerificationChannels] = useState(null);
 
   useEffect(() => {
     loadRequest();
   }, [token]);
 
-  const loadRequest = async () => {
+  // Headers of every portal call (the session, once a code was confirmed)
+  const sessionHeaders = (current = session) => (current ? { 'X-Portal-Session': current.sessionToken } : {});
+
+  // New uploads are virus-scanned in the background; refresh until no file is still being checked
+  useEffect(() => {
+    if (!documents.some(doc => doc.scanStatus === 'QUARANTINED')) return undefined;
+    const timer = setTimeout(loadRequest, 3000);
+    return () => clearTimeout(timer);
+  }, [documents]);
+
+  const loadRequest = async (current = session) => {
     try {
-      const data = await publicFetch(`/api/customer/requests/${token}`);
+      const data = await publicFetch(`/api/customer/requests/${token}`, { headers: sessionHeaders(current) });
+      setVerificationChannels(null);
       setRequest(data.request);
       setDocuments(data.documents || []);
       setDocumentStatus(data.documentStatus || {});
+      setDocumentRequirements(data.documentRequirements || []);
     } catch (err) {
-      setError(err.message);
+      if (err.code === 'VERIFICATION_REQUIRED') {
+        setVerificationChannels(err.body.channels || []);
+      } else {
+        setError(err.message);
+        setLinkErrorCode(err.code || null);
+      }
     } finally {
       setLoading(false);
     }
   };
 
-  const handleFileUpload = async (documentType, file) => {
+  const handleVerified = (newSession) => {
+    rememberSession(token, newSession);
+    setSession(newSession);
+    loadRequest(newSession);
+  };
+
+  // The agent revoked or replaced the link, or it expired, while the page was open;
+  // or the portal session ran out and a new code is needed
+  const handleLinkError = (err) => {
+    if (err.code === 'VERIFICATION_REQUIRED') {
+      rememberSession(token, null);
+      setSession(null);
+      loadRequest(null);
+      return true;
+    }
+    if (!LINK_ERROR_CODES.includes(err.code)) return false;
+    setVerificationChannels(null);
+    setError(err.message);
+    setLinkErrorCode(err.code);
+    return true;
+  };
+
+  // replaceDocumentId: the file the upload replaces; without it the upload adds a file
+  // processing: report of a camera photo already processed; chosen photos are processed here
+  const handleFileUpload = async (documentType, file, replaceDocumentId = null, processing = null) => {
     if (!file) return;
 
     setUploading({ ...uploading, [documentType]: true });
+    setUploadErrors(prev => ({ ...prev, [documentType]: null }));
+    setUploadProgress(prev => ({ ...prev, [documentType]: { percent: 0, reconnecting: false, preparing: !processing } }));
+    const updateProgress = (changes) => setUploadProgress(prev => ({
+      ...prev,
+      [documentType]: { ...prev[documentType], ...changes }
+    }));
     try {
-      await uploadFile(`/api/customer/requests/${request.id}/documents`, file, documentType);
-      setRecentlyUploaded(prev => new Set(prev).add(documentType));
+      let upload = { file, processing };
+      if (!processing) {
+        // Turn phone photos upright and shrink them; PDFs and small photos are sent as they are
+        const requirement = documentRequirements.find(item => item.type === documentType);
+        upload = await preparePhoto(file, { targetBytes: photoTargetBytes(requirement) });
+        updateProgress({ preparing: false });
+      }
+      const result = await uploadFileResumable(`/api/customer/requests/${token}/uploads`, upload.file, documentType, {
+        replaceDocumentId,
+        processing: upload.processing,
+        headers: sessionHeaders(),
+        onProgress: (fraction) => updateProgress({ percent: Math.floor(fraction * 100) }),
+        onRetry: (reconnecting) => updateProgress({ reconnecting })
+      });
+      setQualityWarnings(prev => ({ ...prev, [result.document.id]: result.warnings || [] }));
+      setRecentlyUploaded(prev => new Set(prev).add(result.document.id));
       // Reload request to get updated status
       await loadRequest();
     } catch (err) {
-      alert(`Upload failed: ${err.message}`);
+      if (handleLinkError(err)) {
+        return;
+      } else if (err.code) {
+        // Refused file content: explain next to the document
+        setUploadErrors(prev => ({ ...prev, [documentType]: { message: err.message, hint: UPLOAD_ERROR_HINTS[err.code] } }));
+      } else if (!err.status) {
+        // Gave up reconnecting; the part already sent is kept on the server
+        setUploadErrors(prev => ({ ...prev, [documentType]: { message: 'The connection was lost.', hint: 'Choose the same file again to continue where the upload stopped.' } }));
+      } else {
+        alert(`Upload failed: ${err.message}`);
+      }
     } finally {
       setUploading({ ...uploading, [documentType]: false });
+      setUploadProgress(prev => ({ ...prev, [documentType]: null }));
+    }
+  };
+
+  const handleCameraCapture = (file, processing) => {
+    const { requirement, replaceDocumentId } = camera;
+    setCamera(null);
+    handleFileUpload(requirement.type, file, replaceDocumentId, processing);
+  };
+
+  const handleRemove = async (doc) => {
+    if (!window.confirm('Remove this file?')) return;
+
+    setUploading({ ...uploading, [doc.type]: true });
+    try {
+      await publicFetch(`/api/customer/requests/${token}/documents/${doc.id}`, {
+        method: 'DELETE',
+        headers: sessionHeaders()
+      });
+      await loadRequest();
+    } catch (err) {
+      if (!handleLinkError(err)) alert(`Could not remove the file: ${err.message}`);
+    } finally {
+      setUploading({ ...uploading, [doc.type]: false });
     }
   };
 
   const handleSubmit = async () => {
     setSubmitting(true);
     try {
-      await publicFetch(`/api/customer/requests/${request.id}/submit`, {
-        method: 'POST'
+      await publicFetch(`/api/customer/requests/${token}/submit`, {
+        method: 'POST',
+        headers: sessionHeaders()
       });
       setRecentlyUploaded(new Set());
       await loadRequest();
     } catch (err) {
-      alert(`Submission failed: ${err.message}`);
+      if (!handleLinkError(err)) alert(`Submission failed: ${err.message}`);
     } finally {
       setSubmitting(false);
     }
@@ -89,28 +259,51 @@ function CustomerPortal() {
     );
   }
 
+  if (verificationChannels && !error) {
+    return (
+      <PortalVerification
+        token={token}
+        channels={verificationChannels}
+        onVerified={handleVerified}
+        onLinkError={handleLinkError}
+      />
+    );
+  }
+
   if (error || !request) {
     return (
       <div style={{ minHeight: '100vh', backgroundColor: '#f8f9fa', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
         <div style={{ textAlign: 'center', padding: '40px', backgroundColor: '#fff', borderRadius: '10px', boxShadow: '0 2px 8px rgba(0,0,0,0.1)', maxWidth: '420px', width: '100%' }}>
           <div style={{ fontSize: '48px', marginBottom: '16px' }}>🔗</div>
-          <h2 style={{ margin: '0 0 8px', color: '#343a40' }}>Request Not Found</h2>
+          <h2 style={{ margin: '0 0 8px', color: '#343a40' }}>
+            {linkErrorCode === 'LINK_EXPIRED' || linkErrorCode === 'LINK_REVOKED' ? 'Link No Longer Valid' : 'Request Not Found'}
+          </h2>
           <p style={{ margin: 0, color: '#6c757d' }}>{error || 'The request link is invalid or has expired.'}</p>
+          {/* Withdrawn links are not re-sent; the customer has to talk to the agent */}
+          {linkErrorCode !== 'LINK_REVOKED' && (
+            <p style={{ margin: '16px 0 0' }}>
+              <Link to="/find-request" style={{ color: '#007bff' }}>Get a new link sent to your phone or email</Link>
+            </p>
+          )}
         </div>
       </div>
     );
   }
 
-  const allDocumentsUploaded = Object.values(documentStatus).every(Boolean);
-  // After rejection, the customer must re-upload ALL flagged documents before resubmitting
-  const allRejectedDocsReuploaded = request.reviewStatus !== 'REJECTED' ||
-    (request.rejectedDocumentTypes || []).every(docType => recentlyUploaded.has(docType));
+  // Optional documents do not block submission
+  const allDocumentsUploaded = documentRequirements
+    .filter(doc => doc.required)
+    .every(doc => documentStatus[doc.type]);
+  // After rejection, the customer must re-upload ALL rejected documents before resubmitting
+  // (a re-upload becomes the current version, so no current document is still REJECTED)
+  const allRejectedDocsReuploaded = documents.every(doc => doc.reviewStatus !== 'REJECTED');
   const canSubmit = allDocumentsUploaded && allRejectedDocsReuploaded;
-  // Make read-only if expired, completed, or already approved
+  // Make read-only if expired, completed, submitted (with the dealer), or already approved
+  // Status phases come from the product line's workflow, so custom statuses behave the same
   const isReadOnly = request.isReadOnly ||
-                     request.status === 'EXPIRED' ||
-                     request.status === 'COMPLETED' ||
-                     request.status === 'SUBMITTED' ||
+                     request.statusPhase === 'expired' ||
+                     request.statusPhase === 'completed' ||
+                     request.statusPhase === 'review' ||
                      request.reviewStatus === 'APPROVED';
 
   return (
@@ -122,10 +315,13 @@ function CustomerPortal() {
       {/* Page header */}
       <div style={{ marginBottom: '20px' }}>
         <h1 style={{ margin: '0 0 4px', fontSize: '26px', color: '#343a40' }}>Document Upload Portal</h1>
-        <p style={{ margin: 0, color: '#6c757d', fontSize: '15px' }}>Upload your documents securely. You can return to this page any time using the same link.</p>
+        <p style={{ margin: 0, color: '#6c757d', fontSize: '15px' }}>
+          Upload your documents securely. You can return to this page any time using the same link
+          {request.linkExpiresAt ? <> until {new Date(request.linkExpiresAt).toLocaleDateString()}</> : null}.
+        </p>
       </div>
 
-      {request.status === 'EXPIRED' && (
+      {request.statusPhase === 'expired' && (
         <div style={{
           padding: '14px 18px',
           backgroundColor: '#f8d7da',
@@ -139,7 +335,7 @@ function CustomerPortal() {
         </div>
       )}
 
-      {request.status === 'SUBMITTED' && (
+      {request.statusPhase === 'review' && (
         <div style={{
           padding: '14px 18px',
           backgroundColor: '#d1ecf1',
@@ -156,7 +352,7 @@ function CustomerPortal() {
         </div>
       )}
 
-      {request.status === 'COMPLETED' && (
+      {request.statusPhase === 'completed' && (
         <div style={{
           padding: '14px 18px',
           backgroundColor: '#d4edda',
@@ -190,7 +386,7 @@ function CustomerPortal() {
           </div>
           <div>
             <p style={{ margin: '0 0 2px', fontSize: '12px', color: '#6c757d' }}>Status</p>
-            <p style={{ margin: 0, fontWeight: '600', fontSize: '15px', color: '#343a40' }}>{request.status.replace(/_/g, ' ')}</p>
+            <p style={{ margin: 0, fontWeight: '600', fontSize: '15px', color: '#343a40' }}>{request.statusLabel || request.status.replace(/_/g, ' ')}</p>
           </div>
           <div>
             <p style={{ margin: '0 0 2px', fontSize: '12px', color: '#6c757d' }}>Completion</p>
@@ -208,70 +404,75 @@ function CustomerPortal() {
       }}>
         <p style={{ margin: '0 0 4px', fontSize: '12px', fontWeight: '600', color: '#6c757d', textTransform: 'uppercase', letterSpacing: '0.4px' }}>Required Documents</p>
         <p style={{ color: '#6c757d', fontSize: '14px', margin: '0 0 16px' }}>
-          Please upload all required documents. Accepted formats: JPG, PNG, PDF.
+          Please upload all required documents. Optional documents can help speed up your request.
         </p>
 
-        {Object.values(DOCUMENT_TYPES).map((docType) => {
+        {documentRequirements.map((requirement) => {
+          const docType = requirement.type;
           const isUploaded = documentStatus[docType];
           const isUploading = uploading[docType];
-          // Find the uploaded document for this type
-          const uploadedDoc = documents.find(doc => doc.type === docType);
-
-          // Per-document rejection logic
-          const isRejectedDoc = request.reviewStatus === 'REJECTED' &&
-                                request.rejectedDocumentTypes?.includes(docType);
-          const isAcceptedDoc = request.reviewStatus === 'REJECTED' &&
-                                request.rejectedDocumentTypes?.length > 0 &&
-                                !request.rejectedDocumentTypes?.includes(docType);
-
-          // This doc is read-only if globally read-only OR it was accepted (not flagged for re-upload)
-          const isDocReadOnly = isReadOnly || isAcceptedDoc;
-
-          const getDocumentUrl = (doc) => {
-            // Use backend proxy — streams via Admin SDK, always has access
-            return `/api/customer/requests/${token}/files/${doc.id}`;
-          };
-
-          const formatDate = (timestamp) => {
-            if (!timestamp) return 'N/A';
-            try {
-              const date = timestamp?.toDate ? timestamp.toDate() : new Date(timestamp);
-              if (isNaN(date.getTime())) return 'N/A';
-              return date.toLocaleString();
-            } catch (e) {
-              return 'N/A';
-            }
-          };
+          const progress = uploadProgress[docType];
+          // Current files of this type, in the order they were added
+          const typeFiles = documents
+            .filter(doc => doc.type === docType)
+            .sort((a, b) => new Date(a.fileAddedAt) - new Date(b.fileAddedAt));
+          const files = requirement.files || { min: 1, max: 1 };
+          const needsAction = typeFiles.some(doc => doc.reviewStatus === 'REJECTED' || doc.scanStatus === 'INFECTED');
+          const allAccepted = typeFiles.length > 0 && typeFiles.every(doc => doc.reviewStatus === 'ACCEPTED');
+          // A single-file type is replaced from its file; others add files up to their maximum
+          const canAddFile = !isReadOnly && typeFiles.length < files.max && !(files.max === 1 && typeFiles.length > 0);
 
           return (
             <div
               key={docType}
               style={{
                 padding: '16px',
-                border: isRejectedDoc ? '2px solid #dc3545' : '1px solid #dee2e6',
+                border: needsAction ? '2px solid #dc3545' : '1px solid #dee2e6',
                 borderRadius: '8px',
                 marginBottom: '12px',
-                backgroundColor: isAcceptedDoc ? '#f0fff4' : isUploaded ? '#f0fff4' : '#fff'
+                backgroundColor: isUploaded ? '#f0fff4' : '#fff'
               }}
             >
-              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: isUploaded ? '10px' : '0' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                 <div>
-                  <strong>{docType.replace(/_/g, ' ')}</strong>
-                  {isUploaded && !isRejectedDoc && (
+                  <strong>{requirement.label}</strong>
+                  {!requirement.required && (
+                    <span style={{ marginLeft: '8px', fontSize: '12px', color: '#6c757d' }}>(optional)</span>
+                  )}
+                  {isUploaded && !needsAction && !allAccepted && (
                     <span style={{ marginLeft: '10px', color: '#28a745' }}>✓ Uploaded</span>
                   )}
-                  {isRejectedDoc && (
+                  {needsAction && (
                     <span style={{ marginLeft: '10px', color: '#dc3545', fontWeight: 'bold' }}>⚠ Action required</span>
                   )}
-                  {isAcceptedDoc && (
+                  {allAccepted && (
                     <span style={{ marginLeft: '10px', color: '#28a745' }}>✓ Accepted</span>
                   )}
+                  {requirement.helpText && (
+                    <p style={{ margin: '4px 0 0', fontSize: '13px', color: '#6c757d' }}>{requirement.helpText}</p>
+                  )}
+                  {requirement.upload && (
+                    <p style={{ margin: '4px 0 0', fontSize: '12px', color: '#868e96' }}>
+                      {requirement.upload.formats.map(format => FILE_FORMATS[format]?.label || format).join(', ')} · up to {requirement.upload.maxSizeMb} MB
+                      {requirement.upload.formats.includes('pdf') && `, ${requirement.upload.maxPages} page${requirement.upload.maxPages !== 1 ? 's' : ''}`}
+                      {files.max > 1 && ` · ${files.min === files.max ? files.max : `${files.min} to ${files.max}`} files (${typeFiles.length} uploaded)`}
+                    </p>
+                  )}
+                  {uploadErrors[docType] && (
+                    <div style={{ margin: '8px 0 0', padding: '8px 10px', backgroundColor: '#f8d7da', color: '#721c24', borderRadius: '4px', fontSize: '13px' }}>
+                      <strong>Upload failed:</strong> {uploadErrors[docType].message}
+                      {uploadErrors[docType].hint && (
+                        <p style={{ margin: '4px 0 0' }}>{uploadErrors[docType].hint}</p>
+                      )}
+                    </div>
+                  )}
                 </div>
-                {!isDocReadOnly && (
+                {canAddFile && (
                   <div>
                     <input
                       type="file"
                       id={`file-${docType}`}
+                      accept={(requirement.upload?.formats || []).map(format => FILE_FORMATS[format]?.accept).filter(Boolean).join(',') || undefined}
                       onChange={(e) => {
                         const file = e.target.files[0];
                         if (file) {
@@ -287,112 +488,80 @@ function CustomerPortal() {
                       htmlFor={`file-${docType}`}
                       style={{
                         padding: '8px 16px',
-                        backgroundColor: isRejectedDoc ? '#dc3545' : isUploaded ? '#ffc107' : '#007bff',
-                        color: (isRejectedDoc || !isUploaded) ? '#fff' : '#000',
+                        backgroundColor: '#007bff',
+                        color: '#fff',
                         border: 'none',
                         borderRadius: '4px',
                         cursor: isUploading ? 'not-allowed' : 'pointer',
                         opacity: isUploading ? 0.6 : 1,
-                        marginLeft: '10px'
+                        marginLeft: '10px',
+                        whiteSpace: 'nowrap'
                       }}
                     >
-                      {isUploading ? 'Uploading...' : isRejectedDoc ? 'Re-upload Required' : isUploaded ? 'Re-upload' : 'Upload'}
+                      {isUploading ? 'Uploading...' : typeFiles.length > 0 ? 'Add File' : 'Upload'}
                     </label>
-                  </div>
-                )}
-              </div>
-              {isUploaded && uploadedDoc && (
-                (request.status !== 'SUBMITTED' && !isAcceptedDoc && request.reviewStatus !== 'REJECTED') ||
-                recentlyUploaded.has(docType)
-              ) && (
-                <div style={{
-                  marginTop: '10px',
-                  padding: '10px',
-                  backgroundColor: '#f8f9fa',
-                  borderRadius: '4px',
-                  fontSize: '14px'
-                }}>
-                  <div style={{ marginBottom: '10px' }}>
-                    <p style={{ margin: '0', color: '#6c757d', fontSize: '12px' }}>
-                      Uploaded: {formatDate(uploadedDoc.uploadedAt)}
-                    </p>
-                  </div>
-                  {uploadedDoc.storagePath && (
-                    <div>
-                      <div style={{
-                        border: '1px solid #dee2e6',
-                        borderRadius: '4px',
-                        padding: '10px',
-                        backgroundColor: '#fff',
-                        marginBottom: '10px',
-                        textAlign: 'center',
-                        minHeight: '200px',
-                        display: 'flex',
-                        alignItems: 'center',
-                        justifyContent: 'center'
-                      }}>
-                        <div style={{ width: '100%' }}>
-                          {/* Try to show as image first */}
-                          <img
-                            src={getDocumentUrl(uploadedDoc)}
-                            alt={docType}
-                            style={{
-                              maxWidth: '100%',
-                              maxHeight: '400px',
-                              borderRadius: '4px',
-                              boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
-                              display: 'block',
-                              margin: '0 auto'
-                            }}
-                            onError={(e) => {
-                              // If image fails, try PDF viewer
-                              e.target.style.display = 'none';
-                              const parent = e.target.parentElement;
-                              const docUrl = getDocumentUrl(uploadedDoc);
-                              
-                              // Check if it's a PDF or other file type
-                              const iframe = document.createElement('iframe');
-                              iframe.src = docUrl;
-                              iframe.style.cssText = 'width: 100%; height: 500px; border: none; border-radius: 4px;';
-                              iframe.title = docType;
-                              parent.appendChild(iframe);
-                              
-                              // Also add a fallback link
-                              const fallback = document.createElement('div');
-                              fallback.style.cssText = 'margin-top: 10px;';
-                              const link = document.createElement('a');
-                              link.href = docUrl;
-                              link.target = '_blank';
-                              link.rel = 'noopener noreferrer';
-                              link.style.cssText = 'display: inline-block; padding: 8px 16px; background-color: #6c757d; color: #fff; text-decoration: none; border-radius: 4px; font-size: 14px;';
-                              link.textContent = '📄 Download File';
-                              fallback.appendChild(link);
-                              parent.appendChild(fallback);
-                            }}
-                          />
-                        </div>
-                      </div>
-                      <a
-                        href={getDocumentUrl(uploadedDoc)}
-                        target="_blank"
-                        rel="noopener noreferrer"
+                    {acceptsPhotos(requirement) && (
+                      <button
+                        onClick={() => setCamera({ requirement, replaceDocumentId: null })}
+                        disabled={isUploading}
                         style={{
-                          display: 'inline-block',
-                          padding: '6px 12px',
-                          backgroundColor: '#007bff',
-                          color: '#fff',
-                          textDecoration: 'none',
+                          padding: '8px 16px',
+                          backgroundColor: '#fff',
+                          color: '#007bff',
+                          border: '1px solid #007bff',
                           borderRadius: '4px',
-                          fontSize: '14px'
+                          cursor: isUploading ? 'not-allowed' : 'pointer',
+                          opacity: isUploading ? 0.6 : 1,
+                          marginLeft: '8px',
+                          fontSize: 'inherit',
+                          whiteSpace: 'nowrap'
                         }}
                       >
-                        Open in New Tab
-                      </a>
-                    </div>
-                  )}
+                        📷 Take Photo
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+              {isUploading && progress && (
+                <div style={{ marginTop: '10px' }}>
+                  <div style={{ height: '8px', backgroundColor: '#e9ecef', borderRadius: '4px', overflow: 'hidden' }}>
+                    <div style={{
+                      width: `${progress.percent}%`,
+                      height: '100%',
+                      backgroundColor: progress.reconnecting ? '#ffc107' : '#007bff',
+                      transition: 'width 0.2s'
+                    }} />
+                  </div>
+                  <p style={{ margin: '4px 0 0', fontSize: '12px', color: progress.reconnecting ? '#856404' : '#6c757d' }}>
+                    {progress.preparing ? 'Preparing the photo…' : progress.reconnecting
+                      ? `Connection lost at ${progress.percent}%. Reconnecting… keep this page open.`
+                      : progress.percent < 100 ? `Uploading… ${progress.percent}%` : 'Checking the file…'}
+                  </p>
                 </div>
               )}
-              {isUploaded && request.status === 'SUBMITTED' && !recentlyUploaded.has(docType) && (
+              {typeFiles.map((doc, index) => (
+                <CustomerDocumentFile
+                  key={doc.id}
+                  doc={doc}
+                  token={token}
+                  session={session?.sessionToken}
+                  label={files.max > 1 ? `File ${index + 1}` : requirement.label}
+                  // Files are no longer shown once submitted or reviewed, unless uploaded again in this visit
+                  showPreview={
+                    (request.statusPhase !== 'review' && doc.reviewStatus !== 'ACCEPTED' && request.reviewStatus !== 'REJECTED') ||
+                    recentlyUploaded.has(doc.id)
+                  }
+                  recentlyUploaded={recentlyUploaded.has(doc.id)}
+                  readOnly={isReadOnly}
+                  busy={isUploading}
+                  warnings={qualityWarnings[doc.id] || doc.quality?.warnings || []}
+                  onReplace={(file) => handleFileUpload(docType, file, doc.id)}
+                  onTakePhoto={acceptsPhotos(requirement) ? () => setCamera({ requirement, replaceDocumentId: doc.id }) : null}
+                  onRemove={files.max > 1 ? () => handleRemove(doc) : null}
+                />
+              ))}
+              {isUploaded && request.statusPhase === 'review' && (
                 <div style={{
                   marginTop: '10px',
                   padding: '10px',
@@ -407,36 +576,6 @@ function CustomerPortal() {
                   </p>
                 </div>
               )}
-              {isUploaded && isAcceptedDoc && !recentlyUploaded.has(docType) && (
-                <div style={{
-                  marginTop: '10px',
-                  padding: '10px',
-                  backgroundColor: '#d4edda',
-                  borderRadius: '4px',
-                  fontSize: '14px',
-                  color: '#155724',
-                  border: '1px solid #c3e6cb'
-                }}>
-                  <p style={{ margin: '0' }}>
-                    ✓ This document was accepted. No action needed.
-                  </p>
-                </div>
-              )}
-              {isUploaded && isRejectedDoc && !recentlyUploaded.has(docType) && (
-                <div style={{
-                  marginTop: '10px',
-                  padding: '10px',
-                  backgroundColor: '#f8d7da',
-                  borderRadius: '4px',
-                  fontSize: '14px',
-                  color: '#721c24',
-                  border: '1px solid #f5c6cb'
-                }}>
-                  <p style={{ margin: '0' }}>
-                    ✗ This document needs to be re-uploaded. Please use the button above.
-                  </p>
-                </div>
-              )}
             </div>
           );
         })}
@@ -452,7 +591,7 @@ function CustomerPortal() {
         }}>
           <button
             onClick={handleSubmit}
-            disabled={!canSubmit || submitting || request.status === 'SUBMITTED'}
+            disabled={!canSubmit || submitting || request.statusPhase === 'review'}
             style={{
               padding: '13px 44px',
               fontSize: '16px',
@@ -479,6 +618,16 @@ function CustomerPortal() {
           )}
         </div>
       )}
+
+      {camera && (
+        <CameraCapture
+          title={camera.requirement.label}
+          guide={CAMERA_GUIDES[camera.requirement.type] || 'page'}
+          targetBytes={photoTargetBytes(camera.requirement)}
+          onCapture={handleCameraCapture}
+          onCancel={() => setCamera(null)}
+        />
+      )}
     </div>
     </div>
   );
@@ -0,0 +1,129 @@
+/**
+ * Find Request Page
+ *
+ * Public page for customers who lost their portal link: /find-request
+ * The customer enters their request number and the phone number or email on the request;
+ * if they match, a new link is sent there (backend services/linkRecoveryService.js).
+ * The link is never shown here, and the page says the same thing whether or not the
+ * details matched.
+ */
+
+import React, { useState } from 'react';
+import { publicFetch } from '../utils/api';
+
+function FindRequest() {
+  const [requestNumber, setRequestNumber] = useState('');
+  const [contact, setContact] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [sentMessage, setSentMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await publicFetch('/api/customer/link-recovery', {
+        method: 'POST',
+        body: JSON.stringify({ requestNumber: requestNumber.trim(), contact: contact.trim() })
+      });
+      setSentMessage(result.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '12px',
+    marginBottom: '14px',
+    fontSize: '15px',
+    border: '1px solid #ced4da',
+    borderRadius: '6px'
+  };
+
+  const labelStyle = {
+    display: 'block',
+    marginBottom: '6px',
+    color: '#495057',
+    fontSize: '14px',
+    fontWeight: 'bold'
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', backgroundColor: '#f8f9fa', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '20px 16px' }}>
+      <div style={{ padding: '32px', backgroundColor: '#fff', borderRadius: '10px', boxShadow: '0 2px 8px rgba(0,0,0,0.1)', maxWidth: '420px', width: '100%' }}>
+        <div style={{ fontSize: '40px', marginBottom: '12px', textAlign: 'center' }}>🔎</div>
+        <h2 style={{ margin: '0 0 8px', color: '#343a40', textAlign: 'center' }}>Find my request</h2>
+
+        {sentMessage ? (
+          <>
+            <p style={{ margin: '0 0 12px', color: '#155724', textAlign: 'center' }}>{sentMessage}</p>
+            <p style={{ margin: 0, color: '#6c757d', fontSize: '14px', textAlign: 'center' }}>
+              Nothing arrived after a few minutes? Check the details and try again, or contact your sales agent.
+            </p>
+            <button
+              type="button"
+              onClick={() => setSentMessage(null)}
+              style={{ display: 'block', margin: '20px auto 0', padding: '10px 16px', backgroundColor: '#fff', color: '#007bff', border: '1px solid #007bff', borderRadius: '6px', cursor: 'pointer', fontSize: '14px' }}
+            >
+              Try again
+            </button>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <p style={{ margin: '0 0 20px', color: '#6c757d', textAlign: 'center' }}>
+              Lost your link? We will send a new one to the phone number or email your sales agent has for you.
+            </p>
+            <label htmlFor="requestNumber" style={labelStyle}>Request number</label>
+            <input
+              id="requestNumber"
+              type="text"
+              value={requestNumber}
+              onChange={(e) => setRequestNumber(e.target.value)}
+              placeholder="REQ-0042"
+              autoFocus
+              style={inputStyle}
+            />
+            <label htmlFor="contact" style={labelStyle}>Phone number or email</label>
+            <input
+              id="contact"
+              type="text"
+              value={contact}
+              onChange={(e) => setContact(e.target.value)}
+              autoComplete="email tel"
+              style={inputStyle}
+            />
+            <button
+              type="submit"
+              disabled={busy || !requestNumber.trim() || !contact.trim()}
+              style={{
+                display: 'block',
+                width: '100%',
+                padding: '12px 16px',
+                backgroundColor: '#007bff',
+                color: '#fff',
+                border: 'none',
+                borderRadius: '6px',
+                cursor: busy ? 'not-allowed' : 'pointer',
+                opacity: busy ? 0.6 : 1,
+                fontSize: '15px'
+              }}
+            >
+              {busy ? 'Sending…' : 'Send me a new link'}
+            </button>
+          </form>
+        )}
+
+        {error && (
+          <p style={{ margin: '12px 0 0', color: '#721c24', fontSize: '14px', textAlign: 'center' }}>{error}</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default FindRequest;
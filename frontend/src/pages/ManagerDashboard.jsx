@@ -2,22 +2,19 @@
  * Manager Dashboard
  *
  * Provides an overview of all requests across all agents.
- * Features: KPI cards, filterable requests table, request detail panel, reassignment.
+ * Features: KPI cards, filterable requests table, request detail panel, reassignment,
+ * rejection reason catalog and report, customer message templates.
+ * Status KPI cards, filter options and badges follow the workflow definitions (GET /api/manager/workflows).
  */
 
 import React, { useState, useEffect } from 'react';
 import { signOut } from 'firebase/auth';
 import { useNavigate } from 'react-router-dom';
 import { auth } from '../firebaseClient';
-import { authenticatedFetch } from '../utils/api';
-
-const STATUS_COLORS = {
-  OPEN:        { bg: '#d1ecf1', color: '#0c5460' },
-  IN_PROGRESS: { bg: '#fff3cd', color: '#856404' },
-  SUBMITTED:   { bg: '#cce5ff', color: '#004085' },
-  COMPLETED:   { bg: '#d4edda', color: '#155724' },
-  EXPIRED:     { bg: '#f8d7da', color: '#721c24' }
-};
+import { authenticatedFetch, downloadFile } from '../utils/api';
+import { buildStatusStyles } from '../utils/workflows';
+import RejectionReasonCatalog from '../components/RejectionReasonCatalog';
+import MessageTemplateEditor from '../components/MessageTemplateEditor';
 
 const REVIEW_COLORS = {
   PENDING:  { bg: '#e2e3e5', color: '#383d41' },
@@ -25,7 +22,7 @@ const REVIEW_COLORS = {
   REJECTED: { bg: '#f8d7da', color: '#721c24' }
 };
 
-function StatusBadge({ status, colorMap }) {
+function StatusBadge({ status, colorMap, label }) {
   const style = colorMap[status] || { bg: '#e2e3e5', color: '#383d41' };
   return (
     <span style={{
@@ -36,7 +33,7 @@ function StatusBadge({ status, colorMap }) {
       backgroundColor: style.bg,
       color: style.color
     }}>
-      {status}
+      {label || status}
     </span>
   );
 }
@@ -59,6 +56,7 @@ function KpiCard({ label, value, color }) {
 
 function ManagerDashboard() {
   const [kpis, setKpis] = useState(null);
+  const [workflows, setWorkflows] = useState([]);
   const [requests, setRequests] = useState([]);
   const [agents, setAgents] = useState([]);
   const [selected, setSelected] = useState(null);
@@ -69,6 +67,8 @@ function ManagerDashboard() {
   const [newAgentId, setNewAgentId] = useState('');
   const [reassigning, setReassigning] = useState(false);
   const [reassignError, setReassignError] = useState(null);
+  const [downloading, setDownloading] = useState(null); // export being downloaded
+  const [downloadError, setDownloadError] = useState(null);
   const navigate = useNavigate();
 
   const loadKPIs = async () => {
@@ -76,6 +76,11 @@ function ManagerDashboard() {
     setKpis(data.kpis);
   };
 
+  const loadWorkflows = async () => {
+    const data = await authenticatedFetch('/api/manager/workflows');
+    setWorkflows(data.workflows);
+  };
+
   const loadAgents = async () => {
     const data = await authenticatedFetch('/api/manager/agents');
     setAgents(data.agents);
@@ -92,7 +97,7 @@ function ManagerDashboard() {
 
   // Initial load
   useEffect(() => {
-    Promise.all([loadKPIs(), loadAgents(), loadRequests('', '')]).finally(() => setLoading(false));
+    Promise.all([loadKPIs(), loadWorkflows(), loadAgents(), loadRequests('', '')]).finally(() => setLoading(false));
   }, []);
 
   const handleApplyFilters = async () => {
@@ -125,11 +130,30 @@ function ManagerDashboard() {
     }
   };
 
+  // exportName: 'summary-report' (one-page PDF) or 'case-pack' (ZIP of the files, manifest and audit trail)
+  const handleDownload = async (exportName) => {
+    setDownloading(exportName);
+    setDownloadError(null);
+    try {
+      const fallbackName = `${selected.requestNumber || selected.id}_${exportName === 'case-pack' ? 'case_pack.zip' : 'summary.pdf'}`;
+      await downloadFile(`/api/manager/requests/${selected.id}/${exportName}`, fallbackName);
+    } catch (err) {
+      setDownloadError(err.message);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
   const formatDate = (ts) => {
     if (!ts) return 'N/A';
     try { return new Date(ts).toLocaleDateString(); } catch { return 'N/A'; }
   };
 
+  const getWorkflowName = (workflowId) => {
+    const workflow = workflows.find(w => w.id === (workflowId || 'vehicle-finance'));
+    return workflow ? workflow.name : workflowId;
+  };
+
   const getAgentName = (agentId) => {
     const agent = agents.find(a => a.id === agentId);
     return agent ? agent.name : agentId?.slice(0, 8) + '…';
@@ -139,6 +163,8 @@ function ManagerDashboard() {
     return <div style={{ padding: '40px', textAlign: 'center' }}>Loading...</div>;
   }
 
+  const statusStyles = buildStatusStyles(workflows);
+
   const term = searchTerm.toLowerCase();
   const filteredRequests = term
     ? requests.filter(r =>
@@ -166,12 +192,11 @@ function ManagerDashboard() {
       {kpis && (
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))', gap: '16px', marginBottom: '24px' }}>
           <KpiCard label="Total"       value={kpis.total}       color="#6c757d" />
-          <KpiCard label="Open"        value={kpis.open}        color="#17a2b8" />
-          <KpiCard label="In Progress" value={kpis.inProgress}  color="#ffc107" />
-          <KpiCard label="Submitted"   value={kpis.submitted}   color="#007bff" />
+          {Object.entries(statusStyles).map(([status, style]) => (
+            <KpiCard key={status} label={style.label} value={kpis.byStatus?.[status] || 0} color={style.color} />
+          ))}
           <KpiCard label="Approved"    value={kpis.approved}    color="#28a745" />
           <KpiCard label="Rejected"    value={kpis.rejected}    color="#dc3545" />
-          <KpiCard label="Expired"     value={kpis.expired}     color="#6c757d" />
         </div>
       )}
 
@@ -209,11 +234,9 @@ function ManagerDashboard() {
                 style={{ padding: '6px 10px', border: '1px solid #ced4da', borderRadius: '4px', fontSize: '14px' }}
               >
                 <option value="">All Statuses</option>
-                <option value="OPEN">Open</option>
-                <option value="IN_PROGRESS">In Progress</option>
-                <option value="SUBMITTED">Submitted</option>
-                <option value="COMPLETED">Completed</option>
-                <option value="EXPIRED">Expired</option>
+                {Object.entries(statusStyles).map(([status, style]) => (
+                  <option key={status} value={status}>{style.label}</option>
+                ))}
               </select>
             </div>
             <div>
@@ -271,7 +294,7 @@ function ManagerDashboard() {
                 ) : filteredRequests.map((r, index) => (
                   <tr
                     key={r.id}
-                    onClick={() => { setSelected(r); setNewAgentId(''); setReassignError(null); }}
+                    onClick={() => { setSelected(r); setNewAgentId(''); setReassignError(null); setDownloadError(null); }}
                     style={{
                       borderBottom: '1px solid #dee2e6',
                       cursor: 'pointer',
@@ -291,7 +314,7 @@ function ManagerDashboard() {
                     </td>
                     <td style={{ padding: '14px 16px', color: '#495057' }}>{getAgentName(r.agentId)}</td>
                     <td style={{ padding: '14px 16px' }}>
-                      <StatusBadge status={r.status} colorMap={STATUS_COLORS} />
+                      <StatusBadge status={r.status} colorMap={statusStyles} label={statusStyles[r.status]?.label} />
                     </td>
                     <td style={{ padding: '14px 16px' }}>
                       <StatusBadge status={r.reviewStatus || 'PENDING'} colorMap={REVIEW_COLORS} />
@@ -334,7 +357,7 @@ function ManagerDashboard() {
             <div style={{ marginBottom: '16px', paddingTop: '12px', borderTop: '1px solid #dee2e6' }}>
               <p style={{ margin: '0 0 6px', fontSize: '13px', color: '#6c757d' }}>STATUS</p>
               <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
-                <StatusBadge status={selected.status} colorMap={STATUS_COLORS} />
+                <StatusBadge status={selected.status} colorMap={statusStyles} label={statusStyles[selected.status]?.label} />
                 <StatusBadge status={selected.reviewStatus || 'PENDING'} colorMap={REVIEW_COLORS} />
               </div>
               {selected.reviewComment && (
@@ -347,6 +370,7 @@ function ManagerDashboard() {
             <div style={{ marginBottom: '16px', paddingTop: '12px', borderTop: '1px solid #dee2e6' }}>
               <p style={{ margin: '0 0 6px', fontSize: '13px', color: '#6c757d' }}>DETAILS</p>
               {selected.requestNumber && <p style={{ margin: '0 0 4px', fontSize: '14px' }}><strong>Request #:</strong> <span style={{ fontFamily: 'monospace' }}>{selected.requestNumber}</span></p>}
+              <p style={{ margin: '0 0 4px', fontSize: '14px' }}><strong>Product Line:</strong> {getWorkflowName(selected.workflowId)}</p>
               <p style={{ margin: '0 0 4px', fontSize: '14px' }}><strong>Agent:</strong> {getAgentName(selected.agentId)}</p>
               <p style={{ margin: '0 0 4px', fontSize: '14px' }}><strong>Completion:</strong> {selected.completionPercent}%</p>
               <p style={{ margin: '0 0 4px', fontSize: '14px' }}><strong>Created:</strong> {formatDate(selected.createdAt)}</p>
@@ -355,6 +379,38 @@ function ManagerDashboard() {
               {selected.notes && <p style={{ margin: '8px 0 0', fontSize: '13px', color: '#495057' }}><strong>Notes:</strong> {selected.notes}</p>}
             </div>
 
+            {/* Case pack */}
+            <div style={{ marginBottom: '16px', paddingTop: '12px', borderTop: '1px solid #dee2e6' }}>
+              <p style={{ margin: '0 0 8px', fontSize: '13px', color: '#6c757d' }}>EXPORT</p>
+              {downloadError && (
+                <p style={{ margin: '0 0 8px', fontSize: '13px', color: '#dc3545' }}>{downloadError}</p>
+              )}
+              {[
+                { name: 'summary-report', label: '🖨 Summary PDF' },
+                { name: 'case-pack', label: '⬇ Download Case Pack (ZIP)' }
+              ].map(({ name, label }) => (
+                <button
+                  key={name}
+                  onClick={() => handleDownload(name)}
+                  disabled={!!downloading}
+                  style={{
+                    width: '100%',
+                    padding: '8px',
+                    marginBottom: '8px',
+                    backgroundColor: '#fff',
+                    color: '#495057',
+                    border: '1px solid #adb5bd',
+                    borderRadius: '4px',
+                    cursor: downloading ? 'not-allowed' : 'pointer',
+                    opacity: downloading ? 0.6 : 1,
+                    fontSize: '14px'
+                  }}
+                >
+                  {downloading === name ? 'Preparing…' : label}
+                </button>
+              ))}
+            </div>
+
             {/* Reassign */}
             <div style={{ paddingTop: '12px', borderTop: '1px solid #dee2e6' }}>
               <p style={{ margin: '0 0 8px', fontSize: '13px', color: '#6c757d' }}>REASSIGN TO ANOTHER AGENT</p>
@@ -392,6 +448,12 @@ function ManagerDashboard() {
           </div>
         )}
       </div>
+
+      {/* Rejection reason catalog + report */}
+      <RejectionReasonCatalog />
+
+      {/* Customer message templates */}
+      <MessageTemplateEditor />
     </div>
   );
 }
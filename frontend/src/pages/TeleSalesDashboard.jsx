@@ -15,9 +15,12 @@ import { authenticatedFetch } from '../utils/api';
 import RequestTable from '../components/RequestTable';
 import CreateRequestForm from '../components/CreateRequestForm';
 import RequestDetailPanel from '../components/RequestDetailPanel';
+import { buildStatusStyles } from '../utils/workflows';
 
 function TeleSalesDashboard() {
   const [requests, setRequests] = useState([]);
+  const [workflows, setWorkflows] = useState([]);
+  const [requirementProfiles, setRequirementProfiles] = useState([]);
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [loading, setLoading] = useState(true);
@@ -28,8 +31,28 @@ function TeleSalesDashboard() {
   useEffect(() => {
     loadRequests();
     loadUserInfo();
+    loadWorkflows();
+    loadRequirementProfiles();
   }, []);
 
+  const loadWorkflows = async () => {
+    try {
+      const data = await authenticatedFetch('/api/telesales/workflows');
+      setWorkflows(data.workflows || []);
+    } catch (err) {
+      console.error('Error loading workflows:', err);
+    }
+  };
+
+  const loadRequirementProfiles = async () => {
+    try {
+      const data = await authenticatedFetch('/api/telesales/requirement-profiles');
+      setRequirementProfiles(data.profiles || []);
+    } catch (err) {
+      console.error('Error loading requirement profiles:', err);
+    }
+  };
+
   const loadUserInfo = async () => {
     try {
       const data = await authenticatedFetch('/api/telesales/me');
@@ -175,6 +198,8 @@ function TeleSalesDashboard() {
             ← Back to List
           </button>
           <CreateRequestForm
+            workflows={workflows}
+            requirementProfiles={requirementProfiles}
             onSuccess={handleCreateSuccess}
             onCancel={() => setShowCreateForm(false)}
           />
@@ -240,6 +265,7 @@ function TeleSalesDashboard() {
               : requests
             }
             onRowClick={handleRequestClick}
+            statusStyles={buildStatusStyles(workflows)}
           />
         </>
       )}
@@ -6,7 +6,7 @@
 
 import { auth } from '../firebaseClient';
 
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
 /**
  * Get Firebase ID token for authenticated requests
@@ -44,6 +44,7 @@ export async function authenticatedFetch(url, options = {}) {
 
 /**
  * Make an unauthenticated API request (for customers)
+ * Errors carry the server's error code (e.g. LINK_EXPIRED) in err.code and its whole answer in err.body
  */
 export async function publicFetch(url, options = {}) {
   const response = await fetch(`${API_URL}${url}`, {
@@ -56,19 +57,28 @@ export async function publicFetch(url, options = {}) {
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({ message: 'Request failed' }));
-    throw new Error(error.message || `HTTP ${response.status}`);
+    const err = new Error(error.message || `HTTP ${response.status}`);
+    err.code = error.code || null;
+    err.body = error;
+    throw err;
   }
 
   return response.json();
 }
 
 /**
- * Upload a file (for customer document uploads)
+ * Upload a file in a single request (for customer document uploads)
+ * The customer portal uploads in resumable chunks instead (utils/resumableUpload.js)
+ * fields: extra form fields, e.g. { replaceDocumentId }
+ * Errors carry the server's upload error code (e.g. FILE_TOO_LARGE) in err.code
  */
-export async function uploadFile(url, file, documentType) {
+export async function uploadFile(url, file, documentType, fields = {}) {
   const formData = new FormData();
   formData.append('file', file);
   formData.append('type', documentType);
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value !== null && value !== undefined) formData.append(name, value);
+  });
 
   const response = await fetch(`${API_URL}${url}`, {
     method: 'POST',
@@ -77,9 +87,75 @@ export async function uploadFile(url, file, documentType) {
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({ message: 'Upload failed' }));
-    throw new Error(error.message || `HTTP ${response.status}`);
+    const err = new Error(error.message || `HTTP ${response.status}`);
+    err.code = error.code || null;
+    throw err;
   }
 
   return response.json();
 }
 
+
+/**
+ * Fetch a file from an authenticated endpoint (for employees)
+ */
+async function fetchFile(url) {
+  const token = await getIdToken();
+
+  const response = await fetch(`${API_URL}${url}`, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ message: 'Download failed' }));
+    throw new Error(error.message || `HTTP ${response.status}`);
+  }
+  return response;
+}
+
+/**
+ * Download a file from an authenticated endpoint (for employees), e.g. a case pack ZIP
+ * Saved under the server's Content-Disposition file name, or fallbackName
+ */
+export async function downloadFile(url, fallbackName) {
+  const response = await fetchFile(url);
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = /filename="([^"]+)"/.exec(disposition);
+  const blobUrl = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = blobUrl;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(blobUrl);
+}
+
+/**
+ * Load a file from an authenticated endpoint (for employees) into a blob URL, e.g. for an <img>
+ * Free it with URL.revokeObjectURL once it is no longer shown
+ */
+export async function fetchFileUrl(url) {
+  const response = await fetchFile(url);
+  return URL.createObjectURL(await response.blob());
+}
+
+/**
+ * Open a file from an authenticated endpoint (for employees) in a new tab
+ * The tab is opened straight away so popup blockers allow it, then pointed at the file
+ */
+export async function openFile(url) {
+  const tab = window.open('', '_blank');
+  try {
+    const blobUrl = await fetchFileUrl(url);
+    if (tab) {
+      tab.location.href = blobUrl;
+    }
+    // The tab has loaded the file by then
+    setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+  } catch (err) {
+    if (tab) tab.close();
+    throw err;
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Image Processing
+ *
+ * Prepares photos in the browser before they are uploaded from the customer portal:
+ * - Turns phone photos upright from their EXIF orientation
+ * - Scales them down to MAX_DIMENSION and compresses them to JPEG under a target size
+ * - Crops camera captures to the document guide (components/CameraCapture.jsx)
+ *
+ * Each processed photo comes with a report of what was done and what the original was
+ * (size, dimensions, orientation), sent with the upload so agents know the file was processed.
+ * PDFs, HEIC files and photos that are already small and upright are uploaded unchanged
+ * (the server converts HEIC and WebP photos to JPEG for viewing).
+ */
+
+// Long side of a processed photo; well above the 600 px the server's quality check asks for
+const MAX_DIMENSION = 2400;
+// Size to compress to, unless the document type allows less
+export const TARGET_BYTES = 1.5 * 1024 * 1024;
+const JPEG_QUALITY_STEPS = [0.92, 0.85, 0.78, 0.7, 0.6, 0.5];
+const PROCESSED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// EXIF and the frame size sit near the start of a JPEG
+const JPEG_HEADER_BYTES = 256 * 1024;
+
+/**
+ * Read the EXIF orientation and stored frame size of a JPEG
+ * Returns { orientation, width, height } (orientation 1 when there is no EXIF)
+ */
+export function readJpegInfo(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const info = { orientation: 1, width: null, height: null };
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return info;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break; // Start of scan: no more headers
+
+    if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      // "Exif\0\0" then a TIFF header
+      const tiff = offset + 10;
+      const little = view.getUint16(tiff) === 0x4949;
+      const ifd = tiff + view.getUint32(tiff + 4, little);
+      if (ifd + 2 <= view.byteLength) {
+        const entries = view.getUint16(ifd, little);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (entry + 10 > view.byteLength) break;
+          if (view.getUint16(entry, little) === 0x0112) {
+            info.orientation = view.getUint16(entry + 8, little) || 1;
+          }
+        }
+      }
+    } else if (marker >= 0xffc0 && marker <= 0xffcf && ![0xffc4, 0xffc8, 0xffcc].includes(marker)) {
+      // Start of frame: height then width
+      if (offset + 9 <= view.byteLength) {
+        info.height = view.getUint16(offset + 5);
+        info.width = view.getUint16(offset + 7);
+      }
+    }
+    offset += 2 + length;
+  }
+  return info;
+}
+
+/**
+ * Draw an image onto a new canvas at width x height, turned by an EXIF orientation
+ * (orientation 1 draws it as it is)
+ */
+function drawOriented(image, width, height, orientation) {
+  const turned = orientation >= 5;
+  const canvas = document.createElement('canvas');
+  canvas.width = turned ? height : width;
+  canvas.height = turned ? width : height;
+  const ctx = canvas.getContext('2d');
+
+  switch (orientation) {
+    case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+    default: break;
+  }
+  ctx.drawImage(image, 0, 0, width, height);
+  return canvas;
+}
+
+/**
+ * Compress a canvas to JPEG, lowering the quality until it fits the target size
+ * Returns { blob, quality } (the smallest attempt if none fits)
+ */
+export async function compressCanvas(canvas, targetBytes = TARGET_BYTES) {
+  let result = null;
+  for (const quality of JPEG_QUALITY_STEPS) {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+    if (!blob) break;
+    result = { blob, quality };
+    if (blob.size <= targetBytes) break;
+  }
+  if (!result) {
+    throw new Error('This browser could not process the photo');
+  }
+  return result;
+}
+
+/**
+ * Scale a width and height down so the long side is at most MAX_DIMENSION
+ */
+function fitDimensions(width, height) {
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale), resized: scale < 1 };
+}
+
+/**
+ * JPEG file name for a processed photo
+ */
+function jpegName(name) {
+  return `${(name || 'photo').replace(/\.[^.]*$/, '')}.jpg`;
+}
+
+/**
+ * Make a chosen photo upright, scale it down and compress it before upload
+ *
+ * @param {File} file
+ * @param {Object} options - { targetBytes }
+ * @returns {Object} { file, processing } - the file to upload and the report, or the original file
+ *   and null when nothing needed doing (or the browser cannot decode it)
+ */
+export async function preparePhoto(file, { targetBytes = TARGET_BYTES } = {}) {
+  if (!PROCESSED_TYPES.includes(file.type) || typeof createImageBitmap !== 'function') {
+    return { file, processing: null };
+  }
+
+  const jpegInfo = file.type === 'image/jpeg'
+    ? readJpegInfo(await file.slice(0, JPEG_HEADER_BYTES).arrayBuffer())
+    : { orientation: 1 };
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  } catch (e) {
+    return { file, processing: null };
+  }
+
+  // Current browsers turn the image while decoding it; older ones give the stored frame,
+  // which shows as a portrait photo decoded with its stored landscape size
+  const decodedUpright = jpegInfo.orientation < 5 || !jpegInfo.width || bitmap.width !== jpegInfo.width;
+  const orientation = decodedUpright ? 1 : jpegInfo.orientation;
+  const decoded = { width: bitmap.width, height: bitmap.height };
+  const { width, height, resized } = fitDimensions(decoded.width, decoded.height);
+
+  if (!resized && file.size <= targetBytes && jpegInfo.orientation === 1) {
+    bitmap.close();
+    return { file, processing: null };
+  }
+
+  const canvas = drawOriented(bitmap, width, height, orientation);
+  bitmap.close();
+  const { blob, quality } = await compressCanvas(canvas, targetBytes);
+
+  // Recompressing an upright photo that needed no scaling can make it larger; keep the original then
+  if (!resized && blob.size >= file.size && jpegInfo.orientation === 1) {
+    return { file, processing: null };
+  }
+
+  return {
+    file: new File([blob], jpegName(file.name), { type: 'image/jpeg', lastModified: file.lastModified }),
+    processing: {
+      source: 'file',
+      originalName: file.name,
+      originalContentType: file.type,
+      originalSize: file.size,
+      originalWidth: jpegInfo.width || decoded.width,
+      originalHeight: jpegInfo.height || decoded.height,
+      orientation: jpegInfo.orientation,
+      orientationFixed: jpegInfo.orientation !== 1,
+      cropped: false,
+      resized,
+      width: canvas.width,
+      height: canvas.height,
+      size: blob.size,
+      jpegQuality: quality
+    }
+  };
+}
+
+/**
+ * Take a photo from a playing camera video, cropped to a guide, and compress it
+ *
+ * @param {HTMLVideoElement} video
+ * @param {Object} crop - { x, y, width, height } as fractions (0..1) of the video frame
+ * @param {Object} options - { targetBytes, name }
+ * @returns {Object} { file, processing }
+ */
+export async function captureFrame(video, crop, { targetBytes = TARGET_BYTES, name = 'photo' } = {}) {
+  const frameWidth = video.videoWidth;
+  const frameHeight = video.videoHeight;
+  const source = {
+    x: Math.round(crop.x * frameWidth),
+    y: Math.round(crop.y * frameHeight),
+    width: Math.round(crop.width * frameWidth),
+    height: Math.round(crop.height * frameHeight)
+  };
+  const { width, height, resized } = fitDimensions(source.width, source.height);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(video, source.x, source.y, source.width, source.height, 0, 0, width, height);
+  const { blob, quality } = await compressCanvas(canvas, targetBytes);
+
+  return {
+    file: new File([blob], jpegName(name), { type: 'image/jpeg', lastModified: Date.now() }),
+    processing: {
+      source: 'camera',
+      originalWidth: frameWidth,
+      originalHeight: frameHeight,
+      orientation: 1,
+      orientationFixed: false,
+      cropped: true,
+      resized,
+      width,
+      height,
+      size: blob.size,
+      jpegQuality: quality
+    }
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Requirement Profile Utility Functions
+ * 
+ * Helpers for the document requirement profiles returned by GET /api/telesales/requirement-profiles
+ * Mirrors the matching in backend/src/models/requirementProfiles.js
+ */
+
+/**
+ * Profiles meant for a request with these details, most specific first
+ * @param {Array} profiles
+ * @param {Object} details - { workflowId, dealerId, customerType }
+ */
+export function getApplicableProfiles(profiles, details) {
+  const matches = (list, value) => !list || list.length === 0 || list.includes(value);
+  const specificity = profile => Object.values(profile.appliesTo || {})
+    .filter(list => Array.isArray(list) && list.length > 0).length;
+
+  return (profiles || [])
+    .filter(profile => {
+      const appliesTo = profile.appliesTo || {};
+      return matches(appliesTo.workflowIds, details.workflowId) &&
+             matches(appliesTo.dealerIds, details.dealerId) &&
+             matches(appliesTo.customerTypes, details.customerType);
+    })
+    .sort((a, b) => specificity(b) - specificity(a));
+}
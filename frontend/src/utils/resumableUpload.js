@@ -0,0 +1,184 @@
+/**
+ * Resumable Upload
+ *
+ * Uploads a customer document in chunks (backend services/resumableUploadService.js):
+ * create the upload, send each chunk at the offset the server has stored, then finish it.
+ * - Progress is reported as the chunks go out, not only per chunk
+ * - A dropped connection or server error is retried with growing pauses; a chunk the
+ *   server already had is answered with its stored offset (409) and the upload carries on
+ * - The upload id is kept in localStorage, so choosing the same file again after a
+ *   reload or a failed attempt continues where it stopped
+ */
+
+import { API_URL } from './api';
+
+const STORAGE_PREFIX = 'resumableUpload:';
+const MAX_RETRIES = 10;
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * localStorage key of an upload; the same file chosen again for the same slot gets the same key
+ */
+function storageKey(url, file, documentType, replaceDocumentId) {
+  return `${STORAGE_PREFIX}${url}|${documentType}|${replaceDocumentId || ''}|${file.name}|${file.size}|${file.lastModified}`;
+}
+
+// localStorage can be unavailable (private browsing); the upload then simply cannot resume after a reload
+function recall(key) {
+  try { return window.localStorage.getItem(key); } catch (e) { return null; }
+}
+function remember(key, uploadId) {
+  try { window.localStorage.setItem(key, uploadId); } catch (e) { /* not resumable after reload */ }
+}
+function forget(key) {
+  try { window.localStorage.removeItem(key); } catch (e) { /* nothing stored */ }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Error from a server answer, carrying its status, upload error code and stored offset
+ */
+function answerError(status, body) {
+  const err = new Error(body.message || `HTTP ${status}`);
+  err.status = status;
+  err.code = body.code || null;
+  err.offset = body.offset;
+  return err;
+}
+
+/**
+ * Failures worth retrying: no answer at all (offline, timeout), a server-side error, or an
+ * earlier finalize attempt that is still running
+ */
+function isTransient(err) {
+  return !err.status || err.status >= 500 || err.status === 408 || err.status === 429 ||
+    err.code === 'UPLOAD_FINALIZING';
+}
+
+async function jsonRequest(url, options = {}) {
+  const response = await fetch(`${API_URL}${url}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers }
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw answerError(response.status, body);
+  }
+  return body;
+}
+
+/**
+ * Send one chunk; onProgress gets the bytes of the chunk sent so far
+ */
+function sendChunk(url, offset, chunk, onProgress, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('PATCH', `${API_URL}${url}`);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+    xhr.setRequestHeader('Upload-Offset', String(offset));
+    xhr.upload.onprogress = (event) => onProgress(event.loaded);
+    xhr.onload = () => {
+      let body = {};
+      try { body = JSON.parse(xhr.responseText); } catch (e) { /* not JSON */ }
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(body);
+      } else {
+        reject(answerError(xhr.status, body));
+      }
+    };
+    xhr.onerror = () => reject(new Error('Connection lost'));
+    xhr.ontimeout = () => reject(new Error('Connection timed out'));
+    xhr.send(chunk);
+  });
+}
+
+/**
+ * Run an attempt, retrying transient failures with growing pauses (1s, 2s, 4s ... 30s)
+ * onRetry(true) is called while waiting to retry, onRetry(false) once it works again
+ */
+async function withRetries(attempt, onRetry) {
+  for (let failures = 0; ; failures++) {
+    try {
+      const result = await attempt();
+      if (failures > 0) onRetry(false);
+      return result;
+    } catch (err) {
+      if (!isTransient(err) || failures >= MAX_RETRIES) throw err;
+      onRetry(true);
+      await wait(Math.min(1000 * 2 ** failures, MAX_RETRY_DELAY_MS));
+    }
+  }
+}
+
+/**
+ * Upload a customer document in resumable chunks
+ *
+ * @param {string} url - the request's uploads endpoint, /api/customer/requests/:token/uploads
+ * @param {File} file
+ * @param {string} documentType
+ * @param {Object} options - { replaceDocumentId, processing, headers, onProgress(fraction 0..1), onRetry(reconnecting) }
+ *   processing: report of a photo processed in the browser (utils/imageProcessing.js)
+ *   headers: sent with every call, e.g. the portal session (X-Portal-Session)
+ * @returns {Object} the finish answer: { message, document, warnings }
+ * Errors carry the server's upload error code (e.g. FILE_TOO_LARGE) in err.code
+ */
+export async function uploadFileResumable(url, file, documentType, { replaceDocumentId = null, processing = null, headers = {}, onProgress = () => {}, onRetry = () => {} } = {}) {
+  const key = storageKey(url, file, documentType, replaceDocumentId);
+
+  try {
+    // Continue an earlier attempt with the same file, if the server still has it
+    let upload = null;
+    const storedId = recall(key);
+    if (storedId) {
+      upload = await jsonRequest(`${url}/${storedId}`, { headers })
+        .then(body => (body.upload.status === 'ACTIVE' ? body.upload : null))
+        .catch(() => null);
+    }
+    if (!upload) {
+      const body = await withRetries(() => jsonRequest(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ type: documentType, fileName: file.name, size: file.size, replaceDocumentId, processing })
+      }), onRetry);
+      upload = body.upload;
+      remember(key, upload.id);
+    }
+
+    const uploadUrl = `${url}/${upload.id}`;
+    let offset = upload.offset;
+    onProgress(offset / file.size);
+
+    while (offset < file.size) {
+      const chunkStart = offset;
+      offset = await withRetries(async () => {
+        try {
+          const body = await sendChunk(uploadUrl, chunkStart, file.slice(chunkStart, chunkStart + upload.chunkSize),
+            (sent) => onProgress((chunkStart + sent) / file.size), headers);
+          return body.upload.offset;
+        } catch (err) {
+          // The server already has more (an earlier copy of this chunk arrived): continue from there
+          if (err.code === 'OFFSET_MISMATCH') return err.offset;
+          throw err;
+        }
+      }, onRetry);
+      onProgress(offset / file.size);
+    }
+
+    // Finishing again after a lost answer returns the document the upload already became
+    const result = await withRetries(
+      () => jsonRequest(`${uploadUrl}/finalize`, { method: 'POST', headers }),
+      onRetry
+    );
+
+    forget(key);
+    return result;
+  } catch (err) {
+    // A refused upload cannot be continued; one that lost its connection can, by choosing the file again
+    if (err.status && !isTransient(err)) {
+      forget(key);
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Workflow Utility Functions
+ * 
+ * Helpers for the workflow definitions returned by GET /api/telesales/workflows
+ * and GET /api/manager/workflows (one workflow per product line)
+ */
+
+const DEFAULT_STATUS_STYLE = { bg: '#e2e3e5', color: '#383d41' };
+
+/**
+ * Build a lookup of status id -> { label, bg, color } across all workflows
+ * Workflows share statuses like OPEN and EXPIRED, so the first definition wins
+ */
+export function buildStatusStyles(workflows) {
+  const styles = {};
+  (workflows || []).forEach(workflow => {
+    workflow.statuses.forEach(status => {
+      if (!styles[status.id]) {
+        styles[status.id] = {
+          label: status.label || status.id,
+          ...DEFAULT_STATUS_STYLE,
+          ...status.color
+        };
+      }
+    });
+  });
+  return styles;
+}
+